@@ -0,0 +1,204 @@
+/**
+ * Configuration
+ * The backend's settings, read once from the environment (and backend/.env) and checked
+ * against config/schema.js. Modules take their settings from here instead of process.env:
+ *
+ *   const config = require('../config');
+ *   config.auth.jwtSecret
+ *
+ * NODE_ENV selects the profile (development, test or production), which changes some
+ * defaults and requirements - e.g. production needs APP_URL, explicit CORS_ORIGINS and an
+ * SMTP server for mail, and the test profile ignores backend/.env. If anything is wrong,
+ * every problem is reported together and the process stops before the server starts.
+ */
+
+const path = require('path');
+const dotenv = require('dotenv');
+const { PROFILES, SCHEMA, RULES } = require('./schema');
+
+// Durations accepted by jsonwebtoken: seconds, or a number with a unit (e.g. 15m, 12h, 7d)
+const DURATION_REGEX = /^\d+(\s*(ms|s|m|h|d|w|y))?$/i;
+
+/**
+ * Config Error
+ * The environment doesn't describe a usable configuration. problems lists every issue.
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Check Range
+ * Throws if a number is outside the entry's min/max.
+ */
+const checkRange = (value, { min, max }) => {
+  if (min !== undefined && value < min) throw new Error(`must be at least ${min}`);
+  if (max !== undefined && value > max) throw new Error(`must be at most ${max}`);
+  return value;
+};
+
+/**
+ * Is URL
+ * Whether a string is an absolute http(s) URL.
+ */
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Parsers by schema type: (raw string, entry) => value. Throw an Error saying what's wrong.
+const PARSERS = {
+  string: (raw, { minLength }) => {
+    if (minLength && raw.length < minLength) throw new Error(`must be at least ${minLength} characters long`);
+    return raw;
+  },
+  integer: (raw, entry) => {
+    if (!/^-?\d+$/.test(raw)) throw new Error('must be a whole number');
+    return checkRange(Number(raw), entry);
+  },
+  number: (raw, entry) => {
+    if (raw.trim() === '' || Number.isNaN(Number(raw))) throw new Error('must be a number');
+    return checkRange(Number(raw), entry);
+  },
+  boolean: (raw) => {
+    const value = raw.toLowerCase();
+    if (['true', '1'].includes(value)) return true;
+    if (['false', '0'].includes(value)) return false;
+    throw new Error('must be true or false');
+  },
+  enum: (raw, { values }) => {
+    if (!values.includes(raw)) throw new Error(`must be one of: ${values.join(', ')}`);
+    return raw;
+  },
+  duration: (raw) => {
+    if (!DURATION_REGEX.test(raw.trim())) throw new Error('must be a duration such as 15m, 12h or 900 (seconds)');
+    return /^\d+$/.test(raw.trim()) ? Number(raw) : raw.trim();
+  },
+  url: (raw) => {
+    if (!isHttpUrl(raw)) throw new Error('must be an http(s) URL');
+    return raw;
+  },
+  mongoUri: (raw) => {
+    if (!/^mongodb(\+srv)?:\/\//.test(raw)) throw new Error('must be a mongodb:// or mongodb+srv:// URI');
+    return raw;
+  },
+  smtpUrl: (raw) => {
+    if (!/^smtps?:\/\/[^/]/.test(raw)) throw new Error('must be an smtp:// or smtps:// URL');
+    return raw;
+  },
+  // Comma-separated origins ("https://app.example.com"), or "*" for any
+  origins: (raw) => {
+    const origins = raw
+      .split(',')
+      .map((origin) => origin.trim())
+      .filter(Boolean);
+    const isOrigin = (origin) => isHttpUrl(origin) && new URL(origin).origin === origin;
+    const invalid = origins.filter((origin) => origin !== '*' && !isOrigin(origin));
+    if (invalid.length) {
+      throw new Error(
+        `must be origins like https://app.example.com (no path or trailing slash): ${invalid.join(', ')}`
+      );
+    }
+    return origins;
+  },
+  // Express "trust proxy": a hop count, true/false, or addresses/subnets to trust
+  trustProxy: (raw) => {
+    if (/^\d+$/.test(raw)) return Number(raw);
+    if (['true', 'false'].includes(raw.toLowerCase())) return raw.toLowerCase() === 'true';
+    return raw;
+  },
+};
+
+/**
+ * Set Path
+ * Sets a dotted key (e.g. "auth.jwtSecret") on a nested object.
+ */
+const setPath = (target, key, value) => {
+  const parts = key.split('.');
+  const parent = parts.slice(0, -1).reduce((node, part) => {
+    if (!node[part]) node[part] = {};
+    return node[part];
+  }, target);
+  parent[parts[parts.length - 1]] = value;
+};
+
+/**
+ * Deep Freeze
+ * Makes the config read-only, so a setting can't be changed by accident at runtime.
+ */
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+/**
+ * Load Config
+ * Builds the config object from environment variables. Throws a ConfigError listing every
+ * missing or invalid setting.
+ */
+const loadConfig = (env = process.env) => {
+  const problems = [];
+  let profile = env.NODE_ENV || 'development';
+  if (!PROFILES.includes(profile)) {
+    problems.push(`NODE_ENV must be one of: ${PROFILES.join(', ')} (got "${profile}")`);
+    profile = 'development';
+  }
+
+  const config = { env: profile };
+  SCHEMA.forEach((entry) => {
+    const raw = env[entry.env];
+    if (raw === undefined || raw === '') {
+      const required = typeof entry.required === 'function' ? entry.required(config, profile) : entry.required;
+      if (entry.defaults && entry.defaults[profile] !== undefined) {
+        setPath(config, entry.key, entry.defaults[profile]);
+      } else if (required) {
+        problems.push(`${entry.env} is required`);
+      } else {
+        setPath(config, entry.key, typeof entry.default === 'function' ? entry.default(config) : entry.default);
+      }
+      return;
+    }
+    try {
+      setPath(config, entry.key, PARSERS[entry.type](raw, entry));
+    } catch (error) {
+      problems.push(`${entry.env} ${error.message}`);
+    }
+  });
+
+  // Settings that depend on each other are checked too, so the error lists everything at once
+  RULES.forEach((rule) => {
+    const problem = rule(config, profile);
+    if (problem) problems.push(problem);
+  });
+  if (problems.length) {
+    throw new ConfigError(problems);
+  }
+  return deepFreeze(config);
+};
+
+// Tests set their environment themselves - a developer's .env must not change them
+if (process.env.NODE_ENV !== 'test') {
+  dotenv.config({ path: path.join(__dirname, '../.env'), quiet: true });
+}
+
+let config;
+try {
+  config = loadConfig(process.env);
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  // Nothing can run with a broken configuration - say everything that is wrong and stop
+  console.error(error.message);
+  process.exit(1);
+}
+
+module.exports = config;
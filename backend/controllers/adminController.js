@@ -0,0 +1,196 @@
+/**
+ * Admin Controller
+ * HTTP handlers for /api/admin/users, plus the middleware that loads the target account
+ * and guards staff from acting on themselves or on administrators. Requests have already
+ * been validated by routes/admin.js; the work is done by services/adminService.js.
+ */
+
+const adminService = require('../services/adminService');
+const { HttpError, sendError } = require('../utils/httpError');
+
+// Page size of the user list when no limit is given
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Format Admin User
+ * Converts a user document to the shape returned to staff (no password or token hashes).
+ */
+const formatAdminUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  displayName: user.displayName || '',
+  bio: user.bio || '',
+  email: user.email,
+  emailVerified: Boolean(user.emailVerified),
+  pendingEmail: user.pendingEmail || null,
+  phone: user.phone || '', // E.164 format
+  phoneCountry: user.phoneCountry || null,
+  dob: user.dob || null,
+  avatar: user.getAvatarUrls(),
+  avatarUpdatedAt: user.avatar?.updatedAt || null,
+  customFields: Object.fromEntries(user.customFields || []), // Values of admin-defined fields
+  role: user.role,
+  mustResetPassword: Boolean(user.mustResetPassword),
+  disabled: Boolean(user.disabled),
+  disabledAt: user.disabledAt || null,
+  deletedAt: user.deletedAt || null, // Deleted by the user, restorable until purgeAt
+  purgeAt: user.purgeAt || null,
+  twoFactorEnabled: Boolean(user.twoFactorEnabled),
+  failedLoginAttempts: user.failedLoginAttempts || 0,
+  lockUntil: user.lockUntil || null,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+});
+
+/**
+ * Load Target User Middleware
+ * Finds the user named by :id and attaches it as req.targetUser. Returns 404 if not found.
+ */
+const loadTargetUser = async (req, res, next) => {
+  try {
+    req.targetUser = await adminService.getUser(req.params.id);
+  } catch (error) {
+    return sendError(res, error, 'Load target user error');
+  }
+  return next();
+};
+
+/**
+ * Reject Self Middleware
+ * Stops staff from disabling, deleting or demoting their own account (avoids lock-out).
+ */
+const rejectSelf = (req, res, next) => {
+  if (String(req.targetUser._id) === String(req.user._id)) {
+    return sendError(res, new HttpError(400, 'You cannot perform this action on your own account'));
+  }
+  return next();
+};
+
+/**
+ * Require Admin For Admins Middleware
+ * Only administrators may modify administrator accounts (stops support staff from changing
+ * an admin's email and taking the account over through a password reset).
+ */
+const requireAdminForAdmins = (req, res, next) => {
+  if (req.targetUser.role === 'admin' && req.user.role !== 'admin') {
+    return sendError(res, new HttpError(403, 'Only administrators can modify administrator accounts'));
+  }
+  return next();
+};
+
+/**
+ * GET /api/admin/users
+ * One page of users matching the query filters.
+ */
+const listUsers = async (req, res) => {
+  const page = req.query.page || 1;
+  const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+  try {
+    const { users, total } = await adminService.listUsers({
+      search: req.query.search,
+      role: req.query.role,
+      disabled: req.query.disabled,
+      sortField: req.query.sort || 'createdAt',
+      sortOrder: req.query.order === 'asc' ? 1 : -1,
+      page,
+      limit,
+    });
+    return res.json({
+      users: users.map(formatAdminUser),
+      total,
+      page,
+      pages: Math.max(1, Math.ceil(total / limit)),
+    });
+  } catch (error) {
+    return sendError(res, error, 'Admin list users error');
+  }
+};
+
+/**
+ * GET /api/admin/users/:id
+ * One user with account status fields and the number of active sessions.
+ */
+const getUser = async (req, res) => {
+  try {
+    const activeSessions = await adminService.countActiveSessions(req.targetUser);
+    return res.json({ ...formatAdminUser(req.targetUser), activeSessions });
+  } catch (error) {
+    return sendError(res, error, 'Admin get user error');
+  }
+};
+
+/**
+ * PUT /api/admin/users/:id
+ * Updates account fields.
+ */
+const updateUser = async (req, res) => {
+  try {
+    const user = await adminService.updateUser(req, req.targetUser, req.body || {});
+    return res.json(formatAdminUser(user));
+  } catch (error) {
+    return sendError(res, error, 'Admin update user error');
+  }
+};
+
+/**
+ * POST /api/admin/users/:id/disable
+ * Disables an account and signs it out everywhere.
+ */
+const disableUser = async (req, res) => {
+  try {
+    return res.json(formatAdminUser(await adminService.disableUser(req, req.targetUser)));
+  } catch (error) {
+    return sendError(res, error, 'Admin disable user error');
+  }
+};
+
+/**
+ * POST /api/admin/users/:id/enable
+ * Re-enables a disabled account.
+ */
+const enableUser = async (req, res) => {
+  try {
+    return res.json(formatAdminUser(await adminService.enableUser(req, req.targetUser)));
+  } catch (error) {
+    return sendError(res, error, 'Admin enable user error');
+  }
+};
+
+/**
+ * POST /api/admin/users/:id/reset-password
+ * Forces a password reset.
+ */
+const forcePasswordReset = async (req, res) => {
+  try {
+    return res.json(formatAdminUser(await adminService.forcePasswordReset(req, req.targetUser)));
+  } catch (error) {
+    return sendError(res, error, 'Admin force reset error');
+  }
+};
+
+/**
+ * DELETE /api/admin/users/:id
+ * Permanently deletes an account.
+ */
+const deleteUser = async (req, res) => {
+  try {
+    await adminService.deleteUser(req, req.targetUser);
+    return res.json({ message: 'User deleted', id: req.targetUser._id });
+  } catch (error) {
+    return sendError(res, error, 'Admin delete user error');
+  }
+};
+
+module.exports = {
+  loadTargetUser,
+  rejectSelf,
+  requireAdminForAdmins,
+  listUsers,
+  getUser,
+  updateUser,
+  disableUser,
+  enableUser,
+  forcePasswordReset,
+  deleteUser,
+};
@@ -0,0 +1,199 @@
+/**
+ * Auth Controller
+ * HTTP handlers for /api/auth. Requests have already been validated by routes/auth.js;
+ * the work is done by services/authService.js.
+ */
+
+const authService = require('../services/authService');
+const { refreshTokens } = require('../services/sessionService');
+const { getPublicPolicy } = require('../utils/passwordPolicy');
+const { PHONE_COUNTRIES, parsePhone } = require('../utils/phone');
+const { sendError } = require('../utils/httpError');
+
+/**
+ * Format Login
+ * The user data and token pair returned by register and login (password excluded).
+ */
+const formatLogin = (user, tokens, extra = {}) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  ...extra,
+  ...tokens, // Access + refresh tokens of the new session
+});
+
+/**
+ * POST /api/auth/register
+ * Registers a new user. Returns user data with JWT token.
+ */
+const register = async (req, res) => {
+  const { username, password, email, dob } = req.body;
+  // Phone is stored in E.164 format with its country
+  const { phone, country: phoneCountry } = req.body.phone
+    ? parsePhone(req.body.phone, req.body.phoneCountry)
+    : { phone: undefined, country: null };
+
+  try {
+    const { user, tokens } = await authService.register(req, { username, password, email, phone, phoneCountry, dob });
+    return res.status(201).json(formatLogin(user, tokens));
+  } catch (error) {
+    return sendError(res, error, 'Register error');
+  }
+};
+
+/**
+ * GET /api/auth/password-policy
+ * Returns the password rules enforced by the server so forms can validate as the user types.
+ */
+const getPasswordPolicy = (req, res) => res.json(getPublicPolicy());
+
+/**
+ * GET /api/auth/phone-countries
+ * Countries phone numbers can be entered for, with calling codes, for the forms' country pickers.
+ */
+const getPhoneCountries = (req, res) => res.json({ countries: PHONE_COUNTRIES });
+
+/**
+ * POST /api/auth/login
+ * Authenticates user with username/email and password. Returns JWT token, or - when
+ * two-factor authentication is enabled - a short-lived MFA ticket for /login/mfa.
+ */
+const login = async (req, res) => {
+  const { username, email, password, restoreAccount } = req.body;
+
+  try {
+    const { user, tokens, mfaTicket } = await authService.login(req, { username, email, password, restoreAccount });
+    if (mfaTicket) {
+      // Exchange at /login/mfa with a TOTP/recovery code
+      return res.json({ mfaRequired: true, mfaTicket });
+    }
+    return res.json(formatLogin(user, tokens));
+  } catch (error) {
+    return sendError(res, error, 'Login error');
+  }
+};
+
+/**
+ * POST /api/auth/login/mfa
+ * Second login step for accounts with two-factor authentication. Returns access + refresh
+ * tokens and how many recovery codes are left.
+ */
+const loginWithMfa = async (req, res) => {
+  const { mfaTicket, code } = req.body;
+
+  try {
+    const { user, tokens } = await authService.loginWithMfa(req, { mfaTicket, code });
+    return res.json(
+      formatLogin(user, tokens, { recoveryCodesRemaining: (user.recoveryCodeHashes || []).length })
+    );
+  } catch (error) {
+    return sendError(res, error, 'MFA login error');
+  }
+};
+
+/**
+ * POST /api/auth/refresh
+ * Exchanges a refresh token for a new access token and a new (rotated) refresh token.
+ */
+const refresh = async (req, res) => {
+  try {
+    return res.json(await refreshTokens(req.body.refreshToken, req));
+  } catch (error) {
+    return sendError(res, error, 'Refresh error');
+  }
+};
+
+/**
+ * POST /api/auth/logout
+ * Revokes the session used to make this request.
+ */
+const logout = async (req, res) => {
+  try {
+    await authService.logout(req);
+    return res.json({ message: 'Logged out' });
+  } catch (error) {
+    return sendError(res, error, 'Logout error');
+  }
+};
+
+/**
+ * POST /api/auth/logout-all
+ * Revokes every session of the authenticated user, including the current one.
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await authService.logoutAll(req);
+    return res.json({ message: 'Logged out of all devices', revoked });
+  } catch (error) {
+    return sendError(res, error, 'Logout-all error');
+  }
+};
+
+/**
+ * POST /api/auth/forgot-password
+ * Emails a password reset link. Always responds the same way, whether or not the email
+ * belongs to an account (prevents user enumeration).
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    await authService.requestPasswordReset(req, req.body.email);
+    return res.json({ message: 'If an account exists for that email, a password reset link has been sent.' });
+  } catch (error) {
+    return sendError(res, error, 'Forgot password error');
+  }
+};
+
+/**
+ * POST /api/auth/reset-password
+ * Sets a new password using a reset token.
+ */
+const resetPassword = async (req, res) => {
+  try {
+    await authService.resetPassword(req, req.body.token, req.body.password);
+    return res.json({ message: 'Password has been reset. You can now log in.' });
+  } catch (error) {
+    return sendError(res, error, 'Reset password error');
+  }
+};
+
+/**
+ * GET /api/auth/verify-email
+ * Confirms an email address using the token from the emailed link.
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await authService.verifyEmail(req, req.query.token);
+    return res.json({ message: 'Email address verified', email: user.email, emailVerified: true });
+  } catch (error) {
+    return sendError(res, error, 'Verify email error');
+  }
+};
+
+/**
+ * POST /api/auth/resend-verification
+ * Sends a new verification link for the address waiting to be confirmed.
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const address = await authService.resendVerification(req.user);
+    return res.json({ message: `Verification link sent to ${address}` });
+  } catch (error) {
+    return sendError(res, error, 'Resend verification error');
+  }
+};
+
+module.exports = {
+  register,
+  getPasswordPolicy,
+  getPhoneCountries,
+  login,
+  loginWithMfa,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+};
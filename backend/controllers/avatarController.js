@@ -0,0 +1,46 @@
+/**
+ * Avatar Controller
+ * HTTP handlers for /api/profile/avatar. The upload has already been received and its crop
+ * fields validated by routes/avatar.js; the work is done by services/avatarService.js.
+ */
+
+const avatarService = require('../services/avatarService');
+const { fieldError, sendError } = require('../utils/httpError');
+
+/**
+ * POST /api/profile/avatar
+ * Stores the uploaded avatar and returns its URLs.
+ */
+const uploadAvatar = async (req, res) => {
+  if (!req.file) {
+    return sendError(res, fieldError('avatar', 'Choose an image to upload'));
+  }
+
+  const { cropX, cropY, cropSize } = req.body;
+  const crop = cropSize !== undefined ? { x: cropX, y: cropY, size: cropSize } : null;
+
+  try {
+    const avatar = await avatarService.updateAvatar(req, req.file.buffer, crop);
+    return res.json({ message: 'Avatar updated', avatar });
+  } catch (error) {
+    return sendError(res, error, 'Avatar upload error');
+  }
+};
+
+/**
+ * DELETE /api/profile/avatar
+ * Removes the avatar.
+ */
+const removeAvatar = async (req, res) => {
+  try {
+    await avatarService.removeAvatar(req);
+    return res.json({ message: 'Avatar removed', avatar: null });
+  } catch (error) {
+    return sendError(res, error, 'Avatar delete error');
+  }
+};
+
+module.exports = {
+  uploadAvatar,
+  removeAvatar,
+};
@@ -0,0 +1,318 @@
+/**
+ * Profile Controller
+ * HTTP handlers for /api/profile: response shapes, ETags and conflict responses. Requests
+ * have already been validated by routes/profile.js; the work is done by
+ * services/profileService.js and the session and account services.
+ */
+
+const profileService = require('../services/profileService');
+const { listActiveSessions, revokeUserSession } = require('../services/sessionService');
+const { deleteAccount } = require('../services/accountService');
+const { VersionConflictError } = require('../repositories/errors');
+const { formatCustomFields, formatDefinition } = require('../utils/customFields');
+const { formatPrivacy } = require('../utils/profilePrivacy');
+const { recordAudit } = require('../utils/audit');
+const { toCsv, exportFileName } = require('../utils/dataExport');
+const { versionEtag, ifMatchSatisfied } = require('../utils/etag');
+const { formatPhoneNational } = require('../utils/phone');
+const { sendError } = require('../utils/httpError');
+
+// Page size of the activity timeline when no limit is given
+const DEFAULT_ACTIVITY_PAGE_SIZE = 20;
+
+/**
+ * Format Profile
+ * Converts a user document to the profile shape returned by GET and PUT.
+ * definitions are the custom profile fields whose values are included.
+ */
+const formatProfile = (user, definitions = []) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  displayName: user.displayName || '', // Optional name shown instead of the username
+  bio: user.bio || '', // Optional short text shown on the public profile
+  role: user.role, // Lets the frontend show staff-only links (server still enforces access)
+  emailVerified: Boolean(user.emailVerified),
+  twoFactorEnabled: Boolean(user.twoFactorEnabled),
+  pendingEmail: user.pendingEmail || null, // Requested email awaiting confirmation
+  avatar: user.getAvatarUrls(), // Thumbnail URLs by size, or null if no avatar uploaded
+  phone: user.phone || '', // E.164 format, empty string if not set
+  phoneCountry: user.phoneCountry || null, // Country of the phone number (ISO 3166-1 alpha-2)
+  phoneNational: formatPhoneNational(user.phone), // Phone as written in its country
+  dob: user.dob || null,   // Default to null if not set
+  customFields: formatCustomFields(definitions, user.customFields), // Admin-defined fields
+  privacy: formatPrivacy(user, definitions), // Who can see each field on the public profile
+  createdAt: user.createdAt, // Timestamp from Mongoose timestamps
+  updatedAt: user.updatedAt, // Last update timestamp
+});
+
+/**
+ * Format Session
+ * Converts a session document to the shape returned by the sessions endpoints.
+ */
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: String(session._id) === String(currentSessionId), // Session making this request
+});
+
+/**
+ * Format Activity
+ * Converts an audit log entry to the shape returned by the activity endpoint. Who acted is
+ * reported as "self", "staff" or null (e.g. a failed login attempt) - staff are not named.
+ */
+const formatActivity = (entry, userId) => {
+  let actor = null;
+  if (entry.actor) actor = String(entry.actor) === String(userId) ? 'self' : 'staff';
+  return {
+    id: entry._id,
+    action: entry.action,
+    actor,
+    changes: entry.changes || [],
+    details: entry.details || {},
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    createdAt: entry.createdAt,
+  };
+};
+
+/**
+ * Send Profile
+ * Responds with the profile and its ETag (send it back as If-Match when updating).
+ */
+const sendProfile = (res, user, definitions, status = 200) =>
+  res.status(status).set('ETag', versionEtag(user)).json(formatProfile(user, definitions));
+
+/**
+ * Send Conflict
+ * 412 response for an update made against an outdated profile. Includes the current profile
+ * and its ETag so the client can compare the user's edits and retry.
+ */
+const sendConflict = (res, user, definitions) =>
+  res
+    .status(412)
+    .set('ETag', versionEtag(user))
+    .json({
+      message: 'Your profile was changed elsewhere. Review the changes and save again.',
+      current: formatProfile(user, definitions),
+    });
+
+/**
+ * Send Update Error
+ * Like sendError, but a concurrent save that won the race (after the If-Match check had
+ * passed) is answered with a 412 for the latest profile.
+ */
+const sendUpdateError = async (res, error, userId, label) => {
+  if (!(error instanceof VersionConflictError)) {
+    return sendError(res, error, label);
+  }
+  try {
+    const { user, definitions } = await profileService.getLatest(userId);
+    return sendConflict(res, user, definitions);
+  } catch (reloadError) {
+    return sendError(res, reloadError, 'Profile conflict error');
+  }
+};
+
+/**
+ * If-Match Middleware
+ * Rejects updates whose If-Match ETag is not the profile's current version (412 with the
+ * current profile). Requests without If-Match are not checked.
+ */
+const requireCurrentVersion = async (req, res, next) => {
+  if (ifMatchSatisfied(req.get('If-Match'), versionEtag(req.user))) {
+    return next();
+  }
+  try {
+    return sendConflict(res, req.user, await profileService.getDefinitions());
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/profile
+ * Returns the authenticated user's profile, with an ETag of its current version.
+ */
+const getProfile = async (req, res) => {
+  try {
+    // User is already attached to req by requireAuth middleware
+    return sendProfile(res, req.user, await profileService.getDefinitions());
+  } catch (error) {
+    return sendError(res, error, 'Get profile error');
+  }
+};
+
+/**
+ * GET /api/profile/fields
+ * Returns the custom profile field definitions, in form order.
+ */
+const getFields = async (req, res) => {
+  try {
+    const definitions = await profileService.getDefinitions();
+    return res.json({ fields: definitions.map(formatDefinition) });
+  } catch (error) {
+    return sendError(res, error, 'Get profile fields error');
+  }
+};
+
+/**
+ * Update Profile
+ * Handler for PATCH (replace: false) and PUT (replace: true) /api/profile. Responds with
+ * the updated profile and its new ETag.
+ */
+const updateProfile =
+  ({ replace }) =>
+  async (req, res) => {
+    try {
+      const { user, definitions } = await profileService.updateProfile(req, req.user, req.body, { replace });
+      return sendProfile(res, user, definitions);
+    } catch (error) {
+      return sendUpdateError(res, error, req.user._id, 'Update profile error');
+    }
+  };
+
+/**
+ * DELETE /api/profile
+ * Deletes the account after confirming the password.
+ */
+const deleteProfile = async (req, res) => {
+  try {
+    const purgeAt = await deleteAccount(req, req.user, req.body.password);
+    return res.json({ message: 'Account deleted', purgeAt });
+  } catch (error) {
+    return sendError(res, error, 'Delete account error');
+  }
+};
+
+/**
+ * PUT /api/profile/privacy
+ * Sets who can see each field on the public profile.
+ */
+const updatePrivacy = async (req, res) => {
+  try {
+    const { user, definitions } = await profileService.updatePrivacy(req, req.user, (req.body || {}).privacy);
+    return sendProfile(res, user, definitions);
+  } catch (error) {
+    return sendUpdateError(res, error, req.user._id, 'Update privacy error');
+  }
+};
+
+/**
+ * PUT /api/profile/password
+ * Changes the password after confirming the current one.
+ */
+const changePassword = async (req, res) => {
+  try {
+    const revoked = await profileService.changePassword(req, req.body.currentPassword, req.body.newPassword);
+    return res.json({ message: 'Password updated', revokedSessions: revoked });
+  } catch (error) {
+    return sendError(res, error, 'Change password error');
+  }
+};
+
+/**
+ * GET /api/profile/sessions
+ * Lists the authenticated user's active sessions (devices), most recently used first.
+ */
+const listSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    return res.json(sessions.map((session) => formatSession(session, req.authSession._id)));
+  } catch (error) {
+    return sendError(res, error, 'List sessions error');
+  }
+};
+
+/**
+ * DELETE /api/profile/sessions/:id
+ * Revokes one of the authenticated user's sessions (signs that device out).
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const session = await revokeUserSession(req.user._id, req.params.id, 'revoked-by-user');
+    await recordAudit(req, { action: 'session.revoke', details: { userAgent: session.userAgent } });
+    return res.json({ message: 'Session revoked', id: session._id });
+  } catch (error) {
+    return sendError(res, error, 'Revoke session error');
+  }
+};
+
+/**
+ * GET /api/profile/activity
+ * Lists events on the authenticated user's account, newest first, with the cursor of the
+ * next (older) page.
+ */
+const getActivity = async (req, res) => {
+  try {
+    const limit = req.query.limit || DEFAULT_ACTIVITY_PAGE_SIZE;
+    const { entries, hasMore } = await profileService.listActivity(req.user._id, {
+      before: req.query.before,
+      limit,
+    });
+    return res.json({
+      events: entries.map((entry) => formatActivity(entry, req.user._id)),
+      nextCursor: hasMore ? String(entries[entries.length - 1]._id) : null,
+    });
+  } catch (error) {
+    return sendError(res, error, 'Get activity error');
+  }
+};
+
+/**
+ * GET /api/profile/export
+ * Downloads everything stored about the authenticated user as JSON or CSV. Password hashes,
+ * tokens and 2FA secrets are never included.
+ */
+const exportProfile = async (req, res) => {
+  const format = req.query.format || 'json';
+
+  try {
+    const { user, definitions, sessions, events } = await profileService.getExportData(req, format);
+    const data = {
+      exportedAt: new Date(),
+      profile: formatProfile(user, definitions),
+      account: {
+        disabled: Boolean(user.disabled),
+        disabledAt: user.disabledAt || null,
+        mustResetPassword: Boolean(user.mustResetPassword),
+        failedLoginAttempts: user.failedLoginAttempts || 0,
+        lockUntil: user.lockUntil || null,
+        avatarUpdatedAt: user.avatar?.updatedAt || null,
+        recoveryCodesRemaining: (user.recoveryCodeHashes || []).length,
+      },
+      sessions: sessions.map((session) => ({
+        ...formatSession(session, req.authSession._id),
+        expiresAt: session.expiresAt,
+        revokedAt: session.revokedAt,
+        revokedReason: session.revokedReason,
+      })),
+      activity: events.map((entry) => formatActivity(entry, req.user._id)),
+    };
+
+    res.attachment(exportFileName(user.username, format));
+    if (format === 'csv') {
+      return res.type('text/csv').send(toCsv(data));
+    }
+    return res.type('application/json').send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    return sendError(res, error, 'Export profile error');
+  }
+};
+
+module.exports = {
+  requireCurrentVersion,
+  getProfile,
+  getFields,
+  updateProfile,
+  deleteProfile,
+  updatePrivacy,
+  changePassword,
+  listSessions,
+  revokeSession,
+  getActivity,
+  exportProfile,
+};
@@ -0,0 +1,101 @@
+/**
+ * Profile Field Controller
+ * HTTP handlers for /api/admin/profile-fields. Requests have already been validated by
+ * routes/profileFields.js; the work is done by services/profileFieldService.js.
+ */
+
+const profileFieldService = require('../services/profileFieldService');
+const { formatDefinition } = require('../utils/customFields');
+const { sendError } = require('../utils/httpError');
+
+/**
+ * Pick Definition Fields
+ * Copies the editable properties from the request body (key and type are handled separately).
+ */
+const pickDefinition = (input) => {
+  const picked = {};
+  ['label', 'helpText', 'required', 'visibility', 'options', 'rules', 'order'].forEach((name) => {
+    if (input[name] !== undefined) picked[name] = input[name];
+  });
+  return picked;
+};
+
+/**
+ * Load Field Middleware
+ * Finds the definition named by :id and attaches it as req.field. Returns 404 if not found.
+ */
+const loadField = async (req, res, next) => {
+  try {
+    req.field = await profileFieldService.getField(req.params.id);
+  } catch (error) {
+    return sendError(res, error, 'Load profile field error');
+  }
+  return next();
+};
+
+/**
+ * GET /api/admin/profile-fields
+ * Lists all custom field definitions in form order.
+ */
+const listFields = async (req, res) => {
+  try {
+    const fields = await profileFieldService.listFields();
+    return res.json({ fields: fields.map(formatDefinition) });
+  } catch (error) {
+    return sendError(res, error, 'List profile fields error');
+  }
+};
+
+/**
+ * POST /api/admin/profile-fields
+ * Creates a field definition.
+ */
+const createField = async (req, res) => {
+  try {
+    const field = await profileFieldService.createField(req, {
+      key: req.body.key,
+      type: req.body.type,
+      ...pickDefinition(req.body),
+    });
+    return res.status(201).json(formatDefinition(field));
+  } catch (error) {
+    return sendError(res, error, 'Create profile field error');
+  }
+};
+
+/**
+ * PUT /api/admin/profile-fields/:id
+ * Updates a field definition.
+ */
+const updateField = async (req, res) => {
+  try {
+    const field = await profileFieldService.updateField(req, req.field, {
+      type: req.body.type,
+      ...pickDefinition(req.body),
+    });
+    return res.json(formatDefinition(field));
+  } catch (error) {
+    return sendError(res, error, 'Update profile field error');
+  }
+};
+
+/**
+ * DELETE /api/admin/profile-fields/:id
+ * Deletes a field definition and its stored values.
+ */
+const deleteField = async (req, res) => {
+  try {
+    await profileFieldService.deleteField(req, req.field);
+    return res.json({ message: 'Profile field deleted', id: req.field._id });
+  } catch (error) {
+    return sendError(res, error, 'Delete profile field error');
+  }
+};
+
+module.exports = {
+  loadField,
+  listFields,
+  createField,
+  updateField,
+  deleteField,
+};
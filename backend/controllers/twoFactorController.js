@@ -0,0 +1,66 @@
+/**
+ * Two-Factor Controller
+ * HTTP handlers for /api/profile/2fa. Requests have already been validated by
+ * routes/twoFactor.js; the work is done by services/twoFactorService.js.
+ */
+
+const twoFactorService = require('../services/twoFactorService');
+const { sendError } = require('../utils/httpError');
+
+/**
+ * POST /api/profile/2fa/setup
+ * Returns a new secret with its otpauth URI and a QR code.
+ */
+const setup = async (req, res) => {
+  try {
+    return res.json(await twoFactorService.startSetup(req, req.body.password));
+  } catch (error) {
+    return sendError(res, error, '2FA setup error');
+  }
+};
+
+/**
+ * POST /api/profile/2fa/confirm
+ * Enables 2FA and returns the recovery codes.
+ */
+const confirm = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.confirmSetup(req, req.body.code);
+    return res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    return sendError(res, error, '2FA confirm error');
+  }
+};
+
+/**
+ * POST /api/profile/2fa/recovery-codes
+ * Returns a new set of recovery codes.
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req, req.body.code);
+    return res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+  } catch (error) {
+    return sendError(res, error, '2FA recovery codes error');
+  }
+};
+
+/**
+ * POST /api/profile/2fa/disable
+ * Turns 2FA off.
+ */
+const disable = async (req, res) => {
+  try {
+    await twoFactorService.disable(req, req.body.password, req.body.code);
+    return res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    return sendError(res, error, '2FA disable error');
+  }
+};
+
+module.exports = {
+  setup,
+  confirm,
+  regenerateRecoveryCodes,
+  disable,
+};
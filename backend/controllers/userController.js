@@ -0,0 +1,99 @@
+/**
+ * User Controller
+ * HTTP handlers for /api/users: directory paging cursors and public profile shapes.
+ * Requests have already been validated by routes/users.js; the work is done by
+ * services/userDirectoryService.js.
+ */
+
+const userDirectoryService = require('../services/userDirectoryService');
+const { buildPublicProfile } = require('../utils/profilePrivacy');
+const { sendError } = require('../utils/httpError');
+
+// Page size of the directory when no limit is given
+const DEFAULT_PAGE_SIZE = 20;
+// Directory sort options: the field sorted on and its default direction
+const SORTS = {
+  name: { field: 'username', order: 'asc' },
+  createdAt: { field: 'createdAt', order: 'desc' },
+};
+
+/**
+ * Encode Cursor
+ * Opaque cursor pointing just after a user: the sort value and _id of the last result.
+ */
+const encodeCursor = (user, sortField) =>
+  Buffer.from(JSON.stringify({ v: user[sortField], id: String(user._id) })).toString('base64url');
+
+/**
+ * Decode Cursor
+ * Reverses encodeCursor. Returns null if the cursor is malformed.
+ */
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const value = sortField === 'createdAt' ? new Date(v) : v;
+    if (typeof id !== 'string' || !/^[0-9a-f]{24}$/.test(id)) return null;
+    if (sortField === 'createdAt' ? Number.isNaN(value.getTime()) : typeof value !== 'string') return null;
+    return { value, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Format Directory Entry
+ * Summary of a user for the directory: the public profile header without the field list.
+ */
+const formatDirectoryEntry = (user, viewer) => {
+  const { username, displayName, avatar, memberSince } = buildPublicProfile(user, [], viewer);
+  return { username, displayName, avatar, memberSince };
+};
+
+/**
+ * GET /api/users
+ * One page of the user directory with the cursor of the next page.
+ */
+const listUsers = async (req, res) => {
+  const sort = SORTS[req.query.sort || 'name'];
+  const order = req.query.order || sort.order;
+  const viewer = req.user || null;
+
+  try {
+    const { users, hasMore } = await userDirectoryService.listDirectory({
+      viewer,
+      search: req.query.search,
+      registeredAfter: req.query.registeredAfter,
+      registeredBefore: req.query.registeredBefore,
+      sortField: sort.field,
+      direction: order === 'asc' ? 1 : -1,
+      after: req.query.cursor ? decodeCursor(req.query.cursor, sort.field) : null,
+      limit: req.query.limit || DEFAULT_PAGE_SIZE,
+    });
+    return res.json({
+      users: users.map((user) => formatDirectoryEntry(user, viewer)),
+      nextCursor: hasMore ? encodeCursor(users[users.length - 1], sort.field) : null,
+    });
+  } catch (error) {
+    return sendError(res, error, 'User directory error');
+  }
+};
+
+/**
+ * GET /api/users/:username
+ * The public profile of a user, limited to what the caller may see.
+ */
+const getPublicProfile = async (req, res) => {
+  try {
+    const { user, definitions } = await userDirectoryService.getPublicUser(req.params.username);
+    return res.json(buildPublicProfile(user, definitions, req.user || null));
+  } catch (error) {
+    return sendError(res, error, 'Get public profile error');
+  }
+};
+
+module.exports = {
+  SORTS,
+  decodeCursor,
+  listUsers,
+  getPublicProfile,
+};
@@ -1,21 +1,20 @@
 /**
  * Database Connection Module
- * Connects to MongoDB using connection URI from environment variables.
+ * Connects to MongoDB using the connection URI from the configuration (MONGO_URI).
  */
 
 const mongoose = require('mongoose');
-const dotenv = require('dotenv');
-
-dotenv.config();
+const config = require('./config');
+const logger = require('./utils/logger');
 
 /**
  * Connect to MongoDB
- * Establishes connection to MongoDB using connection URI from environment variables.
+ * Establishes connection to MongoDB using the configured connection URI, or mongoUri if
+ * given (e.g. a test database).
  * @throws {Error} If MONGO_URI is not set or connection fails
  */
-const connectDB = async () => {
-  // Get MongoDB connection URI from environment variables (set in .env or Azure)
-  const mongoUri = process.env.MONGO_URI;
+const connectDB = async (mongoUri = config.database.mongoUri) => {
+  // MongoDB connection URI (set in .env or Azure)
   if (!mongoUri) {
     throw new Error('MONGO_URI environment variable is not set');
   }
@@ -23,11 +22,11 @@ const connectDB = async () => {
   try {
     // Connect to MongoDB using Mongoose (returns connection object)
     const connection = await mongoose.connect(mongoUri);
-    console.log('MongoDB connected');
+    logger.info('MongoDB connected');
     return connection;
   } catch (error) {
     // Log connection error and re-throw so caller can handle it
-    console.error('MongoDB connection error:', error.message);
+    logger.error('MongoDB connection error', { error });
     throw error;
   }
 };
@@ -0,0 +1,36 @@
+/**
+ * Account Purge Job
+ * Periodically removes accounts whose deletion grace period has ended, together with their
+ * sessions, audit entries and uploaded files (services/accountService.js). The same purge can
+ * be run once from the command line (scripts/purge-accounts.js).
+ */
+
+const config = require('../config');
+const { purgeDueAccounts } = require('../services/accountService');
+const logger = require('../utils/logger');
+
+// How often the server checks for accounts to purge, in minutes
+const PURGE_INTERVAL_MINUTES = config.accounts.purgeMinutes;
+
+/**
+ * Start Account Purge Job
+ * Runs purgeDueAccounts now and then every ACCOUNT_PURGE_INTERVAL_MINUTES. The timer does
+ * not keep the process alive. Returns a function that stops the job.
+ */
+const startAccountPurgeJob = () => {
+  const run = () =>
+    purgeDueAccounts()
+      .then((purged) => {
+        if (purged) logger.info('Purged deleted accounts', { count: purged });
+      })
+      .catch((error) => logger.error('Account purge error', { error }));
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  startAccountPurgeJob,
+};
@@ -0,0 +1,76 @@
+/**
+ * Mailer
+ * Sends email through a pluggable transport. A transport is any object with an async
+ * send({ to, subject, text }) method. Built-in transports are selected with MAIL_TRANSPORT
+ * ("smtp", "console" or "file"); others (e.g. a provider's API) can be installed at startup
+ * with setTransport().
+ */
+
+const config = require('../config');
+const consoleTransport = require('./transports/console');
+const fileTransport = require('./transports/file');
+const smtpTransport = require('./transports/smtp');
+
+// Built-in transports selectable via MAIL_TRANSPORT environment variable
+const BUILT_IN_TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+// Transport installed with setTransport() - takes precedence over MAIL_TRANSPORT
+let customTransport = null;
+
+/**
+ * Get Transport
+ * Returns the active transport. Throws if MAIL_TRANSPORT names an unknown transport.
+ */
+const getTransport = () => {
+  if (customTransport) {
+    return customTransport;
+  }
+  const name = config.mail.transport;
+  const transport = BUILT_IN_TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  return transport;
+};
+
+/**
+ * Set Transport
+ * Installs a custom transport. Pass null to go back to the MAIL_TRANSPORT setting.
+ */
+const setTransport = (transport) => {
+  if (transport && typeof transport.send !== 'function') {
+    throw new Error('Mail transport must have a send() method');
+  }
+  customTransport = transport;
+};
+
+/**
+ * Send Mail
+ * Sends a plain-text message through the active transport.
+ */
+const sendMail = async ({ to, subject, text }) => {
+  // Sender address shown to recipients (transports may ignore it)
+  return getTransport().send({ from: config.mail.from, to, subject, text });
+};
+
+/**
+ * App Link Builder
+ * Builds an absolute link to a frontend page for use in emails. Uses APP_URL rather than
+ * the request Host header so links can't be pointed at another site by a forged header.
+ */
+const appLink = (pagePath, params = {}) => {
+  const base = config.appUrl;
+  const url = new URL(pagePath, base.endsWith('/') ? base : `${base}/`);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  appLink,
+};
@@ -0,0 +1,66 @@
+/**
+ * Mail Messages
+ * Builds and sends the application's transactional emails.
+ */
+
+const { sendMail, appLink } = require('./index');
+
+/**
+ * Password Reset Email
+ * Sends the single-use password reset link to the user's login email.
+ */
+const sendPasswordResetEmail = (user, resetToken) =>
+  sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your User Profile App account.',
+      `Open this link to choose a new password: ${appLink('reset-password.html', { token: resetToken })}`,
+      '',
+      'The link can be used once and expires soon. If you did not ask for this, you can ignore this email.',
+    ].join('\n'),
+  });
+
+/**
+ * Email Verification Email
+ * Sends the verification link to the address being confirmed (new account email or
+ * pending email change).
+ */
+const sendVerificationEmail = (user, address, verificationToken) =>
+  sendMail({
+    to: address,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `Please confirm that ${address} is the email address for your User Profile App account.`,
+      `Open this link to confirm: ${appLink('verify-email.html', { token: verificationToken })}`,
+      '',
+      'If you did not make this request, you can ignore this email and nothing will change.',
+    ].join('\n'),
+  });
+
+/**
+ * Account Deletion Email
+ * Confirms that the account was deleted and says until when it can still be restored.
+ */
+const sendAccountDeletionEmail = (user, purgeAt) =>
+  sendMail({
+    to: user.email,
+    subject: 'Your account has been deleted',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Your User Profile App account has been deleted and you have been signed out everywhere.',
+      `Your data will be permanently removed on ${purgeAt.toUTCString()}.`,
+      `Changed your mind? Log in before then to restore your account: ${appLink('login.html')}`,
+    ].join('\n'),
+  });
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountDeletionEmail,
+};
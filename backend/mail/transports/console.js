@@ -0,0 +1,22 @@
+/**
+ * Console Mail Transport
+ * Writes outgoing messages to the server log instead of delivering them. Goes through the
+ * logger like everything else, so recipients and the tokens in links are redacted - use the
+ * file transport to read whole messages locally.
+ */
+
+const logger = require('../../utils/logger');
+
+/**
+ * Send Message
+ * Logs recipient, subject and body instead of delivering the message.
+ */
+const send = async (message) => {
+  logger.info('Email not delivered (console mail transport)', {
+    to: message.to,
+    subject: message.subject,
+    text: message.text,
+  });
+};
+
+module.exports = { name: 'console', send };
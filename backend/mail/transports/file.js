@@ -0,0 +1,33 @@
+/**
+ * File Mail Transport
+ * Writes each outgoing message as a JSON file into an outbox directory.
+ * Useful for tests and for inspecting emails locally without an SMTP server.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+
+/**
+ * Outbox Directory
+ * Directory messages are written to (MAIL_OUTBOX_DIR, defaults to backend/tmp/mail).
+ */
+const getOutboxDir = () => config.mail.outboxDir;
+
+/**
+ * Send Message
+ * Writes the message to "<timestamp>-<random>.json" in the outbox directory.
+ */
+const send = async (message) => {
+  const dir = getOutboxDir();
+  await fs.mkdir(dir, { recursive: true });
+  // Timestamp prefix keeps files sorted by send order
+  const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+  await fs.writeFile(
+    path.join(dir, fileName),
+    JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+  );
+};
+
+module.exports = { name: 'file', send };
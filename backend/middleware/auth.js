@@ -0,0 +1,69 @@
+/**
+ * Authentication Middleware
+ * Shared by every route that needs a logged-in user. Token and session checks are done
+ * by services/sessionService.js.
+ */
+
+const { authenticate } = require('../services/sessionService');
+const { HttpError, sendError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+/**
+ * Authentication Middleware
+ * Verifies JWT access token, checks its session is still active, and attaches user
+ * and session to request. Returns 401 if invalid or revoked.
+ */
+const requireAuth = async (req, res, next) => {
+  // Extract Authorization header from request (format: "Bearer <token>")
+  const authHeader = req.headers.authorization || '';
+
+  // Check if header follows Bearer token format
+  if (!authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ message: 'Not authorized, token missing' });
+  }
+
+  try {
+    // Extract token by splitting "Bearer <token>" and taking second part
+    const { user, session } = await authenticate(authHeader.split(' ')[1], req);
+    // Attach user object to request for use in route handlers
+    req.user = user;
+    // Attach session so handlers can tell which login made the request
+    req.authSession = session;
+    // Everything logged for the rest of the request names the user
+    logger.addContext({ userId: String(user._id) });
+  } catch (error) {
+    // Any failure to check the token refuses the request rather than letting it through
+    return sendError(res, error instanceof HttpError ? error : new HttpError(401, 'Not authorized, token invalid'));
+  }
+  return next(); // Continue to next middleware/route handler
+};
+
+/**
+ * Optional Authentication Middleware
+ * For routes anyone may call but that show more to logged-in users. Without a Bearer token
+ * the request continues anonymously (no req.user); a token that is present must be valid.
+ */
+const optionalAuth = (req, res, next) => {
+  if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+    return next();
+  }
+  return requireAuth(req, res, next);
+};
+
+/**
+ * Authorization Middleware
+ * Allows the request only if the authenticated user has one of the given roles.
+ * Must run after requireAuth. Returns 403 otherwise.
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Forbidden, insufficient permissions' });
+  }
+  return next();
+};
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  authorize,
+};
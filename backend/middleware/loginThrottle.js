@@ -0,0 +1,32 @@
+/**
+ * Login Throttling Middleware
+ * Per-IP rate limiting for the login routes. The counting and the per-account lockout live
+ * in services/loginThrottleService.js.
+ */
+
+const { getIpBlock, lockedError } = require('../services/loginThrottleService');
+const { sendError } = require('../utils/httpError');
+
+/**
+ * IP Limiter Middleware
+ * Rejects login attempts from an IP address that has failed too often recently (429 with
+ * a Retry-After header).
+ */
+const limitLoginByIp = async (req, res, next) => {
+  try {
+    const blockedUntil = await getIpBlock(req);
+    if (blockedUntil) {
+      return sendError(
+        res,
+        lockedError(blockedUntil, 'Too many failed login attempts from this network. Please try again later.')
+      );
+    }
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  limitLoginByIp,
+};
@@ -0,0 +1,58 @@
+/**
+ * Request Logging Middleware
+ * Gives every request a correlation ID and writes an access log entry when it completes.
+ * Register both before the routes, requestId first.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const getClientInfo = require('../utils/clientInfo');
+
+// Incoming X-Request-Id values are only reused if they look like an ID (no log injection)
+const REQUEST_ID_REGEX = /^[\w.:-]{1,128}$/;
+
+/**
+ * Request ID Middleware
+ * Reuses the caller's X-Request-Id (e.g. from a proxy or the frontend) or generates one,
+ * echoes it in the response, and runs the rest of the request with it in the log context.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  logger.runWithContext({ requestId: req.id }, next);
+};
+
+/**
+ * Access Log Middleware
+ * Logs method, path, status and latency of every request once the response is done - as an
+ * error for 5xx responses, a warning for 4xx, and info otherwise.
+ */
+const accessLog = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('close', () => {
+    const { ip, userAgent } = getClientInfo(req);
+    let level = 'info';
+    if (res.statusCode >= 500) level = 'error';
+    else if (res.statusCode >= 400) level = 'warn';
+
+    logger[level]('Request completed', {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      bytes: Number(res.get('content-length')) || undefined,
+      // Client went away before the whole response was sent
+      aborted: res.writableFinished ? undefined : true,
+      userId: req.user?._id,
+      ip,
+      userAgent,
+    });
+  });
+  next();
+};
+
+module.exports = {
+  requestId,
+  accessLog,
+};
@@ -0,0 +1,94 @@
+/**
+ * Migration 001: Merge Legacy Users
+ * Brings accounts created by the retired backend/src API (name, email, password, bio,
+ * avatarUrl) into the shape of models/User.js, and moves the "bio" custom profile field to
+ * the built-in bio field.
+ *
+ * - Legacy accounts get a username derived from their email (made unique with a number),
+ *   and their name becomes the display name. Passwords are bcrypt hashes in both stacks,
+ *   so they keep working.
+ * - avatarUrl links are removed: avatars are now uploaded files, and old links can't be
+ *   turned into thumbnails. Affected users are counted so they can be told to re-upload.
+ * - Values of a "bio" custom field are copied to bio where bio is empty, then the custom
+ *   field and its definition are removed.
+ */
+
+// Longest display name accepted by models/User.js
+const DISPLAY_NAME_MAX_LENGTH = 60;
+// Longest bio accepted by models/User.js
+const BIO_MAX_LENGTH = 500;
+
+/**
+ * Username Base
+ * A username candidate from an email's local part, keeping only letters, digits, dots,
+ * dashes and underscores.
+ */
+const usernameBase = (email) => {
+  const local = String(email || '').split('@')[0].replace(/[^A-Za-z0-9._-]/g, '');
+  return local || 'user';
+};
+
+/**
+ * Unique Username
+ * The base itself, or base plus the lowest number not already taken.
+ */
+const uniqueUsername = async (users, base) => {
+  let candidate = base;
+  for (let suffix = 2; await users.countDocuments({ username: candidate }, { limit: 1 }); suffix += 1) {
+    candidate = `${base}${suffix}`;
+  }
+  return candidate;
+};
+
+/**
+ * Up
+ * Applies the migration to the connected database (a native MongoDB Db). log receives a
+ * line per step.
+ */
+const up = async (db, log) => {
+  const users = db.collection('users');
+
+  // Legacy accounts: a name but no username
+  const legacy = users.find({ username: { $exists: false }, name: { $exists: true } });
+  let converted = 0;
+  for await (const user of legacy) {
+    const username = await uniqueUsername(users, usernameBase(user.email));
+    await users.updateOne(
+      { _id: user._id },
+      {
+        $set: { username, displayName: String(user.name || '').trim().slice(0, DISPLAY_NAME_MAX_LENGTH) },
+        $unset: { name: '' },
+      }
+    );
+    converted += 1;
+  }
+  log(`Converted ${converted} legacy account(s)`);
+
+  const avatarLinks = await users.updateMany({ avatarUrl: { $exists: true } }, { $unset: { avatarUrl: '' } });
+  log(`Removed ${avatarLinks.modifiedCount} avatar link(s) - those users need to upload their photo again`);
+
+  // The bio custom field becomes the built-in bio
+  const withCustomBio = users.find({ 'customFields.bio': { $exists: true } });
+  let copied = 0;
+  for await (const user of withCustomBio) {
+    const value = String(user.customFields.bio ?? '').trim();
+    if (value && !user.bio) {
+      await users.updateOne({ _id: user._id }, { $set: { bio: value.slice(0, BIO_MAX_LENGTH) } });
+      copied += 1;
+    }
+  }
+  const cleared = await users.updateMany(
+    { 'customFields.bio': { $exists: true } },
+    { $unset: { 'customFields.bio': '' } }
+  );
+  const definitions = await db.collection('profilefields').deleteMany({ key: 'bio' });
+  log(
+    `Copied ${copied} bio value(s), removed ${cleared.modifiedCount} custom bio value(s) and ` +
+      `${definitions.deletedCount} bio field definition(s)`
+  );
+};
+
+module.exports = {
+  description: 'Merge legacy users and move the bio custom field to the built-in bio',
+  up,
+};
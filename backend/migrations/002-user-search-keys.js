@@ -0,0 +1,37 @@
+/**
+ * Migration 002: User Search Keys
+ * Fills in searchKeys (see models/User.js) for accounts saved before the directory search
+ * matched by prefix on them. Accounts saved since then already have them; without them an
+ * account could only be found by its email.
+ */
+
+const { searchKeysFor } = require('../utils/searchKeys');
+
+/**
+ * Up
+ * Applies the migration to the connected database (a native MongoDB Db). log receives a
+ * line per step.
+ */
+const up = async (db, log) => {
+  const users = db.collection('users');
+
+  const missing = users.find({ searchKeys: { $exists: false } }, { projection: { username: 1, displayName: 1 } });
+  let updated = 0;
+  for await (const user of missing) {
+    await users.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          searchKeys: { username: searchKeysFor(user.username), displayName: searchKeysFor(user.displayName) },
+        },
+      }
+    );
+    updated += 1;
+  }
+  log(`Added search keys to ${updated} account(s)`);
+};
+
+module.exports = {
+  description: 'Add directory search keys to existing users',
+  up,
+};
@@ -0,0 +1,65 @@
+/**
+ * Audit Log Model
+ * One recorded account event: a profile change, a security action (password, 2FA, sessions)
+ * or an authentication attempt. Entries are written by utils/audit.js and never updated.
+ * Sensitive values are masked before they are stored.
+ */
+
+const mongoose = require('mongoose');
+
+// One changed field within an event
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,      // e.g. "phone" or "customFields.jobTitle"
+    },
+    oldValue: mongoose.Schema.Types.Mixed, // Value before the change (masked if sensitive)
+    newValue: mongoose.Schema.Types.Mixed, // Value after the change (masked if sensitive)
+  },
+  { _id: false }
+);
+
+// Define AuditLog schema with field types and validation rules
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: true,      // What happened, e.g. "profile.update" or "auth.login_failed"
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,       // Who did it (null when unauthenticated, e.g. a failed login)
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,       // Account affected (null for events not tied to one account)
+    },
+    changes: {
+      type: [changeSchema],
+      default: undefined,  // Changed fields, for events that modify data
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,  // Extra context, e.g. { reason: 'invalid-password' }
+    },
+    ip: {
+      type: String,
+      default: '',         // Client IP address of the request
+    },
+    userAgent: {
+      type: String,
+      default: '',         // Browser/device of the request
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }, // Entries are never modified
+  }
+);
+
+// A user's activity is listed newest first
+auditLogSchema.index({ target: 1, _id: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
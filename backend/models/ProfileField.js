@@ -0,0 +1,78 @@
+/**
+ * Profile Field Model
+ * Admin-defined custom profile field (e.g. job title, pronouns, social links). Users' values
+ * are stored in User.customFields under the field's key and validated against the
+ * definition by utils/customFields.js.
+ */
+
+const mongoose = require('mongoose');
+
+// Supported field types - each maps to an input on the profile page
+const FIELD_TYPES = ['text', 'textarea', 'number', 'boolean', 'date', 'email', 'url', 'select'];
+// "public" values may be shown to other users; "private" ones only to the user and staff
+const VISIBILITIES = ['public', 'private'];
+// Keys are used as property names in User.customFields and in form element IDs
+const KEY_REGEX = /^[a-z][a-zA-Z0-9]{0,39}$/;
+
+// Define ProfileField schema with field types and validation rules
+const profileFieldSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,      // Identifier values are stored under - cannot change once created
+      unique: true,
+      match: KEY_REGEX,
+    },
+    label: {
+      type: String,
+      required: true,      // Name shown on the profile form
+      trim: true,
+      maxlength: 80,
+    },
+    helpText: {
+      type: String,
+      trim: true,
+      default: '',         // Optional hint shown under the input
+    },
+    type: {
+      type: String,
+      enum: FIELD_TYPES,
+      required: true,
+    },
+    required: {
+      type: Boolean,
+      default: false,      // Users must fill it in when they save custom fields
+    },
+    visibility: {
+      type: String,
+      enum: VISIBILITIES,
+      default: 'private',
+    },
+    options: {
+      type: [String],      // Allowed values for "select" fields
+      default: undefined,
+    },
+    rules: {
+      minLength: Number,   // text/textarea/email/url
+      maxLength: Number,
+      min: Number,         // number
+      max: Number,
+      pattern: String,     // Regular expression the value must match (text types)
+      patternMessage: String, // Error shown when the pattern doesn't match
+    },
+    order: {
+      type: Number,
+      default: 0,          // Position on the form (lowest first)
+    },
+  },
+  {
+    timestamps: true,      // Automatically add createdAt and updatedAt fields
+  }
+);
+
+const ProfileField = mongoose.model('ProfileField', profileFieldSchema);
+ProfileField.FIELD_TYPES = FIELD_TYPES;
+ProfileField.VISIBILITIES = VISIBILITIES;
+ProfileField.KEY_REGEX = KEY_REGEX;
+
+module.exports = ProfileField;
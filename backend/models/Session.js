@@ -0,0 +1,79 @@
+/**
+ * Session Model
+ * Server-side login session. Each session is one refresh-token family: the refresh token
+ * rotates on every use, and replaying an already-used token revokes the whole family.
+ * Issuing and rotating tokens is done by services/sessionService.js.
+ */
+
+const mongoose = require('mongoose');
+
+// Define Session schema with field types and validation rules
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,      // Every session belongs to a user
+      index: true,         // Sessions are looked up by user when revoking
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,      // SHA-256 of the current refresh token (plain token is never stored)
+      select: false,       // Never returned unless explicitly requested
+    },
+    usedTokenHashes: {
+      type: [String],      // Hashes of rotated-out refresh tokens, used for reuse detection
+      default: [],
+      select: false,
+    },
+    previousTokenHash: {
+      type: String,
+      default: null,       // Hash of the refresh token rotated out last (see rotatedAt)
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,       // When the refresh token was last rotated
+    },
+    expiresAt: {
+      type: Date,
+      required: true,      // Refresh token expiry - session can't be refreshed after this
+    },
+    userAgent: {
+      type: String,
+      default: '',         // Browser/device that started the session
+    },
+    ip: {
+      type: String,
+      default: '',         // Last known client IP address
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,   // Last time the session was used (request or refresh)
+    },
+    revokedAt: {
+      type: Date,
+      default: null,       // Set when the session is revoked (logout, reuse detected, etc.)
+    },
+    revokedReason: {
+      type: String,
+      default: null,       // Why the session was revoked (for debugging/auditing)
+    },
+  },
+  {
+    timestamps: true,      // Automatically add createdAt and updatedAt fields
+  }
+);
+
+// TTL index lets MongoDB remove sessions automatically once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Active Check Method
+ * Returns true if the session has not been revoked and has not expired.
+ */
+sessionSchema.methods.isActive = function isActive() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
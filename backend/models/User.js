@@ -1,10 +1,29 @@
 /**
  * User Model
- * Defines User schema with automatic password hashing and validation.
+ * Defines User schema with automatic password hashing and validation. Queries live in the
+ * repositories (repositories/index.js); the methods here only work on a loaded document.
  */
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const config = require('../config');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { verifyTotp, normalizeRecoveryCode } = require('../utils/totp');
+const { getStorage } = require('../storage');
+const { VISIBILITY_LEVELS } = require('../utils/profilePrivacy');
+const { searchKeysFor } = require('../utils/searchKeys');
+
+// Password reset link lifetime in minutes
+const PASSWORD_RESET_TTL_MINUTES = config.password.resetTtlMinutes;
+// Email verification link lifetime in hours
+const EMAIL_VERIFICATION_TTL_HOURS = config.accounts.verificationTtlHours;
+// Days a deleted account can still be restored before it is purged
+const ACCOUNT_DELETION_GRACE_DAYS = config.accounts.deletionGraceDays;
+
+// Roles in increasing order of privilege; "support" can manage accounts, "admin" can also
+// delete accounts and change roles
+const ROLES = ['user', 'support', 'admin'];
+
 // Define User schema with field types and validation rules
 const userSchema = new mongoose.Schema(
   {
@@ -17,7 +36,7 @@ const userSchema = new mongoose.Schema(
     password: {
       type: String,
       required: true,      // Password is mandatory
-      minlength: 6,        // Minimum 6 characters
+      // Strength rules live in utils/passwordPolicy.js and are checked by the routes
       // Note: Password will be hashed by pre-save hook before storage
     },
     email: {
@@ -27,34 +46,181 @@ const userSchema = new mongoose.Schema(
       trim: true,          // Remove whitespace
       unique: true,        // Ensure no duplicate emails
     },
+    role: {
+      type: String,
+      enum: ROLES,         // Only known roles are accepted
+      default: 'user',     // New accounts get no special permissions
+    },
+    disabled: {
+      type: Boolean,
+      default: false,      // Disabled accounts can't log in or use existing sessions
+    },
+    disabledAt: {
+      type: Date,
+      default: null,       // When the account was disabled (null if active)
+    },
+    deletedAt: {
+      type: Date,
+      default: null,       // When the user deleted the account (can't be used, can be restored)
+    },
+    purgeAt: {
+      type: Date,
+      default: null,       // When a deleted account and its data are permanently removed
+    },
+    mustResetPassword: {
+      type: Boolean,
+      default: false,      // Set by staff to force a password reset before the next login
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,      // Set once the user confirms the email via the emailed link
+    },
+    pendingEmail: {
+      type: String,
+      lowercase: true,     // Requested new email - only becomes the login email once confirmed
+      trim: true,
+    },
+    displayName: {
+      type: String,
+      trim: true,          // Optional name shown instead of the username (directory, public profile)
+      maxlength: 60,
+    },
+    bio: {
+      type: String,
+      trim: true,          // Optional short text about the user, shown on the public profile
+      maxlength: 500,
+      default: '',
+    },
     phone: {
       type: String,
-      trim: true,          // Optional field for phone number
+      trim: true,          // Optional phone number in E.164 format (see utils/phone.js)
+    },
+    phoneCountry: {
+      type: String,
+      uppercase: true,     // Country of the phone number (ISO 3166-1 alpha-2, e.g. "GB")
+      default: null,
     },
     dob: {
       type: Date,          // Optional field for date of birth
     },
+    customFields: {
+      type: Map,           // Values of admin-defined profile fields, keyed by ProfileField.key
+      of: mongoose.Schema.Types.Mixed,
+      default: () => new Map(),
+    },
+    privacy: {
+      type: Map,           // Who can see each field on the public profile, keyed by field name
+      of: { type: String, enum: VISIBILITY_LEVELS },
+      default: () => new Map(),
+    },
+    avatar: {
+      version: String,     // Random ID in the stored file names - changes on every upload (cache busting)
+      sizes: [Number],     // Thumbnail sizes stored, in pixels
+      updatedAt: Date,     // When the avatar was uploaded
+    },
+    emailVerificationTokenHash: {
+      type: String,        // SHA-256 of the pending verification token (plain token is only emailed)
+      select: false,
+    },
+    emailVerificationExpiresAt: {
+      type: Date,          // Verification token can't be used after this time
+      select: false,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,          // Consecutive failed logins (reset on success or when a lockout starts)
+    },
+    lockUntil: {
+      type: Date,
+      default: null,       // Login is refused until this time after too many failures
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,      // True once TOTP enrollment has been confirmed
+    },
+    twoFactorSecret: {
+      type: String,        // Base32 TOTP secret shared with the authenticator app
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,        // Secret shown during enrollment, moved to twoFactorSecret on confirm
+      select: false,
+    },
+    twoFactorLastUsedStep: {
+      type: Number,        // Last accepted TOTP time step (prevents replaying a code)
+      select: false,
+    },
+    recoveryCodeHashes: {
+      type: [String],      // SHA-256 of unused one-time recovery codes
+      default: undefined,
+      select: false,
+    },
+    passwordResetTokenHash: {
+      type: String,        // SHA-256 of the pending reset token (plain token is only emailed)
+      select: false,       // Never returned unless explicitly requested
+    },
+    passwordResetExpiresAt: {
+      type: Date,          // Reset token can't be used after this time
+      select: false,
+    },
+    searchKeys: {
+      // Lowercased names and their words, matched by prefix by the directory search
+      // (utils/searchKeys.js) - kept up to date by the pre-validate hook below
+      username: { type: [String], default: undefined, select: false },
+      displayName: { type: [String], default: undefined, select: false },
+    },
   },
   {
     timestamps: true,      // Automatically add createdAt and updatedAt fields
   }
 );
 
+// Indexes for the user directory (GET /api/users): each sort order pages by (value, _id)
+userSchema.index({ disabled: 1, username: 1, _id: 1 });
+userSchema.index({ disabled: 1, createdAt: -1, _id: -1 });
+// Directory search: prefix matches on the search keys (emails use the unique email index)
+userSchema.index({ 'searchKeys.username': 1 });
+userSchema.index({ 'searchKeys.displayName': 1 });
+// The purge job looks for deleted accounts whose grace period is over
+userSchema.index({ purgeAt: 1 }, { partialFilterExpression: { purgeAt: { $type: 'date' } } });
+
+/**
+ * Hash Password
+ * bcrypt hash of a plain text password, as stored in the password field.
+ */
+const hashPassword = async (password) => {
+  // Generate salt with 10 rounds (good balance of security and performance)
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+/**
+ * Pre-Validate Hook: Search Keys
+ * Rebuilds the directory search keys when the username or display name changes.
+ */
+userSchema.pre('validate', function updateSearchKeys(next) {
+  if (this.isNew || this.isModified('username') || this.isModified('displayName')) {
+    this.searchKeys = {
+      username: searchKeysFor(this.username),
+      displayName: searchKeysFor(this.displayName),
+    };
+  }
+  next();
+});
+
 /**
  * Pre-Save Hook: Password Hashing
  * Automatically hashes password before saving. Only hashes if password was modified.
  */
-userSchema.pre('save', async function hashPassword(next) {
+userSchema.pre('save', async function hashModifiedPassword(next) {
   // Skip hashing if password hasn't been modified (improves performance on profile updates)
   if (!this.isModified('password')) {
     return next();
   }
 
   try {
-    // Generate salt with 10 rounds (good balance of security and performance)
-    const salt = await bcrypt.genSalt(10);
-    // Hash password with salt and replace plain text password
-    this.password = await bcrypt.hash(this.password, salt);
+    // Replace plain text password with its hash
+    this.password = await hashPassword(this.password);
     return next();
   } catch (error) {
     // Pass any hashing errors to next middleware
@@ -70,6 +236,116 @@ userSchema.methods.matchPassword = async function matchPassword(enteredPassword)
   return bcrypt.compare(enteredPassword, this.password);
 };
 
-module.exports = mongoose.model('User', userSchema);
+/**
+ * Password Reset Token Method
+ * Generates a single-use reset token, stores its hash and expiry on the user, and returns
+ * the plain token (to be emailed). Caller must save the document.
+ */
+userSchema.methods.createPasswordResetToken = function createPasswordResetToken() {
+  const token = generateRandomToken();
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return token;
+};
+
+/**
+ * Email Verification Token Method
+ * Generates a single-use verification token for the current email (or pendingEmail, if set),
+ * stores its hash and expiry, and returns the plain token. Caller must save the document.
+ */
+userSchema.methods.createEmailVerificationToken = function createEmailVerificationToken() {
+  const token = generateRandomToken();
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+/**
+ * Verify Two-Factor Code Method
+ * Accepts either a current TOTP code or an unused recovery code. Records the TOTP step or
+ * removes the recovery code so neither can be reused. Returns true if valid.
+ * Requires twoFactorSecret, twoFactorLastUsedStep and recoveryCodeHashes to be selected.
+ * Caller must save the document.
+ */
+userSchema.methods.verifyTwoFactorCode = function verifyTwoFactorCode(code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret) {
+    return false;
+  }
+
+  const step = verifyTotp(this.twoFactorSecret, code, {
+    afterStep: this.twoFactorLastUsedStep ?? -1,
+  });
+  if (step !== null) {
+    this.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  // Not a valid TOTP code - try it as a recovery code (each works only once)
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+  const hashes = this.recoveryCodeHashes || [];
+  if (hashes.includes(codeHash)) {
+    this.recoveryCodeHashes = hashes.filter((hash) => hash !== codeHash);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Set Recovery Codes Method
+ * Replaces the user's recovery codes with hashes of the given plain codes.
+ * Caller must save the document.
+ */
+userSchema.methods.setRecoveryCodes = function setRecoveryCodes(codes) {
+  this.recoveryCodeHashes = codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+};
+
+/**
+ * Avatar Storage Keys
+ * Storage key of each stored avatar thumbnail, by size. Empty if the user has no avatar.
+ */
+userSchema.methods.getAvatarKeys = function getAvatarKeys() {
+  if (!this.avatar || !this.avatar.version) return {};
+  return Object.fromEntries(
+    this.avatar.sizes.map((size) => [size, `avatars/${this._id}/${this.avatar.version}-${size}.webp`])
+  );
+};
+
+/**
+ * Avatar URLs Method
+ * Public URL of each avatar thumbnail, by size (e.g. { 64: url, 128: url }), or null.
+ */
+userSchema.methods.getAvatarUrls = function getAvatarUrls() {
+  const entries = Object.entries(this.getAvatarKeys());
+  if (!entries.length) return null;
+  const storage = getStorage();
+  return Object.fromEntries(entries.map(([size, key]) => [size, storage.getUrl(key)]));
+};
+
+/**
+ * Schedule Deletion Method
+ * Marks the account as deleted and sets when it will be purged. Until then, logging in
+ * again (and choosing to restore) cancels the deletion. Caller must save the document.
+ */
+userSchema.methods.scheduleDeletion = function scheduleDeletion() {
+  this.deletedAt = new Date();
+  this.purgeAt = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  return this.purgeAt;
+};
+
+/**
+ * Cancel Deletion Method
+ * Restores an account scheduled for deletion. Caller must save the document.
+ */
+userSchema.methods.cancelDeletion = function cancelDeletion() {
+  this.deletedAt = null;
+  this.purgeAt = null;
+};
+
+const User = mongoose.model('User', userSchema);
+User.ROLES = ROLES;
+// Used by stores that save users without Mongoose middleware (repositories/memory)
+User.hashPassword = hashPassword;
+
+module.exports = User;
 
 
@@ -0,0 +1,21 @@
+/**
+ * Repository Errors
+ * Storage-independent errors thrown by the repositories, so services never need to know
+ * which database raised them.
+ */
+
+/**
+ * Version Conflict Error
+ * A document was saved with a version that was no longer current - another update saved
+ * in between (optimistic concurrency, see utils/etag.js).
+ */
+class VersionConflictError extends Error {
+  constructor(message = 'Document was modified by another update') {
+    super(message);
+    this.name = 'VersionConflictError';
+  }
+}
+
+module.exports = {
+  VersionConflictError,
+};
@@ -0,0 +1,49 @@
+/**
+ * Repositories
+ * The persistence layer: the only modules that query the database. Services and
+ * middleware get their data through these, never from the models directly.
+ *
+ * The implementation is selected with DATABASE_DRIVER when the app starts:
+ * - "mongodb" (default): repositories/mongoose, stored in MongoDB at MONGO_URI.
+ * - "memory": repositories/memory, kept in the server process and lost on restart. For
+ *   tests and local development without MongoDB.
+ */
+
+const config = require('../config');
+const connectDB = require('../db');
+const logger = require('../utils/logger');
+
+// Implementation folder of each DATABASE_DRIVER value (validated by config/schema.js)
+const DRIVERS = {
+  mongodb: './mongoose',
+  memory: './memory',
+};
+
+const { driver } = config.database;
+
+const userRepository = require(`${DRIVERS[driver]}/userRepository`);
+const sessionRepository = require(`${DRIVERS[driver]}/sessionRepository`);
+const auditLogRepository = require(`${DRIVERS[driver]}/auditLogRepository`);
+const profileFieldRepository = require(`${DRIVERS[driver]}/profileFieldRepository`);
+
+/**
+ * Connect Database
+ * Prepares the selected driver before the server starts: connects to MongoDB, or (memory)
+ * only notes that nothing will be kept. mongoUri overrides MONGO_URI.
+ */
+const connectDatabase = async (mongoUri) => {
+  if (driver === 'memory') {
+    logger.warn('Using in-memory database - all data is lost when the server stops');
+    return null;
+  }
+  return connectDB(mongoUri);
+};
+
+module.exports = {
+  driver,
+  connectDatabase,
+  userRepository,
+  sessionRepository,
+  auditLogRepository,
+  profileFieldRepository,
+};
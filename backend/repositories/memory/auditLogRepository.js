@@ -0,0 +1,46 @@
+/**
+ * Audit Log Repository (in-memory)
+ * Same interface as repositories/mongoose/auditLogRepository.js, with the entries kept in
+ * this process (see ./collection.js). Data is lost when the process exits.
+ */
+
+const AuditLog = require('../../models/AuditLog');
+const createCollection = require('./collection');
+const { compareBy } = require('./sort');
+
+// Stored entries
+const entries = createCollection(AuditLog);
+
+/**
+ * Create Entry
+ * Stores one audit event.
+ */
+const create = (entry) => entries.save(new AuditLog(entry));
+
+/**
+ * Find For Target
+ * Events on an account, newest first. before (an entry ID) continues after an earlier page.
+ */
+const findForTarget = async (targetId, { before, limit } = {}) => {
+  const found = entries
+    .findPlain(
+      (entry) => String(entry.target) === String(targetId) && (!before || String(entry._id) < String(before))
+    )
+    .sort(compareBy('_id', -1));
+  return limit ? found.slice(0, limit) : found;
+};
+
+/**
+ * Delete For Target
+ * Permanently removes every event on an account (account purge).
+ */
+const deleteForTarget = async (targetId) => {
+  entries.remove((entry) => String(entry.target) === String(targetId));
+};
+
+module.exports = {
+  create,
+  findForTarget,
+  deleteForTarget,
+  clear: entries.clear,
+};
@@ -0,0 +1,193 @@
+/**
+ * In-Memory Collection
+ * Stands in for a MongoDB collection of one model, for the in-memory repositories. Documents
+ * are kept as plain objects in this process and copied through BSON on every read and write
+ * (as a database would), so changing a returned document never changes the stored one.
+ *
+ * Reads return real Mongoose documents (Model.hydrate), so model methods, defaults and
+ * validation work as with MongoDB. Fields marked select: false are left out unless asked
+ * for, unique fields are enforced and timestamps are maintained on save.
+ */
+
+const { BSON } = require('mongoose').mongo;
+const { VersionConflictError } = require('../errors');
+
+/**
+ * Copy
+ * Deep copy of a document as the database would store it (Maps become objects, undefined
+ * values are dropped; dates and ObjectIds are kept).
+ */
+const copy = (doc) => BSON.deserialize(BSON.serialize(doc, { ignoreUndefined: true }));
+
+/**
+ * Duplicate Key Error
+ * Same code as MongoDB's error for a unique index violation.
+ */
+const duplicateKeyError = (modelName, path) => {
+  const error = new Error(`E11000 duplicate key error: ${modelName} ${path} already exists`);
+  error.code = 11000;
+  return error;
+};
+
+/**
+ * Create Collection
+ * An empty collection of Model documents. beforeSave(doc, stored) runs before each save
+ * with the stored version (null for a new document) - the stand-in for save middleware.
+ */
+const createCollection = (Model, { beforeSave } = {}) => {
+  // Stored documents by _id
+  const documents = new Map();
+
+  const { schema } = Model;
+  const hiddenPaths = Object.keys(schema.paths).filter((path) => schema.paths[path].options.select === false);
+  const uniquePaths = Object.keys(schema.paths).filter((path) => schema.paths[path].options.unique);
+  const timestamps = schema.options.timestamps || false;
+  const createdAtField = timestamps && timestamps.createdAt !== false ? 'createdAt' : null;
+  const updatedAtField = timestamps && timestamps.updatedAt !== false ? 'updatedAt' : null;
+  // Fields copied from a saved document (the rest are set by save itself)
+  const dataPaths = [...new Set(Object.keys(schema.paths).map((path) => path.split('.')[0]))].filter(
+    (path) => !['_id', '__v', createdAtField, updatedAtField].includes(path)
+  );
+
+  /**
+   * Load
+   * A Mongoose document for a stored object, without select: false fields not in include.
+   */
+  const load = (stored, include = []) => {
+    const excluded = hiddenPaths.filter((path) => !include.includes(path));
+    const projection = excluded.length ? Object.fromEntries(excluded.map((path) => [path, 0])) : undefined;
+    return Model.hydrate(copy(stored), projection);
+  };
+
+  /**
+   * Find Plain
+   * Stored objects matching predicate, as plain copies (for "lean" reads).
+   */
+  const findPlain = (predicate = () => true) => [...documents.values()].filter(predicate).map(copy);
+
+  /**
+   * Find Documents
+   * Documents whose stored object matches predicate.
+   */
+  const find = (predicate = () => true, { include } = {}) =>
+    [...documents.values()].filter(predicate).map((stored) => load(stored, include));
+
+  /**
+   * Find One
+   * The first document whose stored object matches predicate, or null.
+   */
+  const findOne = (predicate, options) => find(predicate, options)[0] || null;
+
+  /**
+   * Save
+   * Validates and stores a new or changed document, then updates it in place (version,
+   * timestamps, no longer new or modified) and resolves to it. Fields the document was
+   * loaded without are only written if they were set. With newVersion the version is
+   * incremented, and VersionConflictError is thrown if another save did so first.
+   */
+  const save = async (doc, { newVersion = false } = {}) => {
+    const id = String(doc._id);
+    const stored = doc.isNew ? null : documents.get(id) || null;
+    if (beforeSave) await beforeSave(doc, stored);
+    await doc.validate();
+
+    const values = doc.toObject();
+    uniquePaths.forEach((path) => {
+      const value = values[path];
+      if (value === undefined) return;
+      if ([...documents.values()].some((other) => String(other._id) !== id && other[path] === value)) {
+        throw duplicateKeyError(Model.modelName, path);
+      }
+    });
+
+    const version = stored ? stored.__v || 0 : 0;
+    if (stored && newVersion && (doc.__v || 0) !== version) {
+      throw new VersionConflictError();
+    }
+
+    const now = new Date();
+    const next = stored ? { ...stored } : {};
+    dataPaths.forEach((path) => {
+      if (!doc.isNew && !doc.isSelected(path) && !doc.isModified(path)) return;
+      if (values[path] === undefined) delete next[path];
+      else next[path] = values[path];
+    });
+    next._id = doc._id;
+    next.__v = stored && newVersion ? version + 1 : version;
+    if (createdAtField) next[createdAtField] = stored ? stored[createdAtField] : now;
+    if (updatedAtField) next[updatedAtField] = !stored || doc.isModified() ? now : stored[updatedAtField];
+    documents.set(id, copy(next));
+
+    // The document now matches what is stored
+    doc.__v = next.__v;
+    if (createdAtField) doc[createdAtField] = next[createdAtField];
+    if (updatedAtField) doc[updatedAtField] = next[updatedAtField];
+    doc.isNew = false;
+    doc.modifiedPaths().forEach((path) => doc.unmarkModified(path));
+    return doc;
+  };
+
+  /**
+   * Update
+   * Applies change(stored) to every stored object matching predicate - the counterpart of
+   * an update query, done in one synchronous step so it is atomic. Returns the number of
+   * documents changed.
+   */
+  const update = (predicate, change) => {
+    let changed = 0;
+    documents.forEach((stored, id) => {
+      if (!predicate(stored)) return;
+      const next = copy(stored);
+      change(next);
+      if (updatedAtField) next[updatedAtField] = new Date();
+      documents.set(id, next);
+      changed += 1;
+    });
+    return changed;
+  };
+
+  /**
+   * Update One
+   * Like update, for the first match only. Returns the updated document, or null.
+   */
+  const updateOne = (predicate, change, { include } = {}) => {
+    const target = [...documents.values()].find(predicate);
+    if (!target) return null;
+    update((stored) => stored === target, change);
+    return load(documents.get(String(target._id)), include);
+  };
+
+  /**
+   * Remove
+   * Deletes every stored object matching predicate. Returns the number deleted.
+   */
+  const remove = (predicate) => {
+    let removed = 0;
+    documents.forEach((stored, id) => {
+      if (predicate(stored)) {
+        documents.delete(id);
+        removed += 1;
+      }
+    });
+    return removed;
+  };
+
+  /**
+   * Clear
+   * Deletes every document (e.g. between tests).
+   */
+  const clear = () => documents.clear();
+
+  return {
+    find,
+    findOne,
+    findPlain,
+    save,
+    update,
+    updateOne,
+    remove,
+    clear,
+  };
+};
+
+module.exports = createCollection;
@@ -0,0 +1,62 @@
+/**
+ * Profile Field Repository (in-memory)
+ * Same interface as repositories/mongoose/profileFieldRepository.js, with the definitions
+ * kept in this process (see ./collection.js). Data is lost when the process exits.
+ */
+
+const mongoose = require('mongoose');
+const ProfileField = require('../../models/ProfileField');
+const createCollection = require('./collection');
+const { compareBy } = require('./sort');
+
+// Stored definitions
+const fields = createCollection(ProfileField);
+
+/**
+ * Find Ordered
+ * All definitions in the order they appear on the profile form.
+ */
+const findOrdered = async () => fields.find().sort((a, b) => a.order - b.order || compareBy('createdAt', 1)(a, b));
+
+/**
+ * Find By ID
+ * Resolves to the definition or null (also for malformed IDs).
+ */
+const findById = async (id) =>
+  mongoose.isValidObjectId(id) ? fields.findOne((field) => String(field._id) === String(id)) : null;
+
+/**
+ * Find By Key
+ * The definition with this key, or null.
+ */
+const findByKey = async (key) => fields.findOne((field) => field.key === key);
+
+/**
+ * Create Definition
+ * Stores a new definition and resolves to it.
+ */
+const create = (data) => fields.save(new ProfileField(data));
+
+/**
+ * Save Definition
+ * Saves a changed definition and resolves to it.
+ */
+const save = (field) => fields.save(field);
+
+/**
+ * Delete By ID
+ * Removes the definition (its values on users are removed separately).
+ */
+const deleteById = async (id) => {
+  fields.remove((field) => String(field._id) === String(id));
+};
+
+module.exports = {
+  findOrdered,
+  findById,
+  findByKey,
+  create,
+  save,
+  deleteById,
+  clear: fields.clear,
+};
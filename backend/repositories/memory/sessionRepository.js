@@ -0,0 +1,186 @@
+/**
+ * Session Repository (in-memory)
+ * Same interface as repositories/mongoose/sessionRepository.js, with the sessions kept in
+ * this process (see ./collection.js). Data is lost when the process exits.
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../../models/Session');
+const createCollection = require('./collection');
+const { compareBy } = require('./sort');
+
+// Stored sessions
+const sessions = createCollection(Session);
+
+/**
+ * Belongs To
+ * Whether a stored session is the user's.
+ */
+const belongsTo = (session, userId) => String(session.user) === String(userId);
+
+/**
+ * Is Active
+ * Neither revoked nor expired (the stored counterpart of Session#isActive).
+ */
+const isActive = (session) => !session.revokedAt && session.expiresAt > new Date();
+
+/**
+ * Create Session
+ * Stores a new session ({ user, refreshTokenHash, expiresAt, userAgent, ip }) and resolves to it.
+ */
+const create = async (data) => {
+  // Stand-in for the TTL index: expired sessions are dropped as new ones are created
+  sessions.remove((session) => session.expiresAt <= new Date());
+  return sessions.save(new Session(data));
+};
+
+/**
+ * Find By ID
+ * Resolves to the session or null (also for malformed IDs).
+ */
+const findById = async (id) =>
+  mongoose.isValidObjectId(id) ? sessions.findOne((session) => String(session._id) === String(id)) : null;
+
+/**
+ * Find Unrevoked For User
+ * The user's session with this ID, unless it was revoked. Scoped to the user so one user
+ * can never reach another user's session.
+ */
+const findUnrevokedForUser = async (userId, id) =>
+  mongoose.isValidObjectId(id)
+    ? sessions.findOne(
+        (session) => String(session._id) === String(id) && belongsTo(session, userId) && !session.revokedAt
+      )
+    : null;
+
+/**
+ * Find Active For User
+ * The user's sessions that are neither revoked nor expired, most recently used first.
+ */
+const findActiveForUser = async (userId) =>
+  sessions.find((session) => belongsTo(session, userId) && isActive(session)).sort(compareBy('lastSeenAt', -1));
+
+/**
+ * Find All For User
+ * Every session of the user, including ended ones, newest first.
+ */
+const findAllForUser = async (userId) =>
+  sessions.find((session) => belongsTo(session, userId)).sort(compareBy('createdAt', -1));
+
+/**
+ * Count Active For User
+ * Number of devices the user is currently signed in on.
+ */
+const countActiveForUser = async (userId) =>
+  sessions.findPlain((session) => belongsTo(session, userId) && isActive(session)).length;
+
+/**
+ * Rotate Refresh Token
+ * Atomically replaces the session's current refresh token hash, if it is presentedHash and
+ * the session is still active, remembering the old hash for reuse detection. Resolves to
+ * the session, or null if nothing matched.
+ */
+const rotateRefreshToken = async (id, presentedHash, nextHash, ip) =>
+  sessions.updateOne(
+    (session) => String(session._id) === String(id) && session.refreshTokenHash === presentedHash && isActive(session),
+    (session) => {
+      session.refreshTokenHash = nextHash;
+      session.previousTokenHash = presentedHash;
+      session.rotatedAt = new Date();
+      session.lastSeenAt = new Date();
+      if (ip !== undefined) session.ip = ip;
+      session.usedTokenHashes = [...(session.usedTokenHashes || []), presentedHash];
+    }
+  );
+
+/**
+ * Revoke If Token Reused
+ * Revokes the session if presentedHash is one of its rotated-out refresh tokens - except the
+ * one rotated out last, if that happened after graceSince. Resolves to the revoked session,
+ * or null if nothing was revoked.
+ */
+const revokeIfTokenReused = async (id, presentedHash, graceSince) =>
+  sessions.updateOne(
+    (session) =>
+      String(session._id) === String(id) &&
+      (session.usedTokenHashes || []).includes(presentedHash) &&
+      !(session.previousTokenHash === presentedHash && session.rotatedAt > graceSince) &&
+      !session.revokedAt,
+    (session) => {
+      session.revokedAt = new Date();
+      session.revokedReason = 'refresh-token-reuse';
+    }
+  );
+
+/**
+ * Touch Session
+ * Records that the session was just used, from the given IP address.
+ */
+const touch = async (session, ip) => {
+  session.lastSeenAt = new Date();
+  session.ip = ip;
+  sessions.update(
+    (stored) => String(stored._id) === String(session._id),
+    (stored) => {
+      stored.lastSeenAt = session.lastSeenAt;
+      stored.ip = ip;
+    }
+  );
+  return session;
+};
+
+/**
+ * Revoke Session
+ * Marks the session as revoked so its refresh and access tokens stop working.
+ */
+const revoke = async (session, reason) => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason || null;
+  sessions.update(
+    (stored) => String(stored._id) === String(session._id),
+    (stored) => {
+      stored.revokedAt = session.revokedAt;
+      stored.revokedReason = session.revokedReason;
+    }
+  );
+  return session;
+};
+
+/**
+ * Revoke All For User
+ * Revokes every active session of a user, optionally keeping one (e.g. the current
+ * session). Resolves to the number revoked.
+ */
+const revokeAllForUser = async (userId, reason, exceptId) =>
+  sessions.update(
+    (session) =>
+      belongsTo(session, userId) && !session.revokedAt && (!exceptId || String(session._id) !== String(exceptId)),
+    (session) => {
+      session.revokedAt = new Date();
+      session.revokedReason = reason || null;
+    }
+  );
+
+/**
+ * Delete All For User
+ * Permanently removes every session of the user (account purge).
+ */
+const deleteAllForUser = async (userId) => {
+  sessions.remove((session) => belongsTo(session, userId));
+};
+
+module.exports = {
+  create,
+  findById,
+  findUnrevokedForUser,
+  findActiveForUser,
+  findAllForUser,
+  countActiveForUser,
+  rotateRefreshToken,
+  revokeIfTokenReused,
+  touch,
+  revoke,
+  revokeAllForUser,
+  deleteAllForUser,
+  clear: sessions.clear,
+};
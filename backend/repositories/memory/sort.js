@@ -0,0 +1,25 @@
+/**
+ * Sorting
+ * Sort helpers shared by the in-memory repositories, matching the order MongoDB returns.
+ */
+
+/**
+ * Compare
+ * Sort comparator for one field (1 ascending, -1 descending), with _id breaking ties.
+ * Missing values sort first, as in MongoDB.
+ */
+const compareBy = (field, order) => (a, b) => {
+  const key = (doc) => {
+    const value = doc[field];
+    if (value === undefined || value === null) return '';
+    return value instanceof Date ? value.getTime() : value;
+  };
+  const [x, y] = [key(a), key(b)];
+  if (x < y) return -order;
+  if (x > y) return order;
+  return String(a._id) < String(b._id) ? -order : String(a._id) > String(b._id) ? order : 0;
+};
+
+module.exports = {
+  compareBy,
+};
@@ -0,0 +1,312 @@
+/**
+ * User Repository (in-memory)
+ * Same interface as repositories/mongoose/userRepository.js, with the accounts kept in this
+ * process (see ./collection.js). Data is lost when the process exits.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const createCollection = require('./collection');
+const { compareBy } = require('./sort');
+const { isFieldVisible } = require('../../utils/profilePrivacy');
+const { searchPrefix } = require('../../utils/searchKeys');
+
+// Stored accounts
+const users = createCollection(User, {
+  // Stand-in for the model's pre-save hook: hash a new or changed password
+  beforeSave: async (user, stored) => {
+    if (!stored || user.password !== stored.password) {
+      user.password = await User.hashPassword(user.password);
+    }
+  },
+});
+
+/**
+ * Matches Search
+ * Case-insensitive substring match, like the regular expressions the MongoDB queries use.
+ */
+const matchesSearch = (value, search) =>
+  typeof value === 'string' && value.toLowerCase().includes(search.toLowerCase());
+
+/**
+ * Normalize Email
+ * Stored emails are trimmed and lowercased by the schema, and MongoDB queries apply the same
+ * setters to the values searched for - so lookups here must too.
+ */
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Has Key With Prefix
+ * Whether one of a user's search keys starts with prefix, like the anchored patterns the
+ * MongoDB directory query uses.
+ */
+const hasKeyWithPrefix = (keys, prefix) => (keys || []).some((key) => key.startsWith(prefix));
+
+/**
+ * Is Active
+ * Neither disabled nor deleted.
+ */
+const isActive = (user) => user.disabled !== true && !user.deletedAt;
+
+/**
+ * Has Unexpired Token
+ * Whether the stored token hash field matches and its expiry is still ahead.
+ */
+const hasUnexpiredToken = (user, hashField, expiryField, tokenHash) =>
+  user[hashField] === tokenHash && user[expiryField] > new Date();
+
+/**
+ * Build User
+ * A new, unsaved user. The password is hashed when it is saved.
+ */
+const build = (data) => new User(data);
+
+/**
+ * Save User
+ * Saves a new or changed user and resolves to it. With newVersion the version is
+ * incremented, and VersionConflictError is thrown if another update saved first.
+ */
+const save = (user, options) => users.save(user, options);
+
+/**
+ * Find By ID
+ * Resolves to the user or null. include lists select: false fields to load as well.
+ */
+const findById = async (id, { include = [] } = {}) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return users.findOne((user) => String(user._id) === String(id), { include });
+};
+
+/**
+ * Find By Login
+ * The user with the given username or, if no username is given, email.
+ */
+const findByLogin = async ({ username, email }) =>
+  users.findOne((user) => (username ? user.username === username : user.email === normalizeEmail(email)));
+
+/**
+ * Find By Email
+ * The user whose login email this is, or null.
+ */
+const findByEmail = async (email) => users.findOne((user) => user.email === normalizeEmail(email));
+
+/**
+ * Find By Username Or Email
+ * The user whose username or email (case-insensitively) is the identifier, or null.
+ */
+const findByUsernameOrEmail = async (identifier) =>
+  users.findOne((user) => user.username === identifier || user.email === normalizeEmail(identifier));
+
+/**
+ * Find Active By Username
+ * The user with this username, unless the account is disabled or deleted.
+ */
+const findActiveByUsername = async (username) =>
+  users.findOne((user) => user.username === username && isActive(user));
+
+/**
+ * Find Taken
+ * Another user (not exceptId) that already has one of the given username/email values.
+ */
+const findTaken = async ({ username, email }, exceptId = null) => {
+  if (username === undefined && email === undefined) return null;
+  return users.findOne(
+    (user) =>
+      String(user._id) !== String(exceptId) &&
+      ((username !== undefined && user.username === username) ||
+        (email !== undefined && user.email === normalizeEmail(email)))
+  );
+};
+
+/**
+ * Find With Role
+ * Any one user with the given role, or null.
+ */
+const findWithRole = async (role) => users.findOne((user) => user.role === role);
+
+/**
+ * Find By Password Reset Token
+ * The user owning an unexpired reset token (by its hash), without using the token up.
+ */
+const findByPasswordResetToken = async (tokenHash) =>
+  users.findOne((user) => hasUnexpiredToken(user, 'passwordResetTokenHash', 'passwordResetExpiresAt', tokenHash));
+
+/**
+ * Consume Password Reset Token
+ * Removes an unexpired reset token (by its hash) and resolves to its user, or null.
+ */
+const consumePasswordResetToken = async (tokenHash) =>
+  users.updateOne(
+    (user) => hasUnexpiredToken(user, 'passwordResetTokenHash', 'passwordResetExpiresAt', tokenHash),
+    (user) => {
+      delete user.passwordResetTokenHash;
+      delete user.passwordResetExpiresAt;
+    }
+  );
+
+/**
+ * Consume Email Verification Token
+ * Removes an unexpired verification token (by its hash) and resolves to its user, or null.
+ */
+const consumeEmailVerificationToken = async (tokenHash) =>
+  users.updateOne(
+    (user) => hasUnexpiredToken(user, 'emailVerificationTokenHash', 'emailVerificationExpiresAt', tokenHash),
+    (user) => {
+      delete user.emailVerificationTokenHash;
+      delete user.emailVerificationExpiresAt;
+    }
+  );
+
+/**
+ * Record Failed Login
+ * Counts a failed login on the account. Resolves to the new failure count.
+ */
+const recordFailedLogin = async (id) => {
+  const updated = users.updateOne(
+    (user) => String(user._id) === String(id),
+    (user) => {
+      user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+    }
+  );
+  return updated ? updated.failedLoginAttempts : 0;
+};
+
+/**
+ * Lock Login
+ * Refuses logins until the given time and starts the next round of failures from zero.
+ */
+const lockLogin = async (id, until) => {
+  users.update(
+    (user) => String(user._id) === String(id),
+    (user) => {
+      user.lockUntil = until;
+      user.failedLoginAttempts = 0;
+    }
+  );
+};
+
+/**
+ * Clear Login Failures
+ * Resets the failure count and any lock after a successful login.
+ */
+const clearLoginFailures = async (id) => {
+  users.update(
+    (user) => String(user._id) === String(id),
+    (user) => {
+      user.failedLoginAttempts = 0;
+      user.lockUntil = null;
+    }
+  );
+};
+
+/**
+ * List Users
+ * One page of users for staff, filtered and sorted. Resolves to { users, total }.
+ */
+const list = async ({ search, role, disabled, sortField, sortOrder, page, limit }) => {
+  const matching = users
+    .findPlain(
+      (user) =>
+        (!search || ['username', 'displayName', 'email'].some((field) => matchesSearch(user[field], search))) &&
+        (!role || user.role === role) &&
+        (disabled === undefined || Boolean(user.disabled) === disabled)
+    )
+    .sort(compareBy(sortField, sortOrder));
+  const ids = matching.slice((page - 1) * limit, page * limit).map((user) => String(user._id));
+  const found = users.find((user) => ids.includes(String(user._id)));
+  return {
+    users: ids.map((id) => found.find((user) => String(user._id) === id)),
+    total: matching.length,
+  };
+};
+
+/**
+ * Find Directory Page
+ * Active users for the public directory, filtered by search (respecting each user's
+ * privacy), sign-up date and the previous page's cursor.
+ */
+const findDirectoryPage = async ({
+  search,
+  visibleLevels,
+  registeredAfter,
+  registeredBefore,
+  sortField,
+  direction,
+  after,
+  limit,
+}) => {
+  const compare = compareBy(sortField, direction);
+  const prefix = search && searchPrefix(search);
+  const keys = (user) => user.searchKeys || {};
+  return users
+    .find(
+      (user) =>
+        isActive(user) &&
+        (!registeredAfter || user.createdAt >= registeredAfter) &&
+        (!registeredBefore || user.createdAt < registeredBefore),
+      { include: ['searchKeys.username', 'searchKeys.displayName'] }
+    )
+    .filter(
+      (user) =>
+        !prefix ||
+        hasKeyWithPrefix(keys(user).username, prefix) ||
+        // Private display names/emails must not be discoverable by searching for them
+        (hasKeyWithPrefix(keys(user).displayName, prefix) && isFieldVisible(user, 'displayName', visibleLevels)) ||
+        (user.email.startsWith(prefix) && isFieldVisible(user, 'email', visibleLevels))
+    )
+    // Continue after the last user of the previous page
+    .filter((user) => !after || compare(user, { [sortField]: after.value, _id: after.id }) > 0)
+    .sort(compare)
+    .slice(0, limit);
+};
+
+/**
+ * Find Due For Purge
+ * Deleted accounts whose grace period has ended.
+ */
+const findDueForPurge = async (now = new Date()) => users.find((user) => user.deletedAt && user.purgeAt <= now);
+
+/**
+ * Delete By ID
+ * Permanently removes the account.
+ */
+const deleteById = async (id) => {
+  users.remove((user) => String(user._id) === String(id));
+};
+
+/**
+ * Remove Custom Field Values
+ * Removes the value of a custom profile field from every user.
+ */
+const removeCustomFieldValues = async (key) => {
+  users.update(
+    (user) => user.customFields && key in user.customFields,
+    (user) => {
+      delete user.customFields[key];
+    }
+  );
+};
+
+module.exports = {
+  build,
+  save,
+  findById,
+  findByLogin,
+  findByEmail,
+  findByUsernameOrEmail,
+  findActiveByUsername,
+  findTaken,
+  findWithRole,
+  findByPasswordResetToken,
+  consumePasswordResetToken,
+  consumeEmailVerificationToken,
+  recordFailedLogin,
+  lockLogin,
+  clearLoginFailures,
+  list,
+  findDirectoryPage,
+  findDueForPurge,
+  deleteById,
+  removeCustomFieldValues,
+  clear: users.clear,
+};
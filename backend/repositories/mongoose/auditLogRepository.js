@@ -0,0 +1,37 @@
+/**
+ * Audit Log Repository (MongoDB)
+ * Every read and write of audit log entries (models/AuditLog.js). Entries are returned as
+ * plain objects - they are never changed once stored.
+ */
+
+const AuditLog = require('../../models/AuditLog');
+
+/**
+ * Create Entry
+ * Stores one audit event.
+ */
+const create = (entry) => AuditLog.create(entry);
+
+/**
+ * Find For Target
+ * Events on an account, newest first. before (an entry ID) continues after an earlier page.
+ */
+const findForTarget = (targetId, { before, limit } = {}) => {
+  const filter = { target: targetId };
+  if (before) filter._id = { $lt: before };
+  const query = AuditLog.find(filter).sort({ _id: -1 });
+  if (limit) query.limit(limit);
+  return query.lean();
+};
+
+/**
+ * Delete For Target
+ * Permanently removes every event on an account (account purge).
+ */
+const deleteForTarget = (targetId) => AuditLog.deleteMany({ target: targetId });
+
+module.exports = {
+  create,
+  findForTarget,
+  deleteForTarget,
+};
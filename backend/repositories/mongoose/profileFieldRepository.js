@@ -0,0 +1,52 @@
+/**
+ * Profile Field Repository (MongoDB)
+ * Every read and write of custom profile field definitions (models/ProfileField.js).
+ */
+
+const mongoose = require('mongoose');
+const ProfileField = require('../../models/ProfileField');
+
+/**
+ * Find Ordered
+ * All definitions in the order they appear on the profile form.
+ */
+const findOrdered = () => ProfileField.find().sort({ order: 1, createdAt: 1 });
+
+/**
+ * Find By ID
+ * Resolves to the definition or null (also for malformed IDs).
+ */
+const findById = async (id) => (mongoose.isValidObjectId(id) ? ProfileField.findById(id) : null);
+
+/**
+ * Find By Key
+ * The definition with this key, or null.
+ */
+const findByKey = (key) => ProfileField.findOne({ key });
+
+/**
+ * Create Definition
+ * Stores a new definition and resolves to it.
+ */
+const create = (data) => ProfileField.create(data);
+
+/**
+ * Save Definition
+ * Saves a changed definition and resolves to it.
+ */
+const save = (field) => field.save();
+
+/**
+ * Delete By ID
+ * Removes the definition (its values on users are removed separately).
+ */
+const deleteById = (id) => ProfileField.deleteOne({ _id: id });
+
+module.exports = {
+  findOrdered,
+  findById,
+  findByKey,
+  create,
+  save,
+  deleteById,
+};
@@ -0,0 +1,150 @@
+/**
+ * Session Repository (MongoDB)
+ * Every read and write of login sessions (models/Session.js). Only token hashes are
+ * stored - generating and checking the tokens themselves is up to services/sessionService.js.
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../../models/Session');
+
+/**
+ * Create Session
+ * Stores a new session ({ user, refreshTokenHash, expiresAt, userAgent, ip }) and resolves to it.
+ */
+const create = (data) => Session.create(data);
+
+/**
+ * Find By ID
+ * Resolves to the session or null (also for malformed IDs).
+ */
+const findById = async (id) => (mongoose.isValidObjectId(id) ? Session.findById(id) : null);
+
+/**
+ * Find Unrevoked For User
+ * The user's session with this ID, unless it was revoked. Scoped to the user so one user
+ * can never reach another user's session.
+ */
+const findUnrevokedForUser = async (userId, id) =>
+  mongoose.isValidObjectId(id) ? Session.findOne({ _id: id, user: userId, revokedAt: null }) : null;
+
+/**
+ * Find Active For User
+ * The user's sessions that are neither revoked nor expired, most recently used first.
+ */
+const findActiveForUser = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1 });
+
+/**
+ * Find All For User
+ * Every session of the user, including ended ones, newest first.
+ */
+const findAllForUser = (userId) => Session.find({ user: userId }).sort({ createdAt: -1 });
+
+/**
+ * Count Active For User
+ * Number of devices the user is currently signed in on.
+ */
+const countActiveForUser = (userId) =>
+  Session.countDocuments({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+/**
+ * Rotate Refresh Token
+ * Atomically replaces the session's current refresh token hash, if it is presentedHash and
+ * the session is still active, remembering the old hash for reuse detection. Only one
+ * concurrent request can win. Resolves to the session, or null if nothing matched.
+ */
+const rotateRefreshToken = async (id, presentedHash, nextHash, ip) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Session.findOneAndUpdate(
+    { _id: id, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        refreshTokenHash: nextHash,
+        previousTokenHash: presentedHash,
+        rotatedAt: new Date(),
+        lastSeenAt: new Date(),
+        ...(ip !== undefined ? { ip } : {}),
+      },
+      $push: { usedTokenHashes: presentedHash },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke If Token Reused
+ * Revokes the session if presentedHash is one of its rotated-out refresh tokens - except the
+ * one rotated out last, if that happened after graceSince. Resolves to the revoked session,
+ * or null if nothing was revoked.
+ */
+const revokeIfTokenReused = async (id, presentedHash, graceSince) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Session.findOneAndUpdate(
+    {
+      _id: id,
+      usedTokenHashes: presentedHash,
+      revokedAt: null,
+      $nor: [{ previousTokenHash: presentedHash, rotatedAt: { $gt: graceSince } }],
+    },
+    { $set: { revokedAt: new Date(), revokedReason: 'refresh-token-reuse' } }
+  );
+};
+
+/**
+ * Touch Session
+ * Records that the session was just used, from the given IP address.
+ */
+const touch = async (session, ip) => {
+  session.lastSeenAt = new Date();
+  session.ip = ip;
+  await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: session.lastSeenAt, ip } });
+  return session;
+};
+
+/**
+ * Revoke Session
+ * Marks the session as revoked so its refresh and access tokens stop working.
+ */
+const revoke = async (session, reason) => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason || null;
+  // Update only the revocation fields (token hashes are usually not selected on this document)
+  await Session.updateOne(
+    { _id: session._id },
+    { $set: { revokedAt: session.revokedAt, revokedReason: session.revokedReason } }
+  );
+  return session;
+};
+
+/**
+ * Revoke All For User
+ * Revokes every active session of a user, optionally keeping one (e.g. the current
+ * session). Resolves to the number revoked.
+ */
+const revokeAllForUser = async (userId, reason, exceptId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptId) filter._id = { $ne: exceptId };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason || null } });
+  return result.modifiedCount;
+};
+
+/**
+ * Delete All For User
+ * Permanently removes every session of the user (account purge).
+ */
+const deleteAllForUser = (userId) => Session.deleteMany({ user: userId });
+
+module.exports = {
+  create,
+  findById,
+  findUnrevokedForUser,
+  findActiveForUser,
+  findAllForUser,
+  countActiveForUser,
+  rotateRefreshToken,
+  revokeIfTokenReused,
+  touch,
+  revoke,
+  revokeAllForUser,
+  deleteAllForUser,
+};
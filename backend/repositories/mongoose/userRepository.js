@@ -0,0 +1,272 @@
+/**
+ * User Repository (MongoDB)
+ * Every read and write of user accounts. Returns User documents (models/User.js), whose
+ * methods hold the account rules (password checks, tokens, deletion); callers change a
+ * document and hand it back to save().
+ */
+
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const { VersionConflictError } = require('../errors');
+const { visibleFieldFilter } = require('../../utils/profilePrivacy');
+const { searchPrefix } = require('../../utils/searchKeys');
+
+/**
+ * Escape Regex
+ * Escapes user input so it can be used literally inside a regular expression.
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build User
+ * A new, unsaved user. The password is hashed when it is saved.
+ */
+const build = (data) => new User(data);
+
+/**
+ * Save User
+ * Saves a new or changed user and resolves to it. With newVersion the document's version
+ * (__v) is incremented, and VersionConflictError is thrown if another update saved first.
+ */
+const save = async (user, { newVersion = false } = {}) => {
+  if (newVersion) user.increment();
+  try {
+    return await user.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new VersionConflictError();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find By ID
+ * Resolves to the user or null (also for malformed IDs). include lists fields that are
+ * excluded by default (2FA secrets, recovery codes) to load as well.
+ */
+const findById = async (id, { include = [] } = {}) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const query = User.findById(id);
+  if (include.length) query.select(include.map((field) => `+${field}`).join(' '));
+  return query;
+};
+
+/**
+ * Find By Login
+ * The user with the given username or, if no username is given, email.
+ */
+const findByLogin = ({ username, email }) => User.findOne(username ? { username } : { email });
+
+/**
+ * Find By Email
+ * The user whose login email this is, or null.
+ */
+const findByEmail = (email) => User.findOne({ email });
+
+/**
+ * Find By Username Or Email
+ * The user whose username or email (case-insensitively) is the identifier, or null.
+ */
+const findByUsernameOrEmail = (identifier) =>
+  User.findOne({ $or: [{ username: identifier }, { email: identifier.toLowerCase() }] });
+
+/**
+ * Find Active By Username
+ * The user with this username, unless the account is disabled or deleted.
+ */
+const findActiveByUsername = (username) => User.findOne({ username, disabled: { $ne: true }, deletedAt: null });
+
+/**
+ * Find Taken
+ * Another user (not exceptId) that already has one of the given username/email values,
+ * or null. Values left undefined aren't checked.
+ */
+const findTaken = async ({ username, email }, exceptId = null) => {
+  const conditions = [];
+  if (username !== undefined) conditions.push({ username });
+  if (email !== undefined) conditions.push({ email });
+  if (!conditions.length) return null;
+  const filter = { $or: conditions };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return User.findOne(filter);
+};
+
+/**
+ * Find With Role
+ * Any one user with the given role, or null.
+ */
+const findWithRole = (role) => User.findOne({ role });
+
+/**
+ * Find By Password Reset Token
+ * The user owning an unexpired reset token (by its hash), without using the token up.
+ */
+const findByPasswordResetToken = (tokenHash) =>
+  User.findOne({ passwordResetTokenHash: tokenHash, passwordResetExpiresAt: { $gt: new Date() } });
+
+/**
+ * Consume Password Reset Token
+ * Atomically removes an unexpired reset token (by its hash) and resolves to its user, or
+ * null. The token is removed by the query that finds it, so it can only be used once.
+ */
+const consumePasswordResetToken = (tokenHash) =>
+  User.findOneAndUpdate(
+    { passwordResetTokenHash: tokenHash, passwordResetExpiresAt: { $gt: new Date() } },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } },
+    { new: true }
+  );
+
+/**
+ * Consume Email Verification Token
+ * Atomically removes an unexpired verification token (by its hash) and resolves to its
+ * user, or null.
+ */
+const consumeEmailVerificationToken = (tokenHash) =>
+  User.findOneAndUpdate(
+    { emailVerificationTokenHash: tokenHash, emailVerificationExpiresAt: { $gt: new Date() } },
+    { $unset: { emailVerificationTokenHash: 1, emailVerificationExpiresAt: 1 } },
+    { new: true }
+  );
+
+/**
+ * Record Failed Login
+ * Atomically counts a failed login on the account. Resolves to the new failure count.
+ */
+const recordFailedLogin = async (id) => {
+  const updated = await User.findByIdAndUpdate(id, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+  return updated ? updated.failedLoginAttempts : 0;
+};
+
+/**
+ * Lock Login
+ * Refuses logins until the given time and starts the next round of failures from zero.
+ */
+const lockLogin = (id, until) =>
+  User.updateOne({ _id: id }, { $set: { lockUntil: until, failedLoginAttempts: 0 } });
+
+/**
+ * Clear Login Failures
+ * Resets the failure count and any lock after a successful login.
+ */
+const clearLoginFailures = (id) =>
+  User.updateOne({ _id: id }, { $set: { failedLoginAttempts: 0, lockUntil: null } });
+
+/**
+ * List Users
+ * One page of users for staff. search matches username, display name or email
+ * (case-insensitive); role and disabled filter. Resolves to { users, total }.
+ */
+const list = async ({ search, role, disabled, sortField, sortOrder, page, limit }) => {
+  const filter = {};
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [{ username: pattern }, { displayName: pattern }, { email: pattern }];
+  }
+  if (role) filter.role = role;
+  if (disabled !== undefined) filter.disabled = disabled;
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      // _id breaks ties so pages don't overlap when sort values are equal
+      .sort({ [sortField]: sortOrder, _id: sortOrder })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+  ]);
+  return { users, total };
+};
+
+/**
+ * Find Directory Page
+ * Active users for the public directory, sorted by sortField then _id in direction (1 or
+ * -1). search is a prefix of a word of the username, and of the display name and email only
+ * where they are visible at one of visibleLevels (all indexed, see models/User.js). after
+ * ({ value, id }) continues past a previous page.
+ */
+const findDirectoryPage = ({
+  search,
+  visibleLevels,
+  registeredAfter,
+  registeredBefore,
+  sortField,
+  direction,
+  after,
+  limit,
+}) => {
+  // Disabled and deleted accounts never appear in the directory
+  const conditions = [{ disabled: { $ne: true }, deletedAt: null }];
+
+  if (search) {
+    // Anchored, case-sensitive patterns on lowercased fields can be answered from an index.
+    // Private display names/emails must not be discoverable by searching for them.
+    const pattern = new RegExp(`^${escapeRegex(searchPrefix(search))}`);
+    conditions.push({
+      $or: [
+        { 'searchKeys.username': pattern },
+        { $and: [{ 'searchKeys.displayName': pattern }, visibleFieldFilter('displayName', visibleLevels)] },
+        { $and: [{ email: pattern }, visibleFieldFilter('email', visibleLevels)] },
+      ],
+    });
+  }
+
+  const registered = {};
+  if (registeredAfter) registered.$gte = registeredAfter;
+  if (registeredBefore) registered.$lt = registeredBefore;
+  if (Object.keys(registered).length) conditions.push({ createdAt: registered });
+
+  // Continue after the last user of the previous page: (value, _id) past the cursor
+  if (after) {
+    const past = direction === 1 ? '$gt' : '$lt';
+    conditions.push({
+      $or: [{ [sortField]: { [past]: after.value } }, { [sortField]: after.value, _id: { [past]: after.id } }],
+    });
+  }
+
+  return User.find({ $and: conditions })
+    .select('username displayName avatar privacy createdAt')
+    .sort({ [sortField]: direction, _id: direction })
+    .limit(limit);
+};
+
+/**
+ * Find Due For Purge
+ * Deleted accounts whose grace period has ended.
+ */
+const findDueForPurge = (now = new Date()) => User.find({ deletedAt: { $ne: null }, purgeAt: { $lte: now } });
+
+/**
+ * Delete By ID
+ * Permanently removes the account document.
+ */
+const deleteById = (id) => User.deleteOne({ _id: id });
+
+/**
+ * Remove Custom Field Values
+ * Removes the value of a custom profile field from every user.
+ */
+const removeCustomFieldValues = (key) =>
+  User.updateMany({ [`customFields.${key}`]: { $exists: true } }, { $unset: { [`customFields.${key}`]: '' } });
+
+module.exports = {
+  build,
+  save,
+  findById,
+  findByLogin,
+  findByEmail,
+  findByUsernameOrEmail,
+  findActiveByUsername,
+  findTaken,
+  findWithRole,
+  findByPasswordResetToken,
+  consumePasswordResetToken,
+  consumeEmailVerificationToken,
+  recordFailedLogin,
+  lockLogin,
+  clearLoginFailures,
+  list,
+  findDirectoryPage,
+  findDueForPurge,
+  deleteById,
+  removeCustomFieldValues,
+};
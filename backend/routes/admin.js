@@ -0,0 +1,185 @@
+/**
+ * Admin Routes
+ * User management for support staff and administrators: listing, searching, viewing,
+ * editing, disabling and deleting accounts. All routes require an admin or support role;
+ * deleting accounts and changing roles require admin. Handlers are in
+ * controllers/adminController.js.
+ */
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const adminController = require('../controllers/adminController');
+const { loadTargetUser, rejectSelf, requireAdminForAdmins } = adminController;
+const { requireAuth, authorize } = require('../middleware/auth');
+const { isPhoneCountry, resolvePhoneCountry, phoneCheck } = require('../utils/phone');
+
+const router = express.Router();
+
+// Validation regex pattern for email format validation
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/; // Standard email format
+
+// Largest user list page size
+const MAX_PAGE_SIZE = 100;
+// Fields the user list can be sorted by
+const SORT_FIELDS = ['username', 'email', 'role', 'disabled', 'createdAt', 'updatedAt'];
+
+// Every route in this file needs a logged-in support/admin user
+router.use(requireAuth, authorize('admin', 'support'));
+
+/**
+ * Validation Error Handler
+ * Returns formatted validation errors or calls next() if valid.
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+  return next();
+};
+
+/**
+ * GET /api/admin/users
+ * Lists users, newest first by default. Optional "search" matches username, display name or
+ * email (case-insensitive), "role" and "disabled" filter, "sort"/"order" sort, "page"/"limit"
+ * paginate.
+ */
+router.get(
+  '/users',
+  [
+    // A parameter sent more than once arrives as an array - refuse it rather than use either value
+    query('page')
+      .optional()
+      .isString()
+      .withMessage('Page must be given once')
+      .bail()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isString()
+      .withMessage('Limit must be given once')
+      .bail()
+      .isInt({ min: 1, max: MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+      .toInt(),
+    query('search').optional().isString().withMessage('Search must be given once').bail().trim(),
+    query('role')
+      .optional()
+      .isString()
+      .withMessage('Role must be given once')
+      .bail()
+      .isIn(User.ROLES)
+      .withMessage('Role is not valid'),
+    query('disabled')
+      .optional()
+      .isString()
+      .withMessage('Disabled must be given once')
+      .bail()
+      .isBoolean()
+      .withMessage('Disabled must be true or false')
+      .toBoolean(),
+    query('sort')
+      .optional()
+      .isString()
+      .withMessage('Sort must be given once')
+      .bail()
+      .isIn(SORT_FIELDS)
+      .withMessage(`Sort must be one of: ${SORT_FIELDS.join(', ')}`),
+    query('order')
+      .optional()
+      .isString()
+      .withMessage('Order must be given once')
+      .bail()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be asc or desc'),
+  ],
+  handleValidation,
+  adminController.listUsers
+);
+
+/**
+ * GET /api/admin/users/:id
+ * Returns one user with account status fields.
+ */
+router.get('/users/:id', loadTargetUser, adminController.getUser);
+
+/**
+ * PUT /api/admin/users/:id
+ * Updates account fields. Only provided fields are changed. Email is set directly (staff
+ * fixing an account), so emailVerified can be set alongside it. Role changes require admin.
+ */
+router.put(
+  '/users/:id',
+  loadTargetUser,
+  requireAdminForAdmins,
+  [
+    body('username').optional().isString().trim().notEmpty().withMessage('Username cannot be empty'),
+    body('email')
+      .optional()
+      .isString()
+      .withMessage('Email must be a valid email address')
+      .bail()
+      .trim()
+      .matches(EMAIL_REGEX)
+      .withMessage('Email must be a valid email address'),
+    body('emailVerified')
+      .optional()
+      .isBoolean()
+      .withMessage('Email verified must be true or false')
+      .toBoolean(),
+    body('phoneCountry')
+      .optional({ values: 'falsy' })
+      .custom(isPhoneCountry)
+      .withMessage('Phone country must be a valid country code'),
+    // National numbers are read for phoneCountry (or the country of the stored number)
+    body('phone')
+      .optional({ values: 'falsy' })
+      .custom(phoneCheck((req) => resolvePhoneCountry(req.body, req.targetUser.phoneCountry))),
+    body('dob')
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage('Date of birth must be a valid ISO-8601 date'),
+    body('role').optional().isIn(User.ROLES).withMessage('Role is not valid'),
+  ],
+  handleValidation,
+  adminController.updateUser
+);
+
+/**
+ * POST /api/admin/users/:id/disable
+ * Disables an account and signs it out everywhere.
+ */
+router.post('/users/:id/disable', loadTargetUser, rejectSelf, requireAdminForAdmins, adminController.disableUser);
+
+/**
+ * POST /api/admin/users/:id/enable
+ * Re-enables a disabled account and clears any login lockout.
+ */
+router.post('/users/:id/enable', loadTargetUser, requireAdminForAdmins, adminController.enableUser);
+
+/**
+ * POST /api/admin/users/:id/reset-password
+ * Forces a password reset: the current password stops working for login, all sessions are
+ * revoked, and the user is emailed a reset link.
+ */
+router.post(
+  '/users/:id/reset-password',
+  loadTargetUser,
+  rejectSelf,
+  requireAdminForAdmins,
+  adminController.forcePasswordReset
+);
+
+/**
+ * DELETE /api/admin/users/:id
+ * Permanently deletes an account and its data right away (no grace period). Admin only.
+ */
+router.delete('/users/:id', authorize('admin'), loadTargetUser, rejectSelf, adminController.deleteUser);
+
+module.exports = router;
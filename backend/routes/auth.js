@@ -1,36 +1,23 @@
 /**
  * Authentication Routes
- * Handles user registration and login. Passwords are hashed with bcrypt.
+ * Handles user registration, login, session tokens and password reset. Requests are
+ * validated here and handled by controllers/authController.js.
  */
 
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 
-const User = require('../models/User');
+const authController = require('../controllers/authController');
+const { findPasswordResetUser } = require('../services/authService');
+const { requireAuth } = require('../middleware/auth');
+const { limitLoginByIp } = require('../middleware/loginThrottle');
+const { passwordValidator } = require('../utils/passwordPolicy');
+const { isPhoneCountry, phoneCheck } = require('../utils/phone');
 
 const router = express.Router();
 
-// Validation regex patterns for email and phone format checking
+// Validation regex pattern for email format checking
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/; // Matches standard email format
-const PHONE_REGEX = /^\+?[0-9\s\-()]{7,15}$/; // Matches phone numbers with optional formatting
-
-/**
- * JWT Token Generator
- * Creates a JWT token for the user. Default expiration: 7 days.
- */
-const createToken = (userId) => {
-  // Get JWT secret from environment variables (must be kept secure)
-  const secret = process.env.JWT_SECRET;
-  if (!secret) {
-    throw new Error('JWT_SECRET is not defined');
-  }
-  // Sign token with user ID and set expiration time (default 7 days)
-  return jwt.sign({ id: userId }, secret, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-  });
-};
 
 /**
  * Validation Error Handler
@@ -57,74 +44,85 @@ const handleValidation = (req, res, next) => {
 router.post(
   '/register',
   [
-    body('username').trim().notEmpty().withMessage('Username is required'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('username')
+      .isString()
+      .withMessage('Username is required')
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage('Username is required'),
+    // Password must satisfy the shared policy (and not contain the username/email)
+    passwordValidator('password'),
     body('email')
+      .isString()
+      .withMessage('Email must be a valid email address')
+      .bail()
       .trim()
       .matches(EMAIL_REGEX)
       .withMessage('Email must be a valid email address'),
+    body('phoneCountry')
+      .optional({ values: 'falsy' })
+      .custom(isPhoneCountry)
+      .withMessage('Phone country must be a valid country code'),
+    // National numbers are read for phoneCountry; international ones (+...) need no country
     body('phone')
       .optional({ values: 'falsy' })
-      .trim()
-      .matches(PHONE_REGEX)
-      .withMessage('Phone must be a valid phone number'),
+      .custom(phoneCheck((req) => req.body.phoneCountry)),
     body('dob')
       .optional({ values: 'falsy' })
       .isISO8601()
       .withMessage('Date of birth must be a valid ISO-8601 date'),
   ],
   handleValidation,
-  async (req, res) => {
-    // Extract user data from request body
-    const { username, password, email, phone, dob } = req.body;
-
-    try {
-      // Check if user already exists with same email or username (prevents duplicates)
-      // Using $or to check both fields in single database query
-      const existingUser = await User.findOne({ $or: [{ email }, { username }] });
-      if (existingUser) {
-        // Generic message doesn't reveal which field matched (security best practice)
-        return res
-          .status(400)
-          .json({ message: 'User with that username or email already exists', errors: [] });
-      }
-
-      // Create new user - password is automatically hashed by User model pre-save hook
-      const user = await User.create({ username, password, email, phone, dob });
-
-      // Return user data with JWT token for immediate authentication (password excluded)
-      return res.status(201).json({
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        token: createToken(user._id), // Generate JWT token for the new user
-      });
-    } catch (error) {
-      // Log error for debugging, return generic message to client
-      console.error('Register error:', error.message);
-      return res.status(500).json({ message: 'Server error' });
-    }
-  }
+  authController.register
 );
 
+/**
+ * GET /api/auth/password-policy
+ * Returns the password rules enforced by the server so forms can validate as the user types.
+ */
+router.get('/password-policy', authController.getPasswordPolicy);
+
+/**
+ * GET /api/auth/phone-countries
+ * Countries phone numbers can be entered for, with calling codes, for the forms' country pickers.
+ */
+router.get('/phone-countries', authController.getPhoneCountries);
+
 /**
  * POST /api/auth/login
- * Authenticates user with username/email and password. Returns JWT token.
+ * Authenticates user with username/email and password. Returns JWT token, or - when
+ * two-factor authentication is enabled - a short-lived MFA ticket for /login/mfa.
+ * Repeated failures slow down responses and temporarily lock the account (429).
+ * A deleted account (still in its grace period) is refused with accountDeleted: true unless
+ * restoreAccount is true, in which case a successful login cancels the deletion.
  */
 router.post(
   '/login',
+  limitLoginByIp,
   [
-    body('password').notEmpty().withMessage('Password is required'),
+    body('password').isString().notEmpty().withMessage('Password is required'),
     body('username')
       .optional({ values: 'falsy' })
+      .isString()
+      .withMessage('Username cannot be empty')
+      .bail()
       .trim()
       .notEmpty()
       .withMessage('Username cannot be empty'),
     body('email')
       .optional({ values: 'falsy' })
+      .isString()
+      .withMessage('Email must be a valid email address')
+      .bail()
       .trim()
       .matches(EMAIL_REGEX)
       .withMessage('Email must be a valid email address'),
+    body('restoreAccount')
+      .optional()
+      .isBoolean()
+      .withMessage('Restore account must be true or false')
+      .toBoolean(),
     body()
       .custom((value, { req }) => {
         if (!req.body.username && !req.body.email) {
@@ -134,42 +132,103 @@ router.post(
       }),
   ],
   handleValidation,
-  async (req, res) => {
-    // Extract login credentials from request body
-    const { username, password, email } = req.body;
-
-    try {
-      // Build query to find user by username or email (user can login with either)
-      const query = username ? { username } : { email };
-      const user = await User.findOne(query);
-
-      // Return generic error message if user not found (prevents user enumeration attacks)
-      // Same message as wrong password to prevent revealing if username/email exists
-      if (!user) {
-        return res.status(401).json({ message: 'Invalid credentials' });
-      }
-
-      // Compare provided password with hashed password stored in database
-      // bcrypt.compare is secure against timing attacks
-      const isMatch = await bcrypt.compare(password, user.password);
-      if (!isMatch) {
-        // Same generic error message to prevent user enumeration
-        return res.status(401).json({ message: 'Invalid credentials' });
-      }
-
-      // Authentication successful - return user data with JWT token
-      return res.json({
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        token: createToken(user._id), // Generate JWT token for authenticated session
-      });
-    } catch (error) {
-      // Log error for debugging, return generic message to client
-      console.error('Login error:', error.message);
-      return res.status(500).json({ message: 'Server error' });
-    }
-  }
+  authController.login
+);
+
+/**
+ * POST /api/auth/login/mfa
+ * Second login step for accounts with two-factor authentication. Exchanges the MFA ticket
+ * and a TOTP code (or one-time recovery code) for access + refresh tokens.
+ */
+router.post(
+  '/login/mfa',
+  limitLoginByIp,
+  [
+    body('mfaTicket').isString().notEmpty().withMessage('MFA ticket is required'),
+    body('code').isString().trim().notEmpty().withMessage('Authentication code is required'),
+  ],
+  handleValidation,
+  authController.loginWithMfa
+);
+
+/**
+ * POST /api/auth/refresh
+ * Exchanges a refresh token for a new access token and a new (rotated) refresh token.
+ * Replaying an already-used refresh token revokes the whole session.
+ */
+router.post(
+  '/refresh',
+  [body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')],
+  handleValidation,
+  authController.refresh
+);
+
+/**
+ * POST /api/auth/logout
+ * Revokes the session used to make this request. Its access and refresh tokens stop working.
+ */
+router.post('/logout', requireAuth, authController.logout);
+
+/**
+ * POST /api/auth/logout-all
+ * Revokes every session of the authenticated user, including the current one.
+ */
+router.post('/logout-all', requireAuth, authController.logoutAll);
+
+/**
+ * POST /api/auth/forgot-password
+ * Emails a single-use password reset link. Always responds the same way, whether or not
+ * the email belongs to an account (prevents user enumeration).
+ */
+router.post(
+  '/forgot-password',
+  [
+    body('email')
+      .isString()
+      .withMessage('Email must be a valid email address')
+      .bail()
+      .trim()
+      .matches(EMAIL_REGEX)
+      .withMessage('Email must be a valid email address'),
+  ],
+  handleValidation,
+  authController.forgotPassword
 );
 
+/**
+ * POST /api/auth/reset-password
+ * Sets a new password using a reset token, then revokes all existing sessions.
+ */
+router.post(
+  '/reset-password',
+  [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    // Compare against the account the token belongs to (without using the token up)
+    passwordValidator('password', (req) =>
+      typeof req.body.token === 'string' ? findPasswordResetUser(req.body.token) : null
+    ),
+  ],
+  handleValidation,
+  authController.resetPassword
+);
+
+/**
+ * GET /api/auth/verify-email
+ * Confirms an email address using the token from the emailed link. For a pending email
+ * change, the pending address becomes the login email only at this point.
+ */
+router.get(
+  '/verify-email',
+  [query('token').isString().notEmpty().withMessage('Verification token is required')],
+  handleValidation,
+  authController.verifyEmail
+);
+
+/**
+ * POST /api/auth/resend-verification
+ * Sends a new verification link for the pending email change, or for the current email
+ * if it hasn't been verified yet.
+ */
+router.post('/resend-verification', requireAuth, authController.resendVerification);
+
 module.exports = router;
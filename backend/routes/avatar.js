@@ -0,0 +1,99 @@
+/**
+ * Avatar Routes
+ * Handles uploading and removing the logged-in user's profile picture.
+ * Uploads are checked by content, cropped to a square, resized to several thumbnail sizes
+ * and stored (without EXIF metadata) through the configured storage adapter.
+ * All routes require JWT authentication. Uploads are received and validated here and
+ * handled by controllers/avatarController.js.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const config = require('../config');
+const avatarController = require('../controllers/avatarController');
+const { requireAuth } = require('../middleware/auth');
+const { fieldError, sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// Largest accepted upload in megabytes
+const AVATAR_MAX_MB = config.storage.avatarMaxMb;
+
+// Uploads are kept in memory - they are small and are never written to disk unprocessed
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AVATAR_MAX_MB * 1024 * 1024, files: 1, fields: 10 },
+});
+
+/**
+ * Validation Error Handler
+ * Returns formatted validation errors or calls next() if valid.
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+  return next();
+};
+
+/**
+ * Receive Upload Middleware
+ * Parses the multipart "avatar" file, turning upload limit errors into field errors.
+ */
+const receiveUpload = (req, res, next) => {
+  upload.single('avatar')(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      return sendError(
+        res,
+        fieldError(
+          'avatar',
+          error.code === 'LIMIT_FILE_SIZE'
+            ? `Image must be ${AVATAR_MAX_MB} MB or smaller`
+            : 'Upload a single image in the "avatar" field'
+        )
+      );
+    }
+    return next(error);
+  });
+};
+
+/**
+ * POST /api/profile/avatar
+ * Uploads a new avatar (multipart field "avatar": JPEG, PNG or WebP). Optional cropX, cropY
+ * and cropSize fields select a square in pixels of the upright image; without them the
+ * largest centered square is used. Replaces any previous avatar.
+ */
+router.post(
+  '/',
+  requireAuth,
+  receiveUpload,
+  [
+    body('cropX').optional().isInt({ min: 0 }).withMessage('Crop X must be a whole number of pixels').toInt(),
+    body('cropY').optional().isInt({ min: 0 }).withMessage('Crop Y must be a whole number of pixels').toInt(),
+    body('cropSize').optional().isInt({ min: 1 }).withMessage('Crop size must be a positive whole number').toInt(),
+    body('cropSize').custom((value, { req }) => {
+      // A crop is all three values or none (there is no body at all if nothing was uploaded)
+      const given = ['cropX', 'cropY', 'cropSize'].filter((field) => req.body?.[field] !== undefined);
+      if (given.length && given.length !== 3) {
+        throw new Error('Crop needs cropX, cropY and cropSize together');
+      }
+      return true;
+    }),
+  ],
+  handleValidation,
+  avatarController.uploadAvatar
+);
+
+/**
+ * DELETE /api/profile/avatar
+ * Removes the avatar. Succeeds even if the user has none.
+ */
+router.delete('/', requireAuth, avatarController.removeAvatar);
+
+module.exports = router;
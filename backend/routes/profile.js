@@ -1,59 +1,30 @@
 /**
  * Profile Routes
- * Handles profile retrieval and updates. All routes require JWT authentication.
+ * Handles profile retrieval and updates, and management of the user's active sessions.
+ * All routes require JWT authentication. Requests are validated here and handled by
+ * controllers/profileController.js.
  */
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
-const User = require('../models/User');
+const { body, query, validationResult } = require('express-validator');
+const profileController = require('../controllers/profileController');
+const { requireAuth } = require('../middleware/auth');
+const { passwordValidator } = require('../utils/passwordPolicy');
+const { EXPORT_FORMATS } = require('../utils/dataExport');
+const { isPhoneCountry, resolvePhoneCountry, phoneCheck } = require('../utils/phone');
 
 const router = express.Router();
 
-// Validation regex patterns for email and phone format validation
+// Validation regex pattern for email format validation
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/; // Standard email format
-const PHONE_REGEX = /^\+?[0-9\s\-()]{7,15}$/; // Phone with optional country code and formatting
 
-/**
- * Authentication Middleware
- * Verifies JWT token and attaches user to request. Returns 401 if invalid.
- */
-const requireAuth = async (req, res, next) => {
-  // Extract Authorization header from request (format: "Bearer <token>")
-  const authHeader = req.headers.authorization || '';
-  
-  // Check if header follows Bearer token format
-  if (!authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Not authorized, token missing' });
-  }
-
-  // Extract token by splitting "Bearer <token>" and taking second part
-  const token = authHeader.split(' ')[1];
-
-  try {
-    // Get JWT secret from environment variables
-    const secret = process.env.JWT_SECRET;
-    if (!secret) {
-      throw new Error('JWT_SECRET is not defined');
-    }
-
-    // Verify and decode JWT token (throws error if invalid/expired)
-    const decoded = jwt.verify(token, secret);
-    // Find user in database using ID from decoded token
-    const user = await User.findById(decoded.id);
-    if (!user) {
-      // User ID in token doesn't exist (user may have been deleted)
-      return res.status(401).json({ message: 'Not authorized' });
-    }
+// Profile fields users can change with PATCH/PUT /api/profile
+const EDITABLE_FIELDS = ['email', 'displayName', 'bio', 'phone', 'phoneCountry', 'dob', 'customFields'];
+// Media type of JSON Merge Patch documents (RFC 7396)
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
 
-    // Attach user object to request for use in route handlers
-    req.user = user;
-    next(); // Continue to next middleware/route handler
-  } catch (error) {
-    // Token verification failed (invalid, expired, or malformed)
-    return res.status(401).json({ message: 'Not authorized, token invalid' });
-  }
-};
+// Largest page of the activity timeline
+const MAX_ACTIVITY_PAGE_SIZE = 100;
 
 /**
  * Validation Error Handler
@@ -72,76 +43,244 @@ const handleValidation = (req, res, next) => {
 
 /**
  * GET /api/profile
- * Returns authenticated user's profile data.
+ * Returns authenticated user's profile data, with an ETag of its current version.
  */
-router.get('/', requireAuth, async (req, res) => {
-  // User is already attached to req by requireAuth middleware
-  const user = req.user;
-  // Return profile data with consistent format (empty string for phone, null for dob if not set)
-  return res.json({
-    id: user._id,
-    username: user.username,
-    email: user.email,
-    phone: user.phone || '', // Default to empty string if not set
-    dob: user.dob || null,   // Default to null if not set
-    createdAt: user.createdAt, // Timestamp from Mongoose timestamps
-    updatedAt: user.updatedAt, // Last update timestamp
+router.get('/', requireAuth, profileController.getProfile);
+
+/**
+ * GET /api/profile/fields
+ * Returns the custom profile field definitions, in form order, so the profile page can
+ * render inputs for them.
+ */
+router.get('/fields', requireAuth, profileController.getFields);
+
+/**
+ * Require JSON Object
+ * Rejects a missing body or one that isn't a JSON object (e.g. an array).
+ */
+const requireJsonObject = (req, res, next) => {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: [{ type: 'field', path: '', location: 'body', msg: 'Request body must be a JSON object' }],
+    });
+  }
+  return next();
+};
+
+/**
+ * Replace Editable Fields Middleware
+ * For PUT: editable fields missing from the body are cleared, as if sent as null.
+ */
+const replaceEditableFields = (req, res, next) => {
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] === undefined) req.body[field] = null;
   });
-});
+  return next();
+};
+
+// Country a submitted phone number is read for (see resolvePhoneCountry)
+const phoneCountryFor = (req) => resolvePhoneCountry(req.body, req.user.phoneCountry);
+
+// Validation shared by PATCH and PUT. Absent fields are skipped and null clears a field
+// (except email, which can't be removed); anything else must be a valid value.
+const profileUpdateValidators = [
+  body('*')
+    .custom((value, { path }) => EDITABLE_FIELDS.includes(path))
+    .withMessage((value, { path }) => `Field "${path}" can't be changed`),
+  body('email')
+    .optional()
+    .custom((value) => value !== null)
+    .withMessage('Email is required')
+    .bail()
+    .isString()
+    .trim()
+    .matches(EMAIL_REGEX)
+    .withMessage('Email must be a valid email address'),
+  body('displayName')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Display name must be text')
+    .bail()
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('Display name must be at most 60 characters'),
+  body('bio')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Bio must be text')
+    .bail()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Bio must be at most 500 characters'),
+  body('phoneCountry')
+    .optional({ values: 'null' })
+    .custom(isPhoneCountry)
+    .withMessage('Phone country must be a valid country code')
+    .bail()
+    // The stored number carries its own country, so a country alone can't change anything
+    .custom((value, { req }) => req.body.phone !== undefined)
+    .withMessage('Send the phone number together with its country'),
+  // National numbers are read for phoneCountry (or the stored country if none is sent)
+  body('phone')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Phone must be a valid phone number')
+    .bail()
+    .custom(phoneCheck(phoneCountryFor)),
+  body('dob')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Date of birth must be a valid ISO-8601 date'),
+];
+
+/**
+ * PATCH /api/profile
+ * Partial update as a JSON Merge Patch (RFC 7396, application/merge-patch+json; plain
+ * application/json is accepted too): fields left out are kept, null clears a field, and
+ * customFields is merged key by key the same way. Send the ETag from GET as If-Match to get
+ * 412 (with the current profile) instead of overwriting changes saved elsewhere in the meantime.
+ */
+router.patch(
+  '/',
+  express.json({ type: MERGE_PATCH_TYPE }),
+  (req, res, next) => {
+    if (!req.is(['application/json', MERGE_PATCH_TYPE])) {
+      res.set('Accept-Patch', MERGE_PATCH_TYPE);
+      return res.status(415).json({ message: `Send the changes as ${MERGE_PATCH_TYPE}` });
+    }
+    return next();
+  },
+  requireAuth,
+  profileController.requireCurrentVersion,
+  requireJsonObject,
+  profileUpdateValidators,
+  handleValidation,
+  profileController.updateProfile({ replace: false })
+);
 
 /**
  * PUT /api/profile
- * Updates user profile fields (email, phone, dob). Only provided fields are updated.
+ * Replaces the editable profile fields (email, displayName, bio, phone, phoneCountry, dob,
+ * customFields): fields left out are cleared, so email must always be sent. Use PATCH to
+ * change only some fields. Honours If-Match like PATCH.
  */
 router.put(
   '/',
   requireAuth,
+  profileController.requireCurrentVersion,
+  requireJsonObject,
+  replaceEditableFields,
+  profileUpdateValidators,
+  handleValidation,
+  profileController.updateProfile({ replace: true })
+);
+
+/**
+ * DELETE /api/profile
+ * Deletes the account after confirming the password. The account stops working at once
+ * (all sessions are revoked) and is purged after the grace period; logging in again before
+ * then, choosing to restore, cancels the deletion.
+ */
+router.delete(
+  '/',
+  requireAuth,
+  [body('password').isString().notEmpty().withMessage('Password is required')],
+  handleValidation,
+  profileController.deleteProfile
+);
+
+/**
+ * PUT /api/profile/privacy
+ * Sets who can see each field on the public profile. Body: { privacy: { field: level } }
+ * with level "public", "members" (logged-in users) or "private". Only listed fields change.
+ */
+router.put('/privacy', requireAuth, profileController.requireCurrentVersion, profileController.updatePrivacy);
+
+/**
+ * PUT /api/profile/password
+ * Changes the password after confirming the current one. Signs out all other sessions;
+ * the session making the request stays logged in.
+ */
+router.put(
+  '/password',
+  requireAuth,
   [
-    body('email')
-      .optional({ values: 'falsy' })
-      .trim()
-      .matches(EMAIL_REGEX)
-      .withMessage('Email must be a valid email address'),
-    body('phone')
-      .optional({ values: 'falsy' })
-      .trim()
-      .matches(PHONE_REGEX)
-      .withMessage('Phone must be a valid phone number'),
-    body('dob')
-      .optional({ values: 'falsy' })
-      .isISO8601()
-      .withMessage('Date of birth must be a valid ISO-8601 date'),
+    body('currentPassword').isString().notEmpty().withMessage('Current password is required'),
+    // Same policy as registration, checked against the logged-in user's username/email
+    passwordValidator('newPassword', (req) => req.user).custom((value, { req }) => {
+      if (value === req.body.currentPassword) {
+        throw new Error('New password must be different from the current password');
+      }
+      return true;
+    }),
   ],
   handleValidation,
-  async (req, res) => {
-    // Extract only updateable fields from request body (default to empty object if undefined)
-    const { email, phone, dob } = req.body || {};
-
-    try {
-      // Only update fields that are explicitly provided - allows partial updates
-      // Using !== undefined allows setting fields to empty/null values
-      if (email !== undefined) req.user.email = email;
-      if (phone !== undefined) req.user.phone = phone;
-      // Convert ISO date string to Date object, or set to null if empty string
-      if (dob !== undefined) req.user.dob = dob ? new Date(dob) : null;
-
-      // Save updated user to database (Mongoose automatically updates updatedAt timestamp)
-      const saved = await req.user.save();
-      // Return updated profile in same format as GET endpoint
-      return res.json({
-        id: saved._id,
-        username: saved.username,
-        email: saved.email,
-        phone: saved.phone || '',
-        dob: saved.dob || null,
-        createdAt: saved.createdAt,
-        updatedAt: saved.updatedAt,
-      });
-    } catch (error) {
-      // Handle database or server errors with generic message
-      return res.status(500).json({ message: 'Server error' });
-    }
-  }
+  profileController.changePassword
+);
+
+/**
+ * GET /api/profile/sessions
+ * Lists the authenticated user's active sessions (devices), most recently used first.
+ */
+router.get('/sessions', requireAuth, profileController.listSessions);
+
+/**
+ * DELETE /api/profile/sessions/:id
+ * Revokes one of the authenticated user's sessions (signs that device out).
+ */
+router.delete('/sessions/:id', requireAuth, profileController.revokeSession);
+
+/**
+ * GET /api/profile/activity
+ * Lists events on the authenticated user's account (profile changes, logins, security
+ * changes), newest first. Pass the returned nextCursor as "before" to get older events.
+ */
+router.get(
+  '/activity',
+  requireAuth,
+  [
+    // A parameter sent more than once arrives as an array - refuse it rather than use either value
+    query('limit')
+      .optional()
+      .isString()
+      .withMessage('Limit must be given once')
+      .bail()
+      .isInt({ min: 1, max: MAX_ACTIVITY_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${MAX_ACTIVITY_PAGE_SIZE}`)
+      .toInt(),
+    query('before')
+      .optional()
+      .isString()
+      .withMessage('Cursor must be given once')
+      .bail()
+      .isMongoId()
+      .withMessage('Cursor is not valid'),
+  ],
+  handleValidation,
+  profileController.getActivity
+);
+
+/**
+ * GET /api/profile/export?format=json|csv
+ * Downloads everything stored about the authenticated user: profile (including privacy
+ * settings and custom fields), account status, all sessions (including ended ones) and the
+ * account's audit events. Password hashes, tokens and 2FA secrets are never included.
+ */
+router.get(
+  '/export',
+  requireAuth,
+  [
+    query('format')
+      .optional()
+      .isString()
+      .withMessage('Format must be given once')
+      .bail()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  ],
+  handleValidation,
+  profileController.exportProfile
 );
 
 module.exports = router;
\ No newline at end of file
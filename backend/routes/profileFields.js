@@ -0,0 +1,135 @@
+/**
+ * Profile Field Routes
+ * Lets administrators define the custom fields shown on every user's profile. Staff can
+ * list definitions; creating, editing and deleting them requires the admin role. Handlers
+ * are in controllers/profileFieldController.js.
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ProfileField = require('../models/ProfileField');
+const profileFieldController = require('../controllers/profileFieldController');
+const { requireAuth, authorize } = require('../middleware/auth');
+const { isBuiltInField } = require('../utils/profilePrivacy');
+
+const router = express.Router();
+
+// Every route in this file needs a logged-in support/admin user
+router.use(requireAuth, authorize('admin', 'support'));
+
+/**
+ * Validation Error Handler
+ * Returns formatted validation errors or calls next() if valid.
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+  return next();
+};
+
+/**
+ * Definition Validators
+ * Shared by create and update. On update every field is optional.
+ */
+const definitionValidators = (isUpdate) => {
+  const maybe = (chain) => (isUpdate ? chain.optional() : chain);
+  const optionalNumber = (field, message) =>
+    body(`rules.${field}`).optional({ values: 'null' }).isNumeric().withMessage(message).toFloat();
+  return [
+    maybe(body('label'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 80 })
+      .withMessage('Label must be 1-80 characters'),
+    maybe(body('type'))
+      .isIn(ProfileField.FIELD_TYPES)
+      .withMessage(`Type must be one of: ${ProfileField.FIELD_TYPES.join(', ')}`),
+    body('helpText')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Help text must be at most 200 characters'),
+    body('required').optional().isBoolean().withMessage('Required must be true or false').toBoolean(),
+    body('visibility').optional().isIn(ProfileField.VISIBILITIES).withMessage('Visibility must be public or private'),
+    body('order').optional().isInt().withMessage('Order must be a whole number').toInt(),
+    body('options').optional().isArray({ max: 100 }).withMessage('Options must be a list'),
+    body('options.*').isString().trim().notEmpty().withMessage('Options cannot be empty'),
+    body('rules').optional().isObject().withMessage('Rules must be an object'),
+    optionalNumber('minLength', 'Minimum length must be a number'),
+    optionalNumber('maxLength', 'Maximum length must be a number'),
+    optionalNumber('min', 'Minimum must be a number'),
+    optionalNumber('max', 'Maximum must be a number'),
+    body('rules.pattern')
+      .optional({ values: 'falsy' })
+      .isString()
+      .custom((value) => {
+        // Reject patterns that don't compile, so saving a profile never throws
+        RegExp(value);
+        return true;
+      })
+      .withMessage('Pattern must be a valid regular expression'),
+    body('rules.patternMessage').optional().isString().trim(),
+  ];
+};
+
+/**
+ * GET /api/admin/profile-fields
+ * Lists all custom field definitions in form order.
+ */
+router.get('/', profileFieldController.listFields);
+
+/**
+ * POST /api/admin/profile-fields
+ * Creates a field definition. Admin only.
+ */
+router.post(
+  '/',
+  authorize('admin'),
+  [
+    body('key')
+      .isString()
+      .matches(ProfileField.KEY_REGEX)
+      .withMessage('Key must start with a lowercase letter and contain only letters and digits (max 40)')
+      .bail()
+      .not()
+      .custom(isBuiltInField)
+      .withMessage('Key is already used by a built-in profile field'),
+    ...definitionValidators(false),
+  ],
+  handleValidation,
+  profileFieldController.createField
+);
+
+/**
+ * PUT /api/admin/profile-fields/:id
+ * Updates a field definition. The key can't change (stored values are keyed by it); stored
+ * values that don't fit a new type or rules are hidden until they fit again. Admin only.
+ */
+router.put(
+  '/:id',
+  authorize('admin'),
+  profileFieldController.loadField,
+  [
+    body('key')
+      .optional()
+      .custom((value, { req }) => value === req.field.key)
+      .withMessage('Key cannot be changed'),
+    ...definitionValidators(true),
+  ],
+  handleValidation,
+  profileFieldController.updateField
+);
+
+/**
+ * DELETE /api/admin/profile-fields/:id
+ * Deletes a field definition and removes its values from every user. Admin only.
+ */
+router.delete('/:id', authorize('admin'), profileFieldController.loadField, profileFieldController.deleteField);
+
+module.exports = router;
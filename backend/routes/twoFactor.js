@@ -0,0 +1,92 @@
+/**
+ * Two-Factor Authentication Routes
+ * Handles TOTP enrollment, recovery codes and disabling 2FA for the logged-in user.
+ * All routes require JWT authentication. Requests are validated here and handled by
+ * controllers/twoFactorController.js.
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const twoFactorController = require('../controllers/twoFactorController');
+const { requireAuth } = require('../middleware/auth');
+const { limitLoginByIp } = require('../middleware/loginThrottle');
+
+const router = express.Router();
+
+/**
+ * Validation Error Handler
+ * Returns formatted validation errors or calls next() if valid.
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+  return next();
+};
+
+// Every route checks a password or code, so guesses are throttled like login attempts: per
+// IP here, per account in services/twoFactorService.js
+
+/**
+ * POST /api/profile/2fa/setup
+ * Starts enrollment after confirming the account password: generates a new secret and
+ * returns it with its otpauth URI and a QR code. 2FA is not active until the first code is
+ * confirmed via /confirm.
+ */
+router.post(
+  '/setup',
+  limitLoginByIp,
+  requireAuth,
+  [body('password').isString().notEmpty().withMessage('Password is required')],
+  handleValidation,
+  twoFactorController.setup
+);
+
+/**
+ * POST /api/profile/2fa/confirm
+ * Finishes enrollment with a code from the authenticator app. Enables 2FA and returns
+ * one-time recovery codes - they are only shown this once.
+ */
+router.post(
+  '/confirm',
+  limitLoginByIp,
+  requireAuth,
+  [body('code').isString().trim().notEmpty().withMessage('Authentication code is required')],
+  handleValidation,
+  twoFactorController.confirm
+);
+
+/**
+ * POST /api/profile/2fa/recovery-codes
+ * Replaces all recovery codes with a new set. Requires a current TOTP or recovery code.
+ */
+router.post(
+  '/recovery-codes',
+  limitLoginByIp,
+  requireAuth,
+  [body('code').isString().trim().notEmpty().withMessage('Authentication code is required')],
+  handleValidation,
+  twoFactorController.regenerateRecoveryCodes
+);
+
+/**
+ * POST /api/profile/2fa/disable
+ * Turns 2FA off. Requires the account password and a current TOTP or recovery code.
+ */
+router.post(
+  '/disable',
+  limitLoginByIp,
+  requireAuth,
+  [
+    body('password').isString().notEmpty().withMessage('Password is required'),
+    body('code').isString().trim().notEmpty().withMessage('Authentication code is required'),
+  ],
+  handleValidation,
+  twoFactorController.disable
+);
+
+module.exports = router;
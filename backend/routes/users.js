@@ -0,0 +1,110 @@
+/**
+ * User Routes
+ * Public view of other users' profiles. Anyone can call these routes; logged-in users may
+ * see more, depending on each user's privacy settings. Handlers are in
+ * controllers/userController.js.
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const userController = require('../controllers/userController');
+const { SORTS, decodeCursor } = userController;
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Largest directory page size
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Validation Error Handler
+ * Returns formatted validation errors or calls next() if valid.
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+  return next();
+};
+
+/**
+ * GET /api/users
+ * User directory. Optional "search" matches the start of the username or any of its words,
+ * and - where the user lets the caller see them - of the display name or any of its words, or
+ * of the email. "registeredAfter"/"registeredBefore" filter by sign-up date, "sort" is "name"
+ * or "createdAt" with "order", and results are paged with "limit" and the "nextCursor" of the
+ * previous page.
+ */
+router.get(
+  '/',
+  optionalAuth,
+  [
+    // A parameter sent more than once arrives as an array - refuse it rather than use either value
+    query('search')
+      .optional()
+      .isString()
+      .withMessage('Search must be given once')
+      .bail()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search is too long'),
+    query('sort')
+      .optional()
+      .isString()
+      .withMessage('Sort must be given once')
+      .bail()
+      .isIn(Object.keys(SORTS))
+      .withMessage('Sort must be name or createdAt'),
+    query('order')
+      .optional()
+      .isString()
+      .withMessage('Order must be given once')
+      .bail()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be asc or desc'),
+    query('limit')
+      .optional()
+      .isString()
+      .withMessage('Limit must be given once')
+      .bail()
+      .isInt({ min: 1, max: MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+      .toInt(),
+    query('registeredAfter')
+      .optional()
+      .isString()
+      .withMessage('Registered after must be given once')
+      .bail()
+      .isISO8601()
+      .withMessage('Registered after must be a date'),
+    query('registeredBefore')
+      .optional()
+      .isString()
+      .withMessage('Registered before must be given once')
+      .bail()
+      .isISO8601()
+      .withMessage('Registered before must be a date'),
+    query('cursor')
+      .optional()
+      .isString()
+      .withMessage('Cursor must be given once')
+      .bail()
+      .custom((value, { req }) => Boolean(decodeCursor(value, SORTS[req.query.sort || 'name']?.field)))
+      .withMessage('Cursor is not valid'),
+  ],
+  handleValidation,
+  userController.listUsers
+);
+
+/**
+ * GET /api/users/:username
+ * Returns the public profile of a user: the username plus every field the caller is allowed
+ * to see. Disabled and deleted accounts are reported as not found.
+ */
+router.get('/:username', optionalAuth, userController.getPublicProfile);
+
+module.exports = router;
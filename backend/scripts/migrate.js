@@ -0,0 +1,68 @@
+/**
+ * Migrate Command
+ * Applies pending database migrations from backend/migrations, in file name order:
+ *
+ *   npm run migrate
+ *
+ * Applied migrations are recorded in the "migrations" collection, so each runs once and it
+ * is safe to run again (e.g. on every deploy).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const connectDB = require('../db');
+
+// Folder holding the migration files (NNN-description.js)
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+/**
+ * Migrate
+ * Runs every migration not yet recorded as applied. Returns the names that were applied.
+ */
+const migrate = async (db = mongoose.connection.db) => {
+  const applied = db.collection('migrations');
+  const names = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => file.endsWith('.js'))
+    .map((file) => path.basename(file, '.js'))
+    .sort();
+
+  const ran = [];
+  for (const name of names) {
+    // Sequential on purpose - later migrations may rely on earlier ones
+    if (await applied.findOne({ _id: name })) continue;
+
+    const migration = require(path.join(MIGRATIONS_DIR, name));
+    console.log(`Applying ${name}: ${migration.description}`);
+    await migration.up(db, (line) => console.log(`  ${line}`));
+    await applied.insertOne({ _id: name, appliedAt: new Date() });
+    ran.push(name);
+  }
+  return ran;
+};
+
+/**
+ * Run
+ * Connects to MongoDB, applies pending migrations, and disconnects.
+ */
+const run = async () => {
+  try {
+    await connectDB();
+    const ran = await migrate();
+    console.log(ran.length ? `Applied ${ran.length} migration(s)` : 'Database is up to date');
+    process.exitCode = 0;
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = migrate;
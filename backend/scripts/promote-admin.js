@@ -0,0 +1,68 @@
+/**
+ * Promote Admin Command
+ * Gives an existing account the admin role. Used to bootstrap the first administrator:
+ *
+ *   npm run promote-admin -- <username or email> [--force]
+ *
+ * Refuses to run if an admin already exists, unless --force is given (further admins
+ * should normally be promoted through the admin API).
+ */
+
+const mongoose = require('mongoose');
+
+const connectDB = require('../db');
+const { userRepository } = require('../repositories');
+
+/**
+ * Promote Admin
+ * Finds the account by username or email and sets its role to admin.
+ */
+const promoteAdmin = async (identifier, { force = false } = {}) => {
+  if (!identifier) {
+    throw new Error('Usage: npm run promote-admin -- <username or email> [--force]');
+  }
+
+  const existingAdmin = await userRepository.findWithRole('admin');
+  if (existingAdmin && !force) {
+    throw new Error(
+      `An admin already exists (${existingAdmin.username}). Use --force to promote another account.`
+    );
+  }
+
+  const user = await userRepository.findByUsernameOrEmail(identifier);
+  if (!user) {
+    throw new Error(`No user found with username or email "${identifier}"`);
+  }
+
+  user.role = 'admin';
+  await userRepository.save(user);
+  return user;
+};
+
+/**
+ * Run
+ * Parses command-line arguments, connects to MongoDB, promotes, and disconnects.
+ */
+const run = async () => {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const identifier = args.find((arg) => !arg.startsWith('--'));
+
+  try {
+    await connectDB();
+    const user = await promoteAdmin(identifier, { force });
+    console.log(`${user.username} is now an admin`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = promoteAdmin;
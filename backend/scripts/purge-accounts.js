@@ -0,0 +1,34 @@
+/**
+ * Purge Accounts Command
+ * Permanently removes deleted accounts whose grace period has ended. The server already does
+ * this periodically; this runs it once, e.g. from a scheduled task:
+ *
+ *   npm run purge-accounts
+ */
+
+const mongoose = require('mongoose');
+
+const connectDB = require('../db');
+const { purgeDueAccounts } = require('../services/accountService');
+
+/**
+ * Run
+ * Connects to MongoDB, purges due accounts, and disconnects.
+ */
+const run = async () => {
+  try {
+    await connectDB();
+    const purged = await purgeDueAccounts();
+    console.log(`Purged ${purged} deleted account(s)`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
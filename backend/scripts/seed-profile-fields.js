@@ -0,0 +1,85 @@
+/**
+ * Seed Profile Fields Command
+ * Creates a starter set of custom profile fields (job title, department, pronouns, address
+ * and social links):
+ *
+ *   npm run seed-profile-fields
+ *
+ * Fields that already exist (by key) are left untouched, so it is safe to run again.
+ * Edit or remove the fields afterwards through the admin API or dashboard.
+ */
+
+const mongoose = require('mongoose');
+
+const connectDB = require('../db');
+const { profileFieldRepository } = require('../repositories');
+
+// Starter field definitions
+const DEFAULT_FIELDS = [
+  { key: 'jobTitle', label: 'Job title', type: 'text', visibility: 'public', rules: { maxLength: 100 } },
+  { key: 'department', label: 'Department', type: 'text', visibility: 'public', rules: { maxLength: 100 } },
+  {
+    key: 'pronouns',
+    label: 'Pronouns',
+    type: 'text',
+    visibility: 'public',
+    helpText: 'For example she/her, he/him or they/them',
+    rules: { maxLength: 40 },
+  },
+  { key: 'address', label: 'Address', type: 'textarea', visibility: 'private', rules: { maxLength: 500 } },
+  { key: 'website', label: 'Website', type: 'url', visibility: 'public' },
+  {
+    key: 'linkedin',
+    label: 'LinkedIn',
+    type: 'url',
+    visibility: 'public',
+    rules: { pattern: '^https://([a-z]+\\.)?linkedin\\.com/', patternMessage: 'LinkedIn must be a linkedin.com link' },
+  },
+  {
+    key: 'github',
+    label: 'GitHub',
+    type: 'url',
+    visibility: 'public',
+    rules: { pattern: '^https://github\\.com/', patternMessage: 'GitHub must be a github.com link' },
+  },
+];
+
+/**
+ * Seed Profile Fields
+ * Inserts the default fields that don't exist yet. Returns the keys that were created.
+ */
+const seedProfileFields = async (fields = DEFAULT_FIELDS) => {
+  const created = [];
+  for (const [index, field] of fields.entries()) {
+    // Sequential on purpose - keeps creation order (and so default form order) stable
+    if (!(await profileFieldRepository.findByKey(field.key))) {
+      await profileFieldRepository.create({ order: (index + 1) * 10, ...field });
+      created.push(field.key);
+    }
+  }
+  return created;
+};
+
+/**
+ * Run
+ * Connects to MongoDB, seeds the fields, and disconnects.
+ */
+const run = async () => {
+  try {
+    await connectDB();
+    const created = await seedProfileFields();
+    console.log(created.length ? `Created fields: ${created.join(', ')}` : 'All fields already exist');
+    process.exitCode = 0;
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = seedProfileFields;
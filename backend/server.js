@@ -1,24 +1,41 @@
 /**
  * Express Server Setup
- * Main entry point. Configures middleware, routes, and starts the server.
+ * Main entry point. Configures middleware and routes, and starts the server when run
+ * directly (node server.js). Requiring the module (e.g. from tests) only returns the app.
  */
 
 const express = require('express');
 const cors = require('cors');
-const dotenv = require('dotenv');
 const path = require('path');
 
-const connectDB = require('./db');
+// Loaded first: stops with a list of every configuration problem before anything else runs
+const config = require('./config');
+const logger = require('./utils/logger');
+const { requestId, accessLog } = require('./middleware/requestLogger');
+const { connectDatabase } = require('./repositories');
 const authRoutes = require('./routes/auth');
 const profileRoutes = require('./routes/profile');
-
-// Load environment variables from .env file
-dotenv.config();
+const twoFactorRoutes = require('./routes/twoFactor');
+const avatarRoutes = require('./routes/avatar');
+const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const profileFieldRoutes = require('./routes/profileFields');
+const localUploads = require('./storage/adapters/local');
+const { startAccountPurgeJob } = require('./jobs/accountPurge');
 
 const app = express();
 
-// CORS middleware allows frontend to make requests from different origin/port
-app.use(cors());
+// Behind a reverse proxy (e.g. Azure App Service) req.ip would be the proxy's address for
+// every request, breaking per-IP login limits - TRUST_PROXY sets how many hops to trust
+if (config.trustProxy !== false) {
+  app.set('trust proxy', config.trustProxy);
+}
+
+// Request IDs (X-Request-Id) and access logs cover every request, including static files
+app.use(requestId);
+app.use(accessLog);
+// CORS middleware lets the origins in CORS_ORIGINS call the API from a browser ("*" allows any)
+app.use(cors({ origin: config.corsOrigins.includes('*') ? true : [...config.corsOrigins] }));
 // JSON parser middleware converts request body to JavaScript object
 app.use(express.json());
 
@@ -27,10 +44,26 @@ app.use(express.json());
 app.use('/api/auth', authRoutes);
 // Profile routes handle profile retrieval and updates (requires authentication)
 app.use('/api/profile', profileRoutes);
+// Two-factor routes handle TOTP enrollment and recovery codes (requires authentication)
+app.use('/api/profile/2fa', twoFactorRoutes);
+// Avatar routes handle profile picture upload/removal (requires JWT)
+app.use('/api/profile/avatar', avatarRoutes);
+// Public user profiles (optional JWT - logged-in users may see more)
+app.use('/api/users', userRoutes);
+// Custom profile field definitions (mounted before /api/admin so it isn't shadowed)
+app.use('/api/admin/profile-fields', profileFieldRoutes);
+// Admin routes handle user management for support staff (requires admin/support role)
+app.use('/api/admin', adminRoutes);
 // Root route serves the login page when accessing the base URL
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../frontend/login.html'));
 });
+// Uploaded files stored by the local storage adapter - names change on every upload, so
+// they can be cached for a long time
+app.use(
+  localUploads.PUBLIC_PATH,
+  express.static(localUploads.getUploadsDir(), { maxAge: '365d', immutable: true, index: false })
+);
 // Static file middleware serves frontend files (HTML, CSS, JS) from frontend directory
 app.use(express.static(path.join(__dirname, '../frontend')));
 
@@ -41,7 +74,10 @@ app.use('/api', (req, res, next) => {
 
 // Global error handler - catches errors and returns JSON responses for API routes
 app.use((err, req, res, next) => {
-  console.error(err);
+  // Expected client errors (e.g. malformed JSON) are already in the access log
+  if (!err.status || err.status >= 500) {
+    logger.error('Unhandled error', { error: err, method: req.method, path: req.originalUrl });
+  }
   // Only handle errors for API routes, pass others to default Express handler
   if (req.path.startsWith('/api')) {
     return res.status(err.status || 500).json({ message: err.message || 'Server error' });
@@ -49,8 +85,8 @@ app.use((err, req, res, next) => {
   next(err);
 });
 
-// Port number from environment variable (Azure sets this) or default to 5000 for local
-const PORT = process.env.PORT || 5000;
+// Port number from the PORT environment variable (Azure sets this), 5000 by default
+const PORT = config.port;
 
 /**
  * Start Server
@@ -58,19 +94,24 @@ const PORT = process.env.PORT || 5000;
  */
 const startServer = async () => {
   try {
-    // Establish connection to MongoDB before starting server
-    await connectDB();
+    // Connect to the database selected by DATABASE_DRIVER before starting server
+    await connectDatabase();
+    // Permanently remove deleted accounts once their grace period is over
+    startAccountPurgeJob();
     // Start listening for incoming HTTP requests on specified port
     app.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`);
+      logger.info('Server started', { port: PORT, env: config.env });
     });
   } catch (error) {
     // If database connection fails, log error and exit process
-    console.error('Failed to start server', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 };
 
-startServer();
+// Only start when run directly - tests require the app and connect it themselves
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
@@ -0,0 +1,90 @@
+/**
+ * Account Service
+ * The account lifecycle: deletion by the owner (with a grace period), restoring it, and
+ * permanently purging an account with everything stored about it.
+ */
+
+const { userRepository, sessionRepository, auditLogRepository } = require('../repositories');
+const { getStorage } = require('../storage');
+const { sendAccountDeletionEmail } = require('../mail/messages');
+const { recordAudit } = require('../utils/audit');
+const { fieldError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+/**
+ * Delete Account
+ * Deletes the user's own account after confirming the password. The account stops working
+ * at once (all sessions are revoked) and is purged after the grace period. Resolves to the
+ * purge date. Throws 400 if the password is wrong.
+ */
+const deleteAccount = async (req, user, password) => {
+  // Re-check the password so a hijacked session alone can't delete the account
+  if (!(await user.matchPassword(password))) {
+    throw fieldError('password', 'Password is incorrect');
+  }
+
+  const purgeAt = user.scheduleDeletion();
+  await userRepository.save(user);
+  await sessionRepository.revokeAllForUser(user._id, 'account-deleted');
+  await recordAudit(req, { action: 'account.delete', details: { purgeAt } });
+
+  try {
+    await sendAccountDeletionEmail(user, purgeAt);
+  } catch (mailError) {
+    // The deletion stands - the email is only a confirmation
+    logger.error('Account deletion email error', { error: mailError });
+  }
+  return purgeAt;
+};
+
+/**
+ * Restore Account
+ * Cancels a pending deletion as part of a successful login.
+ */
+const restoreAccount = async (req, user) => {
+  user.cancelDeletion();
+  await userRepository.save(user);
+  await recordAudit(req, { action: 'account.restore', actor: user._id });
+};
+
+/**
+ * Purge User
+ * Deletes a user and everything stored about them. Used by the purge job and by the admin
+ * API for immediate deletion. Audit entries where the user only acted on other accounts
+ * (staff actions) are kept, as they belong to those accounts' history.
+ */
+const purgeUser = async (user) => {
+  await sessionRepository.deleteAllForUser(user._id);
+  await auditLogRepository.deleteForTarget(user._id);
+  await userRepository.deleteById(user._id);
+  // Uploaded files aren't needed any more - a failed removal only leaves orphaned files
+  await Promise.all(Object.values(user.getAvatarKeys()).map((key) => getStorage().remove(key))).catch(
+    (error) => logger.error('Purge avatar error', { error })
+  );
+};
+
+/**
+ * Purge Due Accounts
+ * Purges every deleted account whose grace period has ended. One failure doesn't stop the
+ * rest (it is retried on the next run). Returns the number of accounts purged.
+ */
+const purgeDueAccounts = async (now = new Date()) => {
+  const users = await userRepository.findDueForPurge(now);
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeUser(user);
+      purged += 1;
+    } catch (error) {
+      logger.error('Purge account error', { error, userId: user._id });
+    }
+  }
+  return purged;
+};
+
+module.exports = {
+  deleteAccount,
+  restoreAccount,
+  purgeUser,
+  purgeDueAccounts,
+};
@@ -0,0 +1,162 @@
+/**
+ * Admin Service
+ * User management for support staff and administrators: listing, editing, disabling,
+ * forced password resets and immediate deletion. Permission rules that depend on the
+ * change being made (role changes) are enforced here; failures are thrown as HttpErrors.
+ */
+
+const { userRepository, sessionRepository } = require('../repositories');
+const { revokeAllSessions } = require('./sessionService');
+const { purgeUser } = require('./accountService');
+const { sendPasswordResetEmail } = require('../mail/messages');
+const { snapshotProfile, diffChanges, recordAudit } = require('../utils/audit');
+const { parsePhone, resolvePhoneCountry } = require('../utils/phone');
+const { HttpError } = require('../utils/httpError');
+
+/**
+ * List Users
+ * One page of users matching the filters. Resolves to { users, total }.
+ */
+const listUsers = (options) => userRepository.list(options);
+
+/**
+ * Get User
+ * The user with this ID. Throws 404 if there is none.
+ */
+const getUser = async (id) => {
+  const user = await userRepository.findById(id);
+  if (!user) {
+    throw new HttpError(404, 'User not found');
+  }
+  return user;
+};
+
+/**
+ * Count Active Sessions
+ * Number of devices the user is currently signed in on.
+ */
+const countActiveSessions = (user) => sessionRepository.countActiveForUser(user._id);
+
+/**
+ * Update User
+ * Applies staff changes to an account. Only provided fields are changed; email is set
+ * directly (staff fixing an account) and replaces any pending change. Role changes are
+ * admin-only, and admins can't change their own role. Resolves to the saved user.
+ */
+const updateUser = async (req, user, changes) => {
+  const { username, email, emailVerified, phone, dob, role } = changes;
+
+  if (role !== undefined && role !== user.role) {
+    if (req.user.role !== 'admin') {
+      throw new HttpError(403, 'Only administrators can change roles');
+    }
+    if (String(user._id) === String(req.user._id)) {
+      throw new HttpError(400, 'You cannot change your own role');
+    }
+  }
+
+  const before = snapshotProfile(user);
+
+  // Username/email must stay unique across accounts
+  const existing = await userRepository.findTaken(
+    {
+      username: username !== undefined && username !== user.username ? username : undefined,
+      email: email !== undefined && email.toLowerCase() !== user.email ? email.toLowerCase() : undefined,
+    },
+    user._id
+  );
+  if (existing) {
+    throw new HttpError(400, 'Another user already has that username or email', { body: { errors: [] } });
+  }
+
+  if (username !== undefined) user.username = username;
+  if (email !== undefined) {
+    user.email = email;
+    // A directly set email replaces any pending change
+    user.pendingEmail = undefined;
+  }
+  if (emailVerified !== undefined) user.emailVerified = emailVerified;
+  if (phone !== undefined) {
+    // Stored in E.164 format with its country ('' clears both)
+    const parsed = phone
+      ? parsePhone(phone, resolvePhoneCountry(changes, user.phoneCountry))
+      : { phone: '', country: null };
+    user.phone = parsed.phone;
+    user.phoneCountry = parsed.country;
+  }
+  if (dob !== undefined) user.dob = dob ? new Date(dob) : null;
+  if (role !== undefined) user.role = role;
+
+  // New profile version - the user's open profile page gets 412 instead of overwriting this
+  const saved = await userRepository.save(user, { newVersion: true });
+  const changed = diffChanges(before, snapshotProfile(saved));
+  if (changed.length) {
+    await recordAudit(req, { action: 'admin.user_update', target: user._id, changes: changed });
+  }
+  return saved;
+};
+
+/**
+ * Disable User
+ * Disables an account and signs it out everywhere.
+ */
+const disableUser = async (req, user) => {
+  user.disabled = true;
+  user.disabledAt = new Date();
+  await userRepository.save(user);
+  // Existing sessions stop working immediately
+  await revokeAllSessions(user._id, 'account-disabled');
+  await recordAudit(req, { action: 'admin.user_disable', target: user._id });
+  return user;
+};
+
+/**
+ * Enable User
+ * Re-enables a disabled account and clears any login lockout.
+ */
+const enableUser = async (req, user) => {
+  user.disabled = false;
+  user.disabledAt = null;
+  user.failedLoginAttempts = 0;
+  user.lockUntil = null;
+  await userRepository.save(user);
+  await recordAudit(req, { action: 'admin.user_enable', target: user._id });
+  return user;
+};
+
+/**
+ * Force Password Reset
+ * The current password stops working for login, all sessions are revoked, and the user is
+ * emailed a reset link.
+ */
+const forcePasswordReset = async (req, user) => {
+  user.mustResetPassword = true;
+  const resetToken = user.createPasswordResetToken();
+  await userRepository.save(user);
+
+  await revokeAllSessions(user._id, 'forced-password-reset');
+  await recordAudit(req, { action: 'admin.password_reset', target: user._id });
+  await sendPasswordResetEmail(user, resetToken);
+  return user;
+};
+
+/**
+ * Delete User
+ * Permanently deletes an account and its data right away (no grace period).
+ */
+const deleteUser = async (req, user) => {
+  await purgeUser(user);
+  // The log keeps the ID of the deleted account (its data is gone)
+  await recordAudit(req, { action: 'admin.user_delete', target: user._id });
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  countActiveSessions,
+  updateUser,
+  disableUser,
+  enableUser,
+  forcePasswordReset,
+  deleteUser,
+};
@@ -0,0 +1,340 @@
+/**
+ * Auth Service
+ * Registration, login (with two-factor authentication and lockout), logout, password reset
+ * and email verification. Failures are thrown as HttpErrors for the controller to send.
+ */
+
+const { userRepository } = require('../repositories');
+const { issueTokens, revokeSession, revokeAllSessions } = require('./sessionService');
+const { restoreAccount } = require('./accountService');
+const {
+  lockedError,
+  getAccountLock,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require('./loginThrottleService');
+const { createMfaTicket, verifyMfaTicket, hashToken } = require('../utils/tokens');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../mail/messages');
+const { maskEmail, snapshotProfile, diffChanges, recordAudit } = require('../utils/audit');
+const { HttpError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+// Message returned while an account is temporarily locked
+const LOCKED_MESSAGE = 'Too many failed login attempts. Please try again later.';
+// 2FA fields needed to check a login code, which are excluded from queries by default
+const LOGIN_CODE_FIELDS = ['twoFactorSecret', 'twoFactorLastUsedStep', 'recoveryCodeHashes'];
+
+/**
+ * Record Login Failure Event
+ * Audits a refused login. For unknown accounts the attempted identifier is kept (masked if
+ * it is an email) so repeated guessing can still be traced.
+ */
+const auditLoginFailure = (req, user, identifier, reason) => {
+  const details = { reason };
+  if (!user) details.identifier = identifier.includes('@') ? maskEmail(identifier) : identifier;
+  return recordAudit(req, {
+    action: 'auth.login_failed',
+    actor: null,
+    target: user ? user._id : null,
+    details,
+  });
+};
+
+/**
+ * Account Deleted Error
+ * Sent when a deleted account logs in without choosing to restore it. The client can retry
+ * with restoreAccount: true to cancel the deletion.
+ */
+const accountDeletedError = (user) =>
+  new HttpError(403, 'This account has been deleted. Log in again and choose to restore it to cancel the deletion.', {
+    body: { accountDeleted: true, purgeAt: user.purgeAt },
+  });
+
+/**
+ * Complete Login
+ * Final step of every successful login: clears failure counters, audits, restores a deleted
+ * account the user chose to restore, and starts a new session. Resolves to the token pair.
+ */
+const completeLogin = async (req, user, identifier, details) => {
+  // Failure counters are only cleared once login fully succeeds (after 2FA, if enabled)
+  await recordLoginSuccess(identifier, user);
+  await recordAudit(req, { action: 'auth.login', actor: user._id, details });
+  if (user.deletedAt) await restoreAccount(req, user);
+  return issueTokens(user._id, req);
+};
+
+/**
+ * Register
+ * Creates an account and emails a link to verify its address. Phone must already be parsed
+ * (E.164 with its country). Resolves to { user, tokens }. Throws 400 if the username or
+ * email is taken.
+ */
+const register = async (req, { username, password, email, phone, phoneCountry, dob }) => {
+  // One query checks both fields
+  const existingUser = await userRepository.findTaken({ username, email: email.toLowerCase() });
+  if (existingUser) {
+    // Generic message doesn't reveal which field matched (security best practice)
+    throw new HttpError(400, 'User with that username or email already exists', { body: { errors: [] } });
+  }
+
+  // Password is hashed when the user is saved
+  const user = userRepository.build({ username, password, email, phone, phoneCountry, dob });
+  // Email starts unverified - store a verification token to be emailed below
+  const verificationToken = user.createEmailVerificationToken();
+  await userRepository.save(user);
+  await recordAudit(req, { action: 'auth.register', actor: user._id });
+
+  try {
+    await sendVerificationEmail(user, user.email, verificationToken);
+  } catch (mailError) {
+    // Account is already created - user can ask for a new link later
+    logger.error('Verification email error', { error: mailError });
+  }
+
+  return { user, tokens: await issueTokens(user._id, req) };
+};
+
+/**
+ * Login
+ * Checks a username or email and password. Resolves to { user, tokens }, or - when
+ * two-factor authentication is enabled - { user, mfaTicket } for loginWithMfa. Repeated
+ * failures slow down responses and temporarily lock the account (429). A deleted account
+ * is refused unless restoreAccount is true, in which case the login cancels the deletion.
+ */
+const login = async (req, { username, email, password, restoreAccount: restore }) => {
+  const identifier = username || email;
+  const user = await userRepository.findByLogin({ username, email });
+
+  // Locked accounts are refused without checking the password
+  const lockedUntil = await getAccountLock(identifier, user);
+  if (lockedUntil) {
+    await auditLoginFailure(req, user, identifier, 'locked');
+    throw lockedError(lockedUntil, LOCKED_MESSAGE);
+  }
+
+  // bcrypt comparison is safe against timing attacks
+  const isMatch = user ? await user.matchPassword(password) : false;
+  if (!isMatch) {
+    // Same generic error whether the user is unknown or the password is wrong (prevents
+    // user enumeration); failures count for unknown accounts too, so lockout doesn't either
+    const nowLockedUntil = await recordLoginFailure(req, identifier, user);
+    await auditLoginFailure(req, user, identifier, 'invalid-password');
+    if (nowLockedUntil) {
+      throw lockedError(nowLockedUntil, LOCKED_MESSAGE);
+    }
+    throw new HttpError(401, 'Invalid credentials');
+  }
+
+  // Only reveal that the account is disabled once the password has been proven
+  if (user.disabled) {
+    await auditLoginFailure(req, user, identifier, 'account-disabled');
+    throw new HttpError(403, 'This account has been disabled');
+  }
+
+  // Deleted accounts only come back if the user explicitly asks to restore them
+  if (user.deletedAt && !restore) {
+    await auditLoginFailure(req, user, identifier, 'account-deleted');
+    throw accountDeletedError(user);
+  }
+
+  // Staff forced a reset (e.g. suspected compromise) - the old password no longer signs in
+  if (user.mustResetPassword) {
+    await auditLoginFailure(req, user, identifier, 'password-reset-required');
+    throw new HttpError(403, 'A password reset is required. Check your email for a reset link.', {
+      body: { passwordResetRequired: true },
+    });
+  }
+
+  // Password is correct but 2FA is on - no session until the second step succeeds
+  if (user.twoFactorEnabled) {
+    // Restoring a deleted account happens after that step
+    return { user, mfaTicket: createMfaTicket(user._id, { restoreAccount: Boolean(user.deletedAt) }) };
+  }
+
+  return { user, tokens: await completeLogin(req, user, identifier) };
+};
+
+/**
+ * Login With MFA
+ * Second login step for accounts with two-factor authentication. Exchanges the MFA ticket
+ * and a TOTP code (or one-time recovery code) for { user, tokens }.
+ */
+const loginWithMfa = async (req, { mfaTicket, code }) => {
+  let decoded;
+  try {
+    decoded = verifyMfaTicket(mfaTicket);
+  } catch (error) {
+    // Ticket expired or tampered with - user has to start login again
+    throw new HttpError(401, 'Login session expired, please sign in again');
+  }
+
+  const user = await userRepository.findById(decoded.id, { include: LOGIN_CODE_FIELDS });
+  if (!user) {
+    throw new HttpError(401, 'Invalid authentication code');
+  }
+  if (user.disabled) {
+    throw new HttpError(403, 'This account has been disabled');
+  }
+  if (user.deletedAt && !decoded.restoreAccount) {
+    throw accountDeletedError(user);
+  }
+
+  // Code guesses count towards the same lockout as password guesses
+  const lockedUntil = await getAccountLock(user.username, user);
+  if (lockedUntil) {
+    await auditLoginFailure(req, user, user.username, 'locked');
+    throw lockedError(lockedUntil, LOCKED_MESSAGE);
+  }
+  if (!user.verifyTwoFactorCode(code)) {
+    const nowLockedUntil = await recordLoginFailure(req, user.username, user);
+    await auditLoginFailure(req, user, user.username, 'invalid-2fa-code');
+    if (nowLockedUntil) {
+      throw lockedError(nowLockedUntil, LOCKED_MESSAGE);
+    }
+    throw new HttpError(401, 'Invalid authentication code');
+  }
+  // Persist used TOTP step / consumed recovery code
+  await userRepository.save(user);
+
+  return { user, tokens: await completeLogin(req, user, user.username, { twoFactor: true }) };
+};
+
+/**
+ * Logout
+ * Revokes the session used to make the request.
+ */
+const logout = async (req) => {
+  await revokeSession(req.authSession, 'logout');
+  await recordAudit(req, { action: 'auth.logout' });
+};
+
+/**
+ * Logout All
+ * Revokes every session of the logged-in user, including the current one. Resolves to the
+ * number revoked.
+ */
+const logoutAll = async (req) => {
+  const revoked = await revokeAllSessions(req.user._id, 'logout-all');
+  await recordAudit(req, { action: 'auth.logout_all', details: { revokedSessions: revoked } });
+  return revoked;
+};
+
+/**
+ * Request Password Reset
+ * Emails a single-use reset link if the email belongs to an account. Does nothing
+ * otherwise - callers respond the same either way (prevents user enumeration).
+ */
+const requestPasswordReset = async (req, email) => {
+  const user = await userRepository.findByEmail(email.toLowerCase());
+  if (!user) return;
+
+  // Store hashed token on the user - a new request replaces any earlier token
+  const resetToken = user.createPasswordResetToken();
+  await userRepository.save(user);
+  await recordAudit(req, { action: 'password.reset_requested', actor: null, target: user._id });
+
+  try {
+    await sendPasswordResetEmail(user, resetToken);
+  } catch (mailError) {
+    // Failing here would tell the caller the address is registered - log it and carry on
+    logger.error('Password reset email error', { error: mailError });
+  }
+};
+
+/**
+ * Find Password Reset User
+ * The account a reset token belongs to, without using the token up (null if invalid).
+ */
+const findPasswordResetUser = (token) => userRepository.findByPasswordResetToken(hashToken(token));
+
+/**
+ * Reset Password
+ * Sets a new password using a reset token, then revokes all existing sessions.
+ * Throws 400 if the token is invalid or has expired.
+ */
+const resetPassword = async (req, token, password) => {
+  // Token is removed as it is looked up, so it can't be replayed
+  const user = await userRepository.consumePasswordResetToken(hashToken(token));
+  if (!user) {
+    throw new HttpError(400, 'Reset link is invalid or has expired');
+  }
+
+  // New password is hashed when the user is saved
+  user.password = password;
+  user.mustResetPassword = false;
+  await userRepository.save(user);
+
+  // Sign out every device - whoever had the old password loses access
+  await revokeAllSessions(user._id, 'password-reset');
+  // Whoever holds the emailed link acts for the account
+  await recordAudit(req, { action: 'password.reset', actor: user._id });
+};
+
+/**
+ * Verify Email
+ * Confirms an email address using the token from the emailed link. For a pending email
+ * change, the pending address becomes the login email only at this point. Resolves to the
+ * user. Throws 400 for an invalid token and 409 if the new address was taken meanwhile.
+ */
+const verifyEmail = async (req, token) => {
+  // Token is removed as it is looked up, so the link only works once
+  const user = await userRepository.consumeEmailVerificationToken(hashToken(token));
+  if (!user) {
+    throw new HttpError(400, 'Verification link is invalid or has expired');
+  }
+
+  const before = snapshotProfile(user);
+  if (user.pendingEmail) {
+    // Another account may have claimed the address since the change was requested
+    const taken = await userRepository.findTaken({ email: user.pendingEmail }, user._id);
+    if (taken) {
+      user.pendingEmail = undefined;
+      await userRepository.save(user);
+      throw new HttpError(409, 'That email address is already in use');
+    }
+    // Swap in the confirmed address
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+  }
+
+  user.emailVerified = true;
+  // New profile version (see GET /api/profile ETag)
+  await userRepository.save(user, { newVersion: true });
+  await recordAudit(req, {
+    action: 'email.verified',
+    actor: user._id,
+    changes: diffChanges(before, snapshotProfile(user)),
+  });
+  return user;
+};
+
+/**
+ * Resend Verification
+ * Sends a new verification link for the pending email change, or for the current email if
+ * it hasn't been verified yet. Resolves to the address. Throws 400 if nothing needs verifying.
+ */
+const resendVerification = async (user) => {
+  // Pending change takes priority - that's the address waiting for confirmation
+  const address = user.pendingEmail || (!user.emailVerified ? user.email : null);
+  if (!address) {
+    throw new HttpError(400, 'Email address is already verified');
+  }
+
+  const verificationToken = user.createEmailVerificationToken();
+  await userRepository.save(user);
+  await sendVerificationEmail(user, address, verificationToken);
+  return address;
+};
+
+module.exports = {
+  register,
+  login,
+  loginWithMfa,
+  logout,
+  logoutAll,
+  requestPasswordReset,
+  findPasswordResetUser,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+};
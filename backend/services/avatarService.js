@@ -0,0 +1,85 @@
+/**
+ * Avatar Service
+ * Stores and removes the logged-in user's profile picture. Uploads are checked by content,
+ * cropped to a square, resized to several thumbnail sizes and stored (without EXIF
+ * metadata) through the configured storage adapter.
+ */
+
+const crypto = require('crypto');
+const { userRepository } = require('../repositories');
+const { getStorage } = require('../storage');
+const { detectImageType, processAvatar } = require('../utils/avatarImage');
+const { recordAudit } = require('../utils/audit');
+const { fieldError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+/**
+ * Remove Stored Files
+ * Deletes stored thumbnails by key. Failures are logged, not thrown - the profile no longer
+ * points at the files, so at worst they are left orphaned.
+ */
+const removeStoredFiles = async (keys) => {
+  try {
+    await Promise.all(keys.map((key) => getStorage().remove(key)));
+  } catch (error) {
+    logger.error('Avatar cleanup error', { error });
+  }
+};
+
+/**
+ * Update Avatar
+ * Replaces the user's avatar with an uploaded image. crop ({ x, y, size } in pixels of the
+ * upright image) selects the square to keep; without it the largest centered square is
+ * used. Resolves to the new avatar URLs. Throws 400 if the file isn't a readable image.
+ */
+const updateAvatar = async (req, buffer, crop) => {
+  // Trust the file's bytes, not the client-supplied name or MIME type
+  if (!detectImageType(buffer)) {
+    throw fieldError('avatar', 'Image must be a JPEG, PNG or WebP file');
+  }
+
+  let thumbnails;
+  try {
+    thumbnails = await processAvatar(buffer, crop);
+  } catch (error) {
+    // Corrupt, truncated or oversized (in pixels) images end up here
+    throw fieldError('avatar', 'Image could not be read. Try a different file.');
+  }
+
+  const user = req.user;
+  const previousKeys = Object.values(user.getAvatarKeys());
+
+  // Store the new thumbnails first, then point the profile at them
+  user.avatar = {
+    version: crypto.randomBytes(8).toString('hex'),
+    sizes: thumbnails.map((thumb) => thumb.size),
+    updatedAt: new Date(),
+  };
+  const keys = user.getAvatarKeys();
+  await Promise.all(thumbnails.map((thumb) => getStorage().save(keys[thumb.size], thumb.buffer, 'image/webp')));
+  await userRepository.save(user);
+  await recordAudit(req, { action: 'avatar.update' });
+
+  await removeStoredFiles(previousKeys);
+  return user.getAvatarUrls();
+};
+
+/**
+ * Remove Avatar
+ * Removes the user's avatar and its stored files. Does nothing if there is none.
+ */
+const removeAvatar = async (req) => {
+  const user = req.user;
+  const previousKeys = Object.values(user.getAvatarKeys());
+  if (!previousKeys.length) return;
+
+  user.avatar = undefined;
+  await userRepository.save(user);
+  await recordAudit(req, { action: 'avatar.remove' });
+  await removeStoredFiles(previousKeys);
+};
+
+module.exports = {
+  updateAvatar,
+  removeAvatar,
+};
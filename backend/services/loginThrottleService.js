@@ -0,0 +1,137 @@
+/**
+ * Login Throttle Service
+ * Brute-force protection for logins: per-IP failure counting, per-account lockout after
+ * repeated failures (recorded on the user, so it survives restarts), and progressive delays.
+ * The IP check runs as middleware (middleware/loginThrottle.js); the account checks are
+ * made by services/authService.js.
+ */
+
+const config = require('../config');
+const { userRepository } = require('../repositories');
+const { getStore } = require('../utils/rateLimitStore');
+const { HttpError } = require('../utils/httpError');
+
+// Failed attempts allowed per account before it is locked
+const ACCOUNT_MAX_FAILURES = config.login.maxFailedAttempts;
+// How long an account stays locked
+const ACCOUNT_LOCKOUT_MS = config.login.lockoutMinutes * 60 * 1000;
+// Failed attempts allowed per IP address within the IP window (covers many accounts)
+const IP_MAX_FAILURES = config.login.ipMaxFailedAttempts;
+const IP_WINDOW_MS = config.login.ipWindowMinutes * 60 * 1000;
+// Failures before responses start slowing down, and the longest delay added
+const DELAY_AFTER_FAILURES = 2;
+const MAX_DELAY_MS = 8000;
+
+/**
+ * Store Keys
+ * Counter keys for an IP address and for an account. Known accounts are keyed by user ID
+ * (so username and email logins share a counter); unknown ones by the identifier typed.
+ */
+const ipKey = (req) => `login:ip:${req.ip}`;
+const accountKey = (identifier, user) =>
+  user
+    ? `login:user:${user._id}`
+    : `login:unknown:${String(identifier || '').trim().toLowerCase()}`;
+
+/**
+ * Locked Error
+ * 429 with a Retry-After header and the time the block ends.
+ */
+const lockedError = (until, message) => {
+  const retryAfter = Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+  return new HttpError(429, message, {
+    body: {
+      lockedUntil: until.toISOString(), // Shown to the user on the login page
+      retryAfter, // Seconds, same as the header
+    },
+    headers: { 'Retry-After': String(retryAfter) },
+  });
+};
+
+/**
+ * Progressive Delay
+ * Returns how long to wait before answering a failed attempt. Doubles with each failure
+ * past the first few, so scripted guessing slows down quickly.
+ */
+const progressiveDelay = (failures) => {
+  if (failures <= DELAY_AFTER_FAILURES) {
+    return 0;
+  }
+  return Math.min(250 * 2 ** (failures - DELAY_AFTER_FAILURES - 1), MAX_DELAY_MS);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Get IP Block
+ * Returns the time the request's IP address is blocked until, or null if it isn't.
+ */
+const getIpBlock = async (req) => {
+  const entry = await getStore().get(ipKey(req));
+  return entry && entry.count >= IP_MAX_FAILURES ? new Date(entry.resetAt) : null;
+};
+
+/**
+ * Get Account Lock
+ * Returns the time the account is locked until, or null if it isn't locked. Unknown
+ * identifiers are tracked in the store too, so lockout behaves the same for them and
+ * doesn't reveal which accounts exist.
+ */
+const getAccountLock = async (identifier, user) => {
+  if (user && user.lockUntil && user.lockUntil > new Date()) {
+    return user.lockUntil;
+  }
+  const entry = await getStore().get(accountKey(identifier, user));
+  if (entry && entry.count >= ACCOUNT_MAX_FAILURES) {
+    return new Date(entry.resetAt);
+  }
+  return null;
+};
+
+/**
+ * Record Login Failure
+ * Counts a failed attempt against the IP and the account, locks the account once it reaches
+ * the limit, and waits the progressive delay. Returns the lock end time if now locked.
+ */
+const recordLoginFailure = async (req, identifier, user) => {
+  const store = getStore();
+  await store.hit(ipKey(req), IP_WINDOW_MS);
+  const entry = await store.hit(accountKey(identifier, user), ACCOUNT_LOCKOUT_MS);
+
+  let failures = entry.count;
+  let lockedUntil = failures >= ACCOUNT_MAX_FAILURES ? new Date(entry.resetAt) : null;
+
+  if (user) {
+    // Persist on the user so the lockout survives restarts and applies on every instance
+    const accountFailures = await userRepository.recordFailedLogin(user._id);
+    failures = Math.max(failures, accountFailures);
+    if (accountFailures >= ACCOUNT_MAX_FAILURES) {
+      lockedUntil = new Date(Date.now() + ACCOUNT_LOCKOUT_MS);
+      // Start the next lockout round from zero once this one ends
+      await userRepository.lockLogin(user._id, lockedUntil);
+    }
+  }
+
+  await sleep(progressiveDelay(failures));
+  return lockedUntil;
+};
+
+/**
+ * Record Login Success
+ * Clears the account's failure counters after a successful login.
+ */
+const recordLoginSuccess = async (identifier, user) => {
+  await getStore().reset(accountKey(identifier, user));
+  if (user && (user.failedLoginAttempts || user.lockUntil)) {
+    await userRepository.clearLoginFailures(user._id);
+  }
+};
+
+module.exports = {
+  lockedError,
+  progressiveDelay,
+  getIpBlock,
+  getAccountLock,
+  recordLoginFailure,
+  recordLoginSuccess,
+};
@@ -0,0 +1,87 @@
+/**
+ * Profile Field Service
+ * Custom profile field definitions managed by administrators. Deleting a definition also
+ * removes its stored values from every user. Failures are thrown as HttpErrors.
+ */
+
+const { profileFieldRepository, userRepository } = require('../repositories');
+const { recordAudit } = require('../utils/audit');
+const { HttpError, fieldError } = require('../utils/httpError');
+
+/**
+ * Check Select Options
+ * A select field needs at least one option to choose from.
+ */
+const checkSelectOptions = (type, options) => {
+  if (type === 'select' && (!Array.isArray(options) || !options.length)) {
+    throw fieldError('options', 'Select fields need at least one option');
+  }
+};
+
+/**
+ * List Fields
+ * All definitions in form order.
+ */
+const listFields = () => profileFieldRepository.findOrdered();
+
+/**
+ * Get Field
+ * The definition with this ID. Throws 404 if there is none.
+ */
+const getField = async (id) => {
+  const field = await profileFieldRepository.findById(id);
+  if (!field) {
+    throw new HttpError(404, 'Profile field not found');
+  }
+  return field;
+};
+
+/**
+ * Create Field
+ * Stores a new definition from its key, type and other properties. Throws 400 if the key is
+ * already used.
+ */
+const createField = async (req, { key, type, ...properties }) => {
+  checkSelectOptions(type, properties.options);
+  if (await profileFieldRepository.findByKey(key)) {
+    throw fieldError('key', 'A field with this key already exists');
+  }
+
+  const field = await profileFieldRepository.create({ key, type, ...properties });
+  await recordAudit(req, { action: 'profile_field.create', target: null, details: { key: field.key } });
+  return field;
+};
+
+/**
+ * Update Field
+ * Applies changed properties to a definition. The key can't change (stored values are keyed
+ * by it). Stored values that no longer fit a changed type or rules are kept but not shown
+ * (see storedValue in utils/customFields.js), so changing back restores them.
+ */
+const updateField = async (req, field, { type = field.type, ...properties }) => {
+  checkSelectOptions(type, properties.options ?? field.options);
+
+  field.set({ type, ...properties });
+  await profileFieldRepository.save(field);
+  await recordAudit(req, { action: 'profile_field.update', target: null, details: { key: field.key } });
+  return field;
+};
+
+/**
+ * Delete Field
+ * Deletes a definition and removes its values from every user.
+ */
+const deleteField = async (req, field) => {
+  const { key } = field;
+  await profileFieldRepository.deleteById(field._id);
+  await userRepository.removeCustomFieldValues(key);
+  await recordAudit(req, { action: 'profile_field.delete', target: null, details: { key } });
+};
+
+module.exports = {
+  listFields,
+  getField,
+  createField,
+  updateField,
+  deleteField,
+};
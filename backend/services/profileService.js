@@ -0,0 +1,192 @@
+/**
+ * Profile Service
+ * The logged-in user's own profile: updates (with email change confirmation and custom
+ * fields), privacy settings, password changes, activity and the personal data export.
+ * Failures are thrown as HttpErrors; a concurrent update surfaces as VersionConflictError.
+ */
+
+const {
+  userRepository,
+  sessionRepository,
+  auditLogRepository,
+  profileFieldRepository,
+} = require('../repositories');
+const { revokeAllSessions } = require('./sessionService');
+const { sendVerificationEmail } = require('../mail/messages');
+const { validateCustomFields, applyCustomFieldUpdates } = require('../utils/customFields');
+const { validatePrivacy } = require('../utils/profilePrivacy');
+const { snapshotProfile, diffChanges, recordAudit } = require('../utils/audit');
+const { parsePhone, resolvePhoneCountry } = require('../utils/phone');
+const { validationError, fieldError } = require('../utils/httpError');
+
+/**
+ * Get Definitions
+ * The custom profile field definitions, in form order.
+ */
+const getDefinitions = () => profileFieldRepository.findOrdered();
+
+/**
+ * Get Latest
+ * Reloads a user with the current definitions - used to report a conflict after a
+ * concurrent update won the race. Resolves to { user, definitions }.
+ */
+const getLatest = async (userId) => {
+  const [user, definitions] = await Promise.all([userRepository.findById(userId), getDefinitions()]);
+  return { user, definitions };
+};
+
+/**
+ * Update Profile
+ * Applies validated changes to the user: absent fields are kept and null clears a field.
+ * With replace (PUT) customFields replaces all custom values; otherwise (PATCH) only the
+ * keys it contains change. A new email is held as pendingEmail until confirmed through the
+ * emailed link. Resolves to { user, definitions }.
+ */
+const updateProfile = async (req, user, changes, { replace }) => {
+  const { email, displayName, bio, phone, dob, customFields } = changes;
+  const before = snapshotProfile(user);
+
+  // Custom fields are validated against the current definitions
+  const definitions = await getDefinitions();
+  if (customFields !== undefined) {
+    // null clears every value, and so does leaving a field out of a replacement (PUT)
+    const cleared =
+      replace || customFields === null ? Object.fromEntries(definitions.map((field) => [field.key, null])) : {};
+    const isObject = customFields && typeof customFields === 'object' && !Array.isArray(customFields);
+    const input = isObject ? { ...cleared, ...customFields } : (customFields ?? cleared);
+    const { updates, errors } = validateCustomFields(definitions, input, user.customFields);
+    if (errors.length) {
+      throw validationError(errors);
+    }
+    applyCustomFieldUpdates(user, updates);
+  }
+
+  // Token for a newly requested email address (emailed after saving)
+  let verificationToken = null;
+
+  // Email changes aren't applied directly - the new address must be confirmed first
+  if (email !== undefined) {
+    const requested = email.toLowerCase();
+    if (requested === user.email) {
+      // Switching back to the current address cancels any pending change
+      user.pendingEmail = undefined;
+    } else if (requested !== user.pendingEmail) {
+      if (await userRepository.findTaken({ email: requested }, user._id)) {
+        throw fieldError('email', 'Email is already in use');
+      }
+      user.pendingEmail = requested;
+      verificationToken = user.createEmailVerificationToken();
+    }
+  }
+
+  // Absent fields are kept, null clears
+  if (displayName !== undefined) user.displayName = displayName || '';
+  if (bio !== undefined) user.bio = bio || '';
+  if (phone !== undefined) {
+    // Stored in E.164 format with its country (null clears both)
+    const parsed = phone
+      ? parsePhone(phone, resolvePhoneCountry(changes, user.phoneCountry))
+      : { phone: '', country: null };
+    user.phone = parsed.phone;
+    user.phoneCountry = parsed.country;
+  }
+  if (dob !== undefined) user.dob = dob ? new Date(dob) : null;
+
+  // New version - the save fails (VersionConflictError) if another update saved in the meantime
+  const saved = await userRepository.save(user, { newVersion: true });
+  // Saving unchanged values isn't recorded
+  const diff = diffChanges(before, snapshotProfile(saved));
+  if (diff.length) await recordAudit(req, { action: 'profile.update', changes: diff });
+
+  if (verificationToken) {
+    await sendVerificationEmail(saved, saved.pendingEmail, verificationToken);
+  }
+  return { user: saved, definitions };
+};
+
+/**
+ * Update Privacy
+ * Sets who can see each listed field on the public profile ({ field: level }). Resolves to
+ * { user, definitions }. Throws 400 for unknown fields or levels.
+ */
+const updatePrivacy = async (req, user, privacy) => {
+  const definitions = await getDefinitions();
+  const { updates, errors } = validatePrivacy(privacy, definitions);
+  if (errors.length) {
+    throw validationError(errors);
+  }
+
+  const before = snapshotProfile(user);
+  if (!user.privacy) user.privacy = new Map();
+  Object.entries(updates).forEach(([key, level]) => user.privacy.set(key, level));
+  const saved = await userRepository.save(user, { newVersion: true });
+  const changes = diffChanges(before, snapshotProfile(saved));
+  if (changes.length) await recordAudit(req, { action: 'privacy.update', changes });
+  return { user: saved, definitions };
+};
+
+/**
+ * Change Password
+ * Changes the logged-in user's password after confirming the current one, and signs out
+ * every other session. Resolves to the number of sessions revoked. Throws 400 if the
+ * current password is wrong.
+ */
+const changePassword = async (req, currentPassword, newPassword) => {
+  const user = req.user;
+  // Re-check the current password so a hijacked session alone can't take over the account
+  if (!(await user.matchPassword(currentPassword))) {
+    throw fieldError('currentPassword', 'Current password is incorrect');
+  }
+
+  // New password is hashed when the user is saved
+  user.password = newPassword;
+  // Any outstanding reset link was issued for the old password - invalidate it
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpiresAt = undefined;
+  await userRepository.save(user);
+
+  // Sign out every other device, keep the current one
+  const revoked = await revokeAllSessions(user._id, 'password-change', req.authSession._id);
+  await recordAudit(req, { action: 'password.change', details: { revokedSessions: revoked } });
+  return revoked;
+};
+
+/**
+ * List Activity
+ * One page of events on the user's account, newest first. before (an entry ID) continues
+ * after an earlier page. Resolves to { entries, hasMore }.
+ */
+const listActivity = async (userId, { before, limit }) => {
+  // Fetch one extra entry to know whether there is another page
+  const entries = await auditLogRepository.findForTarget(userId, { before, limit: limit + 1 });
+  return { entries: entries.slice(0, limit), hasMore: entries.length > limit };
+};
+
+/**
+ * Get Export Data
+ * Everything stored about the user, for the personal data export. The export itself is
+ * recorded first, so it appears in the exported activity. Resolves to
+ * { user, definitions, sessions, events }.
+ */
+const getExportData = async (req, format) => {
+  await recordAudit(req, { action: 'profile.export', details: { format } });
+
+  const [user, definitions, sessions, events] = await Promise.all([
+    // Only needed to count remaining recovery codes - the hashes aren't exported
+    userRepository.findById(req.user._id, { include: ['recoveryCodeHashes'] }),
+    getDefinitions(),
+    sessionRepository.findAllForUser(req.user._id),
+    auditLogRepository.findForTarget(req.user._id),
+  ]);
+  return { user, definitions, sessions, events };
+};
+
+module.exports = {
+  getDefinitions,
+  getLatest,
+  updateProfile,
+  updatePrivacy,
+  changePassword,
+  listActivity,
+  getExportData,
+};
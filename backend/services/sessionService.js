@@ -0,0 +1,183 @@
+/**
+ * Session Service
+ * Login sessions and the tokens bound to them. Each session is one refresh-token family:
+ * refresh tokens have the form "<sessionId>.<secret>", rotate on every use, and replaying
+ * an already-used one revokes the whole session. Access tokens (JWTs from utils/tokens.js)
+ * carry the session ID, so revoking the session ends them too.
+ */
+
+const config = require('../config');
+const { sessionRepository, userRepository } = require('../repositories');
+const { createAccessToken, verifyAccessToken, generateRandomToken, hashToken } = require('../utils/tokens');
+const getClientInfo = require('../utils/clientInfo');
+const { HttpError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+// Refresh token lifetime in days
+const REFRESH_TOKEN_TTL_DAYS = config.auth.refreshTokenTtlDays;
+// A replay of the token rotated out this recently is a race between tabs, not a theft
+const REUSE_GRACE_MS = config.auth.refreshReuseGraceSeconds * 1000;
+// Only write lastSeenAt if it's older than this (avoids a DB write on every request)
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Build Refresh Token
+ * Joins the session ID and secret so the session can be found by ID.
+ */
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+/**
+ * Parse Refresh Token
+ * Splits a refresh token into session ID and secret. Returns null if malformed.
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+/**
+ * Issue Tokens
+ * Starts a new session (token family) for the user, recording the device from the request,
+ * and returns a short-lived access token (JWT) together with the session's first refresh token.
+ */
+const issueTokens = async (userId, req) => {
+  const secret = generateRandomToken();
+  const session = await sessionRepository.create({
+    user: userId,
+    ...getClientInfo(req),
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  return {
+    token: createAccessToken(userId, session._id), // Short-lived JWT bound to the session
+    refreshToken: buildRefreshToken(session._id, secret), // Opaque token for /refresh
+  };
+};
+
+/**
+ * Refresh Tokens
+ * Exchanges a valid refresh token for a new access token and a new refresh token. If an
+ * already-rotated token is presented, the whole session is revoked (the token was most
+ * likely stolen) - unless it is the token rotated out in the last few seconds, which happens
+ * when two tabs refresh at once. Throws 401 for invalid, expired, revoked or reused tokens.
+ */
+const refreshTokens = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new HttpError(401, 'Invalid refresh token');
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  const nextSecret = generateRandomToken();
+  // Atomic swap - only one concurrent request can win the rotation
+  const session = await sessionRepository.rotateRefreshToken(
+    parsed.sessionId,
+    presentedHash,
+    hashToken(nextSecret),
+    getClientInfo(req).ip
+  );
+
+  if (!session) {
+    // Rotation failed - check if this is a replay of a token that was already rotated out
+    const reused = await sessionRepository.revokeIfTokenReused(
+      parsed.sessionId,
+      presentedHash,
+      new Date(Date.now() - REUSE_GRACE_MS)
+    );
+    if (reused) {
+      logger.warn('Refresh token reuse detected, session revoked', { sessionId: reused._id, userId: reused.user });
+    }
+    throw new HttpError(401, 'Invalid refresh token');
+  }
+
+  return {
+    token: createAccessToken(session.user, session._id), // New short-lived access token
+    refreshToken: buildRefreshToken(session._id, nextSecret), // Previous refresh token is now invalid
+  };
+};
+
+/**
+ * Authenticate
+ * Checks an access token: it must verify, its session must still be active, and its user
+ * must exist and be neither disabled nor deleted. Resolves to { user, session }; throws 401.
+ */
+const authenticate = async (token, req) => {
+  let decoded;
+  try {
+    // Throws if invalid, expired or not session-bound
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    throw new HttpError(401, 'Not authorized, token invalid');
+  }
+
+  // Reject tokens whose session was revoked (logout, refresh-token reuse) or has expired
+  const session = await sessionRepository.findById(decoded.sid);
+  if (!session || !session.isActive() || String(session.user) !== String(decoded.id)) {
+    throw new HttpError(401, 'Not authorized, session revoked');
+  }
+
+  const user = await userRepository.findById(decoded.id);
+  if (!user) {
+    // User ID in token doesn't exist (account was purged)
+    throw new HttpError(401, 'Not authorized');
+  }
+  if (user.disabled) {
+    // Account was disabled by an administrator
+    throw new HttpError(401, 'Not authorized, account disabled');
+  }
+  if (user.deletedAt) {
+    // Account was deleted by its owner - logging in again (with restore) is the only way back
+    throw new HttpError(401, 'Not authorized, account deleted');
+  }
+
+  // Record activity for the "Your devices" list (throttled to once per minute)
+  if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await sessionRepository.touch(session, getClientInfo(req).ip);
+  }
+
+  return { user, session };
+};
+
+/**
+ * Revoke Session
+ * Ends one session (its access and refresh tokens stop working).
+ */
+const revokeSession = (session, reason) => sessionRepository.revoke(session, reason);
+
+/**
+ * Revoke User Session
+ * Ends one of the user's own sessions by ID. Throws 404 if the user has no such session.
+ */
+const revokeUserSession = async (userId, sessionId, reason) => {
+  const session = await sessionRepository.findUnrevokedForUser(userId, sessionId);
+  if (!session) {
+    throw new HttpError(404, 'Session not found');
+  }
+  return sessionRepository.revoke(session, reason);
+};
+
+/**
+ * Revoke All Sessions
+ * Ends every session of the user, optionally keeping one (e.g. the current session).
+ * Resolves to the number revoked.
+ */
+const revokeAllSessions = (userId, reason, exceptId) => sessionRepository.revokeAllForUser(userId, reason, exceptId);
+
+/**
+ * List Active Sessions
+ * The user's current sessions (devices), most recently used first.
+ */
+const listActiveSessions = (userId) => sessionRepository.findActiveForUser(userId);
+
+module.exports = {
+  issueTokens,
+  refreshTokens,
+  authenticate,
+  revokeSession,
+  revokeUserSession,
+  revokeAllSessions,
+  listActiveSessions,
+};
@@ -0,0 +1,163 @@
+/**
+ * Two-Factor Service
+ * TOTP enrollment, recovery codes and disabling two-factor authentication for the
+ * logged-in user. Every change needs the password or a current code, and wrong guesses count
+ * towards the same lockout as failed logins. Failures are thrown as HttpErrors.
+ */
+
+const QRCode = require('qrcode');
+const config = require('../config');
+const { userRepository } = require('../repositories');
+const { recordAudit } = require('../utils/audit');
+const { HttpError, fieldError } = require('../utils/httpError');
+const { lockedError, getAccountLock, recordLoginFailure } = require('./loginThrottleService');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+} = require('../utils/totp');
+
+// Issuer name shown next to the account in authenticator apps
+const TOTP_ISSUER = config.auth.totpIssuer;
+
+// The 2FA fields, which are excluded from queries by default
+const TWO_FACTOR_FIELDS = ['twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorLastUsedStep', 'recoveryCodeHashes'];
+
+// Message returned while the account is locked after too many wrong passwords or codes
+const LOCKED_MESSAGE = 'Too many failed attempts. Please try again later.';
+
+/**
+ * Check Attempt
+ * Refuses the request while the account is locked (429); otherwise checks a password or code
+ * with isCorrect() and counts a wrong one like a failed login, throwing a 400 for field (or
+ * 429 once that locks the account).
+ */
+const checkAttempt = async (req, user, isCorrect, field, message) => {
+  const lockedUntil = await getAccountLock(user.username, user);
+  if (lockedUntil) {
+    throw lockedError(lockedUntil, LOCKED_MESSAGE);
+  }
+  if (!(await isCorrect())) {
+    const nowLockedUntil = await recordLoginFailure(req, user.username, user);
+    if (nowLockedUntil) {
+      throw lockedError(nowLockedUntil, LOCKED_MESSAGE);
+    }
+    throw fieldError(field, message);
+  }
+};
+
+/**
+ * Load With Secrets
+ * Reloads the user with the 2FA fields selected.
+ */
+const loadWithSecrets = (user) => userRepository.findById(user._id, { include: TWO_FACTOR_FIELDS });
+
+/**
+ * Start Setup
+ * Generates a new secret after checking the password (a stolen session alone must not be
+ * able to enroll another authenticator). The secret is held as pending until confirmed - so
+ * an abandoned enrollment never locks the user out. Resolves to { secret, otpauthUrl, qrCode }.
+ */
+const startSetup = async (req, password) => {
+  const { user } = req;
+  if (user.twoFactorEnabled) {
+    throw new HttpError(400, 'Two-factor authentication is already enabled');
+  }
+  await checkAttempt(req, user, () => user.matchPassword(password), 'password', 'Password is incorrect');
+
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await userRepository.save(user);
+
+  const otpauthUrl = buildOtpauthUrl({ secret, accountName: user.username, issuer: TOTP_ISSUER });
+  return {
+    secret, // For manual entry when the QR code can't be scanned
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl), // PNG data URL for an <img> tag
+  };
+};
+
+/**
+ * Confirm Setup
+ * Finishes enrollment with a code from the authenticator app and enables 2FA. Resolves to
+ * the one-time recovery codes - only their hashes are stored.
+ */
+const confirmSetup = async (req, code) => {
+  const user = await loadWithSecrets(req.user);
+  if (!user.twoFactorPendingSecret) {
+    throw new HttpError(400, 'Start two-factor setup first');
+  }
+
+  let step = null;
+  await checkAttempt(
+    req,
+    user,
+    () => {
+      step = verifyTotp(user.twoFactorPendingSecret, code);
+      return step !== null;
+    },
+    'code',
+    'Authentication code is incorrect'
+  );
+
+  // Activate the confirmed secret; the confirming code can't be reused for login
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorEnabled = true;
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.setRecoveryCodes(recoveryCodes);
+  await userRepository.save(user);
+  await recordAudit(req, { action: '2fa.enable' });
+  return recoveryCodes;
+};
+
+/**
+ * Regenerate Recovery Codes
+ * Replaces all recovery codes with a new set after checking a current TOTP or recovery
+ * code. Resolves to the new codes.
+ */
+const regenerateRecoveryCodes = async (req, code) => {
+  const user = await loadWithSecrets(req.user);
+  if (!user.twoFactorEnabled) {
+    throw new HttpError(400, 'Two-factor authentication is not enabled');
+  }
+  await checkAttempt(req, user, () => user.verifyTwoFactorCode(code), 'code', 'Authentication code is incorrect');
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.setRecoveryCodes(recoveryCodes);
+  await userRepository.save(user);
+  await recordAudit(req, { action: '2fa.recovery_codes_regenerated' });
+  return recoveryCodes;
+};
+
+/**
+ * Disable
+ * Turns 2FA off after checking the password and a current TOTP or recovery code.
+ */
+const disable = async (req, password, code) => {
+  const user = await loadWithSecrets(req.user);
+  if (!user.twoFactorEnabled) {
+    throw new HttpError(400, 'Two-factor authentication is not enabled');
+  }
+  await checkAttempt(req, user, () => user.matchPassword(password), 'password', 'Password is incorrect');
+  await checkAttempt(req, user, () => user.verifyTwoFactorCode(code), 'code', 'Authentication code is incorrect');
+
+  // Remove every 2FA secret so re-enabling starts from scratch
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.recoveryCodeHashes = undefined;
+  await userRepository.save(user);
+  await recordAudit(req, { action: '2fa.disable' });
+};
+
+module.exports = {
+  startSetup,
+  confirmSetup,
+  regenerateRecoveryCodes,
+  disable,
+};
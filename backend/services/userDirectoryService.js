@@ -0,0 +1,57 @@
+/**
+ * User Directory Service
+ * Public view of other users: the searchable directory and single public profiles. What a
+ * viewer may see of each user follows that user's privacy settings.
+ */
+
+const { userRepository, profileFieldRepository } = require('../repositories');
+const { viewableLevels } = require('../utils/profilePrivacy');
+const { HttpError } = require('../utils/httpError');
+
+/**
+ * List Directory
+ * One page of the directory for viewer (a user or null). sortField is "username" or
+ * "createdAt" and direction 1 or -1; after ({ value, id }) continues past the last user of
+ * the previous page. Resolves to { users, hasMore }.
+ */
+const listDirectory = async ({
+  viewer,
+  search,
+  registeredAfter,
+  registeredBefore,
+  sortField,
+  direction,
+  after,
+  limit,
+}) => {
+  // One extra result tells whether there is another page
+  const users = await userRepository.findDirectoryPage({
+    search,
+    visibleLevels: viewableLevels(viewer),
+    registeredAfter: registeredAfter ? new Date(registeredAfter) : null,
+    registeredBefore: registeredBefore ? new Date(registeredBefore) : null,
+    sortField,
+    direction,
+    after,
+    limit: limit + 1,
+  });
+  return { users: users.slice(0, limit), hasMore: users.length > limit };
+};
+
+/**
+ * Get Public User
+ * An active user by username with the custom field definitions. Disabled and deleted
+ * accounts are reported as not found. Resolves to { user, definitions }.
+ */
+const getPublicUser = async (username) => {
+  const user = await userRepository.findActiveByUsername(username);
+  if (!user) {
+    throw new HttpError(404, 'User not found');
+  }
+  return { user, definitions: await profileFieldRepository.findOrdered() };
+};
+
+module.exports = {
+  listDirectory,
+  getPublicUser,
+};
@@ -1,21 +0,0 @@
-const mongoose = require('mongoose');
-
-const connectDB = async () => {
-  const mongoUri = process.env.MONGO_URI;
-
-  if (!mongoUri) {
-    throw new Error('MONGO_URI is not defined in environment variables');
-  }
-
-  try {
-    await mongoose.connect(mongoUri);
-    console.log('MongoDB connected');
-  } catch (error) {
-    console.error('MongoDB connection error:', error.message);
-    throw error;
-  }
-};
-
-module.exports = connectDB;
-
-
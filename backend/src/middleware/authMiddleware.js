@@ -1,31 +0,0 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-
-const protect = async (req, res, next) => {
-  const authHeader = req.headers.authorization;
-
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Not authorized, no token provided' });
-  }
-
-  const token = authHeader.split(' ')[1];
-
-  try {
-    const secret = process.env.JWT_SECRET;
-
-    if (!secret) {
-      throw new Error('JWT_SECRET is not defined');
-    }
-
-    const decoded = jwt.verify(token, secret);
-    req.user = await User.findById(decoded.id).select('-password');
-    next();
-  } catch (error) {
-    console.error('Auth middleware error:', error.message);
-    return res.status(401).json({ message: 'Not authorized, token failed' });
-  }
-};
-
-module.exports = protect;
-
-
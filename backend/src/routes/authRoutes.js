@@ -1,11 +0,0 @@
-const express = require('express');
-const { register, login } = require('../controllers/authController');
-
-const router = express.Router();
-
-router.post('/register', register);
-router.post('/login', login);
-
-module.exports = router;
-
-
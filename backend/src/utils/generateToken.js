@@ -1,17 +0,0 @@
-const jwt = require('jsonwebtoken');
-
-const generateToken = (userId) => {
-  const secret = process.env.JWT_SECRET;
-
-  if (!secret) {
-    throw new Error('JWT_SECRET is not defined in environment variables');
-  }
-
-  return jwt.sign({ id: userId }, secret, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-  });
-};
-
-module.exports = generateToken;
-
-
@@ -0,0 +1,63 @@
+/**
+ * Local Disk Storage
+ * Writes files under an uploads directory on the server's disk. server.js serves that
+ * directory at PUBLIC_PATH, so getUrl() returns a site-relative URL.
+ * Suitable for a single instance; use a shared adapter when running several.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../../config');
+
+// URL path the uploads directory is served from
+const PUBLIC_PATH = '/uploads';
+
+/**
+ * Uploads Directory
+ * Directory files are written to (UPLOADS_DIR, defaults to backend/uploads).
+ */
+const getUploadsDir = () => config.storage.uploadsDir;
+
+/**
+ * Resolve Key
+ * Maps a storage key such as "avatars/<id>/<file>" to a path inside the uploads directory.
+ * Rejects keys that would escape it.
+ */
+const resolveKey = (key) => {
+  const root = path.resolve(getUploadsDir());
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+/**
+ * Save File
+ * Writes the file, creating parent directories as needed.
+ */
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+};
+
+/**
+ * Remove File
+ * Deletes the file. Missing files are ignored (removal is idempotent).
+ */
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+/**
+ * Get URL
+ * Public URL of a stored file.
+ */
+const getUrl = (key) => `${PUBLIC_PATH}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+module.exports = { name: 'local', PUBLIC_PATH, getUploadsDir, save, remove, getUrl };
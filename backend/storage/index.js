@@ -0,0 +1,50 @@
+/**
+ * File Storage
+ * Stores uploaded files (e.g. avatars) through a pluggable adapter. An adapter is any object
+ * with async save(key, buffer, contentType), async remove(key) and getUrl(key) methods.
+ * The built-in adapter is selected with STORAGE_DRIVER ("local"); others (e.g. S3) can be
+ * installed at startup with setStorage().
+ */
+
+const config = require('../config');
+const localStorage = require('./adapters/local');
+
+// Built-in adapters selectable via STORAGE_DRIVER environment variable
+const BUILT_IN_ADAPTERS = {
+  local: localStorage,
+};
+
+// Adapter installed with setStorage() - takes precedence over STORAGE_DRIVER
+let customStorage = null;
+
+/**
+ * Get Storage
+ * Returns the active adapter. Throws if STORAGE_DRIVER names an unknown adapter.
+ */
+const getStorage = () => {
+  if (customStorage) {
+    return customStorage;
+  }
+  const name = config.storage.driver;
+  const adapter = BUILT_IN_ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+  }
+  return adapter;
+};
+
+/**
+ * Set Storage
+ * Installs a custom adapter. Pass null to go back to the STORAGE_DRIVER setting.
+ */
+const setStorage = (adapter) => {
+  if (adapter && ['save', 'remove', 'getUrl'].some((method) => typeof adapter[method] !== 'function')) {
+    throw new Error('Storage adapter must have save(), remove() and getUrl() methods');
+  }
+  customStorage = adapter;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+};
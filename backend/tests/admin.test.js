@@ -0,0 +1,204 @@
+/**
+ * Admin API Tests
+ * User management routes in routes/admin.js: listing, viewing, editing, disabling, forced
+ * password resets and deletion, and what support staff may do.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// helpers selects the test configuration, so it is required before any app module
+const {
+  PASSWORD,
+  outbox,
+  startDatabase,
+  stopDatabase,
+  resetDatabase,
+  api,
+  registerUser,
+  registerStaff,
+} = require('./helpers');
+
+// Paths of the fields that failed validation in a 400 response
+const errorPaths = (response) => response.body.errors.map((error) => error.path);
+
+// Administrator making the requests, and the regular account they manage
+let admin;
+let member;
+
+/**
+ * As Admin
+ * Request with the administrator's access token (or the one given), e.g.
+ * asAdmin('get', '/api/admin/users').
+ */
+const asAdmin = (method, path, token = admin.token) =>
+  api()[method](path).set('Authorization', `Bearer ${token}`);
+
+/**
+ * Log In
+ * Logs in as the username with the test password, expecting the given status.
+ */
+const logIn = (username, status) =>
+  api().post('/api/auth/login').send({ username, password: PASSWORD }).expect(status);
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(async () => {
+  await resetDatabase();
+  admin = await registerStaff('admin', { username: 'root', email: 'root@example.com' });
+  member = await registerUser({ username: 'bob', email: 'bob@example.com' });
+});
+
+describe('GET /api/admin/users', () => {
+  it('lists users newest first with the page count', async () => {
+    const response = await asAdmin('get', '/api/admin/users').expect(200);
+
+    assert.deepEqual(
+      response.body.users.map((user) => user.username),
+      ['bob', 'root']
+    );
+    assert.equal(response.body.total, 2);
+    assert.equal(response.body.pages, 1);
+    assert.equal(response.body.users[0].password, undefined);
+  });
+
+  it('searches, filters and sorts', async () => {
+    const search = await asAdmin('get', '/api/admin/users').query({ search: 'BOB@' }).expect(200);
+    const admins = await asAdmin('get', '/api/admin/users').query({ role: 'admin' }).expect(200);
+    const sorted = await asAdmin('get', '/api/admin/users').query({ sort: 'username', order: 'desc' }).expect(200);
+
+    assert.deepEqual(
+      search.body.users.map((user) => user.username),
+      ['bob']
+    );
+    assert.deepEqual(
+      admins.body.users.map((user) => user.username),
+      ['root']
+    );
+    assert.deepEqual(
+      sorted.body.users.map((user) => user.username),
+      ['root', 'bob']
+    );
+  });
+
+  it('rejects invalid filters', async () => {
+    const response = await asAdmin('get', '/api/admin/users').query({ limit: 0, role: 'owner' }).expect(400);
+
+    assert.deepEqual(new Set(errorPaths(response)), new Set(['limit', 'role']));
+  });
+
+  it('rejects a filter given more than once', async () => {
+    const response = await asAdmin('get', '/api/admin/users').query('role=admin&role=user').expect(400);
+
+    assert.deepEqual(errorPaths(response), ['role']);
+  });
+
+  it('is only for staff', async () => {
+    await asAdmin('get', '/api/admin/users', member.token).expect(403);
+    await api().get('/api/admin/users').expect(401);
+  });
+});
+
+describe('GET /api/admin/users/:id', () => {
+  it('returns the account status and number of active sessions', async () => {
+    const response = await asAdmin('get', `/api/admin/users/${member.id}`).expect(200);
+
+    assert.equal(response.body.username, 'bob');
+    assert.equal(response.body.disabled, false);
+    assert.equal(response.body.activeSessions, 1);
+  });
+
+  it('answers 404 for an unknown user', async () => {
+    await asAdmin('get', '/api/admin/users/000000000000000000000000').expect(404);
+  });
+});
+
+describe('PUT /api/admin/users/:id', () => {
+  it('changes only the fields sent', async () => {
+    const response = await asAdmin('put', `/api/admin/users/${member.id}`)
+      .send({ email: 'Robert@Example.com', emailVerified: true })
+      .expect(200);
+
+    assert.equal(response.body.username, 'bob');
+    assert.equal(response.body.email, 'robert@example.com');
+    assert.equal(response.body.emailVerified, true);
+  });
+
+  it('reads emailVerified given as 1 or 0', async () => {
+    const verified = await asAdmin('put', `/api/admin/users/${member.id}`).send({ emailVerified: '1' }).expect(200);
+    assert.equal(verified.body.emailVerified, true);
+
+    const unverified = await asAdmin('put', `/api/admin/users/${member.id}`).send({ emailVerified: 0 }).expect(200);
+    assert.equal(unverified.body.emailVerified, false);
+  });
+
+  it('rejects an email that is not text', async () => {
+    const response = await asAdmin('put', `/api/admin/users/${member.id}`)
+      .send({ email: ['bob@example.com'] })
+      .expect(400);
+
+    assert.deepEqual(errorPaths(response), ['email']);
+  });
+});
+
+describe('POST /api/admin/users/:id/disable and /enable', () => {
+  it('signs a disabled account out and lets it back in once enabled', async () => {
+    const disabled = await asAdmin('post', `/api/admin/users/${member.id}/disable`).expect(200);
+    assert.equal(disabled.body.disabled, true);
+    await asAdmin('get', '/api/profile', member.token).expect(401);
+    await logIn('bob', 403);
+
+    const enabled = await asAdmin('post', `/api/admin/users/${member.id}/enable`).expect(200);
+    assert.equal(enabled.body.disabled, false);
+    await logIn('bob', 200);
+  });
+
+  it("can't disable the caller's own account", async () => {
+    await asAdmin('post', `/api/admin/users/${admin.id}/disable`).expect(400);
+  });
+});
+
+describe('POST /api/admin/users/:id/reset-password', () => {
+  it('blocks the current password and emails a reset link', async () => {
+    const response = await asAdmin('post', `/api/admin/users/${member.id}/reset-password`).expect(200);
+
+    assert.equal(response.body.mustResetPassword, true);
+    assert.equal(outbox.filter((mail) => mail.to === 'bob@example.com').pop().subject, 'Reset your password');
+    const login = await logIn('bob', 403);
+    assert.equal(login.body.passwordResetRequired, true);
+  });
+});
+
+describe('DELETE /api/admin/users/:id', () => {
+  it('deletes the account at once', async () => {
+    const response = await asAdmin('delete', `/api/admin/users/${member.id}`).expect(200);
+
+    assert.equal(response.body.id, member.id);
+    await asAdmin('get', `/api/admin/users/${member.id}`).expect(404);
+    await logIn('bob', 401);
+  });
+
+  it("can't delete the caller's own account", async () => {
+    await asAdmin('delete', `/api/admin/users/${admin.id}`).expect(400);
+  });
+});
+
+describe('support staff', () => {
+  // Support account making the requests (registered before each test)
+  let support;
+
+  beforeEach(async () => {
+    support = await registerStaff('support', { username: 'helper', email: 'helper@example.com' });
+  });
+
+  it('can manage regular accounts but not delete them', async () => {
+    await asAdmin('post', `/api/admin/users/${member.id}/disable`, support.token).expect(200);
+    await asAdmin('delete', `/api/admin/users/${member.id}`, support.token).expect(403);
+  });
+
+  it("can't change roles or modify administrators", async () => {
+    await asAdmin('put', `/api/admin/users/${member.id}`, support.token).send({ role: 'admin' }).expect(403);
+    await asAdmin('put', `/api/admin/users/${admin.id}`, support.token).send({ email: 'x@example.com' }).expect(403);
+    await asAdmin('post', `/api/admin/users/${admin.id}/reset-password`, support.token).expect(403);
+  });
+});
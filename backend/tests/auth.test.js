@@ -0,0 +1,513 @@
+/**
+ * Authentication API Tests
+ * Every route in routes/auth.js: registration, login (with and without 2FA), token refresh,
+ * logout, password reset and email verification.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+// helpers selects the test configuration, so it is required before any app module
+const {
+  PASSWORD,
+  outbox,
+  startDatabase,
+  stopDatabase,
+  resetDatabase,
+  api,
+  registerUser,
+  lastEmailToken,
+} = require('./helpers');
+const config = require('../config');
+const { hotp, timeStep } = require('../utils/totp');
+const { userRepository } = require('../repositories');
+const { setTransport } = require('../mail');
+
+// Paths of the fields that failed validation in a 400 response
+const errorPaths = (response) => response.body.errors.map((error) => error.path);
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(resetDatabase);
+
+describe('POST /api/auth/register', () => {
+  it('creates the account, signs it in and emails a verification link', async () => {
+    const response = await api()
+      .post('/api/auth/register')
+      .send({ username: 'alice', email: 'Alice@Example.com', password: PASSWORD })
+      .expect(201);
+
+    assert.equal(response.body.username, 'alice');
+    assert.equal(response.body.email, 'alice@example.com');
+    assert.equal(response.body.emailVerified, false);
+    assert.ok(response.body.token);
+    assert.ok(response.body.refreshToken);
+    assert.equal(response.body.password, undefined);
+    assert.ok(lastEmailToken('alice@example.com'));
+  });
+
+  it('stores a national phone number in E.164 format', async () => {
+    const { token } = await registerUser({ phone: '020 7946 0018', phoneCountry: 'GB' });
+
+    const profile = await api().get('/api/profile').set('Authorization', `Bearer ${token}`).expect(200);
+    assert.equal(profile.body.phone, '+442079460018');
+    assert.equal(profile.body.phoneCountry, 'GB');
+  });
+
+  it('rejects missing and malformed fields', async () => {
+    const response = await api().post('/api/auth/register').send({ email: 'not-an-email' }).expect(400);
+
+    assert.equal(response.body.message, 'Validation failed');
+    assert.deepEqual(new Set(errorPaths(response)), new Set(['username', 'password', 'email']));
+  });
+
+  it('rejects an email that is not text', async () => {
+    const response = await api()
+      .post('/api/auth/register')
+      .send({ username: 'alice', email: ['alice@example.com'], password: PASSWORD })
+      .expect(400);
+
+    assert.deepEqual(errorPaths(response), ['email']);
+  });
+
+  it('rejects a username that is not text', async () => {
+    const response = await api()
+      .post('/api/auth/register')
+      .send({ username: ['alice'], email: 'alice@example.com', password: PASSWORD })
+      .expect(400);
+
+    assert.deepEqual(errorPaths(response), ['username']);
+  });
+
+  it('rejects a password that breaks the policy', async () => {
+    const response = await api()
+      .post('/api/auth/register')
+      .send({ username: 'alice', email: 'alice@example.com', password: 'short' })
+      .expect(400);
+
+    assert.deepEqual(errorPaths(response), ['password']);
+  });
+
+  it('rejects an invalid phone number and date of birth', async () => {
+    const response = await api()
+      .post('/api/auth/register')
+      .send({
+        username: 'alice',
+        email: 'alice@example.com',
+        password: PASSWORD,
+        phone: '12345',
+        phoneCountry: 'GB',
+        dob: 'yesterday',
+      })
+      .expect(400);
+
+    assert.deepEqual(new Set(errorPaths(response)), new Set(['phone', 'dob']));
+  });
+
+  it('rejects a username or email that is already registered', async () => {
+    await registerUser();
+
+    const sameUsername = await api()
+      .post('/api/auth/register')
+      .send({ username: 'alice', email: 'other@example.com', password: PASSWORD })
+      .expect(400);
+    assert.equal(sameUsername.body.message, 'User with that username or email already exists');
+
+    await api()
+      .post('/api/auth/register')
+      .send({ username: 'other', email: 'ALICE@example.com', password: PASSWORD })
+      .expect(400);
+  });
+});
+
+describe('GET /api/auth/password-policy', () => {
+  it('returns the rules enforced on passwords', async () => {
+    const response = await api().get('/api/auth/password-policy').expect(200);
+
+    assert.equal(typeof response.body.minLength, 'number');
+    assert.ok(Array.isArray(response.body.rules));
+  });
+});
+
+describe('GET /api/auth/phone-countries', () => {
+  it('lists countries with their calling codes', async () => {
+    const response = await api().get('/api/auth/phone-countries').expect(200);
+
+    const gb = response.body.countries.find((country) => country.code === 'GB');
+    assert.equal(gb.callingCode, '44');
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  beforeEach(() => registerUser());
+
+  it('signs in with the username or the email', async () => {
+    const byUsername = await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+    assert.ok(byUsername.body.token);
+    assert.ok(byUsername.body.refreshToken);
+
+    await api().post('/api/auth/login').send({ email: 'alice@example.com', password: PASSWORD }).expect(200);
+  });
+
+  it('matches the email case-insensitively', async () => {
+    await api().post('/api/auth/login').send({ email: 'Alice@Example.COM', password: PASSWORD }).expect(200);
+  });
+
+  it('gives the same answer for a wrong password and an unknown user', async () => {
+    const wrongPassword = await api()
+      .post('/api/auth/login')
+      .send({ username: 'alice', password: 'Wrong-Password-1' })
+      .expect(401);
+    const unknownUser = await api().post('/api/auth/login').send({ username: 'bob', password: PASSWORD }).expect(401);
+
+    assert.equal(wrongPassword.body.message, 'Invalid credentials');
+    assert.deepEqual(unknownUser.body, wrongPassword.body);
+  });
+
+  it('requires a password and a username or email', async () => {
+    const response = await api().post('/api/auth/login').send({}).expect(400);
+
+    assert.ok(response.body.errors.some((error) => error.msg === 'Username or email is required'));
+    assert.ok(errorPaths(response).includes('password'));
+  });
+
+  it('rejects a password, username or email that is not text', async () => {
+    const login = (body) => api().post('/api/auth/login').send(body).expect(400);
+
+    const password = await login({ username: 'alice', password: { $ne: '' } });
+    const username = await login({ username: ['alice'], password: PASSWORD });
+    const email = await login({ email: ['alice@example.com'], password: PASSWORD });
+
+    assert.deepEqual(errorPaths(password), ['password']);
+    assert.deepEqual(errorPaths(username), ['username']);
+    assert.deepEqual(errorPaths(email), ['email']);
+  });
+
+  it('locks the account after repeated failures', async () => {
+    let response;
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      response = await api().post('/api/auth/login').send({ username: 'alice', password: 'Wrong-Password-1' });
+    }
+    assert.equal(response.status, 429);
+    assert.ok(response.headers['retry-after']);
+
+    // Even the right password is refused while locked
+    await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(429);
+  });
+
+  it('refuses a deleted account unless the user restores it', async () => {
+    const login = await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+    const { token } = login.body;
+    await api().delete('/api/profile').set('Authorization', `Bearer ${token}`).send({ password: PASSWORD }).expect(200);
+
+    const refused = await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(403);
+    assert.equal(refused.body.accountDeleted, true);
+
+    await api()
+      .post('/api/auth/login')
+      .send({ username: 'alice', password: PASSWORD, restoreAccount: true })
+      .expect(200);
+    await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+  });
+});
+
+describe('POST /api/auth/login/mfa', () => {
+  // Authenticator secret of the test account
+  let secret;
+
+  beforeEach(async () => {
+    const { token } = await registerUser();
+    const setup = await api()
+      .post('/api/profile/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: PASSWORD })
+      .expect(200);
+    secret = setup.body.secret;
+    await api()
+      .post('/api/profile/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: hotp(secret, timeStep()) })
+      .expect(200);
+  });
+
+  it('completes a login with a code from the authenticator app', async () => {
+    const first = await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+    assert.equal(first.body.mfaRequired, true);
+    assert.equal(first.body.token, undefined);
+
+    // The confirming code was for the current step, so use the next one
+    const response = await api()
+      .post('/api/auth/login/mfa')
+      .send({ mfaTicket: first.body.mfaTicket, code: hotp(secret, timeStep() + 1) })
+      .expect(200);
+    assert.ok(response.body.token);
+    assert.ok(response.body.refreshToken);
+  });
+
+  it('rejects a wrong code', async () => {
+    const first = await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+
+    const response = await api()
+      .post('/api/auth/login/mfa')
+      .send({ mfaTicket: first.body.mfaTicket, code: '000000' })
+      .expect(401);
+    assert.equal(response.body.message, 'Invalid authentication code');
+  });
+
+  it('rejects an invalid ticket', async () => {
+    const response = await api()
+      .post('/api/auth/login/mfa')
+      .send({ mfaTicket: 'not-a-ticket', code: hotp(secret, timeStep()) })
+      .expect(401);
+    assert.equal(response.body.message, 'Login session expired, please sign in again');
+  });
+
+  it('requires the ticket and the code', async () => {
+    const response = await api().post('/api/auth/login/mfa').send({}).expect(400);
+
+    assert.deepEqual(new Set(errorPaths(response)), new Set(['mfaTicket', 'code']));
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('rotates the refresh token', async () => {
+    const { refreshToken } = await registerUser();
+
+    const response = await api().post('/api/auth/refresh').send({ refreshToken }).expect(200);
+    assert.ok(response.body.token);
+    assert.notEqual(response.body.refreshToken, refreshToken);
+
+    await api().get('/api/profile').set('Authorization', `Bearer ${response.body.token}`).expect(200);
+  });
+
+  it('revokes the session when a used refresh token is replayed', async () => {
+    const { refreshToken } = await registerUser();
+    const first = await api().post('/api/auth/refresh').send({ refreshToken }).expect(200);
+    const rotated = await api().post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken }).expect(200);
+
+    await api().post('/api/auth/refresh').send({ refreshToken }).expect(401);
+
+    // The legitimate holder is signed out too
+    await api().post('/api/auth/refresh').send({ refreshToken: rotated.body.refreshToken }).expect(401);
+    await api().get('/api/profile').set('Authorization', `Bearer ${rotated.body.token}`).expect(401);
+  });
+
+  it('lets only one of two concurrent refreshes win, without revoking the session', async () => {
+    const { refreshToken } = await registerUser();
+
+    const responses = await Promise.all([
+      api().post('/api/auth/refresh').send({ refreshToken }),
+      api().post('/api/auth/refresh').send({ refreshToken }),
+    ]);
+    assert.deepEqual(responses.map((response) => response.status).sort(), [200, 401]);
+
+    const winner = responses.find((response) => response.status === 200).body;
+    await api().get('/api/profile').set('Authorization', `Bearer ${winner.token}`).expect(200);
+    await api().post('/api/auth/refresh').send({ refreshToken: winner.refreshToken }).expect(200);
+  });
+
+  it('revokes the session when the last rotated token is replayed after the grace period', async (t) => {
+    const { refreshToken } = await registerUser();
+    const rotated = await api().post('/api/auth/refresh').send({ refreshToken }).expect(200);
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    t.mock.timers.tick((config.auth.refreshReuseGraceSeconds + 1) * 1000);
+    await api().post('/api/auth/refresh').send({ refreshToken }).expect(401);
+    t.mock.timers.reset();
+
+    await api().get('/api/profile').set('Authorization', `Bearer ${rotated.body.token}`).expect(401);
+  });
+
+  it('rejects a malformed or missing refresh token', async () => {
+    await api().post('/api/auth/refresh').send({ refreshToken: 'garbage' }).expect(401);
+    await api().post('/api/auth/refresh').send({}).expect(400);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('revokes the current session', async () => {
+    const { token, refreshToken } = await registerUser();
+
+    await api().post('/api/auth/logout').set('Authorization', `Bearer ${token}`).expect(200);
+
+    await api().get('/api/profile').set('Authorization', `Bearer ${token}`).expect(401);
+    await api().post('/api/auth/refresh').send({ refreshToken }).expect(401);
+  });
+
+  it('requires a valid access token', async () => {
+    const user = await registerUser();
+    const decoded = jwt.decode(user.token);
+    const expired = jwt.sign({ id: decoded.id, sid: decoded.sid }, config.auth.jwtSecret, { expiresIn: -10 });
+    const forged = jwt.sign({ id: decoded.id, sid: decoded.sid }, 'some-other-secret');
+
+    await api().post('/api/auth/logout').expect(401);
+    await api().post('/api/auth/logout').set('Authorization', 'Bearer garbage').expect(401);
+    await api().post('/api/auth/logout').set('Authorization', `Bearer ${expired}`).expect(401);
+    await api().post('/api/auth/logout').set('Authorization', `Bearer ${forged}`).expect(401);
+  });
+});
+
+describe('POST /api/auth/logout-all', () => {
+  it('revokes every session of the user', async () => {
+    const { token } = await registerUser();
+    const other = await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+
+    const response = await api().post('/api/auth/logout-all').set('Authorization', `Bearer ${token}`).expect(200);
+    assert.equal(response.body.revoked, 2);
+
+    await api().get('/api/profile').set('Authorization', `Bearer ${token}`).expect(401);
+    await api().get('/api/profile').set('Authorization', `Bearer ${other.body.token}`).expect(401);
+  });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  it('emails a reset link to a registered address', async () => {
+    await registerUser();
+
+    await api().post('/api/auth/forgot-password').send({ email: 'alice@example.com' }).expect(200);
+
+    assert.match(outbox[outbox.length - 1].text, /reset-password/);
+  });
+
+  it('answers the same way for an unknown address', async () => {
+    await registerUser();
+    const known = await api().post('/api/auth/forgot-password').send({ email: 'alice@example.com' }).expect(200);
+    const sent = outbox.length;
+
+    const unknown = await api().post('/api/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+
+    assert.deepEqual(unknown.body, known.body);
+    assert.equal(outbox.length, sent);
+  });
+
+  it('answers the same way when the email cannot be sent', async () => {
+    await registerUser();
+    setTransport({
+      send: async () => {
+        throw new Error('Mail server unavailable');
+      },
+    });
+
+    const known = await api().post('/api/auth/forgot-password').send({ email: 'alice@example.com' }).expect(200);
+    const unknown = await api().post('/api/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+
+    assert.deepEqual(known.body, unknown.body);
+  });
+
+  it('rejects an invalid email', async () => {
+    const response = await api().post('/api/auth/forgot-password').send({ email: 'nope' }).expect(400);
+    const notText = await api()
+      .post('/api/auth/forgot-password')
+      .send({ email: ['alice@example.com'] })
+      .expect(400);
+
+    assert.deepEqual(errorPaths(response), ['email']);
+    assert.deepEqual(errorPaths(notText), ['email']);
+  });
+});
+
+describe('POST /api/auth/reset-password', () => {
+  // Reset token emailed to the test account
+  let resetToken;
+  // Access token of the test account's first session
+  let sessionToken;
+
+  beforeEach(async () => {
+    sessionToken = (await registerUser()).token;
+    await api().post('/api/auth/forgot-password').send({ email: 'alice@example.com' }).expect(200);
+    resetToken = lastEmailToken('alice@example.com');
+  });
+
+  it('sets the new password and signs out every session', async () => {
+    await api().post('/api/auth/reset-password').send({ token: resetToken, password: 'New-Password-42' }).expect(200);
+
+    await api().get('/api/profile').set('Authorization', `Bearer ${sessionToken}`).expect(401);
+    await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(401);
+    await api().post('/api/auth/login').send({ username: 'alice', password: 'New-Password-42' }).expect(200);
+  });
+
+  it('only accepts a token once', async () => {
+    await api().post('/api/auth/reset-password').send({ token: resetToken, password: 'New-Password-42' }).expect(200);
+
+    const response = await api()
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, password: 'Other-Password-42' })
+      .expect(400);
+    assert.equal(response.body.message, 'Reset link is invalid or has expired');
+  });
+
+  it('rejects an expired token', async () => {
+    const user = await userRepository.findByEmail('alice@example.com');
+    user.passwordResetExpiresAt = new Date(Date.now() - 1000);
+    await userRepository.save(user);
+
+    await api().post('/api/auth/reset-password').send({ token: resetToken, password: 'New-Password-42' }).expect(400);
+  });
+
+  it('rejects a password that breaks the policy', async () => {
+    const response = await api()
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, password: 'alice-Password-1' })
+      .expect(400);
+
+    assert.deepEqual(errorPaths(response), ['password']);
+  });
+
+  it('requires a token', async () => {
+    const response = await api().post('/api/auth/reset-password').send({ password: 'New-Password-42' }).expect(400);
+
+    assert.ok(errorPaths(response).includes('token'));
+  });
+});
+
+describe('GET /api/auth/verify-email', () => {
+  it('verifies the address from the emailed link', async () => {
+    const { token } = await registerUser();
+
+    const response = await api()
+      .get('/api/auth/verify-email')
+      .query({ token: lastEmailToken('alice@example.com') })
+      .expect(200);
+    assert.equal(response.body.emailVerified, true);
+
+    const profile = await api().get('/api/profile').set('Authorization', `Bearer ${token}`).expect(200);
+    assert.equal(profile.body.emailVerified, true);
+  });
+
+  it('rejects an unknown or missing token', async () => {
+    await registerUser();
+
+    await api().get('/api/auth/verify-email').query({ token: 'unknown' }).expect(400);
+    await api().get('/api/auth/verify-email').expect(400);
+  });
+});
+
+describe('POST /api/auth/resend-verification', () => {
+  it('emails a new link while the address is unverified', async () => {
+    const { token } = await registerUser();
+    const firstToken = lastEmailToken('alice@example.com');
+
+    await api().post('/api/auth/resend-verification').set('Authorization', `Bearer ${token}`).expect(200);
+
+    const secondToken = lastEmailToken('alice@example.com');
+    assert.notEqual(secondToken, firstToken);
+    // Only the newest link works
+    await api().get('/api/auth/verify-email').query({ token: firstToken }).expect(400);
+    await api().get('/api/auth/verify-email').query({ token: secondToken }).expect(200);
+  });
+
+  it('refuses once the address is verified', async () => {
+    const { token } = await registerUser();
+    await api()
+      .get('/api/auth/verify-email')
+      .query({ token: lastEmailToken('alice@example.com') })
+      .expect(200);
+
+    await api().post('/api/auth/resend-verification').set('Authorization', `Bearer ${token}`).expect(400);
+  });
+
+  it('requires authentication', async () => {
+    await api().post('/api/auth/resend-verification').expect(401);
+  });
+});
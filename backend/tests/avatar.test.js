@@ -0,0 +1,160 @@
+/**
+ * Avatar API Tests
+ * Uploading and removing the profile picture (routes/avatar.js). Files are kept in an
+ * in-memory storage adapter, so nothing is written to the uploads directory.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+// helpers selects the test configuration, so it is required before any app module
+const { startDatabase, stopDatabase, resetDatabase, api, registerUser } = require('./helpers');
+const { setStorage } = require('../storage');
+
+// Paths of the fields that failed validation in a 400 response
+const errorPaths = (response) => response.body.errors.map((error) => error.path);
+
+// Stored files by key
+const files = new Map();
+
+// Storage adapter that keeps files in the map above
+const memoryStorage = {
+  save: async (key, buffer) => files.set(key, buffer),
+  remove: async (key) => files.delete(key),
+  getUrl: (key) => `/files/${key}`,
+};
+
+// Access token of the test account (registered before each test)
+let token;
+
+/**
+ * Test Image
+ * A 300x200 PNG: red, with a 100x100 blue square in the top right corner.
+ */
+const testImage = () =>
+  sharp({ create: { width: 300, height: 200, channels: 3, background: 'red' } })
+    .composite([
+      {
+        input: { create: { width: 100, height: 100, channels: 3, background: 'blue' } },
+        left: 200,
+        top: 0,
+      },
+    ])
+    .png()
+    .toBuffer();
+
+/**
+ * Upload
+ * POSTs a file as the test account's avatar, with optional crop fields.
+ */
+const upload = (buffer, fields = {}, filename = 'photo.png') => {
+  const request = api().post('/api/profile/avatar').set('Authorization', `Bearer ${token}`);
+  Object.entries(fields).forEach(([name, value]) => request.field(name, String(value)));
+  return request.attach('avatar', buffer, filename);
+};
+
+/**
+ * Stored File
+ * The stored file behind an avatar URL.
+ */
+const storedFile = (url) => files.get(url.replace('/files/', ''));
+
+/**
+ * Top Left Color
+ * "red" or "blue", whichever the first pixel of an image is closer to (WebP is lossy, so the
+ * exact values vary).
+ */
+const topLeftColor = async (buffer) => {
+  const [red, , blue] = await sharp(buffer).removeAlpha().raw().toBuffer();
+  return red > blue ? 'red' : 'blue';
+};
+
+before(async () => {
+  await startDatabase();
+  setStorage(memoryStorage);
+});
+after(async () => {
+  setStorage(null);
+  await stopDatabase();
+});
+beforeEach(async () => {
+  await resetDatabase();
+  files.clear();
+  ({ token } = await registerUser());
+});
+
+describe('POST /api/profile/avatar', () => {
+  it('stores square WebP thumbnails and returns their URLs', async () => {
+    const response = await upload(await testImage()).expect(200);
+
+    const { avatar } = response.body;
+    assert.deepEqual(Object.keys(avatar), ['64', '128', '256']);
+    const metadata = await sharp(storedFile(avatar[256])).metadata();
+    assert.equal(metadata.format, 'webp');
+    assert.equal(metadata.width, 256);
+    assert.equal(metadata.height, 256);
+    assert.equal(metadata.exif, undefined);
+
+    const profile = await api().get('/api/profile').set('Authorization', `Bearer ${token}`).expect(200);
+    assert.deepEqual(profile.body.avatar, avatar);
+  });
+
+  it('keeps the largest centered square, or the crop sent', async () => {
+    const centered = await upload(await testImage()).expect(200);
+    assert.equal(await topLeftColor(storedFile(centered.body.avatar[64])), 'red');
+
+    const cropped = await upload(await testImage(), { cropX: 200, cropY: 0, cropSize: 100 }).expect(200);
+    assert.equal(await topLeftColor(storedFile(cropped.body.avatar[64])), 'blue');
+  });
+
+  it('removes the files of the avatar it replaces', async () => {
+    const first = await upload(await testImage()).expect(200);
+    const second = await upload(await testImage()).expect(200);
+
+    assert.equal(storedFile(first.body.avatar[64]), undefined);
+    assert.ok(storedFile(second.body.avatar[64]));
+    assert.equal(files.size, 3);
+  });
+
+  it('rejects files that are not images, whatever their name', async () => {
+    const response = await upload(Buffer.from('not an image'), {}, 'photo.png').expect(400);
+
+    assert.deepEqual(errorPaths(response), ['avatar']);
+    assert.equal(files.size, 0);
+  });
+
+  it('asks for a file when none is sent', async () => {
+    const response = await api().post('/api/profile/avatar').set('Authorization', `Bearer ${token}`).expect(400);
+
+    assert.deepEqual(errorPaths(response), ['avatar']);
+  });
+
+  it('rejects a partial crop', async () => {
+    const response = await upload(await testImage(), { cropX: 0, cropY: 0 }).expect(400);
+
+    assert.deepEqual(errorPaths(response), ['cropSize']);
+  });
+
+  it('requires authentication', async () => {
+    await api()
+      .post('/api/profile/avatar')
+      .attach('avatar', await testImage(), 'photo.png')
+      .expect(401);
+  });
+});
+
+describe('DELETE /api/profile/avatar', () => {
+  it('removes the avatar and its files', async () => {
+    await upload(await testImage()).expect(200);
+
+    const response = await api().delete('/api/profile/avatar').set('Authorization', `Bearer ${token}`).expect(200);
+
+    assert.equal(response.body.avatar, null);
+    assert.equal(files.size, 0);
+  });
+
+  it('succeeds when there is no avatar', async () => {
+    await api().delete('/api/profile/avatar').set('Authorization', `Bearer ${token}`).expect(200);
+  });
+});
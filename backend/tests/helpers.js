@@ -0,0 +1,130 @@
+/**
+ * Test Helpers
+ * Shared setup for the API tests (node --test). Each test file runs in its own process with
+ * a fresh database:
+ * - by default an in-process MongoDB (mongodb-memory-server, downloaded on first use);
+ * - with DATABASE_DRIVER=memory the in-memory repositories, for machines that can't
+ *   download MongoDB.
+ *
+ * Emails are captured in an outbox instead of being sent, so tests can follow reset and
+ * verification links.
+ */
+
+// Selects the test profile (see config/schema.js) - must be set before the app is loaded
+process.env.NODE_ENV = 'test';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../server');
+const repositories = require('../repositories');
+const { setTransport } = require('../mail');
+const { createMemoryStore, setStore } = require('../utils/rateLimitStore');
+
+// Password accepted by the default password policy
+const PASSWORD = 'Correct-Horse-42';
+
+// Emails "sent" by the app since the last resetDatabase()
+const outbox = [];
+
+// Mail transport that puts every message in the outbox
+const outboxTransport = { send: async (message) => outbox.push(message) };
+
+// In-process MongoDB server (MongoDB driver only)
+let mongoServer = null;
+
+/**
+ * Start Database
+ * Starts the database for this test file and connects the app to it.
+ */
+const startDatabase = async () => {
+  setTransport(outboxTransport);
+  if (repositories.driver === 'memory') return;
+
+  // Required lazily so the package is only needed when MongoDB is used
+  const { MongoMemoryServer } = require('mongodb-memory-server');
+  mongoServer = await MongoMemoryServer.create();
+  await repositories.connectDatabase(mongoServer.getUri());
+  // Unique indexes must exist before duplicate users can be rejected
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+};
+
+/**
+ * Stop Database
+ * Disconnects and stops the database started by startDatabase().
+ */
+const stopDatabase = async () => {
+  if (!mongoServer) return;
+  await mongoose.disconnect();
+  await mongoServer.stop();
+  mongoServer = null;
+};
+
+/**
+ * Reset Database
+ * Removes all stored data, emails and login failure counters, and goes back to capturing
+ * emails in the outbox, so every test starts clean.
+ */
+const resetDatabase = async () => {
+  if (repositories.driver === 'memory') {
+    Object.values(repositories).forEach((repository) => repository.clear && repository.clear());
+  } else {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map((collection) => collection.deleteMany({})));
+  }
+  outbox.length = 0;
+  setTransport(outboxTransport);
+  setStore(createMemoryStore());
+};
+
+/**
+ * API
+ * supertest agent for the app (e.g. api().get('/api/profile')).
+ */
+const api = () => request(app);
+
+/**
+ * Register User
+ * Registers an account through the API and resolves to the response body (user fields
+ * plus token and refreshToken). fields override the defaults.
+ */
+const registerUser = async (fields = {}) => {
+  const response = await api()
+    .post('/api/auth/register')
+    .send({ username: 'alice', email: 'alice@example.com', password: PASSWORD, ...fields })
+    .expect(201);
+  return response.body;
+};
+
+/**
+ * Register Staff
+ * Registers an account like registerUser and gives it a staff role ("admin" or "support").
+ */
+const registerStaff = async (role, fields = {}) => {
+  const body = await registerUser(fields);
+  const user = await repositories.userRepository.findById(body.id);
+  user.role = role;
+  await repositories.userRepository.save(user);
+  return body;
+};
+
+/**
+ * Last Email Token
+ * The token from the link in the most recent email to the address (null if none).
+ */
+const lastEmailToken = (to) => {
+  const message = outbox.filter((mail) => mail.to === to).pop();
+  const match = message && message.text.match(/[?&]token=([\w-]+)/);
+  return match ? match[1] : null;
+};
+
+module.exports = {
+  PASSWORD,
+  outbox,
+  startDatabase,
+  stopDatabase,
+  resetDatabase,
+  api,
+  registerUser,
+  registerStaff,
+  lastEmailToken,
+};
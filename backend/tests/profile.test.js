@@ -0,0 +1,429 @@
+/**
+ * Profile API Tests
+ * Every route in routes/profile.js: reading and updating the profile (PATCH, PUT, If-Match),
+ * account deletion (and the job that purges deleted accounts), privacy, password change,
+ * sessions, activity and data export.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// helpers selects the test configuration, so it is required before any app module
+const {
+  PASSWORD,
+  startDatabase,
+  stopDatabase,
+  resetDatabase,
+  api,
+  registerUser,
+  lastEmailToken,
+} = require('./helpers');
+const { profileFieldRepository, userRepository } = require('../repositories');
+const { purgeDueAccounts } = require('../services/accountService');
+
+// Paths of the fields that failed validation in a 400 response
+const errorPaths = (response) => response.body.errors.map((error) => error.path);
+
+// Access and refresh tokens of the test account (registered before each test)
+let user;
+
+/**
+ * As User
+ * Request with the test account's access token, e.g. asUser('get', '/api/profile').
+ */
+const asUser = (method, path, token = user.token) => api()[method](path).set('Authorization', `Bearer ${token}`);
+
+/**
+ * Current ETag
+ * The profile's ETag, to send as If-Match.
+ */
+const currentEtag = async () => (await asUser('get', '/api/profile').expect(200)).headers.etag;
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(async () => {
+  await resetDatabase();
+  user = await registerUser({ phone: '+442079460018' });
+});
+
+describe('GET /api/profile', () => {
+  it('returns the profile with an ETag', async () => {
+    const response = await asUser('get', '/api/profile').expect(200);
+
+    assert.equal(response.body.username, 'alice');
+    assert.equal(response.body.email, 'alice@example.com');
+    assert.equal(response.body.phone, '+442079460018');
+    assert.equal(response.body.phoneCountry, 'GB');
+    assert.equal(response.body.password, undefined);
+    assert.ok(response.headers.etag);
+  });
+
+  it('leaves out custom values that no longer fit their field', async () => {
+    await profileFieldRepository.create({ key: 'website', label: 'Website', type: 'text', visibility: 'public' });
+    await asUser('patch', '/api/profile').send({ customFields: { website: 'javascript:alert(1)' } }).expect(200);
+    const field = await profileFieldRepository.findByKey('website');
+    field.set({ type: 'url' });
+    await profileFieldRepository.save(field);
+
+    const response = await asUser('get', '/api/profile').expect(200);
+    const publicProfile = await api().get('/api/users/alice').expect(200);
+
+    assert.deepEqual(response.body.customFields, {});
+    assert.ok(!publicProfile.body.fields.some((item) => item.key === 'website'));
+  });
+
+  it('requires authentication', async () => {
+    await api().get('/api/profile').expect(401);
+    await asUser('get', '/api/profile', 'garbage').expect(401);
+  });
+});
+
+describe('GET /api/profile/fields', () => {
+  it('returns the custom field definitions in form order', async () => {
+    await profileFieldRepository.create({ key: 'department', label: 'Department', type: 'text', order: 20 });
+    await profileFieldRepository.create({ key: 'jobTitle', label: 'Job title', type: 'text', order: 10 });
+
+    const response = await asUser('get', '/api/profile/fields').expect(200);
+
+    assert.deepEqual(
+      response.body.fields.map((field) => field.key),
+      ['jobTitle', 'department']
+    );
+  });
+});
+
+describe('PATCH /api/profile', () => {
+  it('changes only the fields sent', async () => {
+    await asUser('patch', '/api/profile').send({ displayName: 'Alice A.', bio: 'Hello' }).expect(200);
+
+    const response = await asUser('patch', '/api/profile').send({ bio: 'Updated' }).expect(200);
+    assert.equal(response.body.displayName, 'Alice A.');
+    assert.equal(response.body.bio, 'Updated');
+    assert.equal(response.body.phone, '+442079460018');
+  });
+
+  it('clears a field sent as null', async () => {
+    const response = await asUser('patch', '/api/profile').send({ phone: null }).expect(200);
+
+    assert.equal(response.body.phone, '');
+    assert.equal(response.body.phoneCountry, null);
+  });
+
+  it('rejects a phone country sent without the phone number', async () => {
+    const etag = await currentEtag();
+
+    const response = await asUser('patch', '/api/profile').send({ phoneCountry: 'US' }).expect(400);
+
+    assert.deepEqual(errorPaths(response), ['phoneCountry']);
+    const profile = await asUser('get', '/api/profile').expect(200);
+    assert.equal(profile.body.phoneCountry, 'GB');
+    assert.equal(profile.headers.etag, etag);
+  });
+
+  it('accepts application/merge-patch+json and rejects other media types', async () => {
+    await asUser('patch', '/api/profile')
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ bio: 'Merged' }))
+      .expect(200);
+
+    const response = await asUser('patch', '/api/profile')
+      .set('Content-Type', 'text/plain')
+      .send('bio=nope')
+      .expect(415);
+    assert.equal(response.headers['accept-patch'], 'application/merge-patch+json');
+  });
+
+  it('merges custom fields key by key', async () => {
+    await profileFieldRepository.create({ key: 'jobTitle', label: 'Job title', type: 'text' });
+    await profileFieldRepository.create({ key: 'department', label: 'Department', type: 'text' });
+    await asUser('patch', '/api/profile').send({ customFields: { jobTitle: 'Engineer', department: 'R&D' } });
+
+    const response = await asUser('patch', '/api/profile').send({ customFields: { department: null } }).expect(200);
+
+    assert.deepEqual(response.body.customFields, { jobTitle: 'Engineer' });
+  });
+
+  it('rejects invalid values and fields that cannot be changed', async () => {
+    const response = await asUser('patch', '/api/profile')
+      .send({ displayName: 'x'.repeat(61), dob: 'soon', phone: '123', role: 'admin' })
+      .expect(400);
+
+    assert.deepEqual(new Set(errorPaths(response)), new Set(['displayName', 'dob', 'phone', 'role']));
+    const profile = await asUser('get', '/api/profile').expect(200);
+    assert.equal(profile.body.role, 'user');
+  });
+
+  it('rejects a body that is not an object', async () => {
+    await asUser('patch', '/api/profile').send([{ bio: 'x' }]).expect(400);
+  });
+
+  it('holds a new email until it is confirmed', async () => {
+    const response = await asUser('patch', '/api/profile').send({ email: 'new@example.com' }).expect(200);
+    assert.equal(response.body.email, 'alice@example.com');
+    assert.equal(response.body.pendingEmail, 'new@example.com');
+
+    await api().get('/api/auth/verify-email').query({ token: lastEmailToken('new@example.com') }).expect(200);
+
+    const profile = await asUser('get', '/api/profile').expect(200);
+    assert.equal(profile.body.email, 'new@example.com');
+    assert.equal(profile.body.pendingEmail, null);
+  });
+
+  it("rejects another account's email", async () => {
+    await registerUser({ username: 'bob', email: 'bob@example.com' });
+
+    const response = await asUser('patch', '/api/profile').send({ email: 'bob@example.com' }).expect(400);
+    assert.deepEqual(errorPaths(response), ['email']);
+  });
+
+  it('applies the update when If-Match is the current ETag', async () => {
+    const etag = await currentEtag();
+
+    const response = await asUser('patch', '/api/profile').set('If-Match', etag).send({ bio: 'Mine' }).expect(200);
+    assert.notEqual(response.headers.etag, etag);
+  });
+
+  it('answers 412 with the current profile when If-Match is outdated', async () => {
+    const etag = await currentEtag();
+    await asUser('patch', '/api/profile').send({ bio: 'Saved elsewhere' }).expect(200);
+
+    const response = await asUser('patch', '/api/profile').set('If-Match', etag).send({ bio: 'Mine' }).expect(412);
+    assert.equal(response.body.current.bio, 'Saved elsewhere');
+    assert.notEqual(response.headers.etag, etag);
+  });
+});
+
+describe('PUT /api/profile', () => {
+  it('replaces the editable fields, clearing those left out', async () => {
+    await asUser('patch', '/api/profile').send({ displayName: 'Alice A.', bio: 'Hello' }).expect(200);
+
+    const response = await asUser('put', '/api/profile')
+      .send({ email: 'alice@example.com', bio: 'Only bio' })
+      .expect(200);
+
+    assert.equal(response.body.bio, 'Only bio');
+    assert.equal(response.body.displayName, '');
+    assert.equal(response.body.phone, '');
+  });
+
+  it('requires the email', async () => {
+    const response = await asUser('put', '/api/profile').send({ bio: 'No email' }).expect(400);
+
+    assert.deepEqual(errorPaths(response), ['email']);
+  });
+
+  it('honours If-Match', async () => {
+    const etag = await currentEtag();
+    await asUser('patch', '/api/profile').send({ bio: 'Saved elsewhere' }).expect(200);
+
+    await asUser('put', '/api/profile').set('If-Match', etag).send({ email: 'alice@example.com' }).expect(412);
+  });
+});
+
+describe('DELETE /api/profile', () => {
+  it('deletes the account after confirming the password', async () => {
+    const response = await asUser('delete', '/api/profile').send({ password: PASSWORD }).expect(200);
+    assert.ok(response.body.purgeAt);
+
+    await asUser('get', '/api/profile').expect(401);
+  });
+
+  it('rejects a wrong or missing password', async () => {
+    const wrong = await asUser('delete', '/api/profile').send({ password: 'Wrong-Password-1' }).expect(400);
+    assert.deepEqual(errorPaths(wrong), ['password']);
+    await asUser('delete', '/api/profile').send({}).expect(400);
+
+    await asUser('get', '/api/profile').expect(200);
+  });
+
+  it('rejects a password that is not text', async () => {
+    const response = await asUser('delete', '/api/profile').send({ password: { $ne: '' } }).expect(400);
+
+    assert.deepEqual(errorPaths(response), ['password']);
+    await asUser('get', '/api/profile').expect(200);
+  });
+});
+
+describe('account purge job', () => {
+  it('purges deleted accounts once the grace period has ended', async () => {
+    const { purgeAt } = (await asUser('delete', '/api/profile').send({ password: PASSWORD }).expect(200)).body;
+
+    assert.equal(await purgeDueAccounts(new Date(Date.parse(purgeAt) - 1000)), 0);
+    assert.ok(await userRepository.findById(user.id));
+
+    assert.equal(await purgeDueAccounts(new Date(Date.parse(purgeAt) + 1000)), 1);
+    assert.equal(await userRepository.findById(user.id), null);
+    await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(401);
+  });
+
+  it('leaves accounts that were not deleted', async () => {
+    const farFuture = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+    assert.equal(await purgeDueAccounts(farFuture), 0);
+    await asUser('get', '/api/profile').expect(200);
+  });
+});
+
+describe('PUT /api/profile/privacy', () => {
+  it('changes the visibility of the listed fields', async () => {
+    const response = await asUser('put', '/api/profile/privacy').send({ privacy: { email: 'members' } }).expect(200);
+
+    assert.equal(response.body.privacy.email, 'members');
+    assert.equal(response.body.privacy.phone, 'private');
+  });
+
+  it('rejects unknown fields and levels', async () => {
+    const response = await asUser('put', '/api/profile/privacy')
+      .send({ privacy: { password: 'public', email: 'everyone' } })
+      .expect(400);
+
+    assert.deepEqual(new Set(errorPaths(response)), new Set(['privacy.password', 'privacy.email']));
+  });
+
+  it('honours If-Match', async () => {
+    const etag = await currentEtag();
+    await asUser('patch', '/api/profile').send({ bio: 'Saved elsewhere' }).expect(200);
+
+    await asUser('put', '/api/profile/privacy')
+      .set('If-Match', etag)
+      .send({ privacy: { email: 'public' } })
+      .expect(412);
+  });
+});
+
+describe('PUT /api/profile/password', () => {
+  it('changes the password and signs out the other sessions', async () => {
+    const other = await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+
+    const response = await asUser('put', '/api/profile/password')
+      .send({ currentPassword: PASSWORD, newPassword: 'New-Password-42' })
+      .expect(200);
+    assert.equal(response.body.revokedSessions, 1);
+
+    await asUser('get', '/api/profile').expect(200);
+    await asUser('get', '/api/profile', other.body.token).expect(401);
+    await api().post('/api/auth/login').send({ username: 'alice', password: 'New-Password-42' }).expect(200);
+  });
+
+  it('rejects a wrong current password', async () => {
+    const response = await asUser('put', '/api/profile/password')
+      .send({ currentPassword: 'Wrong-Password-1', newPassword: 'New-Password-42' })
+      .expect(400);
+
+    assert.deepEqual(errorPaths(response), ['currentPassword']);
+  });
+
+  it('rejects a current password that is not text', async () => {
+    const response = await asUser('put', '/api/profile/password')
+      .send({ currentPassword: { $ne: '' }, newPassword: 'New-Password-42' })
+      .expect(400);
+
+    assert.deepEqual(errorPaths(response), ['currentPassword']);
+  });
+
+  it('rejects an unchanged or weak new password', async () => {
+    const unchanged = await asUser('put', '/api/profile/password')
+      .send({ currentPassword: PASSWORD, newPassword: PASSWORD })
+      .expect(400);
+    assert.deepEqual(errorPaths(unchanged), ['newPassword']);
+
+    await asUser('put', '/api/profile/password').send({ currentPassword: PASSWORD, newPassword: 'short' }).expect(400);
+  });
+});
+
+describe('GET /api/profile/sessions', () => {
+  it('lists the active sessions and marks the current one', async () => {
+    await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+
+    const response = await asUser('get', '/api/profile/sessions').expect(200);
+
+    assert.equal(response.body.length, 2);
+    assert.equal(response.body.filter((session) => session.current).length, 1);
+  });
+});
+
+describe('DELETE /api/profile/sessions/:id', () => {
+  it('signs out one device', async () => {
+    const other = await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+    const sessions = await asUser('get', '/api/profile/sessions').expect(200);
+    const otherSession = sessions.body.find((session) => !session.current);
+
+    await asUser('delete', `/api/profile/sessions/${otherSession.id}`).expect(200);
+
+    await asUser('get', '/api/profile', other.body.token).expect(401);
+    await asUser('get', '/api/profile').expect(200);
+  });
+
+  it("can't reach another user's session", async () => {
+    const bob = await registerUser({ username: 'bob', email: 'bob@example.com' });
+    const [bobSession] = (await asUser('get', '/api/profile/sessions', bob.token).expect(200)).body;
+
+    await asUser('delete', `/api/profile/sessions/${bobSession.id}`).expect(404);
+    await asUser('delete', '/api/profile/sessions/not-an-id').expect(404);
+
+    await asUser('get', '/api/profile', bob.token).expect(200);
+  });
+});
+
+describe('GET /api/profile/activity', () => {
+  it('lists account events newest first, a page at a time', async () => {
+    await asUser('patch', '/api/profile').send({ bio: 'One' }).expect(200);
+    await asUser('patch', '/api/profile').send({ bio: 'Two' }).expect(200);
+
+    const first = await asUser('get', '/api/profile/activity').query({ limit: 2 }).expect(200);
+    assert.deepEqual(
+      first.body.events.map((event) => event.action),
+      ['profile.update', 'profile.update']
+    );
+    assert.equal(first.body.events[0].changes[0].newValue, 'Two');
+    assert.ok(first.body.nextCursor);
+
+    const next = await asUser('get', '/api/profile/activity').query({ before: first.body.nextCursor }).expect(200);
+    assert.deepEqual(
+      next.body.events.map((event) => event.action),
+      ['auth.register']
+    );
+    assert.equal(next.body.nextCursor, null);
+  });
+
+  it('rejects an invalid limit or cursor', async () => {
+    const response = await asUser('get', '/api/profile/activity').query({ limit: 0, before: 'nope' }).expect(400);
+
+    assert.deepEqual(new Set(errorPaths(response)), new Set(['limit', 'before']));
+  });
+
+  it('rejects a parameter given more than once', async () => {
+    const response = await asUser('get', '/api/profile/activity').query('limit=5&limit=6').expect(400);
+
+    assert.deepEqual(errorPaths(response), ['limit']);
+  });
+});
+
+describe('GET /api/profile/export', () => {
+  it('downloads the account data as JSON', async () => {
+    const response = await asUser('get', '/api/profile/export').expect(200);
+
+    assert.match(response.headers['content-disposition'], /attachment/);
+    const data = JSON.parse(response.text);
+    assert.equal(data.profile.username, 'alice');
+    assert.equal(data.sessions.length, 1);
+    assert.doesNotMatch(response.text, /password"|Hash/);
+  });
+
+  it('downloads the account data as CSV', async () => {
+    const response = await asUser('get', '/api/profile/export').query({ format: 'csv' }).expect(200);
+
+    assert.match(response.headers['content-type'], /text\/csv/);
+    assert.match(response.text, /alice/);
+  });
+
+  it('rejects an unknown format', async () => {
+    await asUser('get', '/api/profile/export').query({ format: 'xml' }).expect(400);
+  });
+
+  it('rejects a format given more than once', async () => {
+    const response = await asUser('get', '/api/profile/export').query('format=csv&format=json').expect(400);
+
+    assert.deepEqual(errorPaths(response), ['format']);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Profile Field API Tests
+ * Custom profile field definitions in routes/profileFields.js, and how they apply to the
+ * users' profiles.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// helpers selects the test configuration, so it is required before any app module
+const { startDatabase, stopDatabase, resetDatabase, api, registerUser, registerStaff } = require('./helpers');
+
+// Paths of the fields that failed validation in a 400 response
+const errorPaths = (response) => response.body.errors.map((error) => error.path);
+
+// Administrator managing the fields, and a regular account filling them in
+let admin;
+let member;
+
+// Definition of a public "Website" field
+const WEBSITE = { key: 'website', label: 'Website', type: 'url', visibility: 'public' };
+
+/**
+ * As Admin
+ * Request with the administrator's access token (or the one given), e.g.
+ * asAdmin('get', '/api/admin/profile-fields').
+ */
+const asAdmin = (method, path, token = admin.token) =>
+  api()[method](path).set('Authorization', `Bearer ${token}`);
+
+/**
+ * Create Field
+ * Creates a definition through the API and resolves to it.
+ */
+const createField = async (definition) =>
+  (await asAdmin('post', '/api/admin/profile-fields').send(definition).expect(201)).body;
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(async () => {
+  await resetDatabase();
+  admin = await registerStaff('admin', { username: 'root', email: 'root@example.com' });
+  member = await registerUser({ username: 'bob', email: 'bob@example.com' });
+});
+
+describe('POST /api/admin/profile-fields', () => {
+  it('creates a field that users can fill in', async () => {
+    const field = await createField({ ...WEBSITE, helpText: 'Your homepage' });
+
+    assert.equal(field.key, 'website');
+    assert.equal(field.helpText, 'Your homepage');
+    assert.equal(field.required, false);
+
+    const profile = await asAdmin('patch', '/api/profile', member.token)
+      .send({ customFields: { website: 'https://bob.example.com' } })
+      .expect(200);
+    assert.equal(profile.body.customFields.website, 'https://bob.example.com');
+    await asAdmin('patch', '/api/profile', member.token)
+      .send({ customFields: { website: 'not a url' } })
+      .expect(400);
+  });
+
+  it('rejects a key that is taken, by another field or a built-in one', async () => {
+    await createField(WEBSITE);
+
+    const taken = await asAdmin('post', '/api/admin/profile-fields').send(WEBSITE).expect(400);
+    const builtIn = await asAdmin('post', '/api/admin/profile-fields').send({ ...WEBSITE, key: 'email' }).expect(400);
+
+    assert.deepEqual(errorPaths(taken), ['key']);
+    assert.deepEqual(errorPaths(builtIn), ['key']);
+  });
+
+  it('rejects an invalid definition', async () => {
+    const invalid = await asAdmin('post', '/api/admin/profile-fields')
+      .send({ key: 'Bad-Key', label: '', type: 'colour' })
+      .expect(400);
+    const noOptions = await asAdmin('post', '/api/admin/profile-fields')
+      .send({ key: 'team', label: 'Team', type: 'select' })
+      .expect(400);
+
+    assert.deepEqual(new Set(errorPaths(invalid)), new Set(['key', 'label', 'type']));
+    assert.deepEqual(errorPaths(noOptions), ['options']);
+  });
+
+  it('is only for administrators', async () => {
+    const support = await registerStaff('support', { username: 'helper', email: 'helper@example.com' });
+
+    await asAdmin('post', '/api/admin/profile-fields', support.token).send(WEBSITE).expect(403);
+    await asAdmin('post', '/api/admin/profile-fields', member.token).send(WEBSITE).expect(403);
+  });
+});
+
+describe('GET /api/admin/profile-fields', () => {
+  it('lists the fields in form order to staff', async () => {
+    await createField({ ...WEBSITE, order: 2 });
+    await createField({ key: 'team', label: 'Team', type: 'select', options: ['Red', 'Blue'], order: 1 });
+    const support = await registerStaff('support', { username: 'helper', email: 'helper@example.com' });
+
+    const response = await asAdmin('get', '/api/admin/profile-fields', support.token).expect(200);
+
+    assert.deepEqual(
+      response.body.fields.map((field) => field.key),
+      ['team', 'website']
+    );
+    await asAdmin('get', '/api/admin/profile-fields', member.token).expect(403);
+  });
+});
+
+describe('PUT /api/admin/profile-fields/:id', () => {
+  it('changes the properties sent', async () => {
+    const field = await createField(WEBSITE);
+
+    const response = await asAdmin('put', `/api/admin/profile-fields/${field.id}`)
+      .send({ label: 'Homepage', required: true })
+      .expect(200);
+
+    assert.equal(response.body.label, 'Homepage');
+    assert.equal(response.body.required, true);
+    assert.equal(response.body.type, 'url');
+  });
+
+  it('refuses to change the key', async () => {
+    const field = await createField(WEBSITE);
+
+    const response = await asAdmin('put', `/api/admin/profile-fields/${field.id}`)
+      .send({ key: 'homepage' })
+      .expect(400);
+
+    assert.deepEqual(errorPaths(response), ['key']);
+  });
+
+  it('answers 404 for an unknown field', async () => {
+    await asAdmin('put', '/api/admin/profile-fields/000000000000000000000000').send({ label: 'X' }).expect(404);
+  });
+});
+
+describe('DELETE /api/admin/profile-fields/:id', () => {
+  it("deletes the field and its values from users' profiles", async () => {
+    const field = await createField(WEBSITE);
+    await asAdmin('patch', '/api/profile', member.token)
+      .send({ customFields: { website: 'https://bob.example.com' } })
+      .expect(200);
+
+    await asAdmin('delete', `/api/admin/profile-fields/${field.id}`).expect(200);
+
+    const profile = await asAdmin('get', '/api/profile', member.token).expect(200);
+    assert.equal(profile.body.customFields.website, undefined);
+    await createField(WEBSITE);
+    const recreated = await asAdmin('get', '/api/profile', member.token).expect(200);
+    assert.equal(recreated.body.customFields.website, undefined);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Two-Factor Authentication API Tests
+ * Every route in routes/twoFactor.js: enrollment, recovery codes and disabling 2FA.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// helpers selects the test configuration, so it is required before any app module
+const { PASSWORD, startDatabase, stopDatabase, resetDatabase, api, registerUser } = require('./helpers');
+const { hotp, timeStep } = require('../utils/totp');
+
+// Paths of the fields that failed validation in a 400 response
+const errorPaths = (response) => response.body.errors.map((error) => error.path);
+
+// Access token of the test account (registered before each test)
+let token;
+
+/**
+ * Post 2FA
+ * POST to a /api/profile/2fa route as the test account.
+ */
+const post2fa = (action, body = {}) =>
+  api().post(`/api/profile/2fa/${action}`).set('Authorization', `Bearer ${token}`).send(body);
+
+/**
+ * Enable 2FA
+ * Enrolls the test account and resolves to { secret, recoveryCodes }. The confirming code
+ * used the current time step, so the next step's code is the first one accepted afterwards.
+ */
+const enable2fa = async () => {
+  const setup = await post2fa('setup', { password: PASSWORD }).expect(200);
+  const { secret } = setup.body;
+  const confirm = await post2fa('confirm', { code: hotp(secret, timeStep()) }).expect(200);
+  return { secret, recoveryCodes: confirm.body.recoveryCodes };
+};
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(async () => {
+  await resetDatabase();
+  ({ token } = await registerUser());
+});
+
+describe('POST /api/profile/2fa/setup', () => {
+  it('returns a secret with its otpauth URI and QR code after checking the password', async () => {
+    const response = await post2fa('setup', { password: PASSWORD }).expect(200);
+
+    assert.match(response.body.secret, /^[A-Z2-7]+$/);
+    assert.match(response.body.otpauthUrl, /^otpauth:\/\/totp\//);
+    assert.match(response.body.qrCode, /^data:image\/png;base64,/);
+  });
+
+  it('requires the correct password', async () => {
+    const missing = await post2fa('setup').expect(400);
+    const wrong = await post2fa('setup', { password: 'Wrong-Password-1' }).expect(400);
+    const notText = await post2fa('setup', { password: { $ne: '' } }).expect(400);
+
+    assert.deepEqual(new Set(errorPaths(missing)), new Set(['password']));
+    assert.deepEqual(errorPaths(wrong), ['password']);
+    assert.deepEqual(errorPaths(notText), ['password']);
+  });
+});
+
+describe('POST /api/profile/2fa/confirm', () => {
+  it('enables 2FA with a code from the authenticator app and returns recovery codes', async () => {
+    const { recoveryCodes } = await enable2fa();
+
+    assert.equal(recoveryCodes.length, 10);
+    const login = await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+    assert.equal(login.body.mfaRequired, true);
+  });
+
+  it('rejects a wrong code and leaves 2FA off', async () => {
+    await post2fa('setup', { password: PASSWORD }).expect(200);
+
+    const response = await post2fa('confirm', { code: '000000' }).expect(400);
+
+    assert.deepEqual(errorPaths(response), ['code']);
+    const profile = await api().get('/api/profile').set('Authorization', `Bearer ${token}`).expect(200);
+    assert.equal(profile.body.twoFactorEnabled, false);
+  });
+});
+
+describe('POST /api/profile/2fa/recovery-codes', () => {
+  it('replaces the recovery codes after checking a current code', async () => {
+    const { secret, recoveryCodes } = await enable2fa();
+
+    const response = await post2fa('recovery-codes', { code: hotp(secret, timeStep() + 1) }).expect(200);
+
+    assert.equal(response.body.recoveryCodes.length, 10);
+    assert.ok(!response.body.recoveryCodes.includes(recoveryCodes[0]));
+  });
+
+  it('locks out code guessing like failed logins', async () => {
+    await enable2fa();
+
+    for (let attempt = 1; attempt < 5; attempt += 1) {
+      await post2fa('recovery-codes', { code: '000000' }).expect(400);
+    }
+    const locked = await post2fa('recovery-codes', { code: '000000' }).expect(429);
+
+    assert.ok(locked.headers['retry-after']);
+    await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(429);
+  });
+});
+
+describe('POST /api/profile/2fa/disable', () => {
+  it('turns 2FA off with the password and a current code', async () => {
+    const { secret } = await enable2fa();
+
+    await post2fa('disable', { password: PASSWORD, code: hotp(secret, timeStep() + 1) }).expect(200);
+
+    const login = await api().post('/api/auth/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+    assert.ok(login.body.token);
+  });
+
+  it('accepts a recovery code instead of a current code', async () => {
+    const { recoveryCodes } = await enable2fa();
+
+    await post2fa('disable', { password: PASSWORD, code: recoveryCodes[0] }).expect(200);
+  });
+
+  it('rejects a wrong password or code, and a password that is not text', async () => {
+    const { secret } = await enable2fa();
+    const code = hotp(secret, timeStep() + 1);
+
+    const wrongPassword = await post2fa('disable', { password: 'Wrong-Password-1', code }).expect(400);
+    const wrongCode = await post2fa('disable', { password: PASSWORD, code: '000000' }).expect(400);
+    const notText = await post2fa('disable', { password: ['x'], code }).expect(400);
+
+    assert.deepEqual(errorPaths(wrongPassword), ['password']);
+    assert.deepEqual(errorPaths(wrongCode), ['code']);
+    assert.deepEqual(errorPaths(notText), ['password']);
+  });
+});
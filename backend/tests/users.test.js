@@ -0,0 +1,160 @@
+/**
+ * User Directory API Tests
+ * Search in GET /api/users (routes/users.js) and the indexes it relies on, and the public
+ * profiles at GET /api/users/:username.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// helpers selects the test configuration, so it is required before any app module
+const { PASSWORD, startDatabase, stopDatabase, resetDatabase, api, registerUser } = require('./helpers');
+const repositories = require('../repositories');
+const User = require('../models/User');
+
+// Paths of the fields that failed validation in a 400 response
+const errorPaths = (response) => response.body.errors.map((error) => error.path);
+
+/**
+ * Search
+ * Usernames found by an anonymous directory search.
+ */
+const search = async (term) => {
+  const response = await api().get('/api/users').query({ search: term }).expect(200);
+  return response.body.users.map((user) => user.username).sort();
+};
+
+// Registered accounts (before each test)
+let john;
+let maria;
+
+/**
+ * Public Profile
+ * GET /api/users/:username, anonymously or with an access token.
+ */
+const publicProfile = (username, token) => {
+  const request = api().get(`/api/users/${username}`);
+  return token ? request.set('Authorization', `Bearer ${token}`) : request;
+};
+
+/**
+ * Field Keys
+ * Keys of the fields listed on a public profile.
+ */
+const fieldKeys = (response) => response.body.fields.map((field) => field.key);
+
+/**
+ * Index Keys
+ * Key patterns of the users collection's indexes - as created in MongoDB, or as declared on
+ * the schema for the in-memory driver.
+ */
+const indexKeys = async () => {
+  if (repositories.driver === 'memory') return User.schema.indexes().map(([keys]) => keys);
+  return (await User.collection.indexes()).map((index) => index.key);
+};
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(async () => {
+  await resetDatabase();
+  john = await registerUser({ username: 'john_doe', email: 'john@example.com' });
+  await api()
+    .patch('/api/profile')
+    .set('Authorization', `Bearer ${john.token}`)
+    .send({ displayName: 'John Smith', bio: 'Hello' })
+    .expect(200);
+  maria = await registerUser({ username: 'Maria', email: 'smithers@example.com' });
+});
+
+describe('GET /api/users search', () => {
+  it('matches the start of the username or any of its words, ignoring case', async () => {
+    assert.deepEqual(await search('john'), ['john_doe']);
+    assert.deepEqual(await search('DOE'), ['john_doe']);
+    assert.deepEqual(await search('mar'), ['Maria']);
+    assert.deepEqual(await search('ohn'), []);
+  });
+
+  it('matches the start of the display name or any of its words', async () => {
+    assert.deepEqual(await search('smi'), ['john_doe']);
+    assert.deepEqual(await search('John Sm'), ['john_doe']);
+  });
+
+  it('does not match private emails', async () => {
+    assert.deepEqual(await search('smithers@'), []);
+  });
+
+  it('is backed by indexes on the search keys', async () => {
+    const keys = await indexKeys();
+
+    assert.ok(keys.some((key) => key['searchKeys.username'] === 1));
+    assert.ok(keys.some((key) => key['searchKeys.displayName'] === 1));
+    assert.ok(keys.some((key) => key.email === 1));
+  });
+});
+
+describe('GET /api/users filters', () => {
+  it('filters by sign-up date', async () => {
+    const response = await api().get('/api/users').query({ registeredAfter: '2000-01-01' }).expect(200);
+    const none = await api().get('/api/users').query({ registeredBefore: '2000-01-01' }).expect(200);
+
+    assert.equal(response.body.users.length, 2);
+    assert.deepEqual(none.body.users, []);
+  });
+
+  it('rejects a parameter given more than once', async () => {
+    const response = await api()
+      .get('/api/users')
+      .query('registeredAfter=2000-01-01&registeredAfter=2100-01-01&limit=5&limit=6')
+      .expect(400);
+
+    assert.deepEqual(new Set(errorPaths(response)), new Set(['registeredAfter', 'limit']));
+  });
+});
+
+describe('GET /api/users/:username', () => {
+  it('shows public fields to everyone and keeps private ones hidden', async () => {
+    const response = await publicProfile('john_doe').expect(200);
+
+    assert.equal(response.body.username, 'john_doe');
+    assert.equal(response.body.displayName, 'John Smith');
+    assert.ok(response.body.memberSince);
+    assert.deepEqual(fieldKeys(response), ['bio']);
+    assert.doesNotMatch(JSON.stringify(response.body), /john@example\.com/);
+  });
+
+  it('shows fields shared with members only to logged-in users', async () => {
+    await api()
+      .put('/api/profile/privacy')
+      .set('Authorization', `Bearer ${john.token}`)
+      .send({ privacy: { email: 'members', bio: 'members' } })
+      .expect(200);
+
+    const anonymous = await publicProfile('john_doe').expect(200);
+    const member = await publicProfile('john_doe', maria.token).expect(200);
+
+    assert.deepEqual(fieldKeys(anonymous), []);
+    assert.deepEqual(fieldKeys(member), ['bio', 'email']);
+  });
+
+  it('shows the owner every field they filled in', async () => {
+    const response = await publicProfile('john_doe', john.token).expect(200);
+
+    assert.deepEqual(fieldKeys(response), ['bio', 'email']);
+  });
+
+  it('answers 404 for unknown, disabled and deleted accounts', async () => {
+    await publicProfile('nobody').expect(404);
+
+    const user = await repositories.userRepository.findById(maria.id);
+    user.disabled = true;
+    await repositories.userRepository.save(user);
+    await publicProfile('Maria').expect(404);
+
+    await api()
+      .delete('/api/profile')
+      .set('Authorization', `Bearer ${john.token}`)
+      .send({ password: PASSWORD })
+      .expect(200);
+    await publicProfile('john_doe').expect(404);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Audit Trail
+ * Records account events in the audit log (via the audit log repository): who changed
+ * what, from where, and the old/new values with sensitive ones masked. Recording never fails
+ * the request - errors are logged and the action goes ahead.
+ */
+
+const { auditLogRepository } = require('../repositories');
+const getClientInfo = require('./clientInfo');
+const logger = require('./logger');
+
+// Shown in place of values that must not be stored
+const MASK = '***';
+// Longer values are cut before storing (long text fields)
+const MAX_VALUE_LENGTH = 200;
+// Looks like an email address - masked wherever it appears (including custom fields)
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Mask Email
+ * Keeps the first character and the domain: "jane@example.com" -> "j***@example.com".
+ */
+const maskEmail = (value) => {
+  const [local, domain] = String(value).split('@');
+  return `${local.slice(0, 1)}${MASK}@${domain}`;
+};
+
+/**
+ * Mask Phone
+ * Keeps only the last two digits: "+1 555 000 1234" -> "***34".
+ */
+const maskPhone = (value) => `${MASK}${String(value).replace(/\D/g, '').slice(-2)}`;
+
+// Field-specific masking for personal data
+const MASKERS = {
+  email: maskEmail,
+  pendingEmail: maskEmail,
+  phone: maskPhone,
+  dob: () => MASK,
+};
+
+/**
+ * Normalize Value
+ * Converts a value to what is stored: dates as ISO strings, empty values as null.
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+  }
+  return value;
+};
+
+/**
+ * Mask Value
+ * Returns the value as it may be stored in the audit log for the given field.
+ */
+const maskValue = (field, value) => {
+  const normalized = normalizeValue(value);
+  if (normalized === null) return null;
+  if (MASKERS[field]) return MASKERS[field](normalized);
+  if (typeof normalized === 'string' && EMAIL_REGEX.test(normalized)) return maskEmail(normalized);
+  return normalized;
+};
+
+/**
+ * Snapshot Profile
+ * Flat { field: value } copy of the user's editable data, taken before and after a change
+ * so the two can be compared with diffChanges.
+ */
+const snapshotProfile = (user) => {
+  const snapshot = {
+    username: user.username,
+    displayName: user.displayName,
+    bio: user.bio,
+    email: user.email,
+    pendingEmail: user.pendingEmail,
+    emailVerified: Boolean(user.emailVerified),
+    phone: user.phone,
+    dob: user.dob,
+    role: user.role,
+  };
+  (user.customFields || new Map()).forEach((value, key) => {
+    snapshot[`customFields.${key}`] = value;
+  });
+  if (user.privacy) {
+    user.privacy.forEach((level, key) => {
+      snapshot[`privacy.${key}`] = level;
+    });
+  }
+  return snapshot;
+};
+
+/**
+ * Same Value
+ * True if two values are stored the same way (e.g. '' and null both mean "no value").
+ */
+const isSameValue = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+/**
+ * Diff Changes
+ * Compares two snapshots and returns [{ field, oldValue, newValue }] for every field whose
+ * value changed, with sensitive values masked.
+ */
+const diffChanges = (before, after) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .filter((field) => !isSameValue(before[field], after[field]))
+    .map((field) => ({
+      field,
+      oldValue: maskValue(field, before[field]),
+      newValue: maskValue(field, after[field]),
+    }));
+};
+
+/**
+ * Record Audit Event
+ * Stores one event. actor defaults to the logged-in user and target to the actor.
+ * Resolves once stored; never throws.
+ */
+const recordAudit = async (req, { action, actor, target, changes, details }) => {
+  const actorId = actor !== undefined ? actor : req.user?._id || null;
+  try {
+    await auditLogRepository.create({
+      action,
+      actor: actorId,
+      target: target !== undefined ? target : actorId,
+      changes: changes && changes.length ? changes : undefined,
+      details,
+      ...getClientInfo(req),
+    });
+  } catch (error) {
+    logger.error('Audit log error', { error, action });
+  }
+};
+
+module.exports = {
+  maskEmail,
+  snapshotProfile,
+  diffChanges,
+  recordAudit,
+};
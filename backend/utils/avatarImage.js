@@ -0,0 +1,90 @@
+/**
+ * Avatar Image Processing
+ * Checks uploaded avatar images by their content (not the client's file name or MIME type),
+ * crops them to a square and renders thumbnails. Output never carries EXIF or other
+ * metadata, so location data from phone cameras is not republished.
+ */
+
+const sharp = require('sharp');
+
+// Square thumbnail sizes generated for every avatar, in pixels
+const AVATAR_SIZES = [64, 128, 256];
+// Largest accepted image, in pixels (guards against decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Magic bytes of the accepted formats
+const SIGNATURES = [
+  { type: 'image/jpeg', test: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    type: 'image/png',
+    test: (b) =>
+      b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    type: 'image/webp',
+    test: (b) =>
+      b.length >= 12 &&
+      b.toString('ascii', 0, 4) === 'RIFF' &&
+      b.toString('ascii', 8, 12) === 'WEBP',
+  },
+];
+
+/**
+ * Detect Image Type
+ * Returns "image/jpeg", "image/png" or "image/webp" from the file's magic bytes, or null.
+ */
+const detectImageType = (buffer) => SIGNATURES.find(({ test }) => test(buffer))?.type || null;
+
+/**
+ * Resolve Crop
+ * Turns an optional { x, y, size } crop (pixels of the upright image) into a square that fits
+ * inside the image. Without a crop, the largest centered square is used.
+ */
+const resolveCrop = (crop, width, height) => {
+  const maxSize = Math.min(width, height);
+  if (!crop) {
+    return {
+      left: Math.floor((width - maxSize) / 2),
+      top: Math.floor((height - maxSize) / 2),
+      width: maxSize,
+      height: maxSize,
+    };
+  }
+  const size = Math.max(1, Math.min(Math.round(crop.size), maxSize));
+  const left = Math.max(0, Math.min(Math.round(crop.x), width - size));
+  const top = Math.max(0, Math.min(Math.round(crop.y), height - size));
+  return { left, top, width: size, height: size };
+};
+
+/**
+ * Process Avatar
+ * Rotates the image upright (using its EXIF orientation), crops it to a square and returns
+ * one WebP thumbnail per size: [{ size, buffer }]. Throws if the image can't be decoded.
+ */
+const processAvatar = async (buffer, crop = null) => {
+  // Decode once to raw pixels so crop coordinates refer to the upright image
+  const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const raw = { raw: { width: info.width, height: info.height, channels: info.channels } };
+  const region = resolveCrop(crop, info.width, info.height);
+
+  return Promise.all(
+    AVATAR_SIZES.map(async (size) => ({
+      size,
+      // sharp drops all metadata unless asked to keep it
+      buffer: await sharp(data, raw)
+        .extract(region)
+        .resize(size, size)
+        .webp({ quality: 85 })
+        .toBuffer(),
+    }))
+  );
+};
+
+module.exports = {
+  AVATAR_SIZES,
+  detectImageType,
+  processAvatar,
+};
@@ -0,0 +1,18 @@
+/**
+ * Client Info Utility
+ * Extracts device details from a request for session tracking.
+ */
+
+// Cap stored user-agent length (header is client-controlled)
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Get Client Info
+ * Returns the user-agent string and IP address of the client that sent the request.
+ */
+const getClientInfo = (req) => ({
+  userAgent: String(req.get('user-agent') || '').slice(0, MAX_USER_AGENT_LENGTH),
+  ip: req.ip || '',
+});
+
+module.exports = getClientInfo;
@@ -0,0 +1,227 @@
+/**
+ * Custom Profile Fields
+ * Validates and formats users' values for admin-defined profile fields (see
+ * models/ProfileField.js). Definitions are loaded per request, so new fields are enforced
+ * without a code change.
+ */
+
+// Validation regex pattern for email fields (same as the built-in email field)
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Default length limits when a definition doesn't set maxLength
+const DEFAULT_MAX_LENGTH = { text: 200, textarea: 2000, email: 254, url: 2048 };
+
+/**
+ * Is Empty
+ * True for values that mean "no value" (clears an optional field).
+ */
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+/**
+ * Check Length And Pattern
+ * Applies minLength/maxLength/pattern rules to a string value. Returns an error or null.
+ */
+const checkString = (field, value) => {
+  const rules = field.rules || {};
+  const maxLength = rules.maxLength || DEFAULT_MAX_LENGTH[field.type];
+  if (rules.minLength && value.length < rules.minLength) {
+    return `${field.label} must be at least ${rules.minLength} characters`;
+  }
+  if (maxLength && value.length > maxLength) {
+    return `${field.label} must be at most ${maxLength} characters`;
+  }
+  if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+    return rules.patternMessage || `${field.label} is not in the expected format`;
+  }
+  return null;
+};
+
+/**
+ * Validate Value
+ * Checks and converts one value against its field definition.
+ * Returns { value } on success or { error } with a user-facing message.
+ */
+const validateValue = (field, raw) => {
+  if (isEmpty(raw)) {
+    return field.required ? { error: `${field.label} is required` } : { value: null };
+  }
+
+  switch (field.type) {
+    case 'text':
+    case 'textarea': {
+      if (typeof raw !== 'string') return { error: `${field.label} must be text` };
+      const value = raw.trim();
+      const error = checkString(field, value);
+      return error ? { error } : { value };
+    }
+    case 'email': {
+      const value = String(raw).trim().toLowerCase();
+      if (!EMAIL_REGEX.test(value)) return { error: `${field.label} must be a valid email address` };
+      const error = checkString(field, value);
+      return error ? { error } : { value };
+    }
+    case 'url': {
+      const value = String(raw).trim();
+      let url;
+      try {
+        url = new URL(value);
+      } catch (e) {
+        url = null;
+      }
+      // Only web links - javascript: and data: URLs would be unsafe to render as links
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        return { error: `${field.label} must be a web address starting with http:// or https://` };
+      }
+      const error = checkString(field, value);
+      return error ? { error } : { value };
+    }
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(value)) return { error: `${field.label} must be a number` };
+      const rules = field.rules || {};
+      if (rules.min !== undefined && rules.min !== null && value < rules.min) {
+        return { error: `${field.label} must be at least ${rules.min}` };
+      }
+      if (rules.max !== undefined && rules.max !== null && value > rules.max) {
+        return { error: `${field.label} must be at most ${rules.max}` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') {
+        // An unticked required checkbox counts as missing (e.g. "I agree" fields)
+        return field.required ? { error: `${field.label} is required` } : { value: false };
+      }
+      return { error: `${field.label} must be true or false` };
+    }
+    case 'date': {
+      const value = new Date(raw);
+      if (typeof raw !== 'string' || Number.isNaN(value.getTime())) {
+        return { error: `${field.label} must be a valid date` };
+      }
+      return { value };
+    }
+    case 'select': {
+      const value = String(raw);
+      if (!(field.options || []).includes(value)) {
+        return { error: `${field.label} must be one of: ${(field.options || []).join(', ')}` };
+      }
+      return { value };
+    }
+    default:
+      return { error: `${field.label} has an unsupported type` };
+  }
+};
+
+/**
+ * Field Error
+ * Error in the same format as express-validator errors, addressed to one custom field.
+ */
+const fieldError = (key, msg) => ({ type: 'field', path: `customFields.${key}`, location: 'body', msg });
+
+/**
+ * Validate Custom Fields
+ * Validates submitted values against the definitions. Only submitted keys are changed, but
+ * required fields must end up with a value (submitted now or stored already).
+ * Returns { updates: { key: value|null }, errors: [...] }.
+ */
+const validateCustomFields = (definitions, input, stored = new Map()) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      updates: {},
+      errors: [{ type: 'field', path: 'customFields', location: 'body', msg: 'Custom fields must be an object' }],
+    };
+  }
+
+  const byKey = new Map(definitions.map((field) => [field.key, field]));
+  const updates = {};
+  const errors = [];
+
+  Object.keys(input).forEach((key) => {
+    if (!byKey.has(key)) errors.push(fieldError(key, `Unknown profile field "${key}"`));
+  });
+
+  definitions.forEach((field) => {
+    if (Object.prototype.hasOwnProperty.call(input, field.key)) {
+      const result = validateValue(field, input[field.key]);
+      if (result.error) errors.push(fieldError(field.key, result.error));
+      else updates[field.key] = result.value;
+    } else if (field.required && isEmpty(stored.get(field.key))) {
+      errors.push(fieldError(field.key, `${field.label} is required`));
+    }
+  });
+
+  return { updates, errors };
+};
+
+/**
+ * Apply Custom Field Updates
+ * Writes validated values to a user document (null removes the value). Caller must save.
+ */
+const applyCustomFieldUpdates = (user, updates) => {
+  if (!user.customFields) user.customFields = new Map();
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value === null) user.customFields.delete(key);
+    else user.customFields.set(key, value);
+  });
+};
+
+/**
+ * Stored Value
+ * A user's stored value for a field, checked against the field's current definition: values
+ * saved before an administrator changed the type or rules (e.g. text that is now a link field)
+ * may no longer fit, and are treated as empty. Returns the value, or null.
+ */
+const storedValue = (field, stored) => {
+  const value = stored ? stored.get(field.key) : undefined;
+  if (isEmpty(value)) return null;
+  // Dates are stored as Dates but validated as submitted (ISO strings)
+  const result = validateValue(field, value instanceof Date ? value.toISOString() : value);
+  return result.error ? null : result.value;
+};
+
+/**
+ * Format Custom Fields
+ * Returns { key: value } for defined fields that have a valid value. Values of fields that
+ * were deleted are left out. Pass a filter to limit fields (e.g. public ones only).
+ */
+const formatCustomFields = (definitions, stored, filter = () => true) =>
+  Object.fromEntries(
+    definitions
+      .filter(filter)
+      .map((field) => [field.key, storedValue(field, stored)])
+      .filter(([, value]) => value !== null)
+  );
+
+/**
+ * Format Definition
+ * Shape of a field definition sent to clients (what the profile form needs to render it).
+ */
+const formatDefinition = (field) => ({
+  id: field._id,
+  key: field.key,
+  label: field.label,
+  helpText: field.helpText || '',
+  type: field.type,
+  required: Boolean(field.required),
+  visibility: field.visibility,
+  options: field.options || [],
+  rules: {
+    minLength: field.rules?.minLength ?? null,
+    maxLength: field.rules?.maxLength ?? DEFAULT_MAX_LENGTH[field.type] ?? null,
+    min: field.rules?.min ?? null,
+    max: field.rules?.max ?? null,
+    pattern: field.rules?.pattern || null,
+    patternMessage: field.rules?.patternMessage || null,
+  },
+  order: field.order,
+});
+
+module.exports = {
+  validateValue,
+  validateCustomFields,
+  applyCustomFieldUpdates,
+  storedValue,
+  formatCustomFields,
+  formatDefinition,
+};
@@ -0,0 +1,73 @@
+/**
+ * Personal Data Export
+ * Serializes a user's data export (built by GET /api/profile/export) as JSON or CSV.
+ * The CSV form is one row per value: section, field (dotted path) and value.
+ */
+
+// Supported download formats
+const EXPORT_FORMATS = ['json', 'csv'];
+// Spreadsheet apps run cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Flatten
+ * Turns nested objects/arrays into [path, value] pairs, e.g. ["sessions.0.ip", "1.2.3.4"].
+ * Empty objects and arrays still produce a row so the field shows up.
+ */
+const flatten = (value, path, rows = []) => {
+  if (value && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+    if (!entries.length) rows.push([path, '']);
+    entries.forEach(([key, item]) => flatten(item, path ? `${path}.${key}` : String(key), rows));
+  } else {
+    rows.push([path, value === null || value === undefined ? '' : value]);
+  }
+  return rows;
+};
+
+/**
+ * CSV Cell
+ * Quotes a value for CSV. Text that a spreadsheet would treat as a formula is prefixed
+ * with an apostrophe so it is shown as text.
+ */
+const csvCell = (value) => {
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIXES.some((prefix) => text.startsWith(prefix))) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * To CSV
+ * Converts the export to CSV with a header row: section, field, value.
+ */
+const toCsv = (data) => {
+  const rows = [['section', 'field', 'value']];
+  // Same values as the JSON export (dates as ISO strings, IDs as strings)
+  const plain = JSON.parse(JSON.stringify(data));
+  Object.entries(plain).forEach(([section, value]) => {
+    if (value && typeof value === 'object') {
+      flatten(value, '').forEach(([field, fieldValue]) => rows.push([section, field, fieldValue]));
+    } else {
+      rows.push([section, '', value ?? '']);
+    }
+  });
+  // CRLF line endings as in RFC 4180 (what spreadsheet apps expect)
+  return `${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Export File Name
+ * Download name for the export, e.g. "jane-data-2024-05-01.csv".
+ */
+const exportFileName = (username, format, date = new Date()) => {
+  const safeName = String(username).replace(/[^a-zA-Z0-9._-]/g, '_') || 'user';
+  return `${safeName}-data-${date.toISOString().slice(0, 10)}.${format}`;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toCsv,
+  exportFileName,
+};
@@ -0,0 +1,29 @@
+/**
+ * ETag Helpers
+ * Optimistic concurrency for profile updates. The ETag is derived from the user document's
+ * version (__v), which is incremented whenever editable profile data is saved.
+ */
+
+/**
+ * Version ETag
+ * Strong ETag for a document's current version, e.g. "v12".
+ */
+const versionEtag = (doc) => `"v${doc.__v || 0}"`;
+
+/**
+ * If-Match Check
+ * True if the If-Match header allows the update: no header, "*", or a list containing
+ * the current ETag. Weak ETags (W/"...") never match, as If-Match requires strong comparison.
+ */
+const ifMatchSatisfied = (header, etag) => {
+  if (header === undefined) return true;
+  const tags = String(header)
+    .split(',')
+    .map((tag) => tag.trim());
+  return tags.includes('*') || tags.includes(etag);
+};
+
+module.exports = {
+  versionEtag,
+  ifMatchSatisfied,
+};
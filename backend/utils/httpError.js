@@ -0,0 +1,54 @@
+/**
+ * HTTP Errors
+ * Expected failures raised by the service layer (wrong password, unknown session, ...) carry
+ * the status and response body to send. Controllers pass every caught error to sendError,
+ * which answers with it - or logs anything unexpected and answers 500.
+ */
+
+const logger = require('./logger');
+
+/**
+ * HTTP Error
+ * An error with the status code, extra response body fields and headers to respond with.
+ */
+class HttpError extends Error {
+  constructor(status, message, { body = {}, headers = {} } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Validation Error
+ * 400 with field errors in the express-validator format ([{ type, path, location, msg }]).
+ */
+const validationError = (errors) => new HttpError(400, 'Validation failed', { body: { errors } });
+
+/**
+ * Field Error
+ * 400 for a single invalid field, in the same format as express-validator errors.
+ */
+const fieldError = (path, msg) => validationError([{ type: 'field', path, location: 'body', msg }]);
+
+/**
+ * Send Error
+ * Responds with an HttpError as raised. Anything else is logged under label and answered
+ * with a generic 500, so internal details never reach the client.
+ */
+const sendError = (res, error, label) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).set(error.headers).json({ message: error.message, ...error.body });
+  }
+  logger.error(label, { error });
+  return res.status(500).json({ message: 'Server error' });
+};
+
+module.exports = {
+  HttpError,
+  validationError,
+  fieldError,
+  sendError,
+};
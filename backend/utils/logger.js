@@ -0,0 +1,161 @@
+/**
+ * Logger
+ * Structured logging for the server: every entry is one line of JSON, e.g.
+ *
+ *   {"time":"...","level":"error","msg":"Audit log error","requestId":"...","userId":"...",
+ *    "error":{"name":"MongoServerError","message":"...","stack":"..."}}
+ *
+ * Entries below LOG_LEVEL (debug, info, warn, error, or silent for none) are dropped.
+ * Entries logged while handling a request carry its requestId and, once requireAuth has
+ * run, the userId (see runWithContext/addContext). Passwords, tokens and email addresses are
+ * redacted from everything written. Entries go to stdout (errors to stderr) unless another
+ * output is installed with setOutput().
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+// Severity of each LOG_LEVEL - an entry is written when its level is at least the setting
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+};
+
+const REDACTED = '[REDACTED]';
+
+// Fields whose values are always secret (password, newPassword, refreshToken, mfaTicket, ...)
+const SECRET_KEY_REGEX = /password|secret|token|ticket|authorization|cookie|recoveryCodes?/i;
+
+// Secrets and personal data that can appear inside any string (messages, URLs, stacks)
+const STRING_REDACTIONS = [
+  // Email addresses
+  [/[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi, '[EMAIL]'],
+  // JWTs (access tokens and MFA tickets)
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  // Authorization header values
+  [/\bBearer\s+\S+/gi, `Bearer ${REDACTED}`],
+  // Secrets in query strings (emailed links: ?token=...)
+  [/([?&][^=&#\s]*(?:token|password|secret|code)[^=&#\s]*=)[^&#\s]*/gi, `$1${REDACTED}`],
+];
+
+// Nested objects deeper than this are cut off (log entries are meant to be small)
+const MAX_DEPTH = 6;
+
+// Request context (requestId, userId) of the code currently running
+const contextStorage = new AsyncLocalStorage();
+
+// Output installed with setOutput() - takes precedence over stdout/stderr
+let customOutput = null;
+
+/**
+ * Redact String
+ * Replaces email addresses, JWTs and other secrets inside a string.
+ */
+const redactString = (value) =>
+  STRING_REDACTIONS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+
+/**
+ * Redact
+ * Returns a JSON-safe copy of a value with secrets removed: values of secret fields are
+ * replaced, strings are scrubbed, and errors become { name, message, status, code, stack }.
+ */
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' || typeof value === 'function' ? String(value) : value;
+  }
+  if (value instanceof Date) return value.toISOString();
+  // ObjectIds and similar values that print as a plain string
+  if (value._bsontype) return String(value);
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return redact(
+      { name: value.name, message: value.message, status: value.status, code: value.code, stack: value.stack },
+      depth,
+      seen
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, field]) => field !== undefined)
+      .map(([key, field]) => [key, SECRET_KEY_REGEX.test(key) ? REDACTED : redact(field, depth + 1, seen)])
+  );
+};
+
+/**
+ * Default Output
+ * Writes the entry as one JSON line - errors to stderr, everything else to stdout.
+ */
+const writeLine = (entry) => {
+  const stream = entry.level === 'error' ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+/**
+ * Set Output
+ * Installs a function that receives every (already redacted) entry instead of writing it to
+ * stdout/stderr, e.g. to capture logs in tests. Pass null to go back to the default.
+ */
+const setOutput = (output) => {
+  if (output && typeof output !== 'function') {
+    throw new Error('Log output must be a function');
+  }
+  customOutput = output;
+};
+
+/**
+ * Log
+ * Writes an entry if level is enabled. fields are merged into the entry; the current request
+ * context is added automatically.
+ */
+const log = (level, msg, fields = {}) => {
+  if (LEVELS[level] < LEVELS[config.log.level]) return;
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...contextStorage.getStore(),
+    ...fields,
+  });
+  try {
+    (customOutput || writeLine)(entry);
+  } catch (error) {
+    // Logging must never break the request being logged
+  }
+};
+
+/**
+ * Run With Context
+ * Runs fn with a request context (e.g. { requestId }) that is added to every entry logged
+ * by it and by everything it calls, including later async work.
+ */
+const runWithContext = (context, fn) => contextStorage.run(context, fn);
+
+/**
+ * Add Context
+ * Adds fields (e.g. userId) to the current request context. Does nothing outside a request.
+ */
+const addContext = (fields) => {
+  const context = contextStorage.getStore();
+  if (context) Object.assign(context, fields);
+};
+
+module.exports = {
+  debug: (msg, fields) => log('debug', msg, fields),
+  info: (msg, fields) => log('info', msg, fields),
+  warn: (msg, fields) => log('warn', msg, fields),
+  error: (msg, fields) => log('error', msg, fields),
+  redact,
+  setOutput,
+  runWithContext,
+  addContext,
+};
@@ -0,0 +1,150 @@
+/**
+ * Password Policy
+ * Single source of truth for password rules. The server enforces them on every route that
+ * sets a password, and GET /api/auth/password-policy sends the same rules to the frontend
+ * so forms can show a live checklist and strength meter.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { body } = require('express-validator');
+const config = require('../config');
+
+// bcrypt only uses the first 72 bytes of a password - anything longer is silently ignored
+const BCRYPT_MAX_BYTES = 72;
+
+// Bundled list of common passwords (offline - no external breach API is called)
+const COMMON_PASSWORDS = fs
+  .readFileSync(path.join(__dirname, '../data/common-passwords.txt'), 'utf8')
+  .split('\n')
+  .map((line) => line.trim().toLowerCase())
+  .filter((line) => line && !line.startsWith('#'));
+const COMMON_PASSWORD_SET = new Set(COMMON_PASSWORDS);
+
+/**
+ * Get Password Policy
+ * Returns the active policy settings (configurable through PASSWORD_* environment variables).
+ */
+const getPasswordPolicy = () => ({
+  minLength: config.password.minLength,
+  maxLength: BCRYPT_MAX_BYTES,
+  requireLowercase: config.password.requireLowercase,
+  requireUppercase: config.password.requireUppercase,
+  requireNumber: config.password.requireNumber,
+  requireSymbol: config.password.requireSymbol,
+  disallowCommon: config.password.disallowCommon,
+  disallowPersonalInfo: config.password.disallowPersonalInfo,
+});
+
+/**
+ * Build Rules
+ * Turns the policy into a list of rules. Each rule has an id, a user-facing label, and a
+ * type the frontend knows how to evaluate ("length", "pattern", "notCommon", "notPersonal").
+ */
+const buildRules = (policy = getPasswordPolicy()) => {
+  const rules = [
+    {
+      id: 'length',
+      type: 'length',
+      min: policy.minLength,
+      max: policy.maxLength,
+      label: `Between ${policy.minLength} and ${policy.maxLength} characters`,
+    },
+  ];
+  if (policy.requireLowercase) {
+    rules.push({ id: 'lowercase', type: 'pattern', pattern: '[a-z]', label: 'A lowercase letter' });
+  }
+  if (policy.requireUppercase) {
+    rules.push({ id: 'uppercase', type: 'pattern', pattern: '[A-Z]', label: 'An uppercase letter' });
+  }
+  if (policy.requireNumber) {
+    rules.push({ id: 'number', type: 'pattern', pattern: '[0-9]', label: 'A number' });
+  }
+  if (policy.requireSymbol) {
+    rules.push({ id: 'symbol', type: 'pattern', pattern: '[^A-Za-z0-9]', label: 'A symbol' });
+  }
+  if (policy.disallowCommon) {
+    rules.push({ id: 'common', type: 'notCommon', label: 'Not a commonly used password' });
+  }
+  if (policy.disallowPersonalInfo) {
+    rules.push({ id: 'personal', type: 'notPersonal', label: 'Does not contain your username or email' });
+  }
+  return rules;
+};
+
+/**
+ * Personal Info Parts
+ * Returns the lowercase username and email local part (3+ characters) a password must not contain.
+ */
+const personalParts = ({ username, email } = {}) =>
+  [username, String(email || '').split('@')[0]]
+    .map((part) => String(part || '').trim().toLowerCase())
+    .filter((part) => part.length >= 3);
+
+/**
+ * Check Rule
+ * Returns true if the password satisfies a single rule.
+ */
+const checkRule = (rule, password, context) => {
+  switch (rule.type) {
+    case 'length':
+      return password.length >= rule.min && Buffer.byteLength(password, 'utf8') <= rule.max;
+    case 'pattern':
+      return new RegExp(rule.pattern).test(password);
+    case 'notCommon':
+      return !COMMON_PASSWORD_SET.has(password.toLowerCase());
+    case 'notPersonal': {
+      const lower = password.toLowerCase();
+      return !personalParts(context).some((part) => lower.includes(part));
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Check Password
+ * Evaluates every rule. Returns the labels of the rules the password fails (empty if valid).
+ */
+const checkPassword = (password, context = {}) =>
+  buildRules()
+    .filter((rule) => !checkRule(rule, String(password || ''), context))
+    .map((rule) => rule.label);
+
+/**
+ * Password Validator
+ * express-validator chain for a password field. contextFields returns (or resolves to) the
+ * username/email to compare against - the request body by default.
+ */
+const passwordValidator = (field, contextFields = (req) => req.body) =>
+  body(field)
+    .isString()
+    .withMessage('Password is required')
+    .bail()
+    .custom(async (value, { req }) => {
+      const failures = checkPassword(value, (await contextFields(req)) || {});
+      if (failures.length) {
+        throw new Error(`Password must meet all requirements: ${failures.join(', ').toLowerCase()}`);
+      }
+      return true;
+    });
+
+/**
+ * Public Policy
+ * Policy and rules as sent to the frontend, including the common-password list.
+ */
+const getPublicPolicy = () => {
+  const policy = getPasswordPolicy();
+  return {
+    ...policy,
+    rules: buildRules(policy),
+    commonPasswords: policy.disallowCommon ? COMMON_PASSWORDS : [],
+  };
+};
+
+module.exports = {
+  getPasswordPolicy,
+  getPublicPolicy,
+  checkPassword,
+  passwordValidator,
+};
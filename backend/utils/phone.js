@@ -0,0 +1,97 @@
+/**
+ * Phone Numbers
+ * Parses phone numbers against the numbering plans bundled with libphonenumber-js (no
+ * network lookups). Numbers are stored in E.164 format ("+442079460018") together with the
+ * number's country (ISO 3166-1 alpha-2, e.g. "GB"), and shown in national format.
+ */
+
+const {
+  parsePhoneNumberFromString,
+  getCountries,
+  getCountryCallingCode,
+  isSupportedCountry,
+} = require('libphonenumber-js');
+
+// Countries a number can be entered for, with their calling codes (for country pickers)
+const PHONE_COUNTRIES = getCountries().map((code) => ({ code, callingCode: getCountryCallingCode(code) }));
+
+/**
+ * Normalize Country
+ * Uppercases a country code; empty values become null.
+ */
+const normalizeCountry = (country) => (country ? String(country).trim().toUpperCase() : null);
+
+/**
+ * Is Phone Country
+ * True if the country code is one numbers can be parsed for.
+ */
+const isPhoneCountry = (country) => isSupportedCountry(normalizeCountry(country));
+
+/**
+ * Parse Phone
+ * Parses a number as typed: international ("+44 20 7946 0018") or national ("020 7946 0018")
+ * for the given country. The number must be valid for that country.
+ * Returns { phone, country } with phone in E.164, or { error } with a user-facing message.
+ */
+const parsePhone = (value, country) => {
+  const region = normalizeCountry(country);
+  if (region && !isSupportedCountry(region)) {
+    return { error: 'Phone country must be a valid country code' };
+  }
+  const text = String(value).trim();
+  if (!region && !text.startsWith('+')) {
+    return { error: 'Choose the phone number\'s country or enter it in international format (+...)' };
+  }
+
+  const parsed = parsePhoneNumberFromString(text, region || undefined);
+  if (!parsed || !parsed.isValid()) {
+    return { error: region ? `Phone must be a valid ${region} phone number` : 'Phone must be a valid phone number' };
+  }
+  // An international number from another country (e.g. +1 with GB chosen)
+  if (region && parsed.country !== region) {
+    return { error: `Phone must be a valid ${region} phone number` };
+  }
+  return { phone: parsed.number, country: parsed.country || null };
+};
+
+/**
+ * Resolve Phone Country
+ * Country to read a submitted number for: the submitted phoneCountry if one was sent (null
+ * for none), otherwise the country of the stored number - but only for national numbers,
+ * as an international one (+...) carries its own country.
+ */
+const resolvePhoneCountry = (body, storedCountry) => {
+  if (body.phoneCountry !== undefined) return body.phoneCountry;
+  return String(body.phone || '').trim().startsWith('+') ? null : storedCountry;
+};
+
+/**
+ * Phone Check
+ * express-validator custom validator for a phone field. getCountry(req) returns the country
+ * to parse national numbers for (e.g. the submitted phoneCountry).
+ */
+const phoneCheck = (getCountry) => (value, { req }) => {
+  const { error } = parsePhone(value, getCountry(req));
+  if (error) throw new Error(error);
+  return true;
+};
+
+/**
+ * Format National
+ * A stored number in its country's national format ("020 7946 0018"). Numbers saved before
+ * normalization that can't be parsed are returned as stored.
+ */
+const formatPhoneNational = (phone) => {
+  if (!phone) return '';
+  const parsed = parsePhoneNumberFromString(phone);
+  return parsed ? parsed.formatNational() : phone;
+};
+
+module.exports = {
+  PHONE_COUNTRIES,
+  isPhoneCountry,
+  parsePhone,
+  resolvePhoneCountry,
+  phoneCheck,
+  formatPhoneNational,
+};
@@ -0,0 +1,181 @@
+/**
+ * Profile Privacy
+ * Per-field visibility for public profiles. Each user chooses who can see each field:
+ * everyone ("public"), logged-in users ("members") or only themselves ("private").
+ * The username is always visible. Custom fields an administrator marked private can't be shared.
+ */
+
+const { storedValue } = require('./customFields');
+
+// Visibility levels, from most to least open
+const VISIBILITY_LEVELS = ['public', 'members', 'private'];
+
+// Built-in fields that can appear on a public profile, with their default visibility
+const BUILT_IN_FIELDS = [
+  { key: 'displayName', label: 'Display name', type: 'text', defaultVisibility: 'public' },
+  { key: 'avatar', label: 'Photo', type: 'avatar', defaultVisibility: 'public' },
+  { key: 'bio', label: 'Bio', type: 'textarea', defaultVisibility: 'public' },
+  { key: 'email', label: 'Email', type: 'email', defaultVisibility: 'private' },
+  { key: 'phone', label: 'Phone', type: 'text', defaultVisibility: 'private' },
+  { key: 'dob', label: 'Date of birth', type: 'date', defaultVisibility: 'private' },
+];
+
+/**
+ * Is Built-In Field
+ * True if the key is a built-in profile field (custom fields can't reuse these keys).
+ */
+const isBuiltInField = (key) => BUILT_IN_FIELDS.some((field) => field.key === key);
+
+/**
+ * Shareable Fields
+ * All fields a user can set visibility for: built-ins plus the custom fields. Custom fields
+ * marked private by an administrator are "locked" - always visible only to the user.
+ */
+const getShareableFields = (definitions = []) => [
+  ...BUILT_IN_FIELDS.map((field) => ({ ...field, locked: false })),
+  ...definitions.map((field) => ({
+    key: field.key,
+    label: field.label,
+    type: field.type,
+    defaultVisibility: field.visibility === 'public' ? 'public' : 'private',
+    locked: field.visibility !== 'public',
+  })),
+];
+
+/**
+ * Get Visibility
+ * The effective visibility of one field for a user (their setting, or the default).
+ */
+const getVisibility = (user, field) => {
+  if (field.locked) return 'private';
+  const chosen = user.privacy?.get(field.key);
+  return VISIBILITY_LEVELS.includes(chosen) ? chosen : field.defaultVisibility;
+};
+
+/**
+ * Format Privacy Settings
+ * { key: visibility } for every shareable field - returned with the user's own profile.
+ */
+const formatPrivacy = (user, definitions = []) =>
+  Object.fromEntries(getShareableFields(definitions).map((field) => [field.key, getVisibility(user, field)]));
+
+/**
+ * Validate Privacy Settings
+ * Checks a { key: visibility } object from the client.
+ * Returns { updates, errors } with errors in the express-validator format.
+ */
+const validatePrivacy = (input, definitions = []) => {
+  const errors = [];
+  const updates = {};
+  const error = (path, msg) => errors.push({ type: 'field', path, location: 'body', msg });
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    error('privacy', 'Privacy settings must be an object');
+    return { updates, errors };
+  }
+
+  const fields = new Map(getShareableFields(definitions).map((field) => [field.key, field]));
+  Object.entries(input).forEach(([key, level]) => {
+    const field = fields.get(key);
+    if (!field) {
+      error(`privacy.${key}`, `Unknown profile field "${key}"`);
+    } else if (!VISIBILITY_LEVELS.includes(level)) {
+      error(`privacy.${key}`, 'Visibility must be public, members or private');
+    } else if (field.locked && level !== 'private') {
+      error(`privacy.${key}`, `${field.label} can only be visible to you`);
+    } else {
+      updates[key] = level;
+    }
+  });
+  return { updates, errors };
+};
+
+/**
+ * Can View
+ * Whether a viewer may see a field with the given visibility. viewer is null when anonymous.
+ */
+const canView = (visibility, owner, viewer) => {
+  if (viewer && String(viewer._id) === String(owner._id)) return true;
+  if (visibility === 'public') return true;
+  return visibility === 'members' && Boolean(viewer);
+};
+
+/**
+ * Field Value
+ * Reads a field's value from the user (built-in or custom). Returns null if empty, or if a
+ * custom value doesn't fit the field's current type and rules.
+ */
+const fieldValue = (user, field, avatarUrls) => {
+  if (field.key === 'avatar') return avatarUrls;
+  if (!isBuiltInField(field.key)) return storedValue(field, user.customFields);
+  const value = user[field.key];
+  return value === undefined || value === '' ? null : value;
+};
+
+/**
+ * Viewable Levels
+ * Visibility levels a viewer can see on other users' profiles (used to filter queries).
+ */
+const viewableLevels = (viewer) => (viewer ? ['public', 'members'] : ['public']);
+
+/**
+ * Visible Field Filter
+ * MongoDB condition matching users whose built-in field is visible at one of the given
+ * levels, taking the field's default into account for users who never changed it.
+ */
+const visibleFieldFilter = (key, levels) => {
+  const field = BUILT_IN_FIELDS.find((f) => f.key === key);
+  const conditions = [{ [`privacy.${key}`]: { $in: levels } }];
+  if (levels.includes(field.defaultVisibility)) {
+    conditions.push({ [`privacy.${key}`]: { $exists: false } });
+  }
+  return { $or: conditions };
+};
+
+/**
+ * Is Field Visible
+ * Whether a user's built-in field is visible at one of the given levels - the in-memory
+ * counterpart of visibleFieldFilter.
+ */
+const isFieldVisible = (user, key, levels) =>
+  levels.includes(getVisibility(user, BUILT_IN_FIELDS.find((field) => field.key === key)));
+
+/**
+ * Build Public Profile
+ * The parts of a user's profile the viewer is allowed to see, in form order:
+ * { username, displayName, avatar, memberSince, fields: [{ key, label, type, value }] }.
+ */
+const buildPublicProfile = (user, definitions, viewer) => {
+  const profile = {
+    username: user.username,
+    displayName: null,
+    avatar: null,
+    memberSince: user.createdAt,
+    fields: [],
+  };
+  const avatarUrls = user.getAvatarUrls();
+
+  getShareableFields(definitions).forEach((field) => {
+    if (!canView(getVisibility(user, field), user, viewer)) return;
+    const value = fieldValue(user, field, avatarUrls);
+    if (value === null || value === undefined) return;
+    if (field.key === 'avatar' || field.key === 'displayName') {
+      // Shown in the profile header rather than the field list
+      profile[field.key] = value;
+    } else {
+      profile.fields.push({ key: field.key, label: field.label, type: field.type, value });
+    }
+  });
+  return profile;
+};
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  isBuiltInField,
+  formatPrivacy,
+  validatePrivacy,
+  buildPublicProfile,
+  viewableLevels,
+  visibleFieldFilter,
+  isFieldVisible,
+};
@@ -0,0 +1,85 @@
+/**
+ * Rate Limit Store
+ * Counts hits per key within a fixed time window. The default store keeps counters in
+ * process memory; a shared store (e.g. Redis) can be installed with setStore() when the
+ * app runs on more than one instance. A store is any object with async hit(key, windowMs),
+ * get(key) and reset(key) methods, where hit/get resolve to { count, resetAt } (or null).
+ */
+
+// How often expired counters are swept from the memory store
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create Memory Store
+ * Returns an in-process store. Counters are lost on restart and not shared between instances.
+ */
+const createMemoryStore = () => {
+  // key -> { count, resetAt (ms timestamp) }
+  const counters = new Map();
+
+  // Periodically drop expired counters so the map can't grow without bound
+  const timer = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((entry, key) => {
+      if (entry.resetAt <= now) counters.delete(key);
+    });
+  }, PRUNE_INTERVAL_MS);
+  // Don't keep the process alive just for pruning
+  timer.unref();
+
+  /**
+   * Get live entry for key, treating expired entries as missing.
+   */
+  const live = (key) => {
+    const entry = counters.get(key);
+    if (!entry || entry.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    async hit(key, windowMs) {
+      const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      counters.set(key, entry);
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+};
+
+// Active store - memory by default
+let store = createMemoryStore();
+
+/**
+ * Get Store
+ * Returns the active rate limit store.
+ */
+const getStore = () => store;
+
+/**
+ * Set Store
+ * Installs a different store (e.g. one shared between app instances).
+ */
+const setStore = (nextStore) => {
+  ['hit', 'get', 'reset'].forEach((method) => {
+    if (!nextStore || typeof nextStore[method] !== 'function') {
+      throw new Error(`Rate limit store must have a ${method}() method`);
+    }
+  });
+  store = nextStore;
+};
+
+module.exports = {
+  createMemoryStore,
+  getStore,
+  setStore,
+};
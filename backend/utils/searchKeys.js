@@ -0,0 +1,34 @@
+/**
+ * Search Keys
+ * The user directory matches searches by prefix against lowercased keys stored on each user
+ * (User.searchKeys), so the lookups can use an index instead of scanning every account.
+ * A name's keys are the whole name and each of its words, so "smi" finds "John Smith" and
+ * "john sm" finds him too.
+ */
+
+/**
+ * Normalize
+ * Lowercases text and collapses runs of whitespace, as both keys and searches are stored.
+ */
+const normalize = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Search Keys For
+ * The keys a username or display name can be found by (empty for no name).
+ */
+const searchKeysFor = (value) => {
+  const text = normalize(value);
+  if (!text) return [];
+  return [...new Set([text, ...text.split(/[\s._-]+/).filter(Boolean)])];
+};
+
+/**
+ * Search Prefix
+ * The prefix a search term is matched with against the keys (and the lowercased email).
+ */
+const searchPrefix = (search) => normalize(search);
+
+module.exports = {
+  searchKeysFor,
+  searchPrefix,
+};
@@ -0,0 +1,81 @@
+/**
+ * Token Utilities
+ * Signs and verifies short-lived access tokens and generates opaque refresh tokens.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+/**
+ * Access Token Generator
+ * Creates a short-lived JWT bound to a server-side session. Expires after JWT_EXPIRES_IN
+ * (default 15 minutes).
+ */
+const createAccessToken = (userId, sessionId) => {
+  // "sid" ties the token to a session so revoking the session invalidates the token
+  return jwt.sign({ id: userId, sid: sessionId }, config.auth.jwtSecret, {
+    expiresIn: config.auth.jwtExpiresIn,
+  });
+};
+
+/**
+ * Access Token Verifier
+ * Verifies and decodes an access token. Throws if invalid, expired, or not session-bound.
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, config.auth.jwtSecret);
+  // Tokens issued before sessions existed carry no "sid" and can't be revoked - reject them
+  if (!decoded.sid) {
+    throw new Error('Token is not bound to a session');
+  }
+  return decoded;
+};
+
+/**
+ * MFA Ticket Generator
+ * Creates a short-lived JWT proving the password step of login succeeded. It carries no
+ * session ID, so it can't be used as an access token. Expires after MFA_TICKET_EXPIRES_IN
+ * (default 5 minutes).
+ * restoreAccount carries the login's choice to restore a deleted account to the second step.
+ */
+const createMfaTicket = (userId, { restoreAccount = false } = {}) => {
+  const payload = { id: userId, purpose: 'mfa' };
+  if (restoreAccount) payload.restoreAccount = true;
+  return jwt.sign(payload, config.auth.jwtSecret, {
+    expiresIn: config.auth.mfaTicketExpiresIn,
+  });
+};
+
+/**
+ * MFA Ticket Verifier
+ * Verifies and decodes an MFA ticket. Throws if invalid, expired, or not an MFA ticket.
+ */
+const verifyMfaTicket = (ticket) => {
+  const decoded = jwt.verify(ticket, config.auth.jwtSecret);
+  if (decoded.purpose !== 'mfa') {
+    throw new Error('Token is not an MFA ticket');
+  }
+  return decoded;
+};
+
+/**
+ * Random Token Generator
+ * Returns a URL-safe random string suitable for refresh tokens and other one-off secrets.
+ */
+const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Token Hasher
+ * Hashes a token with SHA-256 so only the digest is stored in the database.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  createAccessToken,
+  verifyAccessToken,
+  createMfaTicket,
+  verifyMfaTicket,
+  generateRandomToken,
+  hashToken,
+};
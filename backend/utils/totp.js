@@ -0,0 +1,152 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30-second steps) as used by
+ * authenticator apps, plus recovery code generation.
+ */
+
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet used for authenticator secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Accept codes from one step before/after the current one to allow for clock drift
+const TOTP_WINDOW = 1;
+
+/**
+ * Base32 Encode
+ * Encodes a buffer as unpadded base32 (the format authenticator apps expect).
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Base32 Decode
+ * Decodes a base32 string (case-insensitive, padding and spaces ignored) into a buffer.
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate Secret
+ * Returns a new random 160-bit secret encoded as base32.
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP Code
+ * Computes the RFC 4226 code for a secret and counter (the TOTP time step).
+ */
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  // Dynamic truncation: low 4 bits of the last byte select a 31-bit slice of the HMAC
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Current Time Step
+ * Returns the TOTP counter for a given time (defaults to now).
+ */
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Verify TOTP Code
+ * Checks a code against the secret within the drift window. Steps at or before afterStep are
+ * rejected so a code can't be replayed. Returns the matching step, or null if invalid.
+ */
+const verifyTotp = (secret, code, { afterStep = -1, now = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+  const current = timeStep(now);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step += 1) {
+    if (step > afterStep) {
+      const expected = hotp(secret, step);
+      // Constant-time comparison avoids leaking how many digits matched
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Build otpauth URI
+ * Returns the otpauth:// URI that authenticator apps read from the enrollment QR code.
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Normalize Recovery Code
+ * Lowercases and strips dashes/spaces so codes match however the user types them.
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Generate Recovery Codes
+ * Returns a list of random one-time recovery codes formatted as "xxxxx-xxxxx".
+ */
+const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+module.exports = {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  // Exported for tests and tooling
+  hotp,
+  timeStep,
+};
@@ -1,7 +0,0 @@
-/**
- * API Configuration
- * Automatically detects API URL based on environment
- */
-const API_BASE = window.location.origin + '/api';
-
-
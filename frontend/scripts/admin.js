@@ -0,0 +1,555 @@
+// API base URL - automatically uses current domain (works for localhost and Azure)
+const API_BASE = window.location.origin + '/api';
+// Token handling and refresh shared by the logged-in pages (scripts/auth-session.js)
+const { authFetch, redirectToLogin } = window.AuthSession;
+
+// Authentication check - redirect to login if no token found
+if (!window.AuthSession.getToken()) {
+  window.location.href = './login.html';
+}
+
+// Roles allowed to use this page (the API enforces the same rule)
+const STAFF_ROLES = ['admin', 'support'];
+// Users per table page
+const PAGE_SIZE = 20;
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Get references to DOM elements
+const adminMain = document.getElementById('admin-main');
+const filtersForm = document.getElementById('filters-form');
+const searchInput = document.getElementById('search');
+const roleFilter = document.getElementById('role-filter');
+const statusFilter = document.getElementById('status-filter');
+const usersBody = document.getElementById('users-body');
+const usersSummary = document.getElementById('users-summary');
+const usersMessage = document.getElementById('users-message');
+const prevPageBtn = document.getElementById('prev-page');
+const nextPageBtn = document.getElementById('next-page');
+const pageIndicator = document.getElementById('page-indicator');
+const sortButtons = document.querySelectorAll('[data-sort]');
+const drawer = document.getElementById('user-drawer');
+const drawerTitle = document.getElementById('drawer-title');
+const drawerFields = document.getElementById('drawer-fields');
+const drawerToggleDisabled = document.getElementById('drawer-toggle-disabled');
+const drawerResetPassword = document.getElementById('drawer-reset-password');
+const drawerMessage = document.getElementById('drawer-message');
+const fieldsBody = document.getElementById('fields-body');
+const fieldForm = document.getElementById('field-form');
+const fieldsMessage = document.getElementById('fields-message');
+
+// Current table state - page, sort and filters are sent to GET /api/admin/users
+const state = { page: 1, pages: 1, sort: 'createdAt', order: 'desc' };
+// Signed-in staff member and the user open in the drawer
+let currentUser = null;
+let drawerUser = null;
+
+/**
+ * Display field message with styling
+ * Updates message element with text and applies success (green) or error (red) styling.
+ */
+const setFieldMessage = (el, message, type) => {
+  if (!el) return;
+  el.textContent = message;
+  el.classList.remove('hidden', 'text-red-600', 'text-green-600');
+  el.classList.add(type === 'success' ? 'text-green-600' : 'text-red-600');
+};
+
+/**
+ * Clear field message
+ * Hides the message element and removes all styling classes.
+ */
+const clearFieldMessage = (el) => {
+  if (!el) return;
+  el.textContent = '';
+  el.classList.add('hidden');
+  el.classList.remove('text-red-600', 'text-green-600');
+};
+
+/**
+ * Format ISO date string for display
+ * Converts ISO date string to localized date string, returns em dash if invalid/empty.
+ */
+const fmtDate = (iso) => {
+  if (!iso) return '—';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '—';
+  return d.toLocaleDateString();
+};
+
+/**
+ * Format ISO timestamp for display
+ * Converts ISO timestamp to localized date and time, returns em dash if invalid/empty.
+ */
+const fmtDateTime = (iso) => {
+  if (!iso) return '—';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '—';
+  return d.toLocaleString();
+};
+
+/**
+ * Describe status
+ * Returns the label and badge color for a user's account status.
+ */
+const describeStatus = (user) => {
+  if (user.deletedAt) return { label: 'Deleted', color: 'bg-gray-200 text-gray-700' };
+  if (user.disabled) return { label: 'Disabled', color: 'bg-red-100 text-red-700' };
+  if (user.lockUntil && new Date(user.lockUntil) > new Date()) {
+    return { label: 'Locked', color: 'bg-orange-100 text-orange-700' };
+  }
+  if (user.mustResetPassword) return { label: 'Reset required', color: 'bg-yellow-100 text-yellow-800' };
+  return { label: 'Active', color: 'bg-green-100 text-green-700' };
+};
+
+/**
+ * Can manage
+ * Mirrors the API rules: staff can't act on their own account, and only admins can act on admins.
+ */
+const canManage = (user) =>
+  Boolean(currentUser) &&
+  String(user.id) !== String(currentUser.id) &&
+  (user.role !== 'admin' || currentUser.role === 'admin');
+
+/**
+ * Create element helper
+ * Builds an element with classes and text content (text is never parsed as HTML).
+ */
+const el = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+};
+
+/**
+ * Render sort indicators
+ * Marks the active column header with an arrow for the sort direction.
+ */
+const renderSortIndicators = () => {
+  sortButtons.forEach((btn) => {
+    const label = btn.textContent.replace(/ [▲▼]$/, '');
+    const active = btn.dataset.sort === state.sort;
+    btn.textContent = active ? `${label} ${state.order === 'asc' ? '▲' : '▼'}` : label;
+    btn.classList.toggle('text-gray-900', active);
+  });
+};
+
+/**
+ * Render users table
+ * Fills the table body with one row per user, including inline disable/enable and reset actions.
+ */
+const renderUsers = (users) => {
+  if (!users.length) {
+    const row = el('tr');
+    const cell = el('td', 'py-6 text-center text-gray-500', 'No users match the current filters.');
+    cell.colSpan = 6;
+    row.appendChild(cell);
+    usersBody.replaceChildren(row);
+    return;
+  }
+
+  usersBody.replaceChildren(
+    ...users.map((user) => {
+      const row = el('tr', 'hover:bg-gray-50 cursor-pointer');
+      row.addEventListener('click', () => openDrawer(user.id));
+
+      const status = describeStatus(user);
+      const statusCell = el('td', 'py-2 pr-4');
+      statusCell.appendChild(el('span', `rounded-full px-2 py-0.5 text-xs ${status.color}`, status.label));
+
+      const actionsCell = el('td', 'py-2 text-right whitespace-nowrap');
+      if (canManage(user)) {
+        const toggleBtn = el(
+          'button',
+          `text-xs ${user.disabled ? 'text-blue-600 hover:text-blue-700' : 'text-red-600 hover:text-red-700'}`,
+          user.disabled ? 'Enable' : 'Disable'
+        );
+        toggleBtn.type = 'button';
+        toggleBtn.addEventListener('click', (e) => {
+          e.stopPropagation(); // Don't open the drawer
+          toggleDisabled(user);
+        });
+
+        const resetBtn = el('button', 'ml-3 text-xs text-red-600 hover:text-red-700', 'Reset password');
+        resetBtn.type = 'button';
+        resetBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          forcePasswordReset(user);
+        });
+        actionsCell.append(toggleBtn, resetBtn);
+      }
+
+      row.append(
+        el('td', 'py-2 pr-4 font-medium text-gray-900', user.username),
+        el('td', 'py-2 pr-4 text-gray-700', user.email),
+        el('td', 'py-2 pr-4 text-gray-700 capitalize', user.role),
+        statusCell,
+        el('td', 'py-2 pr-4 text-gray-500', fmtDate(user.createdAt)),
+        actionsCell
+      );
+      return row;
+    })
+  );
+};
+
+/**
+ * Load users
+ * Fetches the current page of users with the active search, filters and sort.
+ */
+const loadUsers = async () => {
+  const params = new URLSearchParams({
+    page: String(state.page),
+    limit: String(PAGE_SIZE),
+    sort: state.sort,
+    order: state.order,
+  });
+  const search = searchInput.value.trim();
+  if (search) params.set('search', search);
+  if (roleFilter.value) params.set('role', roleFilter.value);
+  if (statusFilter.value) params.set('disabled', statusFilter.value);
+
+  try {
+    const res = await authFetch(`${API_BASE}/admin/users?${params}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to load users');
+
+    state.pages = data.pages;
+    clearFieldMessage(usersMessage);
+    renderUsers(data.users);
+    renderSortIndicators();
+
+    const first = data.total ? (data.page - 1) * PAGE_SIZE + 1 : 0;
+    const last = Math.min(data.page * PAGE_SIZE, data.total);
+    usersSummary.textContent = `Showing ${first}–${last} of ${data.total} users`;
+    pageIndicator.textContent = `Page ${data.page} of ${data.pages}`;
+    prevPageBtn.disabled = data.page <= 1;
+    nextPageBtn.disabled = data.page >= data.pages;
+  } catch (err) {
+    setFieldMessage(usersMessage, err.message, 'error');
+  }
+};
+
+/**
+ * Render drawer
+ * Shows every field and timestamp of a user and updates the action buttons.
+ */
+const renderDrawer = (user) => {
+  drawerUser = user;
+  drawerTitle.textContent = user.username;
+
+  const fields = [
+    ['ID', user.id],
+    ['Username', user.username],
+    ['Email', user.email],
+    ['Email verified', user.emailVerified ? 'Yes' : 'No'],
+    ['Pending email', user.pendingEmail || '—'],
+    ['Phone', user.phone || '—'],
+    ['Date of birth', fmtDate(user.dob)],
+    ['Avatar', user.avatar ? `Uploaded ${fmtDateTime(user.avatarUpdatedAt)}` : 'None'],
+    ['Role', user.role],
+    ['Status', describeStatus(user).label],
+    ['Password reset required', user.mustResetPassword ? 'Yes' : 'No'],
+    ['Two-factor authentication', user.twoFactorEnabled ? 'On' : 'Off'],
+    ['Failed login attempts', String(user.failedLoginAttempts)],
+    ['Locked until', fmtDateTime(user.lockUntil)],
+    ['Disabled at', fmtDateTime(user.disabledAt)],
+    ['Deleted at', fmtDateTime(user.deletedAt)],
+    ['Purge scheduled', fmtDateTime(user.purgeAt)],
+    ['Active sessions', user.activeSessions === undefined ? '—' : String(user.activeSessions)],
+    ['Created', fmtDateTime(user.createdAt)],
+    ['Last updated', fmtDateTime(user.updatedAt)],
+    // Admin-defined profile fields, by key
+    ...Object.entries(user.customFields || {}).map(([key, value]) => [key, String(value)]),
+  ];
+  drawerFields.replaceChildren(
+    ...fields.map(([label, value]) => {
+      const row = el('div', 'flex justify-between gap-4');
+      row.append(el('dt', 'text-gray-500', label), el('dd', 'text-gray-900 text-right break-all', value));
+      return row;
+    })
+  );
+
+  // Actions the API would reject are hidden rather than left to fail
+  const manageable = canManage(user);
+  drawerToggleDisabled.classList.toggle('hidden', !manageable);
+  drawerResetPassword.classList.toggle('hidden', !manageable);
+  drawerToggleDisabled.textContent = user.disabled ? 'Enable account' : 'Disable account';
+};
+
+/**
+ * Open drawer
+ * Loads the full record for a user (including active session count) and shows the drawer.
+ */
+const openDrawer = async (userId) => {
+  clearFieldMessage(drawerMessage);
+  try {
+    const res = await authFetch(`${API_BASE}/admin/users/${encodeURIComponent(userId)}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to load user');
+    renderDrawer(data);
+    drawer.classList.remove('hidden');
+  } catch (err) {
+    setFieldMessage(usersMessage, err.message, 'error');
+  }
+};
+
+/**
+ * Close drawer
+ * Hides the drawer and forgets the selected user.
+ */
+const closeDrawer = () => {
+  drawer.classList.add('hidden');
+  drawerUser = null;
+};
+
+/**
+ * Run user action
+ * POSTs an admin action for a user, then refreshes the table (and the drawer if it shows
+ * that user). Messages go to the drawer when it is open, otherwise under the table.
+ */
+const runUserAction = async (user, action, successMessage) => {
+  const messageEl = drawerUser ? drawerMessage : usersMessage;
+  try {
+    const res = await authFetch(`${API_BASE}/admin/users/${encodeURIComponent(user.id)}/${action}`, {
+      method: 'POST',
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Action failed');
+
+    setFieldMessage(messageEl, successMessage, 'success');
+    await loadUsers();
+    if (drawerUser && String(drawerUser.id) === String(user.id)) {
+      renderDrawer({ ...data, activeSessions: action === 'enable' ? drawerUser.activeSessions : 0 });
+    }
+  } catch (err) {
+    setFieldMessage(messageEl, err.message, 'error');
+  }
+};
+
+/**
+ * Toggle disabled
+ * Disables an enabled account (signing it out everywhere) or re-enables a disabled one.
+ */
+const toggleDisabled = (user) => {
+  if (user.disabled) {
+    return runUserAction(user, 'enable', `${user.username} has been enabled.`);
+  }
+  if (!window.confirm(`Disable ${user.username}? They will be signed out of every device.`)) return null;
+  return runUserAction(user, 'disable', `${user.username} has been disabled.`);
+};
+
+/**
+ * Force password reset
+ * Blocks the user's current password, signs them out and emails them a reset link.
+ */
+const forcePasswordReset = (user) => {
+  if (!window.confirm(`Force ${user.username} to reset their password? They will be signed out and emailed a reset link.`)) {
+    return null;
+  }
+  return runUserAction(user, 'reset-password', `A password reset link has been sent to ${user.username}.`);
+};
+
+/**
+ * Render profile fields
+ * Lists the custom profile field definitions; admins get a delete button per field.
+ */
+const renderProfileFields = (fields) => {
+  if (!fields.length) {
+    const row = el('tr');
+    const cell = el('td', 'py-6 text-center text-gray-500', 'No custom profile fields yet.');
+    cell.colSpan = 6;
+    row.appendChild(cell);
+    fieldsBody.replaceChildren(row);
+    return;
+  }
+
+  fieldsBody.replaceChildren(
+    ...fields.map((field) => {
+      const actionsCell = el('td', 'py-2 text-right');
+      if (currentUser.role === 'admin') {
+        const deleteBtn = el('button', 'text-xs text-red-600 hover:text-red-700', 'Delete');
+        deleteBtn.type = 'button';
+        deleteBtn.addEventListener('click', () => deleteProfileField(field));
+        actionsCell.appendChild(deleteBtn);
+      }
+      const row = el('tr');
+      row.append(
+        el('td', 'py-2 pr-4 font-medium text-gray-900', field.label),
+        el('td', 'py-2 pr-4 font-mono text-xs text-gray-700', field.key),
+        el('td', 'py-2 pr-4 text-gray-700', field.type === 'select' ? `select (${field.options.join(', ')})` : field.type),
+        el('td', 'py-2 pr-4 text-gray-700', field.required ? 'Yes' : 'No'),
+        el('td', 'py-2 pr-4 text-gray-700 capitalize', field.visibility),
+        actionsCell
+      );
+      return row;
+    })
+  );
+};
+
+/**
+ * Load profile fields
+ * Fetches the custom profile field definitions.
+ */
+const loadProfileFields = async () => {
+  try {
+    const res = await authFetch(`${API_BASE}/admin/profile-fields`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to load profile fields');
+    renderProfileFields(data.fields);
+  } catch (err) {
+    setFieldMessage(fieldsMessage, err.message, 'error');
+  }
+};
+
+/**
+ * Create profile field
+ * Submits the add-field form. Choices are only sent for choice (select) fields.
+ */
+const createProfileField = async () => {
+  const type = document.getElementById('field-type').value;
+  const payload = {
+    label: document.getElementById('field-label').value.trim(),
+    key: document.getElementById('field-key').value.trim(),
+    type,
+    visibility: document.getElementById('field-visibility').value,
+    required: document.getElementById('field-required').checked,
+  };
+  if (type === 'select') {
+    payload.options = document
+      .getElementById('field-options')
+      .value.split(',')
+      .map((option) => option.trim())
+      .filter(Boolean);
+  }
+
+  try {
+    const res = await authFetch(`${API_BASE}/admin/profile-fields`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.errors?.[0]?.msg || data.message || 'Failed to add field');
+    fieldForm.reset();
+    setFieldMessage(fieldsMessage, `Field "${data.label}" added.`, 'success');
+    await loadProfileFields();
+  } catch (err) {
+    setFieldMessage(fieldsMessage, err.message, 'error');
+  }
+};
+
+/**
+ * Delete profile field
+ * Removes a field definition and every user's value for it, after confirmation.
+ */
+const deleteProfileField = async (field) => {
+  if (!window.confirm(`Delete the "${field.label}" field? Every user's value for it will be removed.`)) return;
+  try {
+    const res = await authFetch(`${API_BASE}/admin/profile-fields/${encodeURIComponent(field.id)}`, {
+      method: 'DELETE',
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to delete field');
+    setFieldMessage(fieldsMessage, `Field "${field.label}" deleted.`, 'success');
+    await loadProfileFields();
+  } catch (err) {
+    setFieldMessage(fieldsMessage, err.message, 'error');
+  }
+};
+
+/**
+ * Load current user
+ * Confirms the signed-in account is staff before showing the page; everyone else is sent
+ * back to their profile.
+ */
+const loadCurrentUser = async () => {
+  try {
+    const res = await authFetch(`${API_BASE}/profile`);
+    if (!res.ok) throw new Error('Failed to load profile');
+    const data = await res.json();
+    if (!STAFF_ROLES.includes(data.role)) {
+      window.location.href = './profile.html';
+      return;
+    }
+    currentUser = data;
+    adminMain.classList.remove('hidden');
+    fieldForm.classList.toggle('hidden', currentUser.role !== 'admin');
+    await Promise.all([loadUsers(), loadProfileFields()]);
+  } catch (err) {
+    console.error('Admin page error:', err);
+    window.location.href = './profile.html';
+  }
+};
+
+/**
+ * Log out
+ * Revokes the current session on the server, then returns to login.
+ */
+const logout = async () => {
+  try {
+    await authFetch(`${API_BASE}/auth/logout`, { method: 'POST' });
+  } catch (err) {
+    console.error('Logout error:', err);
+  }
+  redirectToLogin();
+};
+
+// Search as the user types (debounced) and whenever a filter changes - back to page 1
+let searchTimer = null;
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    state.page = 1;
+    loadUsers();
+  }, SEARCH_DEBOUNCE_MS);
+});
+[roleFilter, statusFilter].forEach((select) =>
+  select.addEventListener('change', () => {
+    state.page = 1;
+    loadUsers();
+  })
+);
+filtersForm.addEventListener('submit', (e) => e.preventDefault());
+
+// Clicking a column header sorts by it; clicking the active column flips the direction
+sortButtons.forEach((btn) =>
+  btn.addEventListener('click', () => {
+    if (state.sort === btn.dataset.sort) {
+      state.order = state.order === 'asc' ? 'desc' : 'asc';
+    } else {
+      state.sort = btn.dataset.sort;
+      state.order = btn.dataset.sort === 'createdAt' ? 'desc' : 'asc';
+    }
+    state.page = 1;
+    loadUsers();
+  })
+);
+
+prevPageBtn.addEventListener('click', () => {
+  if (state.page > 1) {
+    state.page -= 1;
+    loadUsers();
+  }
+});
+nextPageBtn.addEventListener('click', () => {
+  if (state.page < state.pages) {
+    state.page += 1;
+    loadUsers();
+  }
+});
+
+drawerToggleDisabled.addEventListener('click', () => drawerUser && toggleDisabled(drawerUser));
+drawerResetPassword.addEventListener('click', () => drawerUser && forcePasswordReset(drawerUser));
+document.getElementById('drawer-close').addEventListener('click', closeDrawer);
+document.getElementById('drawer-backdrop').addEventListener('click', closeDrawer);
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeDrawer();
+});
+fieldForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  createProfileField();
+});
+document.getElementById('logout').addEventListener('click', logout);
+
+loadCurrentUser();
@@ -0,0 +1,129 @@
+/**
+ * Auth Session Helper
+ * Sends API requests with the stored access token and refreshes it when it has expired.
+ * Shared by every page that calls the API as the logged-in user. Exposed as window.AuthSession.
+ *
+ * Refresh tokens rotate on every use and replaying a used one revokes the session, so a
+ * page must never send the same refresh token twice: requests that hit a 401 together share
+ * one refresh, and a request whose token was already replaced just retries with the new one.
+ */
+
+window.AuthSession = (() => {
+  const API_BASE = `${window.location.origin}/api`;
+
+  // Refresh in progress, shared by every request waiting for a new access token
+  let refreshing = null;
+
+  /**
+   * Get token
+   * The stored access token, or null when logged out.
+   */
+  const getToken = () => localStorage.getItem('token');
+
+  /**
+   * Clear
+   * Forgets the stored tokens (the session is over or unusable).
+   */
+  const clear = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+  };
+
+  /**
+   * Redirect to login
+   * Clears stored tokens and sends the user back to the login page.
+   */
+  const redirectToLogin = () => {
+    clear();
+    window.location.href = './login.html';
+  };
+
+  /**
+   * Request refresh
+   * Exchanges the stored refresh token for a new token pair. Resolves to false if refresh failed.
+   */
+  const requestRefresh = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return false;
+
+    try {
+      const res = await fetch(`${API_BASE}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+      if (!res.ok) {
+        // Another tab may have rotated the token at the same moment - its new tokens work too
+        return localStorage.getItem('refreshToken') !== refreshToken;
+      }
+
+      // Refresh tokens rotate - the old one is now invalid, so store both new tokens
+      const data = await res.json();
+      localStorage.setItem('token', data.token);
+      localStorage.setItem('refreshToken', data.refreshToken);
+      return true;
+    } catch (err) {
+      console.error('Token refresh error:', err);
+      return false;
+    }
+  };
+
+  /**
+   * Refresh access token
+   * Starts a refresh, or joins the one already running. Resolves to false if refresh failed.
+   */
+  const refreshAccessToken = () => {
+    if (!refreshing) {
+      refreshing = requestRefresh().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  };
+
+  /**
+   * Fetch with token
+   * Sends the request with the current access token (if any). On 401 gets a fresh token -
+   * unless another request already did - and retries once. onSessionLost runs if the session
+   * can't be refreshed and returns whether to retry anyway (e.g. anonymously).
+   */
+  const fetchWithToken = async (url, options, onSessionLost) => {
+    const send = (token) =>
+      fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      });
+
+    const sentToken = getToken();
+    const res = await send(sentToken);
+    if (res.status !== 401 || !sentToken) return res;
+
+    if (getToken() === sentToken && !(await refreshAccessToken())) {
+      return onSessionLost() ? send(getToken()) : res;
+    }
+    return send(getToken());
+  };
+
+  /**
+   * Authenticated fetch
+   * For pages that need a login: redirects to the login page if the session can't be refreshed.
+   */
+  const authFetch = (url, options = {}) =>
+    fetchWithToken(url, options, () => {
+      redirectToLogin();
+      return false;
+    });
+
+  /**
+   * Optional-auth fetch
+   * For pages anyone may see (members may see more): a dead session falls back to an
+   * anonymous request.
+   */
+  const optionalAuthFetch = (url, options = {}) =>
+    fetchWithToken(url, options, () => {
+      clear();
+      return true;
+    });
+
+  return { getToken, clear, redirectToLogin, refreshAccessToken, authFetch, optionalAuthFetch };
+})();
@@ -0,0 +1,153 @@
+// API base URL - automatically uses current domain (works for localhost and Azure)
+const API_BASE = window.location.origin + '/api';
+// Sends the access token when logged in (scripts/auth-session.js) - members may see more
+const { optionalAuthFetch } = window.AuthSession;
+// Users per request
+const PAGE_SIZE = 24;
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Get references to DOM elements
+const form = document.getElementById('directory-form');
+const searchInput = document.getElementById('directory-search');
+const sortSelect = document.getElementById('directory-sort');
+const registeredAfterInput = document.getElementById('directory-registered-after');
+const list = document.getElementById('directory-list');
+const sentinel = document.getElementById('directory-sentinel');
+const message = document.getElementById('directory-message');
+const navLink = document.getElementById('nav-link');
+
+// Paging state: cursor for the next page (null once the end is reached), and a query ID so
+// responses for an outdated search are ignored
+let nextCursor = null;
+let hasMore = true;
+let loading = false;
+let queryId = 0;
+
+/**
+ * Show message
+ * Shows a note under the list (end of results, errors). Pass '' to hide it.
+ */
+const showMessage = (text) => {
+  message.textContent = text;
+  message.classList.toggle('hidden', !text);
+};
+
+/**
+ * Render user card
+ * One directory entry linking to the user's public profile.
+ */
+const renderUserCard = (user) => {
+  const item = document.createElement('li');
+  const link = document.createElement('a');
+  link.href = `./u.html?user=${encodeURIComponent(user.username)}`;
+  link.className = 'flex items-center gap-4 bg-white rounded-xl shadow p-4 hover:bg-gray-50';
+
+  const avatar = document.createElement('div');
+  avatar.className =
+    'h-12 w-12 shrink-0 rounded-full bg-blue-100 flex items-center justify-center text-blue-700 font-bold overflow-hidden';
+  if (user.avatar && user.avatar['64']) {
+    const img = document.createElement('img');
+    img.src = user.avatar['64'];
+    if (user.avatar['128']) img.srcset = `${user.avatar['64']} 1x, ${user.avatar['128']} 2x`;
+    img.alt = '';
+    img.loading = 'lazy';
+    img.className = 'h-12 w-12 object-cover';
+    avatar.appendChild(img);
+  } else {
+    avatar.textContent = ((user.displayName || user.username)[0] || 'U').toUpperCase();
+  }
+
+  const text = document.createElement('div');
+  text.className = 'min-w-0';
+  const name = document.createElement('p');
+  name.className = 'font-medium text-gray-900 truncate';
+  name.textContent = user.displayName || user.username;
+  const handle = document.createElement('p');
+  handle.className = 'text-sm text-gray-500 truncate';
+  handle.textContent = `@${user.username}`;
+  text.append(name, handle);
+
+  link.append(avatar, text);
+  item.appendChild(link);
+  return item;
+};
+
+/**
+ * Load next page
+ * Fetches the next page for the current search/sort/filter and appends it to the list.
+ */
+const loadNextPage = async () => {
+  if (loading || !hasMore) return;
+  loading = true;
+  const requestId = queryId;
+
+  const [sort, order] = sortSelect.value.split(':');
+  const params = new URLSearchParams({ sort, order, limit: String(PAGE_SIZE) });
+  const search = searchInput.value.trim();
+  if (search) params.set('search', search);
+  if (registeredAfterInput.value) params.set('registeredAfter', registeredAfterInput.value);
+  if (nextCursor) params.set('cursor', nextCursor);
+
+  try {
+    const res = await optionalAuthFetch(`${API_BASE}/users?${params}`);
+    const data = await res.json();
+    if (requestId !== queryId) return; // The search changed while this page was loading
+    if (!res.ok) throw new Error(data.errors?.[0]?.msg || data.message || 'Failed to load users');
+
+    list.append(...data.users.map(renderUserCard));
+    nextCursor = data.nextCursor;
+    hasMore = Boolean(data.nextCursor);
+    if (!list.children.length) showMessage('No users found.');
+    else if (!hasMore) showMessage('');
+  } catch (err) {
+    if (requestId === queryId) {
+      hasMore = false;
+      showMessage(err.message);
+    }
+  } finally {
+    if (requestId === queryId) loading = false;
+  }
+
+  // A short first page may not fill the screen - keep loading while the sentinel is visible
+  if (requestId === queryId && hasMore && sentinel.getBoundingClientRect().top < window.innerHeight) {
+    loadNextPage();
+  }
+};
+
+/**
+ * Reset results
+ * Starts over from the first page (after the search, sort or filter changed).
+ */
+const resetResults = () => {
+  queryId += 1;
+  nextCursor = null;
+  hasMore = true;
+  loading = false;
+  list.replaceChildren();
+  showMessage('');
+  loadNextPage();
+};
+
+// Search as the user types (debounced); sort and filter changes apply immediately
+let searchTimer = null;
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(resetResults, SEARCH_DEBOUNCE_MS);
+});
+sortSelect.addEventListener('change', resetResults);
+registeredAfterInput.addEventListener('change', resetResults);
+form.addEventListener('submit', (e) => e.preventDefault());
+
+// Infinite scroll: load the next page when the sentinel under the list comes into view
+new IntersectionObserver((entries) => {
+  if (entries.some((entry) => entry.isIntersecting)) loadNextPage();
+}).observe(sentinel);
+
+// Logged-in visitors get a link back to their own profile instead of "Log in"
+if (localStorage.getItem('token')) {
+  navLink.textContent = 'My profile';
+  navLink.href = './profile.html';
+}
+
+resetResults();
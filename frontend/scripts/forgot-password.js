@@ -0,0 +1,84 @@
+/**
+ * Forgot Password Page Script
+ * Requests a password reset link for the entered email address.
+ */
+
+// API base URL - automatically uses current domain (works for localhost and Azure)
+const API_BASE = window.location.origin + '/api';
+
+// Validation regex pattern for email format checking
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/; // Standard email format
+
+// Get references to DOM elements for form, input, and message display
+const form = document.getElementById('forgot-form');
+const emailInput = document.getElementById('email');
+const emailMessage = document.getElementById('email-message');
+
+/**
+ * Display field message with styling
+ * Updates message element with text and applies success (green) or error (red) styling.
+ */
+const setFieldMessage = (el, message, type) => {
+  if (!el) return;
+  el.textContent = message;
+  el.classList.remove('hidden', 'text-red-600', 'text-green-600');
+  el.classList.add(type === 'success' ? 'text-green-600' : 'text-red-600');
+};
+
+/**
+ * Validate email field
+ * Checks if email has a value and matches email format, displays validation feedback.
+ */
+const validateEmail = () => {
+  const value = emailInput?.value?.trim() || '';
+  if (!value) {
+    setFieldMessage(emailMessage, 'Email is required.', 'error');
+    return false;
+  }
+  if (!EMAIL_REGEX.test(value)) {
+    setFieldMessage(emailMessage, 'Please enter a valid email address.', 'error');
+    return false;
+  }
+  setFieldMessage(emailMessage, 'Email looks good.', 'success');
+  return true;
+};
+
+// Real-time validation - validate field as user types
+emailInput?.addEventListener('input', validateEmail);
+
+/**
+ * Form submit handler
+ * Sends the reset request. The server answers the same way whether or not the account exists.
+ */
+form?.addEventListener('submit', async (e) => {
+  e.preventDefault(); // Prevent default form submission (page reload)
+
+  if (!validateEmail()) {
+    return;
+  }
+
+  try {
+    const res = await fetch(`${API_BASE}/auth/forgot-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: emailInput.value.trim() }),
+    });
+
+    // Check if response is JSON (handles server errors that return HTML)
+    const contentType = res.headers.get('content-type');
+    if (!contentType || !contentType.includes('application/json')) {
+      const text = await res.text();
+      console.error('Non-JSON response:', text);
+      throw new Error('Server error: Invalid response format');
+    }
+
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.message || 'Could not send reset link');
+    }
+
+    setFieldMessage(emailMessage, data.message, 'success');
+  } catch (err) {
+    setFieldMessage(emailMessage, err.message, 'error');
+  }
+});
@@ -12,6 +12,12 @@ const usernameInput = document.getElementById('username');
 const passwordInput = document.getElementById('password');
 const usernameMessage = document.getElementById('username-message');
 const passwordMessage = document.getElementById('password-message');
+const mfaForm = document.getElementById('mfa-form');
+const mfaCodeInput = document.getElementById('mfa-code');
+const mfaMessage = document.getElementById('mfa-message');
+
+// Ticket from the password step when the account has two-factor authentication enabled
+let mfaTicket = null;
 
 /**
  * Display field message with styling
@@ -65,6 +71,49 @@ const validatePassword = () => {
   return true;
 };
 
+/**
+ * Describe lockout
+ * Builds the message shown when the server refuses login with 429 (too many failures).
+ */
+const describeLockout = (data) => {
+  const until = data.lockedUntil ? new Date(data.lockedUntil) : null;
+  if (!until || Number.isNaN(until.getTime())) {
+    return data.message || 'Too many failed login attempts. Please try again later.';
+  }
+  const time = until.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `Too many failed login attempts. You can try again at ${time}.`;
+};
+
+/**
+ * Complete login
+ * Stores the tokens from a successful login and redirects to the profile page.
+ */
+const completeLogin = (data, fallbackUsername) => {
+  // Store JWT access token in browser's localStorage for authenticated requests
+  localStorage.setItem('token', data.token);
+  // Store refresh token so the profile page can renew the short-lived access token
+  localStorage.setItem('refreshToken', data.refreshToken || '');
+  // Store username for display purposes
+  localStorage.setItem('username', data.username || fallbackUsername || '');
+  // Redirect to profile page after successful login
+  window.location.href = './profile.html';
+};
+
+/**
+ * Show MFA step
+ * Swaps the password form for the authentication-code form (or back when ticket is null).
+ */
+const showMfaStep = (ticket) => {
+  mfaTicket = ticket;
+  form?.classList.toggle('hidden', Boolean(ticket));
+  mfaForm?.classList.toggle('hidden', !ticket);
+  if (ticket) {
+    clearFieldMessage(mfaMessage);
+    mfaCodeInput.value = '';
+    mfaCodeInput.focus();
+  }
+};
+
 // Real-time validation - validate fields as user types
 usernameInput?.addEventListener('input', validateUsername);
 passwordInput?.addEventListener('input', validatePassword);
@@ -91,11 +140,28 @@ form?.addEventListener('submit', async (e) => {
 
   try {
     // Send login request to API endpoint
-    const res = await fetch(`${API_BASE}/auth/login`, {
+    let res = await fetch(`${API_BASE}/auth/login`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ username, password }),
     });
+
+    // Account was deleted but is still in its grace period - offer to restore it
+    if (res.status === 403) {
+      const refused = await res.clone().json().catch(() => ({}));
+      if (refused.accountDeleted) {
+        const purgeDate = refused.purgeAt ? new Date(refused.purgeAt).toLocaleDateString() : 'soon';
+        const question = `This account was deleted and will be permanently removed on ${purgeDate}. Restore it and log in?`;
+        if (!window.confirm(question)) {
+          throw new Error('This account has been deleted.');
+        }
+        res = await fetch(`${API_BASE}/auth/login`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ username, password, restoreAccount: true }),
+        });
+      }
+    }
     
     // Check if response is JSON (handles server errors that return HTML)
     const contentType = res.headers.get('content-type');
@@ -109,22 +175,69 @@ form?.addEventListener('submit', async (e) => {
     const data = await res.json();
     // Check if request was successful (status 200-299)
     if (!res.ok) {
+      // Locked out - tell the user when they can try again instead of "Invalid credentials"
+      if (res.status === 429) {
+        throw new Error(describeLockout(data));
+      }
       throw new Error(data.message || 'Login failed');
     }
 
+    // Password accepted but account has 2FA - ask for the authentication code
+    if (data.mfaRequired) {
+      showMfaStep(data.mfaTicket);
+      return;
+    }
+
     // Login successful - show success messages
     setFieldMessage(usernameMessage, 'Login successful.', 'success');
     setFieldMessage(passwordMessage, 'Login successful.', 'success');
 
-    // Store JWT token in browser's localStorage for authenticated requests
-    localStorage.setItem('token', data.token);
-    // Store username for display purposes
-    localStorage.setItem('username', data.username || username || '');
-    // Redirect to profile page after successful login
-    window.location.href = './profile.html';
+    completeLogin(data, username);
   } catch (err) {
     // Display error messages to user if login fails
     setFieldMessage(passwordMessage, err.message, 'error');
     setFieldMessage(usernameMessage, err.message, 'error');
   }
 });
+
+/**
+ * MFA form submit handler
+ * Sends the authentication code with the MFA ticket and completes login on success.
+ */
+mfaForm?.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const code = mfaCodeInput?.value?.trim() || '';
+  if (!code) {
+    setFieldMessage(mfaMessage, 'Authentication code is required.', 'error');
+    return;
+  }
+
+  try {
+    const res = await fetch(`${API_BASE}/auth/login/mfa`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mfaTicket, code }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      // Expired ticket - the password step has to be repeated
+      if (res.status === 401 && /expired/i.test(data.message || '')) {
+        showMfaStep(null);
+        setFieldMessage(passwordMessage, data.message, 'error');
+        return;
+      }
+      if (res.status === 429) {
+        throw new Error(describeLockout(data));
+      }
+      throw new Error(data.errors?.[0]?.msg || data.message || 'Verification failed');
+    }
+
+    setFieldMessage(mfaMessage, 'Login successful.', 'success');
+    completeLogin(data, usernameInput?.value?.trim());
+  } catch (err) {
+    setFieldMessage(mfaMessage, err.message, 'error');
+  }
+});
+
+document.getElementById('mfa-cancel')?.addEventListener('click', () => showMfaStep(null));
@@ -0,0 +1,137 @@
+/**
+ * Password Policy Helper
+ * Loads the password rules from the server (GET /api/auth/password-policy) and evaluates
+ * passwords against them, so forms check exactly what the server enforces. Also renders
+ * the requirements checklist and strength meter. Exposed as window.PasswordPolicy.
+ */
+
+window.PasswordPolicy = (() => {
+  // Policy from the server, loaded once per page
+  let policy = null;
+  let commonPasswords = new Set();
+
+  /**
+   * Load policy
+   * Fetches the policy from the API. Resolves to the policy, or null if it couldn't be loaded
+   * (forms then fall back to checking the password is present and the server has the last word).
+   */
+  const load = async () => {
+    if (policy) return policy;
+    try {
+      const res = await fetch(`${window.location.origin}/api/auth/password-policy`);
+      if (!res.ok) throw new Error('Failed to load password policy');
+      policy = await res.json();
+      commonPasswords = new Set((policy.commonPasswords || []).map((p) => p.toLowerCase()));
+    } catch (err) {
+      console.error('Password policy error:', err);
+      policy = null;
+    }
+    return policy;
+  };
+
+  /**
+   * Check rule
+   * Mirrors the server's rule types: length, pattern, notCommon and notPersonal.
+   */
+  const checkRule = (rule, password, context = {}) => {
+    switch (rule.type) {
+      case 'length':
+        return (
+          password.length >= rule.min && new TextEncoder().encode(password).length <= rule.max
+        );
+      case 'pattern':
+        return new RegExp(rule.pattern).test(password);
+      case 'notCommon':
+        return !commonPasswords.has(password.toLowerCase());
+      case 'notPersonal': {
+        const lower = password.toLowerCase();
+        return [context.username, String(context.email || '').split('@')[0]]
+          .map((part) => String(part || '').trim().toLowerCase())
+          .filter((part) => part.length >= 3)
+          .every((part) => !lower.includes(part));
+      }
+      default:
+        return true;
+    }
+  };
+
+  /**
+   * Strength score
+   * Rough 0-4 score for the meter: length beyond the minimum and variety of character
+   * classes raise it; a common or personal password caps it at 0.
+   */
+  const scorePassword = (password, results) => {
+    if (!password) return 0;
+    const failed = (id) => results.some((r) => r.id === id && !r.passed);
+    if (failed('common') || failed('personal')) return 0;
+
+    const minLength = policy?.minLength || 8;
+    const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter((re) => re.test(password))
+      .length;
+    let score = 0;
+    if (password.length >= minLength) score += 1;
+    if (password.length >= minLength + 4) score += 1;
+    if (classes >= 3) score += 1;
+    if (classes === 4) score += 1;
+    return Math.min(score, 4);
+  };
+
+  /**
+   * Evaluate password
+   * Returns { results: [{ id, label, passed }], valid, score }. Without a loaded policy only
+   * presence is checked.
+   */
+  const evaluate = (password = '', context = {}) => {
+    const rules = policy?.rules || [];
+    const results = rules.map((rule) => ({
+      id: rule.id,
+      label: rule.label,
+      passed: checkRule(rule, password, context),
+    }));
+    return {
+      results,
+      valid: Boolean(password) && results.every((r) => r.passed),
+      score: scorePassword(password, results),
+    };
+  };
+
+  /**
+   * Render checklist
+   * Fills a list element with one item per rule, green when met and gray when not.
+   */
+  const renderChecklist = (listEl, results) => {
+    if (!listEl) return;
+    listEl.replaceChildren(
+      ...results.map((result) => {
+        const item = document.createElement('li');
+        item.className = result.passed ? 'text-green-600' : 'text-gray-500';
+        item.textContent = `${result.passed ? '✓' : '○'} ${result.label}`;
+        return item;
+      })
+    );
+  };
+
+  // Meter labels and colors for scores 0-4
+  const STRENGTH_LEVELS = [
+    { label: 'Very weak', color: 'bg-red-500' },
+    { label: 'Weak', color: 'bg-orange-500' },
+    { label: 'Fair', color: 'bg-yellow-500' },
+    { label: 'Good', color: 'bg-lime-500' },
+    { label: 'Strong', color: 'bg-green-600' },
+  ];
+
+  /**
+   * Render meter
+   * Sets the width/color of a bar element and the text of a label element for a score.
+   */
+  const renderMeter = (barEl, labelEl, score, hasValue = true) => {
+    const level = STRENGTH_LEVELS[score] || STRENGTH_LEVELS[0];
+    if (barEl) {
+      barEl.className = `h-full rounded-full transition-all ${level.color}`;
+      barEl.style.width = hasValue ? `${((score + 1) / STRENGTH_LEVELS.length) * 100}%` : '0%';
+    }
+    if (labelEl) labelEl.textContent = hasValue ? `Strength: ${level.label}` : '';
+  };
+
+  return { load, evaluate, renderChecklist, renderMeter };
+})();
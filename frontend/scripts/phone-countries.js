@@ -0,0 +1,70 @@
+/**
+ * Phone Countries Helper
+ * Loads the countries phone numbers can be entered for (GET /api/auth/phone-countries) and
+ * fills country pickers with them. The server parses national numbers for the chosen
+ * country and stores them in international (E.164) format. Exposed as window.PhoneCountries.
+ */
+
+window.PhoneCountries = (() => {
+  // [{ code, callingCode }] from the server, loaded once per page
+  let countries = null;
+
+  /**
+   * Load countries
+   * Fetches the country list. Resolves to the list, or [] if it couldn't be loaded (numbers
+   * can then still be entered in international format).
+   */
+  const load = async () => {
+    if (countries) return countries;
+    try {
+      const res = await fetch(`${window.location.origin}/api/auth/phone-countries`);
+      if (!res.ok) throw new Error('Failed to load phone countries');
+      countries = (await res.json()).countries || [];
+    } catch (err) {
+      console.error('Phone countries error:', err);
+      countries = [];
+    }
+    return countries;
+  };
+
+  /**
+   * Guess country
+   * The region of the browser's language (e.g. "GB" for en-GB), used until one is chosen.
+   */
+  const guessCountry = () => {
+    const region = (navigator.language || '').split('-')[1];
+    return region && /^[A-Za-z]{2}$/.test(region) ? region.toUpperCase() : '';
+  };
+
+  /**
+   * Fill select
+   * Renders one option per country ("United Kingdom (+44)"), sorted by name, and selects
+   * the given country (or the guessed one).
+   */
+  const fillSelect = async (select, selected) => {
+    if (!select) return;
+    const list = await load();
+    const names =
+      typeof Intl.DisplayNames === 'function'
+        ? new Intl.DisplayNames([navigator.language || 'en'], { type: 'region' })
+        : null;
+    const options = list
+      .map(({ code, callingCode }) => [code, `${names?.of(code) || code} (+${callingCode})`])
+      .sort((a, b) => a[1].localeCompare(b[1]));
+    select.replaceChildren(new Option('Country', ''), ...options.map(([code, text]) => new Option(text, code)));
+    setSelected(select, selected);
+  };
+
+  /**
+   * Set selected
+   * Selects a country, falling back to the guessed one when none is given or it isn't listed.
+   */
+  const setSelected = (select, selected) => {
+    if (!select) return;
+    const codes = [...select.options].map((option) => option.value);
+    const guess = guessCountry();
+    select.value = [selected, guess].find((code) => code && codes.includes(code)) || '';
+  };
+
+  return { load, fillSelect, setSelected };
+})();
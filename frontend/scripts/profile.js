@@ -1,16 +1,16 @@
 // API base URL - automatically uses current domain (works for localhost and Azure)
 const API_BASE = window.location.origin + '/api';
-// Get authentication token from browser's localStorage
-const token = localStorage.getItem('token');
+// Token handling and refresh shared by the logged-in pages (scripts/auth-session.js)
+const { authFetch, redirectToLogin } = window.AuthSession;
 
 // Authentication check - redirect to login if no token found (protects profile page)
-if (!token) {
+if (!window.AuthSession.getToken()) {
   window.location.href = './login.html';
 }
 
 // Validation regex patterns for email and phone format checking
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/; // Standard email format
-const PHONE_REGEX = /^\+?[0-9\s\-()]{7,15}$/; // Phone with optional country code and formatting
+const PHONE_CHARS_REGEX = /^\+?[0-9\s\-().]+$/; // Characters a phone number may be typed with
 
 // Get references to DOM elements for display fields and form inputs
 const displayUsername = document.getElementById('display-username');
@@ -18,13 +18,99 @@ const displayEmail = document.getElementById('display-email');
 const displayPhone = document.getElementById('display-phone');
 const displayDob = document.getElementById('display-dob');
 const avatarFallback = document.getElementById('avatar-fallback');
+const displayNameInput = document.getElementById('display-name');
+const bioInput = document.getElementById('bio');
 const emailInput = document.getElementById('email');
 const phoneInput = document.getElementById('phone');
+const phoneCountrySelect = document.getElementById('phone-country');
 const dobInput = document.getElementById('dob');
+const displayNameMessage = document.getElementById('display-name-message');
+const bioMessage = document.getElementById('bio-message');
 const emailMessage = document.getElementById('email-message');
 const phoneMessage = document.getElementById('phone-message');
 const dobMessage = document.getElementById('dob-message');
 const profileForm = document.getElementById('profile-form');
+const customFieldsContainer = document.getElementById('custom-fields');
+const privacyForm = document.getElementById('privacy-form');
+const privacyList = document.getElementById('privacy-list');
+const privacyMessage = document.getElementById('privacy-message');
+const passwordForm = document.getElementById('password-form');
+const currentPasswordInput = document.getElementById('current-password');
+const newPasswordInput = document.getElementById('new-password');
+const confirmPasswordInput = document.getElementById('confirm-password');
+const currentPasswordMessage = document.getElementById('current-password-message');
+const newPasswordMessage = document.getElementById('new-password-message');
+const confirmPasswordMessage = document.getElementById('confirm-password-message');
+const newPasswordChecklist = document.getElementById('new-password-checklist');
+
+// Username/email of the loaded profile - a new password must not contain them
+let passwordContext = { username: localStorage.getItem('username') || '', email: '' };
+const twoFactorStatus = document.getElementById('twofa-status');
+const twoFactorEnableForm = document.getElementById('twofa-enable-form');
+const twoFactorEnablePassword = document.getElementById('twofa-enable-password');
+const twoFactorSetup = document.getElementById('twofa-setup');
+const twoFactorQr = document.getElementById('twofa-qr');
+const twoFactorSecret = document.getElementById('twofa-secret');
+const twoFactorConfirmCode = document.getElementById('twofa-confirm-code');
+const twoFactorRecovery = document.getElementById('twofa-recovery');
+const twoFactorRecoveryCodes = document.getElementById('twofa-recovery-codes');
+const twoFactorDisableForm = document.getElementById('twofa-disable-form');
+const twoFactorDisablePassword = document.getElementById('twofa-disable-password');
+const twoFactorDisableCode = document.getElementById('twofa-disable-code');
+const twoFactorMessage = document.getElementById('twofa-message');
+const emailVerification = document.getElementById('email-verification');
+const emailVerificationText = document.getElementById('email-verification-text');
+const sessionsList = document.getElementById('sessions-list');
+const sessionsMessage = document.getElementById('sessions-message');
+const activityList = document.getElementById('activity-list');
+const activityMoreBtn = document.getElementById('activity-more');
+const activityMessage = document.getElementById('activity-message');
+const exportMessage = document.getElementById('export-message');
+const deleteAccountForm = document.getElementById('delete-account-form');
+const deleteAccountPasswordInput = document.getElementById('delete-account-password');
+const deleteAccountMessage = document.getElementById('delete-account-message');
+const avatarImage = document.getElementById('avatar-image');
+const avatarInput = document.getElementById('avatar-input');
+const avatarRemoveBtn = document.getElementById('avatar-remove');
+const avatarMessage = document.getElementById('avatar-message');
+const avatarCropper = document.getElementById('avatar-cropper');
+const cropViewport = document.getElementById('crop-viewport');
+const cropImage = document.getElementById('crop-image');
+const cropZoom = document.getElementById('crop-zoom');
+const conflictDialog = document.getElementById('conflict-dialog');
+const conflictList = document.getElementById('conflict-list');
+
+// ETag of the profile version the form was filled from (sent back as If-Match when saving)
+let profileEtag = null;
+// Form values of that version - what the user's edits are compared against on a conflict
+let baseValues = {};
+// Form values to save once the user has resolved a conflict
+let conflictState = null;
+
+// Admin-defined profile field definitions (from GET /api/profile/fields)
+let customFieldDefs = [];
+
+// Visibility choices for public profile fields, and labels of the built-in fields
+const VISIBILITY_OPTIONS = [
+  ['public', 'Everyone'],
+  ['members', 'Logged-in users'],
+  ['private', 'Only me'],
+];
+const BUILT_IN_FIELD_LABELS = {
+  displayName: 'Display name',
+  avatar: 'Photo',
+  bio: 'Bio',
+  email: 'Email',
+  phone: 'Phone',
+  phoneCountry: 'Phone country',
+  dob: 'Date of birth',
+};
+
+// Accepted avatar uploads (the server also checks the file contents)
+const AVATAR_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const AVATAR_MAX_BYTES = 5 * 1024 * 1024;
+// Crop dialog state: chosen file, image size, scale and position in the viewport
+let cropState = null;
 
 /**
  * Display field message with styling
@@ -59,6 +145,44 @@ const fmtDate = (iso) => {
   return d.toLocaleDateString();
 };
 
+/**
+ * Format ISO timestamp for display
+ * Converts ISO timestamp to localized date and time, returns em dash if invalid/empty.
+ */
+const fmtDateTime = (iso) => {
+  if (!iso) return '—';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '—';
+  return d.toLocaleString();
+};
+
+/**
+ * Describe user-agent
+ * Turns a raw user-agent string into a short "Browser on OS" label.
+ */
+const describeUserAgent = (ua = '') => {
+  if (!ua) return 'Unknown device';
+  // Order matters: Edge and Opera also contain "Chrome", Chrome also contains "Safari"
+  const browser =
+    [
+      ['Edg/', 'Edge'],
+      ['OPR/', 'Opera'],
+      ['Firefox/', 'Firefox'],
+      ['Chrome/', 'Chrome'],
+      ['Safari/', 'Safari'],
+    ].find(([token]) => ua.includes(token))?.[1] || 'Unknown browser';
+  const os =
+    [
+      ['Windows', 'Windows'],
+      ['Android', 'Android'],
+      ['iPhone', 'iOS'],
+      ['iPad', 'iPadOS'],
+      ['Mac OS X', 'macOS'],
+      ['Linux', 'Linux'],
+    ].find(([token]) => ua.includes(token))?.[1] || 'unknown OS';
+  return `${browser} on ${os}`;
+};
+
 /**
  * Validate email field
  * Checks if email has a value and matches email format, displays validation feedback.
@@ -79,7 +203,8 @@ const validateEmail = () => {
 
 /**
  * Validate phone field (optional)
- * Phone is optional - if provided, must match phone regex pattern.
+ * Phone is optional - if provided, it may only contain phone number characters and needs a
+ * country unless written in international format. The server checks the number itself.
  */
 const validatePhone = () => {
   const value = phoneInput?.value?.trim() || '';
@@ -88,8 +213,7 @@ const validatePhone = () => {
     setFieldMessage(phoneMessage, 'Phone number is optional.', 'success');
     return true;
   }
-  // If provided, must match phone regex pattern
-  if (!PHONE_REGEX.test(value)) {
+  if (!PHONE_CHARS_REGEX.test(value)) {
     setFieldMessage(
       phoneMessage,
       'Phone must contain only numbers, spaces, parentheses, or dashes.',
@@ -97,6 +221,10 @@ const validatePhone = () => {
     );
     return false;
   }
+  if (!value.startsWith('+') && !phoneCountrySelect?.value) {
+    setFieldMessage(phoneMessage, 'Choose the country, or enter the number starting with +.', 'error');
+    return false;
+  }
   setFieldMessage(phoneMessage, 'Phone number looks good.', 'success');
   return true;
 };
@@ -122,6 +250,59 @@ const validateDob = () => {
   return true;
 };
 
+/**
+ * Validate current password field
+ * Current password is required to confirm the change.
+ */
+const validateCurrentPassword = () => {
+  const value = currentPasswordInput?.value || '';
+  if (!value) {
+    setFieldMessage(currentPasswordMessage, 'Current password is required.', 'error');
+    return false;
+  }
+  clearFieldMessage(currentPasswordMessage);
+  return true;
+};
+
+/**
+ * Validate new password field
+ * Checks the server's password policy (same rules as registration) and that it differs
+ * from the current password.
+ */
+const validateNewPassword = () => {
+  const value = newPasswordInput?.value || '';
+  const { results, valid } = PasswordPolicy.evaluate(value, passwordContext);
+  PasswordPolicy.renderChecklist(newPasswordChecklist, results);
+  if (!value) {
+    setFieldMessage(newPasswordMessage, 'New password is required.', 'error');
+    return false;
+  }
+  if (!valid) {
+    setFieldMessage(newPasswordMessage, 'Password does not meet all requirements yet.', 'error');
+    return false;
+  }
+  if (value === (currentPasswordInput?.value || '')) {
+    setFieldMessage(newPasswordMessage, 'New password must be different from the current one.', 'error');
+    return false;
+  }
+  setFieldMessage(newPasswordMessage, 'Password looks good.', 'success');
+  return true;
+};
+
+/**
+ * Validate confirm password field
+ * Checks that the confirmation matches the new password.
+ */
+const validateConfirmPassword = () => {
+  const value = confirmPasswordInput?.value || '';
+  if (!value || value !== (newPasswordInput?.value || '')) {
+    setFieldMessage(confirmPasswordMessage, 'Passwords do not match.', 'error');
+    return false;
+  }
+  setFieldMessage(confirmPasswordMessage, 'Passwords match.', 'success');
+  return true;
+};
+
 /**
  * Apply server-side validation errors to form fields
  * Maps server-side validation errors to the appropriate form fields.
@@ -132,26 +313,445 @@ const applyServerErrors = (errors = []) => {
   }
   // Iterate through errors and display them on corresponding form fields
   let handled = false;
-  errors.forEach(({ param, msg }) => {
-    if (param === 'email') {
+  // express-validator reports the field as "path" (older versions used "param")
+  errors.forEach(({ path, param, msg }) => {
+    const field = path || param;
+    if (field === 'displayName') {
+      setFieldMessage(displayNameMessage, msg, 'error');
+      handled = true;
+    } else if (field === 'bio') {
+      setFieldMessage(bioMessage, msg, 'error');
+      handled = true;
+    } else if (field === 'email') {
       setFieldMessage(emailMessage, msg, 'error');
       handled = true;
-    } else if (param === 'phone') {
+    } else if (field === 'phone' || field === 'phoneCountry') {
       setFieldMessage(phoneMessage, msg, 'error');
       handled = true;
-    } else if (param === 'dob') {
+    } else if (field === 'dob') {
       setFieldMessage(dobMessage, msg, 'error');
       handled = true;
+    } else if (field === 'currentPassword') {
+      setFieldMessage(currentPasswordMessage, msg, 'error');
+      handled = true;
+    } else if (field === 'newPassword') {
+      setFieldMessage(newPasswordMessage, msg, 'error');
+      handled = true;
+    } else if (field?.startsWith('customFields.')) {
+      const messageEl = document.getElementById(`custom-${field.slice('customFields.'.length)}-message`);
+      setFieldMessage(messageEl, msg, 'error');
+      handled = Boolean(messageEl);
     }
   });
   return handled;
 };
 
-const loadProfile = async () => {
+/**
+ * Render email verification status
+ * Shows a notice when the email is unverified or a new email is waiting for confirmation.
+ */
+const renderEmailStatus = (data) => {
+  if (!emailVerification || !emailVerificationText) return;
+  if (data.pendingEmail) {
+    emailVerificationText.textContent = `Confirm ${data.pendingEmail} using the link we emailed. Your email stays ${data.email} until then.`;
+  } else if (!data.emailVerified) {
+    emailVerificationText.textContent = `Your email ${data.email} is not verified yet. Check your inbox for the confirmation link.`;
+  } else {
+    emailVerification.classList.add('hidden');
+    return;
+  }
+  emailVerification.classList.remove('hidden');
+};
+
+/**
+ * Render two-factor status
+ * Shows the enable form when 2FA is off, and the disable form when it is on.
+ */
+const renderTwoFactor = (enabled) => {
+  if (twoFactorStatus) {
+    twoFactorStatus.textContent = enabled
+      ? 'On - a code from your authenticator app is required at sign in.'
+      : 'Off - add a second step to sign in with an authenticator app.';
+  }
+  twoFactorEnableForm?.classList.toggle('hidden', enabled);
+  twoFactorDisableForm?.classList.toggle('hidden', !enabled);
+  if (enabled) twoFactorSetup?.classList.add('hidden');
+};
+
+/**
+ * Show recovery codes
+ * Lists the freshly generated recovery codes (the server never returns them again).
+ */
+const showRecoveryCodes = (codes = []) => {
+  if (!twoFactorRecovery || !twoFactorRecoveryCodes) return;
+  twoFactorRecoveryCodes.replaceChildren(
+    ...codes.map((code) => {
+      const item = document.createElement('li');
+      item.textContent = code;
+      return item;
+    })
+  );
+  twoFactorRecovery.classList.remove('hidden');
+};
+
+/**
+ * Post two-factor request
+ * Sends a JSON POST to a /profile/2fa endpoint and returns the parsed body, throwing on error.
+ */
+const postTwoFactor = async (action, payload = {}) => {
+  const res = await authFetch(`${API_BASE}/profile/2fa/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.errors?.[0]?.msg || data.message || 'Request failed');
+  }
+  return data;
+};
+
+/**
+ * Render custom fields
+ * Builds an input for each admin-defined profile field: text inputs, textareas, number,
+ * date, email and URL inputs, checkboxes and selects.
+ */
+const renderCustomFields = () => {
+  if (!customFieldsContainer) return;
+  const inputClass =
+    'mt-1 block w-full rounded-lg border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+  const inputTypes = { text: 'text', number: 'number', date: 'date', email: 'email', url: 'url' };
+
+  customFieldsContainer.replaceChildren(
+    ...customFieldDefs.map((def) => {
+      const id = `custom-${def.key}`;
+      const wrapper = document.createElement('div');
+      wrapper.className = def.type === 'textarea' ? 'md:col-span-2 space-y-1' : 'space-y-1';
+
+      let input;
+      if (def.type === 'textarea') {
+        input = document.createElement('textarea');
+        input.rows = 3;
+        input.className = inputClass;
+      } else if (def.type === 'select') {
+        input = document.createElement('select');
+        input.className = inputClass;
+        input.append(new Option('—', ''), ...def.options.map((option) => new Option(option, option)));
+      } else if (def.type === 'boolean') {
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.className = 'mt-1 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500';
+      } else {
+        input = document.createElement('input');
+        input.type = inputTypes[def.type] || 'text';
+        input.className = inputClass;
+        if (def.type === 'number') {
+          if (def.rules.min !== null) input.min = def.rules.min;
+          if (def.rules.max !== null) input.max = def.rules.max;
+          input.step = 'any';
+        }
+      }
+      input.id = id;
+      input.name = id;
+      if (def.rules.maxLength && ['text', 'textarea', 'email', 'url'].includes(def.type)) {
+        input.maxLength = def.rules.maxLength;
+      }
+      input.addEventListener('input', () => validateCustomField(def));
+
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.className = 'block text-sm font-medium text-gray-700';
+      label.textContent = def.required ? `${def.label} *` : def.label;
+      wrapper.append(label, input);
+
+      if (def.helpText) {
+        const help = document.createElement('p');
+        help.className = 'text-xs text-gray-500';
+        help.textContent = def.helpText;
+        wrapper.appendChild(help);
+      }
+      const message = document.createElement('p');
+      message.id = `${id}-message`;
+      message.className = 'text-xs hidden';
+      wrapper.appendChild(message);
+      return wrapper;
+    })
+  );
+};
+
+/**
+ * Load custom field definitions
+ * Fetches the admin-defined fields and renders their inputs. The rest of the form keeps
+ * working if this fails.
+ */
+const loadCustomFieldDefs = async () => {
+  try {
+    const res = await authFetch(`${API_BASE}/profile/fields`);
+    if (!res.ok) throw new Error('Failed to load profile fields');
+    const data = await res.json();
+    customFieldDefs = data.fields || [];
+    renderCustomFields();
+  } catch (err) {
+    console.error('Profile fields error:', err);
+    customFieldDefs = [];
+  }
+};
+
+/**
+ * Fill custom fields
+ * Puts the profile's custom field values into their inputs.
+ */
+const fillCustomFields = (values = {}) => {
+  customFieldDefs.forEach((def) => {
+    const input = document.getElementById(`custom-${def.key}`);
+    if (!input) return;
+    const value = values?.[def.key];
+    if (def.type === 'boolean') {
+      input.checked = value === true;
+    } else if (def.type === 'date') {
+      // Dates come back as ISO timestamps; date inputs need YYYY-MM-DD
+      input.value = value ? String(value).slice(0, 10) : '';
+    } else {
+      input.value = value ?? '';
+    }
+  });
+};
+
+/**
+ * Read custom fields
+ * Collects the custom field inputs into { key: value } (empty values as empty strings).
+ */
+const readCustomFields = () =>
+  Object.fromEntries(
+    customFieldDefs.map((def) => {
+      const input = document.getElementById(`custom-${def.key}`);
+      if (def.type === 'boolean') return [def.key, Boolean(input?.checked)];
+      const value = input?.value?.trim() || '';
+      return [def.key, def.type === 'number' && value ? Number(value) : value];
+    })
+  );
+
+/**
+ * Validate custom field
+ * Checks required and length rules in the browser; the server checks everything else.
+ */
+const validateCustomField = (def) => {
+  const input = document.getElementById(`custom-${def.key}`);
+  const messageEl = document.getElementById(`custom-${def.key}-message`);
+  if (!input) return true;
+  const value = def.type === 'boolean' ? input.checked : input.value.trim();
+
+  if (def.required && !value) {
+    setFieldMessage(messageEl, `${def.label} is required.`, 'error');
+    return false;
+  }
+  if (typeof value === 'string' && value && def.rules.minLength && value.length < def.rules.minLength) {
+    setFieldMessage(messageEl, `${def.label} must be at least ${def.rules.minLength} characters.`, 'error');
+    return false;
+  }
+  clearFieldMessage(messageEl);
+  return true;
+};
+
+/**
+ * Render privacy settings
+ * One visibility select per field. Custom fields an administrator made private are fixed
+ * to "Only me".
+ */
+const renderPrivacy = (privacy = {}) => {
+  if (!privacyList) return;
+  const definitions = new Map(customFieldDefs.map((def) => [def.key, def]));
+
+  privacyList.replaceChildren(
+    ...Object.entries(privacy).map(([key, level]) => {
+      const def = definitions.get(key);
+      const id = `privacy-${key}`;
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-4';
+
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.className = 'text-sm text-gray-700';
+      label.textContent = BUILT_IN_FIELD_LABELS[key] || def?.label || key;
+
+      const select = document.createElement('select');
+      select.id = id;
+      select.dataset.field = key;
+      select.className =
+        'rounded-lg border border-gray-300 px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+      select.append(...VISIBILITY_OPTIONS.map(([value, text]) => new Option(text, value)));
+      select.value = level;
+      if (def && def.visibility !== 'public') {
+        select.disabled = true;
+        select.title = 'This field is always private';
+      }
+
+      row.append(label, select);
+      return row;
+    })
+  );
+};
+
+/**
+ * Privacy submit handler
+ * Saves the visibility of every (changeable) field.
+ */
+privacyForm?.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const privacy = Object.fromEntries(
+    [...privacyList.querySelectorAll('select:not(:disabled)')].map((select) => [select.dataset.field, select.value])
+  );
+
   try {
-    const res = await fetch(`${API_BASE}/profile`, {
-      headers: { Authorization: `Bearer ${token}` },
+    const res = await authFetch(`${API_BASE}/profile/privacy`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...(profileEtag && { 'If-Match': profileEtag }) },
+      body: JSON.stringify({ privacy }),
     });
+    const data = await res.json();
+    if (res.status === 412) {
+      // Changed elsewhere - show the saved settings so they can be reviewed before saving again
+      profileEtag = res.headers.get('ETag');
+      renderPrivacy(data.current.privacy);
+      throw new Error('Privacy settings were changed elsewhere. Review them and save again.');
+    }
+    if (!res.ok) throw new Error(data.errors?.[0]?.msg || data.message || 'Failed to save privacy settings');
+    // Other profile edits are unaffected, only the version changed
+    profileEtag = res.headers.get('ETag');
+    renderPrivacy(data.privacy);
+    setFieldMessage(privacyMessage, 'Privacy settings saved.', 'success');
+    loadActivity();
+  } catch (err) {
+    setFieldMessage(privacyMessage, err.message, 'error');
+  }
+});
+
+/**
+ * Date input value
+ * Converts an ISO date to the YYYY-MM-DD a date input expects ('' if not set).
+ */
+const toDateInputValue = (iso) => {
+  if (!iso) return '';
+  const d = new Date(iso);
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${yyyy}-${mm}-${dd}`;
+};
+
+/**
+ * Profile form values
+ * Flat { field: value } of what the profile form shows for a profile from the API,
+ * with custom fields as "customFields.<key>". Compared with readFormValues on a conflict.
+ */
+const profileToFormValues = (data) => {
+  const values = {
+    displayName: data.displayName || '',
+    bio: data.bio || '',
+    email: data.email || '',
+    // Numbers are edited in national format, for their country
+    phone: data.phoneNational || data.phone || '',
+    phoneCountry: data.phone ? data.phoneCountry || '' : '',
+    dob: toDateInputValue(data.dob),
+  };
+  customFieldDefs.forEach((def) => {
+    const value = data.customFields?.[def.key];
+    if (def.type === 'boolean') values[`customFields.${def.key}`] = value === true;
+    else if (def.type === 'date') values[`customFields.${def.key}`] = value ? String(value).slice(0, 10) : '';
+    else values[`customFields.${def.key}`] = value ?? '';
+  });
+  return values;
+};
+
+/**
+ * Read form values
+ * The profile form's current values, in the same shape as profileToFormValues.
+ */
+const readFormValues = () => {
+  const values = {
+    displayName: displayNameInput?.value?.trim() || '',
+    bio: bioInput?.value?.trim() || '',
+    email: emailInput?.value?.trim() || '',
+    phone: phoneInput?.value?.trim() || '',
+    // The country only matters for a number
+    phoneCountry: phoneInput?.value?.trim() ? phoneCountrySelect?.value || '' : '',
+    dob: dobInput?.value || '',
+  };
+  Object.entries(readCustomFields()).forEach(([key, value]) => {
+    values[`customFields.${key}`] = value;
+  });
+  return values;
+};
+
+// Same value as shown in the form ('' and missing both mean empty)
+const isSameFormValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+/**
+ * Profile patch
+ * JSON Merge Patch of the form's edits: only fields that differ from the loaded version,
+ * with emptied fields as null (which clears them).
+ */
+const buildProfilePatch = () => {
+  const patch = {};
+  const values = readFormValues();
+  Object.entries(values).forEach(([field, value]) => {
+    if (isSameFormValue(value, baseValues[field])) return;
+    const newValue = value === '' ? null : value;
+    if (field.startsWith('customFields.')) {
+      patch.customFields = { ...patch.customFields, [field.slice('customFields.'.length)]: newValue };
+    } else {
+      patch[field] = field === 'dob' && newValue ? new Date(newValue).toISOString() : newValue;
+    }
+  });
+  // The number is read for its country, so they are always sent together. An international
+  // number (+...) carries its own country.
+  if ('phone' in patch || 'phoneCountry' in patch) {
+    patch.phone = values.phone || null;
+    patch.phoneCountry = values.phone.startsWith('+') ? null : values.phoneCountry || null;
+  }
+  return patch;
+};
+
+/**
+ * Fill form values
+ * Puts values (shaped like readFormValues) into the profile form.
+ */
+const fillFormValues = (values) => {
+  if (displayNameInput) displayNameInput.value = values.displayName;
+  if (bioInput) bioInput.value = values.bio;
+  if (emailInput) emailInput.value = values.email;
+  if (phoneInput) phoneInput.value = values.phone;
+  PhoneCountries.setSelected(phoneCountrySelect, values.phoneCountry);
+  if (dobInput) dobInput.value = values.dob;
+  fillCustomFields(
+    Object.fromEntries(customFieldDefs.map((def) => [def.key, values[`customFields.${def.key}`]]))
+  );
+};
+
+/**
+ * Remember profile version
+ * Stores the ETag and form values of the profile the form now matches.
+ */
+const rememberProfileVersion = (res, data) => {
+  profileEtag = res.headers.get('ETag');
+  baseValues = profileToFormValues(data);
+};
+
+/**
+ * Render profile details
+ * Updates the heading and the contact details shown above the form.
+ */
+const renderProfileDetails = (data) => {
+  if (displayUsername) displayUsername.textContent = data.displayName || data.username;
+  if (displayEmail) displayEmail.textContent = data.email || '—';
+  if (displayPhone) displayPhone.textContent = data.phoneNational || data.phone || '—';
+  if (displayDob) displayDob.textContent = fmtDate(data.dob);
+  renderEmailStatus(data);
+};
+
+const loadProfile = async () => {
+  try {
+    const res = await authFetch(`${API_BASE}/profile`);
     
     // Check if response is JSON
     const contentType = res.headers.get('content-type');
@@ -170,32 +770,39 @@ const loadProfile = async () => {
     }
 
     const username = data.username || localStorage.getItem('username') || 'User';
-    if (displayUsername) displayUsername.textContent = username;
-    if (avatarFallback) avatarFallback.textContent = (username[0] || 'U').toUpperCase();
+    passwordContext = { username: data.username || '', email: data.email || '' };
+    // Heading shows the display name when one is set
+    if (displayUsername) displayUsername.textContent = data.displayName || username;
+    if (avatarFallback) avatarFallback.textContent = ((data.displayName || username)[0] || 'U').toUpperCase();
     if (displayEmail) displayEmail.textContent = data.email || '—';
-    if (displayPhone) displayPhone.textContent = data.phone || '—';
+    if (displayPhone) displayPhone.textContent = data.phoneNational || data.phone || '—';
     if (displayDob) displayDob.textContent = fmtDate(data.dob);
+    renderEmailStatus(data);
+    renderAvatar(data.avatar);
+    // Staff get a link to the admin dashboard
+    document.getElementById('admin-link')?.classList.toggle('hidden', !['admin', 'support'].includes(data.role));
+    renderTwoFactor(Boolean(data.twoFactorEnabled));
 
+    if (displayNameInput) displayNameInput.value = data.displayName || '';
+    if (bioInput) bioInput.value = data.bio || '';
     if (emailInput) {
       emailInput.value = data.email || '';
       validateEmail();
     }
     if (phoneInput) {
-      phoneInput.value = data.phone || '';
+      phoneInput.value = data.phoneNational || data.phone || '';
+      PhoneCountries.setSelected(phoneCountrySelect, data.phoneCountry);
       validatePhone();
     }
     if (dobInput) {
-      if (data.dob) {
-        const d = new Date(data.dob);
-        const yyyy = d.getFullYear();
-        const mm = String(d.getMonth() + 1).padStart(2, '0');
-        const dd = String(d.getDate()).padStart(2, '0');
-        dobInput.value = `${yyyy}-${mm}-${dd}`;
-      } else {
-        dobInput.value = '';
-      }
+      dobInput.value = toDateInputValue(data.dob);
       validateDob();
     }
+    fillCustomFields(data.customFields);
+    rememberProfileVersion(res, data);
+    renderPrivacy(data.privacy);
+    const publicLink = document.getElementById('public-profile-link');
+    if (publicLink) publicLink.href = `./u.html?user=${encodeURIComponent(data.username || '')}`;
   } catch (err) {
     if (!err.handled) {
       setFieldMessage(emailMessage, err.message, 'error');
@@ -206,32 +813,24 @@ const loadProfile = async () => {
 
 emailInput?.addEventListener('input', validateEmail);
 phoneInput?.addEventListener('input', validatePhone);
+phoneCountrySelect?.addEventListener('change', validatePhone);
 dobInput?.addEventListener('input', validateDob);
 
-profileForm?.addEventListener('submit', async (e) => {
-  e.preventDefault();
-
-  const isEmailValid = validateEmail();
-  const isPhoneValid = validatePhone();
-  const isDobValid = validateDob();
-
-  if (!isEmailValid || !isPhoneValid || !isDobValid) {
-    return;
-  }
-
+/**
+ * Save profile
+ * Sends the form's edits as a merge patch, with the version they are based on (If-Match).
+ * If the profile was changed elsewhere in the meantime the server answers 412 and the edits
+ * are merged or, when both sides changed the same field, the user is asked which version to keep.
+ */
+const saveProfile = async () => {
   try {
-    const payload = {
-      email: emailInput?.value?.trim() || '',
-      phone: phoneInput?.value?.trim() || '',
-      dob: dobInput?.value ? new Date(dobInput.value).toISOString() : null,
-    };
-    const res = await fetch(`${API_BASE}/profile`, {
-      method: 'PUT',
+    const res = await authFetch(`${API_BASE}/profile`, {
+      method: 'PATCH',
       headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/merge-patch+json',
+        ...(profileEtag && { 'If-Match': profileEtag }),
       },
-      body: JSON.stringify(payload),
+      body: JSON.stringify(buildProfilePatch()),
     });
     
     // Check if response is JSON
@@ -244,6 +843,11 @@ profileForm?.addEventListener('submit', async (e) => {
     
     const data = await res.json();
 
+    if (res.status === 412) {
+      resolveConflict(res, data.current);
+      return;
+    }
+
     let handled = false;
     if (!res.ok) {
       handled = applyServerErrors(data.errors);
@@ -252,24 +856,807 @@ profileForm?.addEventListener('submit', async (e) => {
       throw error;
     }
 
-    if (displayEmail) displayEmail.textContent = data.email || '—';
-    if (displayPhone) displayPhone.textContent = data.phone || '—';
-    if (displayDob) displayDob.textContent = fmtDate(data.dob);
+    renderProfileDetails(data);
+    rememberProfileVersion(res, data);
+    clearFieldMessage(displayNameMessage);
+    clearFieldMessage(bioMessage);
 
-    setFieldMessage(emailMessage, 'Profile updated successfully.', 'success');
+    // Email input keeps showing the current login email while a change is pending
+    if (emailInput) emailInput.value = data.email || '';
+    // Phone as stored (normalized to its national format)
+    if (phoneInput) phoneInput.value = data.phoneNational || data.phone || '';
+    PhoneCountries.setSelected(phoneCountrySelect, data.phoneCountry);
+    setFieldMessage(
+      emailMessage,
+      data.pendingEmail
+        ? `Profile updated. Check ${data.pendingEmail} for a link to confirm the new email.`
+        : 'Profile updated successfully.',
+      'success'
+    );
     setFieldMessage(phoneMessage, 'Profile updated successfully.', 'success');
     validateDob();
+    fillCustomFields(data.customFields);
+    loadActivity();
   } catch (err) {
     if (!err.handled) {
       setFieldMessage(emailMessage, err.message, 'error');
       setFieldMessage(phoneMessage, err.message, 'error');
     }
   }
+};
+
+profileForm?.addEventListener('submit', (e) => {
+  e.preventDefault();
+
+  const isEmailValid = validateEmail();
+  const isPhoneValid = validatePhone();
+  const isDobValid = validateDob();
+  // Check every custom field (not just until the first failure) so all messages show
+  const areCustomFieldsValid = customFieldDefs.map(validateCustomField).every(Boolean);
+
+  if (!isEmailValid || !isPhoneValid || !isDobValid || !areCustomFieldsValid) {
+    return;
+  }
+  saveProfile();
 });
 
-document.getElementById('logout')?.addEventListener('click', () => {
-  localStorage.removeItem('token');
-  window.location.href = './login.html';
+/**
+ * Form value label
+ * How a form value is shown in the conflict dialog.
+ */
+const formValueLabel = (field, value) => {
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (value === '' || value === null || value === undefined) return '—';
+  if (field === 'dob') return fmtDate(value);
+  return String(value);
+};
+
+/**
+ * Form field label
+ * Label of a profile form field ("customFields.<key>" for custom fields).
+ */
+const formFieldLabel = (field) => {
+  if (field.startsWith('customFields.')) {
+    const key = field.slice('customFields.'.length);
+    return customFieldDefs.find((def) => def.key === key)?.label || key;
+  }
+  return BUILT_IN_FIELD_LABELS[field] || field;
+};
+
+/**
+ * Resolve conflict
+ * Handles a 412 from saving the profile. Edits to fields nobody else changed are kept and
+ * everything else takes the saved values; if that leaves nothing in dispute the profile is
+ * saved again straight away, otherwise the conflict dialog shows both versions of each
+ * field changed on both sides.
+ */
+const resolveConflict = (res, current) => {
+  const mine = readFormValues();
+  const theirs = profileToFormValues(current);
+  const base = baseValues;
+  const conflicts = Object.keys(mine).filter(
+    (field) =>
+      !isSameFormValue(mine[field], base[field]) &&
+      !isSameFormValue(theirs[field], base[field]) &&
+      !isSameFormValue(mine[field], theirs[field])
+  );
+  const merged = Object.fromEntries(
+    Object.keys(mine).map((field) => [field, isSameFormValue(mine[field], base[field]) ? theirs[field] : mine[field]])
+  );
+
+  // The form now builds on the saved version
+  renderProfileDetails(current);
+  rememberProfileVersion(res, current);
+  fillFormValues(merged);
+  if (!conflicts.length) {
+    saveProfile();
+    return;
+  }
+
+  conflictState = { merged, theirs, conflicts };
+  conflictList.replaceChildren(
+    ...conflicts.map((field) => {
+      const row = document.createElement('tr');
+      [formFieldLabel(field), formValueLabel(field, mine[field]), formValueLabel(field, theirs[field])].forEach(
+        (text, index) => {
+          const cell = document.createElement(index === 0 ? 'th' : 'td');
+          cell.className =
+            index === 0 ? 'py-2 pr-3 text-left font-medium text-gray-700' : 'py-2 pr-3 text-gray-900 break-all';
+          cell.textContent = text;
+          row.append(cell);
+        }
+      );
+      return row;
+    })
+  );
+  conflictDialog.classList.remove('hidden');
+};
+
+/**
+ * Close conflict dialog
+ * Applies the chosen version of the disputed fields. Keeping the user's edits saves them
+ * over the new version; taking the saved version leaves any other edits in the form to
+ * review and save.
+ */
+const closeConflictDialog = (keepMine) => {
+  const { merged, theirs, conflicts } = conflictState;
+  conflictState = null;
+  conflictDialog.classList.add('hidden');
+  if (keepMine) {
+    saveProfile();
+    return;
+  }
+  conflicts.forEach((field) => {
+    merged[field] = theirs[field];
+  });
+  fillFormValues(merged);
+  const hasOtherEdits = Object.keys(merged).some((field) => !isSameFormValue(merged[field], theirs[field]));
+  setFieldMessage(
+    emailMessage,
+    hasOtherEdits ? 'Showing the saved version. Save again to keep your other changes.' : 'Showing the saved version.',
+    'success'
+  );
+};
+
+document.getElementById('conflict-mine')?.addEventListener('click', () => closeConflictDialog(true));
+document.getElementById('conflict-theirs')?.addEventListener('click', () => closeConflictDialog(false));
+
+currentPasswordInput?.addEventListener('input', () => {
+  validateCurrentPassword();
+  // New password must differ from current - re-check once it has been typed
+  if (newPasswordInput?.value) validateNewPassword();
+});
+newPasswordInput?.addEventListener('input', () => {
+  validateNewPassword();
+  if (confirmPasswordInput?.value) validateConfirmPassword();
+});
+confirmPasswordInput?.addEventListener('input', validateConfirmPassword);
+
+/**
+ * Change password submit handler
+ * Validates the form, sends the change request, and refreshes the device list
+ * (other sessions are signed out by the server).
+ */
+passwordForm?.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const isCurrentValid = validateCurrentPassword();
+  const isNewValid = validateNewPassword();
+  const isConfirmValid = validateConfirmPassword();
+
+  if (!isCurrentValid || !isNewValid || !isConfirmValid) {
+    return;
+  }
+
+  try {
+    const res = await authFetch(`${API_BASE}/profile/password`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        currentPassword: currentPasswordInput.value,
+        newPassword: newPasswordInput.value,
+      }),
+    });
+    const data = await res.json();
+
+    if (!res.ok) {
+      const error = new Error(data.message || 'Failed to update password');
+      error.handled = applyServerErrors(data.errors);
+      throw error;
+    }
+
+    passwordForm.reset();
+    PasswordPolicy.renderChecklist(newPasswordChecklist, PasswordPolicy.evaluate('').results);
+    clearFieldMessage(currentPasswordMessage);
+    clearFieldMessage(newPasswordMessage);
+    setFieldMessage(confirmPasswordMessage, 'Password updated. Other devices have been signed out.', 'success');
+    await loadSessions();
+    loadActivity();
+  } catch (err) {
+    if (!err.handled) {
+      setFieldMessage(confirmPasswordMessage, err.message, 'error');
+    }
+  }
+});
+
+// Start enrollment after confirming the password - show QR code and secret for the authenticator app
+twoFactorEnableForm?.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const password = twoFactorEnablePassword?.value || '';
+  if (!password) {
+    setFieldMessage(twoFactorMessage, 'Enter your password to enable two-factor authentication.', 'error');
+    return;
+  }
+  try {
+    const data = await postTwoFactor('setup', { password });
+    twoFactorEnableForm.reset();
+    if (twoFactorQr) twoFactorQr.src = data.qrCode;
+    if (twoFactorSecret) twoFactorSecret.textContent = data.secret;
+    twoFactorSetup?.classList.remove('hidden');
+    twoFactorRecovery?.classList.add('hidden');
+    clearFieldMessage(twoFactorMessage);
+    twoFactorConfirmCode?.focus();
+  } catch (err) {
+    setFieldMessage(twoFactorMessage, err.message, 'error');
+  }
+});
+
+// Finish enrollment with the first code - 2FA turns on and recovery codes are shown once
+document.getElementById('twofa-confirm')?.addEventListener('click', async () => {
+  const code = twoFactorConfirmCode?.value?.trim() || '';
+  if (!code) {
+    setFieldMessage(twoFactorMessage, 'Enter the code from your authenticator app.', 'error');
+    return;
+  }
+  try {
+    const data = await postTwoFactor('confirm', { code });
+    twoFactorConfirmCode.value = '';
+    renderTwoFactor(true);
+    showRecoveryCodes(data.recoveryCodes);
+    setFieldMessage(twoFactorMessage, data.message, 'success');
+  } catch (err) {
+    setFieldMessage(twoFactorMessage, err.message, 'error');
+  }
+});
+
+// Replace recovery codes - requires a current code
+document.getElementById('twofa-regenerate')?.addEventListener('click', async () => {
+  const code = twoFactorDisableCode?.value?.trim() || '';
+  if (!code) {
+    setFieldMessage(twoFactorMessage, 'Enter a current code to generate new recovery codes.', 'error');
+    return;
+  }
+  try {
+    const data = await postTwoFactor('recovery-codes', { code });
+    twoFactorDisableCode.value = '';
+    showRecoveryCodes(data.recoveryCodes);
+    setFieldMessage(twoFactorMessage, data.message, 'success');
+  } catch (err) {
+    setFieldMessage(twoFactorMessage, err.message, 'error');
+  }
+});
+
+// Turn 2FA off - requires password and a current code
+twoFactorDisableForm?.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const password = twoFactorDisablePassword?.value || '';
+  const code = twoFactorDisableCode?.value?.trim() || '';
+  if (!password || !code) {
+    setFieldMessage(twoFactorMessage, 'Password and code are required to disable two-factor authentication.', 'error');
+    return;
+  }
+  try {
+    const data = await postTwoFactor('disable', { password, code });
+    twoFactorDisableForm.reset();
+    twoFactorRecovery?.classList.add('hidden');
+    renderTwoFactor(false);
+    setFieldMessage(twoFactorMessage, data.message, 'success');
+  } catch (err) {
+    setFieldMessage(twoFactorMessage, err.message, 'error');
+  }
+});
+
+/**
+ * Resend verification link
+ * Asks the server to email a new confirmation link for the unverified or pending email.
+ */
+document.getElementById('resend-verification')?.addEventListener('click', async () => {
+  try {
+    const res = await authFetch(`${API_BASE}/auth/resend-verification`, { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.message || 'Failed to send confirmation link');
+    }
+    setFieldMessage(emailMessage, data.message, 'success');
+  } catch (err) {
+    setFieldMessage(emailMessage, err.message, 'error');
+  }
+});
+
+/**
+ * Render sessions list
+ * Builds one row per active session with device, IP, last-seen time and a revoke button.
+ */
+const renderSessions = (sessions = []) => {
+  if (!sessionsList) return;
+  sessionsList.replaceChildren();
+
+  sessions.forEach((session) => {
+    const item = document.createElement('li');
+    item.className = 'py-3 flex items-center justify-between gap-4';
+
+    // Text content only - user-agent is client-controlled and must not be rendered as HTML
+    const details = document.createElement('div');
+    const title = document.createElement('p');
+    title.className = 'text-sm font-medium text-gray-900';
+    title.textContent = describeUserAgent(session.userAgent) + (session.current ? ' (this device)' : '');
+    title.title = session.userAgent || '';
+    const meta = document.createElement('p');
+    meta.className = 'text-xs text-gray-500';
+    meta.textContent = `${session.ip || 'Unknown IP'} · Last active ${fmtDateTime(session.lastSeenAt)}`;
+    details.append(title, meta);
+    item.append(details);
+
+    // Current session is ended with the regular "Log out" button instead
+    if (!session.current) {
+      const revokeBtn = document.createElement('button');
+      revokeBtn.type = 'button';
+      revokeBtn.className = 'text-sm text-red-600 hover:text-red-700';
+      revokeBtn.textContent = 'Revoke';
+      revokeBtn.addEventListener('click', () => revokeSession(session.id));
+      item.append(revokeBtn);
+    }
+
+    sessionsList.append(item);
+  });
+};
+
+/**
+ * Load sessions
+ * Fetches the user's active sessions and renders them in the "Your devices" panel.
+ */
+const loadSessions = async () => {
+  try {
+    const res = await authFetch(`${API_BASE}/profile/sessions`);
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.message || 'Failed to load devices');
+    }
+    renderSessions(data);
+    clearFieldMessage(sessionsMessage);
+  } catch (err) {
+    setFieldMessage(sessionsMessage, err.message, 'error');
+  }
+};
+
+/**
+ * Revoke session
+ * Signs out one of the user's other devices, then refreshes the list.
+ */
+const revokeSession = async (id) => {
+  try {
+    const res = await authFetch(`${API_BASE}/profile/sessions/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.message || 'Failed to revoke device');
+    }
+    setFieldMessage(sessionsMessage, 'Device signed out.', 'success');
+    await loadSessions();
+  } catch (err) {
+    setFieldMessage(sessionsMessage, err.message, 'error');
+  }
+};
+
+// Timeline wording for each audit action
+const ACTIVITY_LABELS = {
+  'auth.register': 'Account created',
+  'auth.login': 'Signed in',
+  'auth.login_failed': 'Failed sign-in attempt',
+  'auth.logout': 'Signed out',
+  'auth.logout_all': 'Signed out on all devices',
+  'profile.update': 'Profile updated',
+  'privacy.update': 'Privacy settings changed',
+  'email.verified': 'Email address confirmed',
+  'password.change': 'Password changed',
+  'password.reset_requested': 'Password reset requested',
+  'password.reset': 'Password reset',
+  'avatar.update': 'Photo changed',
+  'avatar.remove': 'Photo removed',
+  '2fa.enable': 'Two-factor authentication enabled',
+  '2fa.disable': 'Two-factor authentication disabled',
+  '2fa.recovery_codes_regenerated': 'Recovery codes regenerated',
+  'session.revoke': 'Device signed out',
+  'profile.export': 'Data downloaded',
+  'account.delete': 'Account deleted',
+  'account.restore': 'Account restored',
+  'admin.user_update': 'Account updated by staff',
+  'admin.user_disable': 'Account disabled by staff',
+  'admin.user_enable': 'Account enabled by staff',
+  'admin.password_reset': 'Password reset required by staff',
+};
+
+// Wording for failed sign-in reasons
+const LOGIN_FAILURE_REASONS = {
+  'invalid-password': 'wrong password',
+  'invalid-2fa-code': 'wrong authentication code',
+  locked: 'account temporarily locked',
+  'account-disabled': 'account disabled',
+  'password-reset-required': 'password reset required',
+  'account-deleted': 'account deleted',
+};
+
+// Labels for changed fields that aren't on the privacy list
+const CHANGE_FIELD_LABELS = {
+  username: 'Username',
+  pendingEmail: 'New email (awaiting confirmation)',
+  emailVerified: 'Email confirmed',
+  role: 'Role',
+};
+
+// Cursor for older activity (null once everything is shown)
+let activityCursor = null;
+
+/**
+ * Describe change
+ * One line for a changed field, e.g. "Phone: ***34 → ***78". Values are already masked by
+ * the server where sensitive.
+ */
+const describeChange = ({ field, oldValue, newValue }) => {
+  const [prefix, key] = field.includes('.') ? field.split('.') : [null, field];
+  const def = customFieldDefs.find((d) => d.key === key);
+  let label = CHANGE_FIELD_LABELS[field] || BUILT_IN_FIELD_LABELS[key] || def?.label || key;
+  if (prefix === 'privacy') label = `Visibility of ${label.toLowerCase()}`;
+
+  const show = (value) => {
+    if (value === null || value === undefined) return '(empty)';
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    // Dates come back as ISO strings - show just the day for date fields
+    if (def?.type === 'date' && typeof value === 'string') return fmtDate(value);
+    return String(value);
+  };
+  return `${label}: ${show(oldValue)} → ${show(newValue)}`;
+};
+
+/**
+ * Render activity
+ * Adds timeline entries for audit events. Pass append=false to replace the list.
+ */
+const renderActivity = (events = [], append = false) => {
+  if (!activityList) return;
+  if (!append) activityList.replaceChildren();
+
+  events.forEach((event) => {
+    const item = document.createElement('li');
+    item.className = 'relative pl-6';
+
+    // Dot on the timeline line - red for failed sign-ins and staff actions
+    const dot = document.createElement('span');
+    const alert = event.action === 'auth.login_failed' || event.actor === 'staff';
+    dot.className = `absolute -left-1.5 top-1.5 h-3 w-3 rounded-full ${alert ? 'bg-red-500' : 'bg-blue-500'}`;
+
+    const title = document.createElement('p');
+    title.className = 'text-sm font-medium text-gray-900';
+    title.textContent = ACTIVITY_LABELS[event.action] || event.action;
+    if (event.action === 'auth.login_failed' && LOGIN_FAILURE_REASONS[event.details.reason]) {
+      title.textContent += ` (${LOGIN_FAILURE_REASONS[event.details.reason]})`;
+    }
+
+    // Text content only - user-agent and values are client-controlled
+    const meta = document.createElement('p');
+    meta.className = 'text-xs text-gray-500';
+    meta.textContent = [fmtDateTime(event.createdAt), describeUserAgent(event.userAgent), event.ip]
+      .filter(Boolean)
+      .join(' · ');
+    meta.title = event.userAgent || '';
+    item.append(dot, title, meta);
+
+    if (event.changes.length) {
+      const changes = document.createElement('ul');
+      changes.className = 'mt-1 text-xs text-gray-700 space-y-0.5';
+      event.changes.forEach((change) => {
+        const line = document.createElement('li');
+        line.textContent = describeChange(change);
+        changes.append(line);
+      });
+      item.append(changes);
+    }
+
+    activityList.append(item);
+  });
+
+  if (!activityList.children.length) {
+    const empty = document.createElement('li');
+    empty.className = 'pl-6 text-sm text-gray-500';
+    empty.textContent = 'No activity yet.';
+    activityList.append(empty);
+  }
+};
+
+/**
+ * Load activity
+ * Fetches the newest account events, or the next older page when more=true.
+ */
+const loadActivity = async (more = false) => {
+  try {
+    const params = new URLSearchParams({ limit: '20' });
+    if (more && activityCursor) params.set('before', activityCursor);
+    const res = await authFetch(`${API_BASE}/profile/activity?${params}`);
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.message || 'Failed to load activity');
+    }
+    renderActivity(data.events, more);
+    activityCursor = data.nextCursor;
+    activityMoreBtn?.classList.toggle('hidden', !activityCursor);
+    clearFieldMessage(activityMessage);
+  } catch (err) {
+    setFieldMessage(activityMessage, err.message, 'error');
+  }
+};
+
+activityMoreBtn?.addEventListener('click', () => loadActivity(true));
+
+/**
+ * Download data export
+ * Fetches the personal data export (JSON or CSV) and saves it as a file. The request needs
+ * the auth header, so a plain link can't be used.
+ */
+const downloadExport = async (format) => {
+  try {
+    setFieldMessage(exportMessage, 'Preparing your download…', 'success');
+    const res = await authFetch(`${API_BASE}/profile/export?format=${format}`);
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.message || 'Failed to export data');
+    }
+
+    // File name comes from the server's Content-Disposition header
+    const disposition = res.headers.get('content-disposition') || '';
+    const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `my-data.${format}`;
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    setFieldMessage(exportMessage, 'Download started.', 'success');
+    loadActivity();
+  } catch (err) {
+    setFieldMessage(exportMessage, err.message, 'error');
+  }
+};
+
+/**
+ * Delete account submit handler
+ * Deletes the account after confirming the password, then leaves the signed-out page.
+ */
+deleteAccountForm?.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const password = deleteAccountPasswordInput?.value || '';
+  if (!password) {
+    setFieldMessage(deleteAccountMessage, 'Enter your password to delete your account.', 'error');
+    return;
+  }
+  if (!window.confirm('Delete your account? You will be signed out on every device.')) return;
+
+  try {
+    const res = await authFetch(`${API_BASE}/profile`, {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.errors?.[0]?.msg || data.message || 'Failed to delete account');
+    }
+
+    // Every session is revoked - nothing more can be done on this page
+    window.alert(
+      `Your account has been deleted. It will be permanently removed on ${fmtDate(data.purgeAt)}; ` +
+        'log in before then to restore it.'
+    );
+    redirectToLogin();
+  } catch (err) {
+    setFieldMessage(deleteAccountMessage, err.message, 'error');
+  }
+});
+
+document.getElementById('export-json')?.addEventListener('click', () => downloadExport('json'));
+document.getElementById('export-csv')?.addEventListener('click', () => downloadExport('csv'));
+
+/**
+ * Render avatar
+ * Shows the uploaded avatar (with a sharper image for high-density screens), or the
+ * initial-letter fallback when there is none.
+ */
+const renderAvatar = (avatar) => {
+  if (!avatarImage) return;
+  if (avatar && avatar['64']) {
+    avatarImage.src = avatar['64'];
+    // Thumbnail size -> pixel density it is sharp enough for (the avatar is shown at 64px)
+    const densities = { 64: '1x', 128: '2x', 256: '4x' };
+    avatarImage.srcset = Object.entries(densities)
+      .filter(([size]) => avatar[size])
+      .map(([size, density]) => `${avatar[size]} ${density}`)
+      .join(', ');
+    avatarImage.classList.remove('hidden');
+  } else {
+    avatarImage.removeAttribute('src');
+    avatarImage.removeAttribute('srcset');
+    avatarImage.classList.add('hidden');
+  }
+  avatarRemoveBtn?.classList.toggle('hidden', !avatar);
+};
+
+/**
+ * Position crop image
+ * Keeps the image covering the round viewport and applies the current scale and offset.
+ */
+const positionCropImage = () => {
+  const { naturalWidth, naturalHeight, scale, viewport } = cropState;
+  const width = naturalWidth * scale;
+  const height = naturalHeight * scale;
+  cropState.offsetX = Math.min(0, Math.max(viewport - width, cropState.offsetX));
+  cropState.offsetY = Math.min(0, Math.max(viewport - height, cropState.offsetY));
+  cropImage.style.width = `${width}px`;
+  cropImage.style.height = `${height}px`;
+  cropImage.style.left = `${cropState.offsetX}px`;
+  cropImage.style.top = `${cropState.offsetY}px`;
+};
+
+/**
+ * Open cropper
+ * Validates the chosen file and shows it in the crop dialog, centered and zoomed to fit.
+ */
+const openCropper = (file) => {
+  clearFieldMessage(avatarMessage);
+  if (!AVATAR_TYPES.includes(file.type)) {
+    setFieldMessage(avatarMessage, 'Please choose a JPEG, PNG or WebP image.', 'error');
+    return;
+  }
+  if (file.size > AVATAR_MAX_BYTES) {
+    setFieldMessage(avatarMessage, 'Image must be 5 MB or smaller.', 'error');
+    return;
+  }
+
+  const objectUrl = URL.createObjectURL(file);
+  cropImage.onload = () => {
+    avatarCropper.classList.remove('hidden');
+    const viewport = cropViewport.clientWidth;
+    const { naturalWidth, naturalHeight } = cropImage;
+    // Smallest scale at which the image still covers the viewport
+    const baseScale = viewport / Math.min(naturalWidth, naturalHeight);
+    cropState = {
+      file,
+      objectUrl,
+      viewport,
+      naturalWidth,
+      naturalHeight,
+      baseScale,
+      scale: baseScale,
+      offsetX: (viewport - naturalWidth * baseScale) / 2,
+      offsetY: (viewport - naturalHeight * baseScale) / 2,
+    };
+    cropZoom.value = '1';
+    positionCropImage();
+  };
+  cropImage.onerror = () => {
+    URL.revokeObjectURL(objectUrl);
+    setFieldMessage(avatarMessage, 'That image could not be opened.', 'error');
+  };
+  cropImage.src = objectUrl;
+};
+
+/**
+ * Close cropper
+ * Hides the crop dialog and releases the previewed file.
+ */
+const closeCropper = () => {
+  avatarCropper.classList.add('hidden');
+  if (cropState) URL.revokeObjectURL(cropState.objectUrl);
+  cropState = null;
+  if (avatarInput) avatarInput.value = '';
+};
+
+/**
+ * Zoom cropper
+ * Changes the scale while keeping the point at the center of the viewport in place.
+ */
+const zoomCropper = (zoom) => {
+  if (!cropState) return;
+  const center = cropState.viewport / 2;
+  const centerX = (center - cropState.offsetX) / cropState.scale;
+  const centerY = (center - cropState.offsetY) / cropState.scale;
+  cropState.scale = cropState.baseScale * zoom;
+  cropState.offsetX = center - centerX * cropState.scale;
+  cropState.offsetY = center - centerY * cropState.scale;
+  positionCropImage();
+};
+
+/**
+ * Upload avatar
+ * Sends the original file with the selected square (in image pixels); the server does the
+ * cropping, resizing and metadata stripping.
+ */
+const uploadAvatar = async () => {
+  if (!cropState) return;
+  const { file, scale, offsetX, offsetY, viewport, naturalWidth, naturalHeight } = cropState;
+  const size = Math.min(Math.round(viewport / scale), naturalWidth, naturalHeight);
+
+  const formData = new FormData();
+  formData.append('avatar', file);
+  formData.append('cropX', String(Math.max(0, Math.round(-offsetX / scale))));
+  formData.append('cropY', String(Math.max(0, Math.round(-offsetY / scale))));
+  formData.append('cropSize', String(size));
+  closeCropper();
+
+  try {
+    setFieldMessage(avatarMessage, 'Uploading…', 'success');
+    // No Content-Type header - the browser sets the multipart boundary
+    const res = await authFetch(`${API_BASE}/profile/avatar`, { method: 'POST', body: formData });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.errors?.[0]?.msg || data.message || 'Failed to upload photo');
+    }
+    renderAvatar(data.avatar);
+    setFieldMessage(avatarMessage, 'Photo updated.', 'success');
+  } catch (err) {
+    setFieldMessage(avatarMessage, err.message, 'error');
+  }
+};
+
+/**
+ * Remove avatar
+ * Deletes the uploaded avatar and goes back to the initial-letter fallback.
+ */
+const removeAvatar = async () => {
+  if (!window.confirm('Remove your profile photo?')) return;
+  try {
+    const res = await authFetch(`${API_BASE}/profile/avatar`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to remove photo');
+    renderAvatar(null);
+    setFieldMessage(avatarMessage, 'Photo removed.', 'success');
+  } catch (err) {
+    setFieldMessage(avatarMessage, err.message, 'error');
+  }
+};
+
+// Avatar controls: choose a file, crop it (drag to move, slider to zoom), upload or remove
+document.getElementById('avatar-change')?.addEventListener('click', () => avatarInput?.click());
+avatarInput?.addEventListener('change', () => {
+  if (avatarInput.files?.[0]) openCropper(avatarInput.files[0]);
+});
+avatarRemoveBtn?.addEventListener('click', removeAvatar);
+cropZoom?.addEventListener('input', () => zoomCropper(Number(cropZoom.value)));
+document.getElementById('crop-cancel')?.addEventListener('click', closeCropper);
+document.getElementById('crop-save')?.addEventListener('click', uploadAvatar);
+cropViewport?.addEventListener('pointerdown', (e) => {
+  if (!cropState) return;
+  cropViewport.setPointerCapture(e.pointerId);
+  cropState.drag = { x: e.clientX, y: e.clientY, offsetX: cropState.offsetX, offsetY: cropState.offsetY };
 });
+cropViewport?.addEventListener('pointermove', (e) => {
+  if (!cropState?.drag) return;
+  cropState.offsetX = cropState.drag.offsetX + (e.clientX - cropState.drag.x);
+  cropState.offsetY = cropState.drag.offsetY + (e.clientY - cropState.drag.y);
+  positionCropImage();
+});
+['pointerup', 'pointercancel'].forEach((type) =>
+  cropViewport?.addEventListener(type, () => {
+    if (cropState) cropState.drag = null;
+  })
+);
+
+/**
+ * Log out
+ * Revokes the session on the server (current device or all devices), then returns to login.
+ * Local tokens are cleared even if the server request fails.
+ */
+const logout = async (everywhere = false) => {
+  try {
+    await authFetch(`${API_BASE}/auth/${everywhere ? 'logout-all' : 'logout'}`, { method: 'POST' });
+  } catch (err) {
+    console.error('Logout error:', err);
+  }
+  redirectToLogin();
+};
+
+document.getElementById('logout')?.addEventListener('click', () => logout());
+document.getElementById('logout-all')?.addEventListener('click', () => logout(true));
 
-loadProfile();
+// Field definitions first, so the profile's custom values have inputs to go into
+// The form needs the custom fields and phone countries before it can be filled
+Promise.all([loadCustomFieldDefs(), PhoneCountries.fillSelect(phoneCountrySelect)]).then(loadProfile);
+loadSessions();
+loadActivity();
+// Show the new-password requirements as soon as the policy has loaded
+PasswordPolicy.load().then(() => {
+  PasswordPolicy.renderChecklist(newPasswordChecklist, PasswordPolicy.evaluate('').results);
+});
@@ -8,7 +8,7 @@ const API_BASE = window.location.origin + '/api';
 
 // Validation regex patterns for email and phone format checking
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/; // Standard email format
-const PHONE_REGEX = /^\+?[0-9\s\-()]{7,15}$/; // Phone with optional country code and formatting
+const PHONE_CHARS_REGEX = /^\+?[0-9\s\-().]+$/; // Characters a phone number may be typed with
 
 // Get references to DOM elements for form inputs and message displays
 const form = document.getElementById('register-form');
@@ -16,6 +16,7 @@ const usernameInput = document.getElementById('username');
 const emailInput = document.getElementById('email');
 const passwordInput = document.getElementById('password');
 const phoneInput = document.getElementById('phone');
+const phoneCountrySelect = document.getElementById('phone-country');
 const dobInput = document.getElementById('dob');
 
 const usernameMessage = document.getElementById('username-message');
@@ -23,6 +24,9 @@ const emailMessage = document.getElementById('email-message');
 const passwordMessage = document.getElementById('password-message');
 const phoneMessage = document.getElementById('phone-message');
 const dobMessage = document.getElementById('dob-message');
+const passwordChecklist = document.getElementById('password-checklist');
+const passwordStrengthBar = document.getElementById('password-strength-bar');
+const passwordStrengthLabel = document.getElementById('password-strength-label');
 
 /**
  * Display field message with styling
@@ -81,17 +85,25 @@ const validateEmail = () => {
 
 /**
  * Validate password field
- * Checks if password has a value and meets minimum length requirement (6 characters).
+ * Checks the password against the server's password policy, updating the requirements
+ * checklist and strength meter as the user types.
  */
 const validatePassword = () => {
   const value = passwordInput?.value || '';
+  // Username and email are part of the check - the password must not contain them
+  const { results, valid, score } = PasswordPolicy.evaluate(value, {
+    username: usernameInput?.value?.trim() || '',
+    email: emailInput?.value?.trim() || '',
+  });
+  PasswordPolicy.renderChecklist(passwordChecklist, results);
+  PasswordPolicy.renderMeter(passwordStrengthBar, passwordStrengthLabel, score, Boolean(value));
+
   if (!value) {
     setFieldMessage(passwordMessage, 'Password is required.', 'error');
     return false;
   }
-  // Check minimum password length (matches backend requirement)
-  if (value.length < 6) {
-    setFieldMessage(passwordMessage, 'Password must be at least 6 characters.', 'error');
+  if (!valid) {
+    setFieldMessage(passwordMessage, 'Password does not meet all requirements yet.', 'error');
     return false;
   }
   setFieldMessage(passwordMessage, 'Password looks good.', 'success');
@@ -100,7 +112,8 @@ const validatePassword = () => {
 
 /**
  * Validate phone field (optional)
- * Phone is optional - if provided, must match phone regex pattern.
+ * Phone is optional - if provided, it may only contain phone number characters and needs a
+ * country unless written in international format. The server checks the number itself.
  */
 const validatePhone = () => {
   const value = phoneInput?.value?.trim() || '';
@@ -109,8 +122,7 @@ const validatePhone = () => {
     clearFieldMessage(phoneMessage);
     return true;
   }
-  // If provided, must match phone regex pattern
-  if (!PHONE_REGEX.test(value)) {
+  if (!PHONE_CHARS_REGEX.test(value)) {
     setFieldMessage(
       phoneMessage,
       'Phone must contain only numbers, spaces, parentheses, or dashes.',
@@ -118,6 +130,10 @@ const validatePhone = () => {
     );
     return false;
   }
+  if (!value.startsWith('+') && !phoneCountrySelect?.value) {
+    setFieldMessage(phoneMessage, 'Choose the country, or enter the number starting with +.', 'error');
+    return false;
+  }
   setFieldMessage(phoneMessage, 'Phone number looks good.', 'success');
   return true;
 };
@@ -167,7 +183,7 @@ const applyServerErrors = (errors = []) => {
       setFieldMessage(passwordMessage, msg, 'error');
       handled = true;
     }
-    if (param === 'phone') {
+    if (param === 'phone' || param === 'phoneCountry') {
       setFieldMessage(phoneMessage, msg, 'error');
       handled = true;
     }
@@ -181,10 +197,18 @@ const applyServerErrors = (errors = []) => {
 };
 
 // Real-time validation - validate fields as user types
-usernameInput?.addEventListener('input', validateUsername);
-emailInput?.addEventListener('input', validateEmail);
+usernameInput?.addEventListener('input', () => {
+  validateUsername();
+  // Password may no longer contain the username - re-check once it has been typed
+  if (passwordInput?.value) validatePassword();
+});
+emailInput?.addEventListener('input', () => {
+  validateEmail();
+  if (passwordInput?.value) validatePassword();
+});
 passwordInput?.addEventListener('input', validatePassword);
 phoneInput?.addEventListener('input', validatePhone);
+phoneCountrySelect?.addEventListener('change', validatePhone);
 dobInput?.addEventListener('input', validateDob);
 
 /**
@@ -218,6 +242,8 @@ form?.addEventListener('submit', async (e) => {
     const phoneValue = phoneInput.value.trim();
     if (phoneValue) {
       payload.phone = phoneValue;
+      // Country a national number is read for (the server stores it in international format)
+      if (!phoneValue.startsWith('+') && phoneCountrySelect?.value) payload.phoneCountry = phoneCountrySelect.value;
     }
     
     // Convert date to ISO string format for API
@@ -272,4 +298,10 @@ form?.addEventListener('submit', async (e) => {
   }
 });
 
+PhoneCountries.fillSelect(phoneCountrySelect);
 
+// Show the requirements checklist as soon as the policy has loaded
+PasswordPolicy.load().then(() => {
+  const { results } = PasswordPolicy.evaluate('', {});
+  PasswordPolicy.renderChecklist(passwordChecklist, results);
+});
@@ -0,0 +1,125 @@
+/**
+ * Reset Password Page Script
+ * Sets a new password using the token from the emailed reset link.
+ */
+
+// API base URL - automatically uses current domain (works for localhost and Azure)
+const API_BASE = window.location.origin + '/api';
+
+// Reset token from the link in the email (reset-password.html?token=...)
+const resetToken = new URLSearchParams(window.location.search).get('token') || '';
+
+// Get references to DOM elements for form, inputs, and message displays
+const form = document.getElementById('reset-form');
+const passwordInput = document.getElementById('password');
+const confirmInput = document.getElementById('confirm-password');
+const passwordMessage = document.getElementById('password-message');
+const confirmMessage = document.getElementById('confirm-message');
+const passwordChecklist = document.getElementById('password-checklist');
+
+/**
+ * Display field message with styling
+ * Updates message element with text and applies success (green) or error (red) styling.
+ */
+const setFieldMessage = (el, message, type) => {
+  if (!el) return;
+  el.textContent = message;
+  el.classList.remove('hidden', 'text-red-600', 'text-green-600');
+  el.classList.add(type === 'success' ? 'text-green-600' : 'text-red-600');
+};
+
+/**
+ * Validate password field
+ * Checks the password against the server's password policy and updates the checklist.
+ * (The server also rejects passwords containing the account's username or email.)
+ */
+const validatePassword = () => {
+  const value = passwordInput?.value || '';
+  const { results, valid } = PasswordPolicy.evaluate(value);
+  PasswordPolicy.renderChecklist(passwordChecklist, results);
+  if (!value) {
+    setFieldMessage(passwordMessage, 'Password is required.', 'error');
+    return false;
+  }
+  if (!valid) {
+    setFieldMessage(passwordMessage, 'Password does not meet all requirements yet.', 'error');
+    return false;
+  }
+  setFieldMessage(passwordMessage, 'Password looks good.', 'success');
+  return true;
+};
+
+/**
+ * Validate confirmation field
+ * Checks that the confirmation matches the new password.
+ */
+const validateConfirm = () => {
+  const value = confirmInput?.value || '';
+  if (!value || value !== (passwordInput?.value || '')) {
+    setFieldMessage(confirmMessage, 'Passwords do not match.', 'error');
+    return false;
+  }
+  setFieldMessage(confirmMessage, 'Passwords match.', 'success');
+  return true;
+};
+
+// Real-time validation - validate fields as user types
+passwordInput?.addEventListener('input', validatePassword);
+confirmInput?.addEventListener('input', validateConfirm);
+
+// Without a token the form can't work - point the user to request a new link
+if (!resetToken) {
+  setFieldMessage(passwordMessage, 'This reset link is missing its token. Please request a new one.', 'error');
+}
+
+/**
+ * Form submit handler
+ * Sends new password with reset token, then redirects to login.
+ */
+form?.addEventListener('submit', async (e) => {
+  e.preventDefault(); // Prevent default form submission (page reload)
+
+  const isPasswordValid = validatePassword();
+  const isConfirmValid = validateConfirm();
+  if (!resetToken || !isPasswordValid || !isConfirmValid) {
+    return;
+  }
+
+  try {
+    const res = await fetch(`${API_BASE}/auth/reset-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: resetToken, password: passwordInput.value }),
+    });
+
+    // Check if response is JSON (handles server errors that return HTML)
+    const contentType = res.headers.get('content-type');
+    if (!contentType || !contentType.includes('application/json')) {
+      const text = await res.text();
+      console.error('Non-JSON response:', text);
+      throw new Error('Server error: Invalid response format');
+    }
+
+    const data = await res.json();
+    if (!res.ok) {
+      // Show first field error if validation failed, otherwise the general message
+      throw new Error(data.errors?.[0]?.msg || data.message || 'Password reset failed');
+    }
+
+    // Existing sessions were revoked - drop any tokens stored in this browser too
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+
+    setFieldMessage(passwordMessage, `${data.message} Redirecting to login...`, 'success');
+    setTimeout(() => {
+      window.location.href = './login.html';
+    }, 1200);
+  } catch (err) {
+    setFieldMessage(passwordMessage, err.message, 'error');
+  }
+});
+
+// Show the requirements checklist as soon as the policy has loaded
+PasswordPolicy.load().then(() => {
+  PasswordPolicy.renderChecklist(passwordChecklist, PasswordPolicy.evaluate('').results);
+});
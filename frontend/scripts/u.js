@@ -0,0 +1,150 @@
+// API base URL - automatically uses current domain (works for localhost and Azure)
+const API_BASE = window.location.origin + '/api';
+
+// Username from the page URL (u.html?user=<username>)
+const username = new URLSearchParams(window.location.search).get('user') || '';
+
+// Get references to DOM elements
+const profileSection = document.getElementById('public-profile');
+const displayNameEl = document.getElementById('public-display-name');
+const usernameEl = document.getElementById('public-username');
+const memberSinceEl = document.getElementById('public-member-since');
+const avatarEl = document.getElementById('public-avatar');
+const avatarFallbackEl = document.getElementById('public-avatar-fallback');
+const fieldsEl = document.getElementById('public-fields');
+const messageEl = document.getElementById('public-message');
+const navLink = document.getElementById('nav-link');
+
+/**
+ * Show message
+ * Replaces the profile with a message (e.g. user not found).
+ */
+const showMessage = (text) => {
+  profileSection.classList.add('hidden');
+  messageEl.textContent = text;
+  messageEl.classList.remove('hidden');
+};
+
+/**
+ * Fetch profile
+ * Requests the public profile, as the logged-in user when there is a session (they may see
+ * more). A dead session falls back to an anonymous request instead of redirecting to login.
+ */
+const fetchProfile = () =>
+  window.AuthSession.optionalAuthFetch(`${API_BASE}/users/${encodeURIComponent(username)}`);
+
+/**
+ * Is http(s) URL
+ * Whether a value is an absolute http(s) URL - the only kind shown as a link. Values saved
+ * before a field became a link field were never checked, so the server's check can't be relied on.
+ */
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Format value
+ * Builds the display element for a field value according to its type.
+ */
+const formatValue = (field) => {
+  if (field.type === 'email' || (field.type === 'url' && isHttpUrl(field.value))) {
+    const link = document.createElement('a');
+    link.className = 'text-blue-600 hover:text-blue-700 break-all';
+    link.textContent = field.value;
+    link.href = field.type === 'email' ? `mailto:${field.value}` : field.value;
+    if (field.type === 'url') link.rel = 'noopener noreferrer nofollow';
+    return link;
+  }
+
+  const span = document.createElement('span');
+  if (field.type === 'date') {
+    const d = new Date(field.value);
+    span.textContent = Number.isNaN(d.getTime()) ? '—' : d.toLocaleDateString();
+  } else if (field.type === 'boolean') {
+    span.textContent = field.value ? 'Yes' : 'No';
+  } else {
+    span.textContent = String(field.value);
+    // Keep line breaks from long-text fields such as a bio
+    if (field.type === 'textarea') span.className = 'whitespace-pre-line';
+  }
+  return span;
+};
+
+/**
+ * Render profile
+ * Shows the name, avatar and every field the server returned.
+ */
+const renderProfile = (profile) => {
+  // The display name is only present if the user shares it with this visitor
+  const name = profile.displayName || profile.username;
+  document.title = `${name} - User Profile App`;
+  displayNameEl.textContent = name;
+  usernameEl.textContent = `@${profile.username}`;
+  avatarFallbackEl.textContent = (name[0] || 'U').toUpperCase();
+  if (profile.memberSince) {
+    memberSinceEl.textContent = `Member since ${new Date(profile.memberSince).toLocaleDateString()}`;
+  }
+
+  if (profile.avatar && profile.avatar['128']) {
+    avatarEl.src = profile.avatar['128'];
+    if (profile.avatar['256']) avatarEl.srcset = `${profile.avatar['128']} 1x, ${profile.avatar['256']} 2x`;
+    avatarEl.classList.remove('hidden');
+  }
+
+  fieldsEl.replaceChildren(
+    ...profile.fields.map((field) => {
+      const row = document.createElement('div');
+      row.className = 'grid grid-cols-3 gap-4';
+      const label = document.createElement('dt');
+      label.className = 'text-gray-500';
+      label.textContent = field.label;
+      const value = document.createElement('dd');
+      value.className = 'col-span-2 text-gray-900';
+      value.appendChild(formatValue(field));
+      row.append(label, value);
+      return row;
+    })
+  );
+  if (!profile.fields.length) {
+    const empty = document.createElement('p');
+    empty.className = 'text-gray-500';
+    empty.textContent = 'This user has not shared any other details.';
+    fieldsEl.appendChild(empty);
+  }
+  profileSection.classList.remove('hidden');
+};
+
+/**
+ * Load profile
+ * Fetches and renders the profile named in the URL.
+ */
+const loadProfile = async () => {
+  if (!username) {
+    showMessage('No user specified.');
+    return;
+  }
+  try {
+    const res = await fetchProfile();
+    const data = await res.json();
+    if (res.status === 404) {
+      showMessage('User not found.');
+      return;
+    }
+    if (!res.ok) throw new Error(data.message || 'Failed to load profile');
+    renderProfile(data);
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+// Logged-in visitors get a link back to their own profile instead of "Log in"
+if (localStorage.getItem('token')) {
+  navLink.textContent = 'My profile';
+  navLink.href = './profile.html';
+}
+
+loadProfile();
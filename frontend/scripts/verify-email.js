@@ -0,0 +1,59 @@
+/**
+ * Verify Email Page Script
+ * Confirms an email address using the token from the emailed link.
+ */
+
+// API base URL - automatically uses current domain (works for localhost and Azure)
+const API_BASE = window.location.origin + '/api';
+
+// Verification token from the link in the email (verify-email.html?token=...)
+const verificationToken = new URLSearchParams(window.location.search).get('token') || '';
+
+const verifyMessage = document.getElementById('verify-message');
+
+/**
+ * Show message
+ * Displays the verification result with success (green) or error (red) styling.
+ */
+const showMessage = (message, type) => {
+  if (!verifyMessage) return;
+  verifyMessage.textContent = message;
+  verifyMessage.classList.remove('text-gray-500', 'text-red-600', 'text-green-600');
+  verifyMessage.classList.add(type === 'success' ? 'text-green-600' : 'text-red-600');
+};
+
+/**
+ * Verify email
+ * Sends the token to the API and shows the outcome.
+ */
+const verifyEmail = async () => {
+  if (!verificationToken) {
+    showMessage('This link is missing its verification token.', 'error');
+    return;
+  }
+
+  try {
+    const res = await fetch(
+      `${API_BASE}/auth/verify-email?token=${encodeURIComponent(verificationToken)}`
+    );
+
+    // Check if response is JSON (handles server errors that return HTML)
+    const contentType = res.headers.get('content-type');
+    if (!contentType || !contentType.includes('application/json')) {
+      const text = await res.text();
+      console.error('Non-JSON response:', text);
+      throw new Error('Server error: Invalid response format');
+    }
+
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.message || 'Email verification failed');
+    }
+
+    showMessage(`${data.email} is now verified.`, 'success');
+  } catch (err) {
+    showMessage(err.message, 'error');
+  }
+};
+
+verifyEmail();